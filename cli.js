@@ -32,10 +32,20 @@ program
   .option('-t, --stop <name>', 'Stop a strategy')
   .action((options) => {
     if (options.list) {
+      const StrategyManager = require('./src/services/strategyManager');
+      const StrategyLoader = require('./src/services/strategyLoader');
+      const manager = new StrategyManager();
+      new StrategyLoader(manager).load();
       console.log('Available strategies:');
-      console.log('- sma: Simple Moving Average');
-      console.log('- rsi: RSI Strategy');
-      console.log('- macd: MACD Strategy');
+      manager.describeStrategyTypes().forEach(type => {
+        console.log(`- ${type.type}: ${type.name}${type.source !== 'built-in' ? ` (${type.source})` : ''}`);
+        Object.entries(type.parameters)
+          .filter(([, spec]) => !spec.group && !spec.hidden)
+          .forEach(([key, spec]) => {
+            const range = spec.min !== undefined || spec.max !== undefined ? ` [${spec.min ?? ''}..${spec.max ?? ''}]` : '';
+            console.log(`    ${key} (${spec.type}${range}, default ${spec.default ?? 'none'}): ${spec.description || ''}`);
+          });
+      });
     }
     
     if (options.start) {
@@ -51,6 +61,169 @@ program
     }
   });
 
+program
+  .command('backtest')
+  .description('Replay historical candles through a strategy')
+  .option('-s, --strategy <name>', 'Strategy to test', 'sma')
+  .option('--product <productId>', 'Product to test on', 'BTC-USD')
+  .option('-g, --granularity <seconds>', 'Candle size in seconds (60, 300, 900, 3600, 21600, 86400)', '3600')
+  .option('--start <date>', 'Start of the range to download')
+  .option('--end <date>', 'End of the range to download')
+  .option('-f, --file <path>', 'Recorded OHLCV data (JSON or CSV) instead of downloading')
+  .option('--params <json>', 'Strategy parameters as JSON', '{}')
+  .option('--balance <usd>', 'Starting quote balance', '10000')
+  .option('--fee <rate>', 'Fee rate per fill', '0.006')
+  .option('-o, --output <path>', 'Write the full results (equity curve, trades) as JSON')
+  .action(async (options) => {
+    const fs = require('fs');
+    const CoinbaseService = require('./src/services/coinbaseService');
+    const StrategyManager = require('./src/services/strategyManager');
+    const Backtester = require('./src/services/backtester');
+
+    try {
+      const strategyManager = new StrategyManager();
+      const StrategyClass = strategyManager.getStrategyClass(options.strategy);
+      const granularity = parseInt(options.granularity);
+      const candles = await Backtester.loadCandles({
+        file: options.file,
+        coinbaseService: new CoinbaseService(),
+        productId: options.product,
+        granularity,
+        start: options.start,
+        end: options.end
+      });
+
+      const backtester = new Backtester({
+        StrategyClass,
+        strategyManager,
+        parameters: JSON.parse(options.params),
+        productId: options.product,
+        granularity,
+        initialBalance: parseFloat(options.balance),
+        feeRate: parseFloat(options.fee)
+      });
+      const results = await backtester.run(candles);
+      const { metrics } = results;
+
+      console.log(`\nBacktest: ${results.strategy} on ${results.productId} (${results.candles} candles)`);
+      console.log(`Period:         ${new Date(results.start).toISOString()} -> ${new Date(results.end).toISOString()}`);
+      console.log(`Final equity:   $${metrics.finalEquity.toFixed(2)} (start $${metrics.initialBalance.toFixed(2)})`);
+      console.log(`Net P&L:        $${metrics.netProfit.toFixed(2)} (${metrics.returnPct.toFixed(2)}%, buy & hold ${metrics.buyAndHoldReturnPct.toFixed(2)}%)`);
+      console.log(`Fees paid:      $${metrics.totalFees.toFixed(2)}`);
+      console.log(`Max drawdown:   $${metrics.maxDrawdown.toFixed(2)} (${metrics.maxDrawdownPct.toFixed(2)}%)`);
+      console.log(`Sharpe/Sortino: ${metrics.sharpeRatio?.toFixed(2) ?? 'n/a'} / ${metrics.sortinoRatio?.toFixed(2) ?? 'n/a'}`);
+      console.log(`Trades:         ${metrics.totalTrades} (${metrics.roundTrips} round trips, ${metrics.winRate.toFixed(1)}% winners)`);
+
+      if (options.output) {
+        fs.writeFileSync(options.output, JSON.stringify(results, null, 2));
+        console.log(`\nFull results written to ${options.output}`);
+      }
+      process.exit(0);
+    } catch (error) {
+      console.error('Backtest failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Commands below talk to a running bot over its REST API
+const botUrl = (options) => options.url || `http://localhost:${process.env.PORT || 3000}`;
+
+program
+  .command('halt')
+  .description('Halt all trading: stop strategies, cancel open orders and optionally flatten positions')
+  .option('-r, --reason <text>', 'Reason recorded with the halt', 'Manual halt from CLI')
+  .option('--flatten', 'Sell all open positions at market')
+  .option('--status', 'Only show whether trading is halted')
+  .option('-u, --url <url>', 'Base URL of the running bot')
+  .action(async (options) => {
+    const axios = require('axios');
+    try {
+      const response = options.status
+        ? await axios.get(`${botUrl(options)}/halt`)
+        : await axios.post(`${botUrl(options)}/halt`, { reason: options.reason, flatten: options.flatten });
+      const status = response.data;
+
+      if (!status.halted) {
+        console.log('Trading is running (not halted)');
+      } else {
+        console.log(`Trading HALTED at ${status.haltedAt} (${status.source}): ${status.reason}`);
+        console.log(`Strategies stopped: ${status.strategies.map(s => s.id).join(', ') || 'none'}`);
+        console.log(`Orders cancelled:   ${status.cancelled.length}`);
+        if (status.flatten) {
+          console.log(`Positions sold:     ${status.flattened.filter(f => f.success).length}/${status.flattened.length}`);
+          (status.unflattened || []).forEach(position => {
+            console.error(`Still open:         ${position.size} ${position.productId} (${position.strategy}): ${position.error}`);
+          });
+        }
+      }
+      process.exit(status.unflattened?.length > 0 ? 1 : 0);
+    } catch (error) {
+      console.error('Halt failed:', error.response?.data?.error || error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('resume')
+  .description('Resume trading after a halt')
+  .option('--restart', 'Restart the strategies the halt stopped')
+  .option('--force', 'Skip the cooldown, loss limit and open order checks')
+  .option('-u, --url <url>', 'Base URL of the running bot')
+  .action(async (options) => {
+    const axios = require('axios');
+    try {
+      const response = await axios.post(`${botUrl(options)}/resume`, {
+        confirm: true,
+        force: Boolean(options.force),
+        restartStrategies: Boolean(options.restart)
+      });
+      const restarted = response.data.restarted || [];
+      console.log(`Trading resumed${restarted.length ? `, restarted: ${restarted.join(', ')}` : ''}`);
+      process.exit(0);
+    } catch (error) {
+      const data = error.response?.data;
+      console.error(`Resume refused${data?.code ? ` (${data.code})` : ''}:`, data?.error || error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('config <action> [file]')
+  .description('Export or import strategy instance configs (JSON, or YAML by .yml/.yaml extension)')
+  .option('--replace', 'On import, delete instances that are not in the file')
+  .option('-u, --url <url>', 'Base URL of the running bot')
+  .action(async (action, file, options) => {
+    const fs = require('fs');
+    const axios = require('axios');
+    const StrategyConfigStore = require('./src/services/strategyConfigStore');
+    const format = file ? StrategyConfigStore.getFormat(file) : 'json';
+
+    try {
+      if (action === 'export') {
+        const response = await axios.get(`${botUrl(options)}/strategy/config`);
+        const text = StrategyConfigStore.serialize(response.data.strategies, format);
+        if (file) {
+          fs.writeFileSync(file, text);
+          console.log(`Exported ${response.data.strategies.length} strategy config(s) to ${file}`);
+        } else {
+          process.stdout.write(text);
+        }
+      } else if (action === 'import') {
+        if (!file) throw new Error('Import needs a file');
+        const strategies = StrategyConfigStore.parse(fs.readFileSync(file, 'utf8'), format);
+        const response = await axios.post(`${botUrl(options)}/strategy/config`, { strategies, replace: Boolean(options.replace) });
+        console.log(`Imported: ${response.data.imported.join(', ') || 'none'}`);
+        response.data.failed.forEach(f => console.log(`Failed:   ${f.id || f.type}: ${f.error}`));
+      } else {
+        throw new Error(`Unknown action '${action}' (use export or import)`);
+      }
+      process.exit(0);
+    } catch (error) {
+      console.error('Config failed:', error.response?.data?.error || error.message);
+      process.exit(1);
+    }
+  });
+
 program.parse(process.argv);
 
 if (!process.argv.slice(2).length) {
@@ -2,11 +2,15 @@ import { useState, useEffect, useRef } from 'react'
 import { Activity, TrendingUp, TrendingDown, DollarSign, Wallet, ChevronDown, Bitcoin } from 'lucide-react'
 import { io } from 'socket.io-client'
 import SimpleChart from './components/SimpleChart'
+import OrderBookDepth from './components/OrderBookDepth'
 import StrategyControls from './components/StrategyControls'
 import LogViewer from './components/LogViewer'
 import Portfolio from './components/Portfolio'
+import Positions from './components/Positions'
+import KillSwitch from './components/KillSwitch'
 import { useApi } from './hooks/useSocket'
 import { socket } from './lib/socket'
+import { currencyStyle, findProduct, formatPrice as formatProductPrice } from './lib/products'
 
 const backendUrl = import.meta.env.VITE_BACKEND_URL || 'http://localhost:3000'
 
@@ -16,61 +20,54 @@ function App() {
   const [currentPrice, setCurrentPrice] = useState(null)
   const [portfolio, setPortfolio] = useState({})
   const [allPrices, setAllPrices] = useState({})
+  const [positions, setPositions] = useState({ positions: [], summary: null })
+  const [haltStatus, setHaltStatus] = useState({ halted: false })
   const [logs, setLogs] = useState([])
   const [trades, setTrades] = useState([])
   const [strategies, setStrategies] = useState([])
+  const [strategyTypes, setStrategyTypes] = useState([])
   const [isConnected, setIsConnected] = useState(false)
   const [selectedCrypto, setSelectedCrypto] = useState('BTC-USD')
   const [cryptoDropdownOpen, setCryptoDropdownOpen] = useState(false)
   const [smaPeriod, setSmaPeriod] = useState(20)
   const [timeRange, setTimeRange] = useState('1h')
-  const [availableCryptos, setAvailableCryptos] = useState([])
+  const [products, setProducts] = useState({})
   const [tradingMode, setTradingMode] = useState('stopped')
 
-  const { fetchData, postData } = useApi()
+  const { fetchData, postData, patchData } = useApi()
 
-  // Fetch available cryptos from backend
+  // Product names and display precision come from the backend's catalog
   useEffect(() => {
-    const fetchCryptos = async () => {
+    const fetchProducts = async () => {
       try {
-        const result = await fetchData('/cryptos')
-        if (result.cryptos && result.cryptos.length > 0) {
-          setAvailableCryptos(result.cryptos)
-        } else {
-          setAvailableCryptos([{ id: 'BTC-USD', name: 'Bitcoin', symbol: 'BTC', icon: '₿' }])
-        }
+        const result = await fetchData('/products')
+        setProducts(Object.fromEntries((result.products || []).map(product => [product.productId, product])))
       } catch (e) {
-        setAvailableCryptos([{ id: 'BTC-USD', name: 'Bitcoin', symbol: 'BTC', icon: '₿' }])
+        console.error('Failed to fetch products:', e)
       }
     }
-    fetchCryptos()
+    fetchProducts()
   }, [])
 
+  // Held cryptocurrencies with the product each is charted in; BTC-USD is always offered
+  const describeCrypto = (currency, product) => ({
+    ...product,
+    id: product?.productId || `${currency}-USD`,
+    symbol: currency,
+    name: product?.baseName || currency,
+    icon: currencyStyle(currency).icon
+  })
+  const availableCryptos = Object.entries(portfolio || {})
+    .filter(([currency, amount]) => currency !== 'USD' && currency !== 'USDC' && amount > 0 && findProduct(products, currency))
+    .map(([currency]) => describeCrypto(currency, findProduct(products, currency)))
+  if (!availableCryptos.find(crypto => crypto.id === 'BTC-USD')) {
+    availableCryptos.unshift(describeCrypto('BTC', products['BTC-USD']))
+  }
+
   // Get current crypto details
-  const currentCrypto = availableCryptos.find(crypto => crypto.id === selectedCrypto) || availableCryptos[0] || { id: 'BTC-USD', name: 'Bitcoin', symbol: 'BTC', icon: '₿' }
+  const currentCrypto = availableCryptos.find(crypto => crypto.id === selectedCrypto) || availableCryptos[0]
 
-  // Helper function to format price based on cryptocurrency
-  const formatPrice = (price) => {
-    if (!price) return '0.00'
-    
-    // Different decimal places for different cryptocurrencies
-    switch (currentCrypto.symbol) {
-      case 'BTC':
-      case 'ETH':
-        return price.toFixed(2)
-      case 'ADA':
-        return price.toFixed(4)
-      case 'SOL':
-      case 'DOT':
-      case 'LINK':
-        return price.toFixed(2)
-      case 'MATIC':
-      case 'AVAX':
-        return price.toFixed(3)
-      default:
-        return price.toFixed(2)
-    }
-  }
+  const formatPrice = (price) => formatProductPrice(price, currentCrypto)
 
   // Fetch initial data
   useEffect(() => {
@@ -79,10 +76,15 @@ function App() {
         const status = await fetchData('/status')
         setBotStatus(status)
         setStrategies(status.strategies || [])
+        setHaltStatus(status.halt || { halted: false })
         setPortfolio(status.portfolio || {}) // Use empty object as fallback
         setAllPrices(status.allPrices || {})
         setCurrentPrice(status.lastPrice || 0) // Use 0 as fallback
         setIsConnected(true)
+
+        // Strategy forms are built from the parameter schemas the backend registers
+        const types = await fetchData('/strategies')
+        setStrategyTypes(types.strategies || [])
       } catch (error) {
         console.error('Failed to fetch initial data:', error)
         setIsConnected(false)
@@ -144,11 +146,74 @@ function App() {
       }])
     })
 
+    socket.on('paper-fill', (fill) => {
+      setTrades(prev => [...prev.slice(-19), {
+        id: fill.orderId,
+        timestamp: fill.timestamp,
+        strategy: 'paper',
+        action: fill.side,
+        status: 'success',
+        message: `Simulated ${fill.side} ${fill.size} ${fill.productId} @ $${fill.price.toFixed(2)} (fee $${fill.fee.toFixed(2)})`
+      }])
+    })
+
+    socket.on('halted', (status) => {
+      setHaltStatus(status)
+      setStrategies([])
+      setLogs(prev => [...prev.slice(-49), {
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        message: `Trading halted (${status.source}): ${status.reason}${status.unflattened?.length ? `; ${status.unflattened.length} positions could not be sold` : ''}`,
+        service: 'circuit-breaker'
+      }])
+    })
+
+    socket.on('resumed', (data) => {
+      setHaltStatus({ halted: false })
+      setLogs(prev => [...prev.slice(-49), {
+        timestamp: new Date().toISOString(),
+        level: 'warn',
+        message: `Trading resumed${data.restarted?.length ? `, restarted ${data.restarted.join(', ')}` : ''}`,
+        service: 'circuit-breaker'
+      }])
+    })
+
+    socket.on('exit-triggered', (exit) => {
+      setTrades(prev => [...prev.slice(-19), {
+        id: exit.order?.order_id || `${exit.strategy}-${exit.timestamp}`,
+        timestamp: exit.timestamp,
+        strategy: exit.strategy,
+        action: 'sell',
+        status: exit.success ? 'success' : 'error',
+        message: `${exit.reason} on ${exit.productId} at $${exit.price} (level $${exit.level.toFixed(2)})${exit.error ? `: ${exit.error}` : ''}${exit.final ? ' (not retried)' : ''}`
+      }])
+    })
+
+    socket.on('positions-update', (data) => {
+      setPositions({ positions: data.positions, summary: data.summary })
+    })
+
+    socket.on('order-update', (order) => {
+      const filled = parseFloat(order.filled_size) || 0
+      setLogs(prev => [...prev.slice(-49), {
+        timestamp: order.timestamp,
+        level: ['FAILED', 'EXPIRED'].includes(order.status) ? 'warn' : 'info',
+        message: `Order ${order.order_id} ${order.type || ''} ${order.product_id}: ${order.status}${filled > 0 ? ` (filled ${filled})` : ''}`,
+        service: order.paper ? 'paper' : 'orders'
+      }])
+    })
+
     return () => {
       socket.off('connect', handleConnect);
       socket.off('disconnect', handleDisconnect);
       socket.off('price-update');
       socket.off('portfolio-update');
+      socket.off('paper-fill');
+      socket.off('order-update');
+      socket.off('positions-update');
+      socket.off('exit-triggered');
+      socket.off('halted');
+      socket.off('resumed');
     };
   }, [])
 
@@ -170,8 +235,32 @@ function App() {
     return () => clearInterval(logInterval)
   }, [currentPrice, selectedCrypto])
 
+  // Kill switch endpoints answer refusals with a reason, which postData would hide
+  const postHaltAction = async (endpoint, body) => {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    })
+    const result = await response.json()
+    if (!response.ok) throw new Error(result.error || `HTTP error! status: ${response.status}`)
+    return result
+  }
+
+  const handleHalt = async (options) => {
+    const status = await postHaltAction('/halt', options)
+    setHaltStatus(status)
+  }
+
+  const handleResume = async (options) => {
+    await postHaltAction('/resume', options)
+    setHaltStatus({ halted: false })
+    const status = await fetchData('/status')
+    setStrategies(status.strategies || [])
+  }
+
   const handleStrategyAction = async (action, strategyName, parameters) => {
-    if (strategyName === 'sma' && parameters.period) {
+    if (strategyName === 'sma' && parameters?.period) {
       setSmaPeriod(parameters.period)
     }
 
@@ -208,6 +297,29 @@ function App() {
     }
   }
 
+  const handleParameterUpdate = async (strategyId, changes) => {
+    try {
+      await patchData(`/strategy/${strategyId}/parameters`, changes)
+      setTrades(prev => [...prev.slice(-19), {
+        id: Date.now(),
+        timestamp: new Date().toISOString(),
+        strategy: strategyId,
+        action: 'update',
+        status: 'success',
+        message: `Parameters updated: ${Object.entries(changes).map(([key, value]) => `${key}=${value}`).join(', ')}`
+      }])
+    } catch (error) {
+      setTrades(prev => [...prev.slice(-19), {
+        id: Date.now(),
+        timestamp: new Date().toISOString(),
+        strategy: strategyId,
+        action: 'update',
+        status: 'error',
+        message: error.message
+      }])
+    }
+  }
+
   const handleCryptoSelect = async (id) => {
     console.log(`Switching to cryptocurrency: ${id}`)
     setSelectedCrypto(id)
@@ -294,6 +406,22 @@ function App() {
     return () => clearInterval(portfolioInterval)
   }, [])
 
+  // Unrealized P&L moves with the price, so re-mark positions more often than the portfolio
+  useEffect(() => {
+    const loadPositions = async () => {
+      try {
+        const data = await fetchData('/positions')
+        setPositions({ positions: data.positions || [], summary: data.summary || null })
+      } catch (error) {
+        console.error('Failed to refresh positions:', error)
+      }
+    }
+
+    loadPositions()
+    const positionsInterval = setInterval(loadPositions, 10000)
+    return () => clearInterval(positionsInterval)
+  }, [])
+
   const priceChange = priceData.length > 1 ? 
     priceData[priceData.length - 1].price - priceData[priceData.length - 2].price : 0
   const priceChangePercent = priceData.length > 1 ? 
@@ -305,14 +433,6 @@ function App() {
     selectedCryptoRef.current = selectedCrypto;
   }, [selectedCrypto]);
 
-  // Only show nonzero, non-fiat crypto holdings in selector
-  const heldCryptos = availableCryptos.filter(crypto => {
-    const symbol = crypto.symbol;
-    return symbol !== 'USD' && symbol !== 'USDC' && portfolio[symbol] && portfolio[symbol] > 0;
-  });
-  // Use heldCryptos for selector, fallback to BTC-USD if none
-  const selectorCryptos = heldCryptos.length > 0 ? heldCryptos : availableCryptos.filter(c => c.symbol !== 'USD' && c.symbol !== 'USDC');
-
   // For holdings count, only count nonzero, non-fiat cryptos
   const holdingsCount = Object.entries(portfolio || {}).filter(([currency, amount]) => amount > 0 && currency !== 'USD' && currency !== 'USDC').length;
 
@@ -333,6 +453,7 @@ function App() {
             <div className="text-sm text-gray-400">
               {botStatus?.bot === 'active' ? 'Bot Active' : 'Bot Inactive'}
             </div>
+            <KillSwitch haltStatus={haltStatus} onHalt={handleHalt} onResume={handleResume} />
             {/* Crypto Selector */}
             <div className="relative">
               <button 
@@ -344,7 +465,7 @@ function App() {
               </button>
               {cryptoDropdownOpen && (
                 <div className="absolute right-0 mt-2 w-48 bg-gray-800 rounded-md shadow-lg z-10">
-                  {selectorCryptos.map(crypto => (
+                  {availableCryptos.map(crypto => (
                     <button 
                       key={crypto.id} 
                       onClick={() => handleCryptoSelect(crypto.id)} 
@@ -443,14 +564,18 @@ function App() {
               setTimeRange={setTimeRange}
               tradingMode={tradingMode}
             />
-            <Portfolio portfolio={portfolio} allPrices={allPrices} />
+            <OrderBookDepth product={currentCrypto} />
+            <Portfolio portfolio={portfolio} allPrices={allPrices} products={products} />
+            <Positions positions={positions.positions} summary={positions.summary} />
           </div>
 
           {/* Controls and Logs */}
           <div className="space-y-8">
             <StrategyControls 
               strategies={strategies} 
+              strategyTypes={strategyTypes}
               onStrategyAction={handleStrategyAction}
+              onParameterUpdate={handleParameterUpdate}
               onSmaPeriodChange={setSmaPeriod}
               onTradingModeChange={setTradingMode}
               tradingMode={tradingMode}
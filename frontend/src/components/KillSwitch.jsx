@@ -0,0 +1,67 @@
+import { useState } from 'react'
+import { XOctagon, PlayCircle } from 'lucide-react'
+
+const KillSwitch = ({ haltStatus, onHalt, onResume }) => {
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+  const halted = Boolean(haltStatus?.halted)
+
+  const handleHalt = async () => {
+    if (!window.confirm('Halt all trading? This stops every strategy and cancels open orders.')) return
+    const flatten = window.confirm('Also sell all open positions at market?')
+    setBusy(true)
+    setError(null)
+    try {
+      await onHalt({ reason: 'Kill switch pressed on dashboard', flatten })
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleResume = async () => {
+    if (!window.confirm('Resume trading and restart the strategies that were running?')) return
+    setBusy(true)
+    setError(null)
+    try {
+      await onResume({ confirm: true, restartStrategies: true })
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="flex items-center space-x-2">
+      {halted ? (
+        <>
+          <span className="text-sm text-red-400" title={haltStatus.reason}>
+            Halted ({haltStatus.source})
+          </span>
+          <button
+            onClick={handleResume}
+            disabled={busy}
+            className="flex items-center space-x-1 bg-green-700 hover:bg-green-600 disabled:opacity-50 px-3 py-2 rounded-md text-sm"
+          >
+            <PlayCircle className="h-4 w-4" />
+            <span>Resume</span>
+          </button>
+        </>
+      ) : (
+        <button
+          onClick={handleHalt}
+          disabled={busy}
+          className="flex items-center space-x-1 bg-red-700 hover:bg-red-600 disabled:opacity-50 px-3 py-2 rounded-md text-sm"
+        >
+          <XOctagon className="h-4 w-4" />
+          <span>Kill Switch</span>
+        </button>
+      )}
+      {error && <span className="text-xs text-red-400 max-w-xs truncate" title={error}>{error}</span>}
+    </div>
+  )
+}
+
+export default KillSwitch
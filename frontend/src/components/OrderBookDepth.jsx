@@ -0,0 +1,99 @@
+import { useState, useEffect } from 'react'
+import { AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts'
+import { BookOpen } from 'lucide-react'
+import { socket } from '../lib/socket'
+import { useApi } from '../hooks/useSocket'
+import { formatPrice } from '../lib/products'
+
+const LEVELS = 25
+
+// One point per price level: bids from the lowest shown up to the best bid, then asks outward.
+// Each side only carries its own cumulative size so the two areas meet at the spread.
+const toDepthData = (depth) => [
+  ...[...depth.bids].reverse().map(level => ({ price: level.price, bids: level.total })),
+  ...depth.asks.map(level => ({ price: level.price, asks: level.total }))
+]
+
+const imbalanceClass = (value) => (value > 0.1 ? 'text-green-400' : value < -0.1 ? 'text-red-400' : 'text-gray-300')
+
+const OrderBookDepth = ({ product }) => {
+  const productId = product?.id
+  const [book, setBook] = useState(null)
+  const { fetchData } = useApi()
+
+  useEffect(() => {
+    if (!productId) return
+    let current = true
+    setBook(null)
+
+    fetchData(`/orderbook/${productId}?levels=${LEVELS}`)
+      .then(summary => { if (current) setBook(summary) })
+      .catch(error => console.error('Failed to fetch order book:', error))
+
+    function handleUpdate(summary) {
+      if (summary.productId === productId) setBook(summary)
+    }
+    socket.on('orderbook-update', handleUpdate)
+
+    return () => {
+      current = false
+      socket.off('orderbook-update', handleUpdate)
+    }
+  }, [productId])
+
+  const price = (value) => (value === null || value === undefined ? '—' : `$${formatPrice(value, product)}`)
+  const data = book?.depth ? toDepthData(book.depth) : []
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-xl font-semibold text-white flex items-center">
+          <BookOpen className="h-5 w-5 mr-2 text-blue-500" />
+          Order Book
+          {productId && <span className="ml-3 text-sm text-gray-400">{productId}</span>}
+        </h2>
+        {book?.ready && (
+          <div className="text-sm text-gray-400 space-x-4">
+            <span>Bid: <span className="text-green-400">{price(book.bestBid?.price)}</span></span>
+            <span>Ask: <span className="text-red-400">{price(book.bestAsk?.price)}</span></span>
+            <span>Spread: {price(book.spread)} ({book.spreadPercent?.toFixed(3)}%)</span>
+            <span>Mid: {price(book.midPrice)}</span>
+            <span>
+              Imbalance: <span className={imbalanceClass(book.imbalance)}>{book.imbalance !== null ? `${(book.imbalance * 100).toFixed(1)}%` : '—'}</span>
+            </span>
+          </div>
+        )}
+      </div>
+
+      {book?.ready && data.length > 0 ? (
+        <div className="h-64">
+          <ResponsiveContainer width="100%" height="100%">
+            <AreaChart data={data}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+              <XAxis
+                dataKey="price"
+                type="number"
+                domain={['dataMin', 'dataMax']}
+                stroke="#9CA3AF"
+                tickFormatter={value => formatPrice(value, product)}
+              />
+              <YAxis stroke="#9CA3AF" />
+              <Tooltip
+                contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151' }}
+                labelFormatter={value => `$${formatPrice(value, product)}`}
+              />
+              <Area type="stepAfter" dataKey="bids" name="Bids" stroke="#10B981" fill="#10B981" fillOpacity={0.3} connectNulls={false} isAnimationActive={false} />
+              <Area type="stepBefore" dataKey="asks" name="Asks" stroke="#EF4444" fill="#EF4444" fillOpacity={0.3} connectNulls={false} isAnimationActive={false} />
+            </AreaChart>
+          </ResponsiveContainer>
+        </div>
+      ) : (
+        <div className="bg-gray-900 rounded-lg p-4 text-center text-gray-400">
+          <p>{book ? 'Waiting for the order book snapshot' : 'No order book yet'}</p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default OrderBookDepth
@@ -1,21 +1,8 @@
 import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip } from 'recharts'
 import { Wallet, TrendingUp, TrendingDown } from 'lucide-react'
+import { currencyName, currencyStyle, findProduct, formatSize } from '../lib/products'
 
-const Portfolio = ({ portfolio, allPrices }) => {
-  // Cryptocurrency metadata
-  const cryptoInfo = {
-    BTC: { icon: '₿', color: '#F59E0B', name: 'Bitcoin' },
-    ETH: { icon: 'Ξ', color: '#627EEA', name: 'Ethereum' },
-    ADA: { icon: '₳', color: '#0033AD', name: 'Cardano' },
-    SOL: { icon: '◎', color: '#14F195', name: 'Solana' },
-    DOT: { icon: '●', color: '#E6007A', name: 'Polkadot' },
-    MATIC: { icon: '⬟', color: '#8247E5', name: 'Polygon' },
-    AVAX: { icon: '🔺', color: '#E84142', name: 'Avalanche' },
-    LINK: { icon: '🔗', color: '#375BD2', name: 'Chainlink' },
-    USD: { icon: '$', color: '#10B981', name: 'US Dollar' },
-    USDC: { icon: '$', color: '#2775CA', name: 'USD Coin' }
-  }
-
+const Portfolio = ({ portfolio, allPrices, products = {} }) => {
   // Calculate portfolio data
   const portfolioData = []
   let totalValue = 0
@@ -24,8 +11,9 @@ const Portfolio = ({ portfolio, allPrices }) => {
   Object.entries(portfolio || {}).forEach(([currency, amount]) => {
     if (amount > 0 && currency !== 'USD' && currency !== 'USDC') {
       holdingsCount++;
-      const info = cryptoInfo[currency] || { icon: '❓', color: '#6B7280', name: currency };
-      const productId = `${currency}-USD`;
+      const style = currencyStyle(currency);
+      const product = findProduct(products, currency);
+      const productId = product?.productId || `${currency}-USD`;
       const price = allPrices?.[productId] || 1; // Default to 1 if price not found
       const value = amount * price;
       totalValue += value;
@@ -33,10 +21,11 @@ const Portfolio = ({ portfolio, allPrices }) => {
         currency,
         amount,
         value,
-        icon: info.icon,
-        color: info.color,
-        displayName: info.name || currency,
-        name: info.name || currency
+        product,
+        icon: style.icon,
+        color: style.color,
+        displayName: currencyName(products, currency),
+        name: currency
       });
     }
   })
@@ -52,9 +41,7 @@ const Portfolio = ({ portfolio, allPrices }) => {
           <p className="text-white font-semibold">{data.icon} {data.displayName}</p>
           <p className="text-gray-300">{`Value: $${data.value.toFixed(2)}`}</p>
           <p className="text-gray-300">
-            {`Amount: ${data.name === 'USD' || data.name === 'USDC' ? 
-              data.amount.toFixed(2) : 
-              data.amount.toFixed(6)} ${data.name}`}
+            {`Amount: ${formatSize(data.amount, data.product)} ${data.name}`}
           </p>
         </div>
       )
@@ -125,9 +112,7 @@ const Portfolio = ({ portfolio, allPrices }) => {
                   </span>
                 </div>
                 <div className="text-gray-300 text-sm">
-                  <p>Amount: {item.name === 'USD' || item.name === 'USDC' ? 
-                    item.amount.toFixed(2) : 
-                    item.amount.toFixed(6)} {item.name}</p>
+                  <p>Amount: {formatSize(item.amount, item.product)} {item.name}</p>
                   <p>Value: ${item.value.toFixed(2)}</p>
                 </div>
               </div>
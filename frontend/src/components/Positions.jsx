@@ -0,0 +1,77 @@
+import { Layers } from 'lucide-react'
+
+const formatUsd = (value) => {
+  if (value === null || value === undefined) return '—'
+  const sign = value < 0 ? '-' : ''
+  return `${sign}$${Math.abs(value).toFixed(2)}`
+}
+
+const pnlClass = (value) => (value > 0 ? 'text-green-400' : value < 0 ? 'text-red-400' : 'text-gray-300')
+
+const Positions = ({ positions = [], summary }) => {
+  // Closed positions still matter for realized P&L, but list open ones first
+  const sorted = [...positions].sort((a, b) => (b.size > 0) - (a.size > 0) || Math.abs(b.totalPnl) - Math.abs(a.totalPnl))
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-xl font-semibold text-white flex items-center">
+          <Layers className="h-5 w-5 mr-2 text-blue-500" />
+          Positions
+          {summary && (
+            <span className="ml-3 text-sm text-gray-400">({summary.openPositions} open, {summary.costMethod.toUpperCase()})</span>
+          )}
+        </h2>
+        {summary && (
+          <div className="text-sm text-gray-400 space-x-4">
+            <span>Realized: <span className={pnlClass(summary.realizedPnl)}>{formatUsd(summary.realizedPnl)}</span></span>
+            <span>Unrealized: <span className={pnlClass(summary.unrealizedPnl)}>{formatUsd(summary.unrealizedPnl)}</span></span>
+            <span>Fees: {formatUsd(summary.fees)}</span>
+          </div>
+        )}
+      </div>
+
+      {sorted.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-gray-400 text-left border-b border-gray-700">
+                <th className="py-2 pr-4">Strategy</th>
+                <th className="py-2 pr-4">Product</th>
+                <th className="py-2 pr-4 text-right">Size</th>
+                <th className="py-2 pr-4 text-right">Avg Cost</th>
+                <th className="py-2 pr-4 text-right">Price</th>
+                <th className="py-2 pr-4 text-right">Unrealized</th>
+                <th className="py-2 pr-4 text-right">Realized</th>
+                <th className="py-2 text-right">Fees</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sorted.map((position) => (
+                <tr key={`${position.account}:${position.strategy}:${position.productId}`} className="border-b border-gray-800 text-gray-300">
+                  <td className="py-2 pr-4">
+                    {position.strategy}
+                    {position.account === 'paper' && <span className="ml-2 text-xs text-yellow-400">paper</span>}
+                  </td>
+                  <td className="py-2 pr-4">{position.productId}</td>
+                  <td className="py-2 pr-4 text-right">{position.size.toFixed(6)}</td>
+                  <td className="py-2 pr-4 text-right">{position.size > 0 ? formatUsd(position.averageCost) : '—'}</td>
+                  <td className="py-2 pr-4 text-right">{formatUsd(position.marketPrice)}</td>
+                  <td className={`py-2 pr-4 text-right ${pnlClass(position.unrealizedPnl)}`}>{formatUsd(position.unrealizedPnl)}</td>
+                  <td className={`py-2 pr-4 text-right ${pnlClass(position.realizedPnl)}`}>{formatUsd(position.realizedPnl)}</td>
+                  <td className="py-2 text-right">{formatUsd(position.fees)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="bg-gray-900 rounded-lg p-4 text-center text-gray-400">
+          <p>No positions yet</p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Positions
@@ -11,6 +11,7 @@ import {
 } from 'recharts'
 import { TrendingUp, CandlestickChart } from 'lucide-react'
 import { socket } from '../lib/socket';
+import { formatPrice as formatProductPrice } from '../lib/products';
 
 const SimpleChart = ({ data, currentCrypto, smaPeriod, timeRange, setTimeRange, tradingMode }) => {
   const [chartData, setChartData] = useState([])
@@ -226,32 +227,7 @@ const SimpleChart = ({ data, currentCrypto, smaPeriod, timeRange, setTimeRange,
   
   const formatPrice = (price) => {
     if (!price || !currentCrypto) return '$0.00';
-    
-    // Different decimal places for different cryptocurrencies
-    let decimals = 2;
-    switch (currentCrypto.symbol) {
-      case 'BTC':
-        decimals = 0;
-        break;
-      case 'ETH':
-        decimals = 2;
-        break;
-      case 'ADA':
-        decimals = 4;
-        break;
-      case 'SOL':
-      case 'DOT':
-        decimals = 2;
-        break;
-      case 'MATIC':
-      case 'AVAX':
-        decimals = 3;
-        break;
-      default:
-        decimals = 2;
-    }
-    
-    return `$${price.toFixed(decimals)}`;
+    return `$${formatProductPrice(price, currentCrypto)}`;
   };
   
   const CustomTooltip = ({ active, payload, label }) => {
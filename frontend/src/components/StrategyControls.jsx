@@ -1,40 +1,46 @@
-import { useState, useEffect } from 'react'
-import { Settings, Play, Square, TrendingUp, BarChart3, Zap, Pause, DollarSign } from 'lucide-react'
+import { useState, useEffect, useRef } from 'react'
+import { Settings, TrendingUp, BarChart3, Zap, Activity, Layers, CalendarClock, Grid, Puzzle, Play, Pause, DollarSign } from 'lucide-react'
 
-const StrategyControls = ({ strategies, onStrategyAction, onSmaPeriodChange, onTradingModeChange, tradingMode: parentTradingMode = 'stopped' }) => {
+// Built-in strategies get their own icon; anything else registered on the backend uses the generic one
+const strategyIcons = {
+  sma: { icon: TrendingUp, color: 'text-blue-500' },
+  rsi: { icon: BarChart3, color: 'text-green-500' },
+  macd: { icon: Zap, color: 'text-purple-500' },
+  bollinger: { icon: Activity, color: 'text-orange-500' },
+  ensemble: { icon: Layers, color: 'text-teal-500' },
+  dca: { icon: CalendarClock, color: 'text-yellow-500' },
+  grid: { icon: Grid, color: 'text-cyan-500' }
+}
+const defaultIcon = { icon: Puzzle, color: 'text-gray-400' }
+
+const defaultParameters = (schema) => Object.fromEntries(
+  Object.entries(schema)
+    .filter(([, spec]) => spec.default !== undefined)
+    .map(([key, spec]) => [key, spec.default])
+)
+
+const StrategyControls = ({ strategies, strategyTypes = [], onStrategyAction, onParameterUpdate, onSmaPeriodChange, onTradingModeChange, tradingMode: parentTradingMode = 'stopped' }) => {
   const [selectedStrategy, setSelectedStrategy] = useState('sma')
   const [tradingMode, setTradingMode] = useState(parentTradingMode) // Use parent's trading mode
-  const [parameters, setParameters] = useState({
-    sma: { period: 20, tradeAmount: 0.01 },
-    rsi: { period: 14, oversold: 30, overbought: 70, tradeAmount: 0.01 },
-    macd: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9, tradeAmount: 0.01 }
-  })
+  const [parameters, setParameters] = useState({})
+
+  const pendingUpdate = useRef(null)
 
   // Sync local trading mode with parent's trading mode
   useEffect(() => {
     setTradingMode(parentTradingMode)
   }, [parentTradingMode])
 
-  const strategyConfig = {
-    sma: {
-      name: 'Simple Moving Average',
-      description: 'Buy when price crosses above SMA, sell when below',
-      icon: TrendingUp,
-      color: 'text-blue-500'
-    },
-    rsi: {
-      name: 'RSI Strategy',
-      description: 'Buy when oversold, sell when overbought',
-      icon: BarChart3,
-      color: 'text-green-500'
-    },
-    macd: {
-      name: 'MACD Strategy',
-      description: 'Buy on bullish crossover, sell on bearish crossover',
-      icon: Zap,
-      color: 'text-purple-500'
+  // Start every form from the schema defaults, keeping values already edited
+  useEffect(() => {
+    setParameters(prev => Object.fromEntries(strategyTypes.map(type => [
+      type.type,
+      prev[type.type] || defaultParameters(type.parameters)
+    ])))
+    if (strategyTypes.length > 0 && !strategyTypes.some(type => type.type === selectedStrategy)) {
+      setSelectedStrategy(strategyTypes[0].type)
     }
-  }
+  }, [strategyTypes])
 
   const handleTradingModeChange = (mode) => {
     setTradingMode(mode)
@@ -55,13 +61,15 @@ const StrategyControls = ({ strategies, onStrategyAction, onSmaPeriodChange, onT
     }
   }
 
-  const handleParameterChange = (strategy, param, value) => {
+  const handleParameterChange = (strategy, param, rawValue, spec) => {
+    const numeric = spec.type === 'number' || spec.type === 'integer'
+    const value = numeric && rawValue !== '' && !isNaN(parseFloat(rawValue)) ? parseFloat(rawValue) : rawValue
     setParameters(prev => {
       const updated = {
         ...prev,
         [strategy]: {
           ...prev[strategy],
-          [param]: parseFloat(value) || value
+          [param]: value
         }
       }
       // If SMA period changes, notify parent
@@ -70,144 +78,86 @@ const StrategyControls = ({ strategies, onStrategyAction, onSmaPeriodChange, onT
       }
       return updated
     })
+
+    // A running strategy takes the new value live; wait until typing pauses
+    if (onParameterUpdate && strategies.includes(strategy)) {
+      clearTimeout(pendingUpdate.current)
+      pendingUpdate.current = setTimeout(() => {
+        onParameterUpdate(strategy, { [param]: value })
+      }, 500)
+    }
   }
 
   const isStrategyRunning = (strategyName) => {
-    return strategies.some(s => s.name === strategyName && s.active)
+    return strategies.includes(strategyName)
   }
 
-  const renderParameters = () => {
-    const strategy = selectedStrategy
-    const config = strategyConfig[strategy]
-    const params = parameters[strategy]
+  const renderField = (strategy, key, spec) => {
+    const value = parameters[strategy]?.[key] ?? ''
+    const label = spec.label || key
+
+    if (spec.type === 'boolean') {
+      return (
+        <label key={key} className="flex items-center space-x-2 text-sm text-gray-400" title={spec.description}>
+          <input
+            type="checkbox"
+            checked={Boolean(value)}
+            onChange={(e) => handleParameterChange(strategy, key, e.target.checked, spec)}
+          />
+          <span>{label}</span>
+        </label>
+      )
+    }
 
     return (
-      <div className="space-y-4">
-        <h4 className="text-sm font-medium text-gray-300">Parameters</h4>
-        
-        {strategy === 'sma' && (
-          <>
-            <div>
-              <label className="block text-sm text-gray-400 mb-1">Period</label>
-              <input
-                type="number"
-                value={params.period}
-                onChange={(e) => handleParameterChange(strategy, 'period', e.target.value)}
-                className="input w-full"
-                min="1"
-                max="200"
-              />
-            </div>
-            <div>
-              <label className="block text-sm text-gray-400 mb-1">Trade Amount (BTC)</label>
-              <input
-                type="number"
-                value={params.tradeAmount}
-                onChange={(e) => handleParameterChange(strategy, 'tradeAmount', e.target.value)}
-                className="input w-full"
-                min="0.001"
-                step="0.001"
-              />
-            </div>
-          </>
+      <div key={key}>
+        <label className="block text-sm text-gray-400 mb-1" title={spec.description}>{label}</label>
+        {spec.enum ? (
+          <select
+            value={value}
+            onChange={(e) => handleParameterChange(strategy, key, e.target.value, spec)}
+            className="input w-full"
+          >
+            <option value="">-</option>
+            {spec.enum.map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+        ) : (
+          <input
+            type={spec.type === 'number' || spec.type === 'integer' ? 'number' : 'text'}
+            value={Array.isArray(value) ? value.join(',') : value}
+            onChange={(e) => handleParameterChange(strategy, key, e.target.value, spec)}
+            className="input w-full"
+            min={spec.min}
+            max={spec.max}
+            step={spec.step || (spec.type === 'integer' ? 1 : 'any')}
+            placeholder={spec.description}
+          />
         )}
+      </div>
+    )
+  }
 
-        {strategy === 'rsi' && (
-          <>
-            <div>
-              <label className="block text-sm text-gray-400 mb-1">Period</label>
-              <input
-                type="number"
-                value={params.period}
-                onChange={(e) => handleParameterChange(strategy, 'period', e.target.value)}
-                className="input w-full"
-                min="1"
-                max="50"
-              />
-            </div>
-            <div>
-              <label className="block text-sm text-gray-400 mb-1">Oversold Level</label>
-              <input
-                type="number"
-                value={params.oversold}
-                onChange={(e) => handleParameterChange(strategy, 'oversold', e.target.value)}
-                className="input w-full"
-                min="10"
-                max="40"
-              />
-            </div>
-            <div>
-              <label className="block text-sm text-gray-400 mb-1">Overbought Level</label>
-              <input
-                type="number"
-                value={params.overbought}
-                onChange={(e) => handleParameterChange(strategy, 'overbought', e.target.value)}
-                className="input w-full"
-                min="60"
-                max="90"
-              />
-            </div>
-            <div>
-              <label className="block text-sm text-gray-400 mb-1">Trade Amount (BTC)</label>
-              <input
-                type="number"
-                value={params.tradeAmount}
-                onChange={(e) => handleParameterChange(strategy, 'tradeAmount', e.target.value)}
-                className="input w-full"
-                min="0.001"
-                step="0.001"
-              />
-            </div>
-          </>
-        )}
+  const renderParameters = () => {
+    const type = strategyTypes.find(t => t.type === selectedStrategy)
+    if (!type) return null
 
-        {strategy === 'macd' && (
-          <>
-            <div>
-              <label className="block text-sm text-gray-400 mb-1">Fast Period</label>
-              <input
-                type="number"
-                value={params.fastPeriod}
-                onChange={(e) => handleParameterChange(strategy, 'fastPeriod', e.target.value)}
-                className="input w-full"
-                min="1"
-                max="30"
-              />
-            </div>
-            <div>
-              <label className="block text-sm text-gray-400 mb-1">Slow Period</label>
-              <input
-                type="number"
-                value={params.slowPeriod}
-                onChange={(e) => handleParameterChange(strategy, 'slowPeriod', e.target.value)}
-                className="input w-full"
-                min="10"
-                max="50"
-              />
-            </div>
-            <div>
-              <label className="block text-sm text-gray-400 mb-1">Signal Period</label>
-              <input
-                type="number"
-                value={params.signalPeriod}
-                onChange={(e) => handleParameterChange(strategy, 'signalPeriod', e.target.value)}
-                className="input w-full"
-                min="1"
-                max="20"
-              />
-            </div>
-            <div>
-              <label className="block text-sm text-gray-400 mb-1">Trade Amount (BTC)</label>
-              <input
-                type="number"
-                value={params.tradeAmount}
-                onChange={(e) => handleParameterChange(strategy, 'tradeAmount', e.target.value)}
-                className="input w-full"
-                min="0.001"
-                step="0.001"
-              />
+    const fields = Object.entries(type.parameters).filter(([, spec]) => !spec.hidden)
+    const ownFields = fields.filter(([, spec]) => !spec.group)
+    const tradingFields = fields.filter(([, spec]) => spec.group === 'trading')
+    const exitFields = fields.filter(([, spec]) => spec.group === 'exits')
+
+    return (
+      <div className="space-y-4">
+        <h4 className="text-sm font-medium text-gray-300">Parameters</h4>
+        {ownFields.map(([key, spec]) => renderField(selectedStrategy, key, spec))}
+        {tradingFields.map(([key, spec]) => renderField(selectedStrategy, key, spec))}
+        {exitFields.length > 0 && (
+          <details className="space-y-4">
+            <summary className="text-sm font-medium text-gray-300 cursor-pointer">Protective Exits</summary>
+            <div className="space-y-4 mt-4">
+              {exitFields.map(([key, spec]) => renderField(selectedStrategy, key, spec))}
             </div>
-          </>
+          </details>
         )}
       </div>
     )
@@ -226,7 +176,8 @@ const StrategyControls = ({ strategies, onStrategyAction, onSmaPeriodChange, onT
       <div className="space-y-4 mb-6">
         <h3 className="text-lg font-medium text-white">Select Strategy</h3>
         <div className="space-y-2">
-          {Object.entries(strategyConfig).map(([key, config]) => {
+          {strategyTypes.map(({ type: key, name, description }) => {
+            const config = { ...(strategyIcons[key] || defaultIcon), name, description }
             const Icon = config.icon
             const running = isStrategyRunning(key)
             return (
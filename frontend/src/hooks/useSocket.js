@@ -56,5 +56,19 @@ export const useApi = () => {
     }
   }
 
-  return { fetchData, postData }
+  // Rejections carry the server's reason (e.g. a failed parameter check)
+  const patchData = async (endpoint, data) => {
+    const response = await fetch(endpoint, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(data),
+    })
+    const result = await response.json()
+    if (!response.ok) throw new Error(result.error || `HTTP error! status: ${response.status}`)
+    return result
+  }
+
+  return { fetchData, postData, patchData }
 }
@@ -0,0 +1,46 @@
+// Display helpers for the product catalog served by GET /products. Names and precision come
+// from the catalog; only the glyph and chart colour of a currency are decided here.
+const CURRENCY_STYLES = {
+  BTC: { icon: '₿', color: '#F59E0B' },
+  ETH: { icon: 'Ξ', color: '#627EEA' },
+  ETC: { icon: 'Ξ', color: '#328332' },
+  LTC: { icon: 'Ł', color: '#345D9D' },
+  BCH: { icon: '₿', color: '#8DC351' },
+  ADA: { icon: '₳', color: '#0033AD' },
+  DOGE: { icon: 'Ð', color: '#C2A633' },
+  SOL: { icon: '◎', color: '#14F195' },
+  DOT: { icon: '●', color: '#E6007A' },
+  POL: { icon: '⬟', color: '#8247E5' },
+  MATIC: { icon: '⬟', color: '#8247E5' },
+  AVAX: { icon: '🔺', color: '#E84142' },
+  LINK: { icon: '🔗', color: '#375BD2' },
+  USD: { icon: '$', color: '#10B981' },
+  USDC: { icon: '$', color: '#2775CA' }
+}
+
+const FALLBACK_COLORS = ['#6366F1', '#EC4899', '#14B8A6', '#F97316', '#84CC16', '#06B6D4', '#A855F7', '#EAB308']
+
+// Other currencies get their first letter and a colour that stays the same between renders
+export function currencyStyle(currency = '') {
+  if (CURRENCY_STYLES[currency]) return CURRENCY_STYLES[currency]
+  const hash = [...currency].reduce((sum, char) => sum + char.charCodeAt(0), 0)
+  return { icon: currency.charAt(0) || '?', color: FALLBACK_COLORS[hash % FALLBACK_COLORS.length] }
+}
+
+// The product a currency is valued and charted in, e.g. BTC -> BTC-USD
+export function findProduct(products, currency) {
+  return products[`${currency}-USD`] || products[`${currency}-USDC`] || null
+}
+
+export function currencyName(products, currency) {
+  const product = findProduct(products, currency)
+  return product?.baseName || currency
+}
+
+export function formatPrice(price, product) {
+  return (price || 0).toFixed(product?.priceDecimals ?? 2)
+}
+
+export function formatSize(amount, product) {
+  return amount.toFixed(Math.min(product?.sizeDecimals ?? 6, 8))
+}
@@ -9,6 +9,16 @@ const net = require('net');
 const CoinbaseService = require('./services/coinbaseService');
 const TradingEngine = require('./services/tradingEngine');
 const StrategyManager = require('./services/strategyManager');
+const Backtester = require('./services/backtester');
+const CandleAggregator = require('./services/candleAggregator');
+const CandleHistory = require('./services/candleHistory');
+const DataStore = require('./services/dataStore');
+const OrderTracker = require('./services/orderTracker');
+const CircuitBreaker = require('./services/circuitBreaker');
+const StrategyConfigStore = require('./services/strategyConfigStore');
+const StrategyLoader = require('./services/strategyLoader');
+const ProductCatalog = require('./services/productCatalog');
+const OrderBookManager = require('./services/orderBookManager');
 const logger = require('./utils/logger');
 
 // Load environment variables
@@ -29,8 +39,21 @@ class TradingBot {
     });
     this.port = process.env.PORT || 3000;
     this.coinbaseService = new CoinbaseService();
-    this.tradingEngine = new TradingEngine(this.coinbaseService);
+    this.productCatalog = new ProductCatalog(this.coinbaseService);
+    this.tradingEngine = new TradingEngine(this.coinbaseService, { productSource: this.productCatalog });
+    this.orderBookManager = new OrderBookManager(this.coinbaseService);
     this.strategyManager = new StrategyManager();
+    this.candleAggregator = new CandleAggregator();
+    this.candleHistory = new CandleHistory(this.coinbaseService, this.candleAggregator);
+    this.dataStore = new DataStore();
+    this.orderTracker = new OrderTracker(this.tradingEngine, this.coinbaseService);
+    this.circuitBreaker = new CircuitBreaker(this.tradingEngine, this.strategyManager);
+    this.tradingEngine.setDataStore(this.dataStore);
+    this.tradingEngine.exitManager.setCandleSource(this.candleAggregator);
+    this.strategyManager.setDataStore(this.dataStore);
+    this.strategyConfigStore = new StrategyConfigStore({ dataStore: this.dataStore });
+    this.strategyManager.setConfigStore(this.strategyConfigStore);
+    this.strategyLoader = new StrategyLoader(this.strategyManager);
     
     this.setupMiddleware();
     this.setupRoutes();
@@ -72,7 +95,7 @@ class TradingBot {
     // Enable CORS for development
     this.app.use((req, res, next) => {
       res.header('Access-Control-Allow-Origin', '*');
-      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
       res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
       if (req.method === 'OPTIONS') {
         res.sendStatus(200);
@@ -95,86 +118,398 @@ class TradingBot {
       res.json({
         bot: 'active',
         strategies: this.strategyManager.getActiveStrategies(),
+        instances: this.strategyManager.getInstances(),
         lastPrice: this.coinbaseService.getLastPrice(),
         allPrices: this.coinbaseService.getAllPrices(),
         portfolio: this.tradingEngine.getPortfolio(),
+        halt: this.circuitBreaker.getStatus(),
+        streams: this.coinbaseService.getStreamStatus(),
         timestamp: new Date().toISOString()
       });
     });
 
-    // Get available cryptocurrencies based on portfolio
+    // Products with names, increments and display precision; ?quote=USD and ?productIds=BTC-USD,ETH-USD narrow the list
+    this.app.get('/products', (req, res) => {
+      const productIds = req.query.productIds ? String(req.query.productIds).split(',').map(id => id.trim()) : null;
+      res.json({
+        ...this.productCatalog.getStatus(),
+        products: this.productCatalog.getProducts({ quote: req.query.quote, productIds })
+      });
+    });
+
+    this.app.get('/products/:productId', (req, res) => {
+      const product = this.productCatalog.getProduct(req.params.productId);
+      if (!product) {
+        return res.status(404).json({ error: `Unknown product ${req.params.productId}` });
+      }
+      res.json(product);
+    });
+
+    // Held cryptocurrencies and the product each is charted in
     this.app.get('/cryptos', (req, res) => {
       const portfolio = this.tradingEngine.getPortfolio();
       const cryptos = [];
-      
-      // Define crypto metadata
-      const cryptoMap = {
-        'BTC': { name: 'Bitcoin', icon: '₿', productId: 'BTC-USD' },
-        'ETH': { name: 'Ethereum', icon: 'Ξ', productId: 'ETH-USD' },
-        'ETH2': { name: 'Ethereum 2.0', icon: 'Ξ', productId: 'ETH-USD' },
-        'ADA': { name: 'Cardano', icon: '₳', productId: 'ADA-USD' },
-        'DOT': { name: 'Polkadot', icon: '●', productId: 'DOT-USD' },
-        'DOGE': { name: 'Dogecoin', icon: 'Ð', productId: 'DOGE-USD' },
-        'XLM': { name: 'Stellar', icon: '*', productId: 'XLM-USD' },
-        'BSV': { name: 'Bitcoin SV', icon: '₿', productId: 'BSV-USD' },
-        'BAT': { name: 'Basic Attention Token', icon: 'B', productId: 'BAT-USD' },
-        'BCH': { name: 'Bitcoin Cash', icon: '₿', productId: 'BCH-USD' },
-        'LTC': { name: 'Litecoin', icon: 'Ł', productId: 'LTC-USD' },
-        'ENJ': { name: 'Enjin Coin', icon: 'E', productId: 'ENJ-USD' },
-        'POLY': { name: 'Polygon', icon: 'P', productId: 'MATIC-USD' },
-        'ZRX': { name: '0x', icon: 'Z', productId: 'ZRX-USD' },
-        'ETC': { name: 'Ethereum Classic', icon: 'Ξ', productId: 'ETC-USD' },
-        'USDC': { name: 'USD Coin', icon: '$', productId: 'USDC-USD' }
-      };
-      
-      // Filter portfolio to include only cryptocurrencies with balances > 0 and exclude USD
+
       Object.keys(portfolio).forEach(currency => {
-        if (currency !== 'USD' && portfolio[currency] > 0 && cryptoMap[currency]) {
-          const crypto = cryptoMap[currency];
+        const product = this.productCatalog.findProduct(currency);
+        if (currency !== 'USD' && portfolio[currency] > 0 && product) {
           cryptos.push({
-            id: crypto.productId,
+            id: product.productId,
             symbol: currency,
-            name: crypto.name,
-            icon: crypto.icon,
+            name: product.baseName,
+            priceDecimals: product.priceDecimals,
             balance: portfolio[currency]
           });
         }
       });
-      
+
       // Always include BTC-USD as default if not present
       if (!cryptos.find(c => c.id === 'BTC-USD')) {
         cryptos.unshift({
           id: 'BTC-USD',
           symbol: 'BTC',
-          name: 'Bitcoin',
-          icon: '₿',
-          balance: portfolio['BTC'] || 0
+          name: this.productCatalog.getCurrencyName('BTC'),
+          priceDecimals: this.productCatalog.getProduct('BTC-USD')?.priceDecimals ?? 2,
+          balance: portfolio.BTC || 0
         });
       }
-      
+
       res.json({ cryptos });
     });
 
-    this.app.post('/strategy/start', (req, res) => {
-      const { strategyName, parameters } = req.body;
+    this.app.post('/strategy/start', async (req, res) => {
+      const { strategyName, parameters, id } = req.body;
+      if (this.circuitBreaker.isHalted()) {
+        return res.status(409).json({ error: 'Trading is halted; resume before starting strategies', code: 'HALTED' });
+      }
       try {
-        this.strategyManager.startStrategy(strategyName, parameters);
-        res.json({ success: true, message: `Strategy ${strategyName} started` });
+        // A stopped instance of that name (the dashboard's start/stop toggle) is restarted with
+        // the new parameters rather than created again under another id
+        const instanceId = id ?? strategyName;
+        if (this.strategyManager.instances.has(instanceId) && !this.strategyManager.activeStrategies.has(instanceId)) {
+          await this.strategyManager.updateStrategy(instanceId, parameters || {});
+          await this.strategyManager.startInstance(instanceId);
+          return res.json({ success: true, id: instanceId, message: `Strategy ${instanceId} started` });
+        }
+        const strategy = await this.strategyManager.startStrategy(strategyName, parameters, { id });
+        res.json({ success: true, id: strategy.id, message: `Strategy ${strategy.id} started` });
       } catch (error) {
         res.status(400).json({ error: error.message });
       }
     });
 
-    this.app.post('/strategy/stop', (req, res) => {
+    // Stops the instance, which keeps its id and parameters; DELETE /strategy/:id removes it
+    this.app.post('/strategy/stop', async (req, res) => {
       const { strategyName } = req.body;
       try {
-        this.strategyManager.stopStrategy(strategyName);
+        await this.strategyManager.stopStrategy(strategyName);
         res.json({ success: true, message: `Strategy ${strategyName} stopped` });
       } catch (error) {
         res.status(400).json({ error: error.message });
       }
     });
 
+    // Registered strategy types with their parameter schemas; the dashboard builds its forms from these
+    this.app.get('/strategies', (req, res) => {
+      res.json({ strategies: this.strategyManager.describeStrategyTypes() });
+    });
+
+    // Re-read the strategy plugins ({ "restartInstances": true } also moves instances onto the new code)
+    this.app.post('/strategies/reload', async (req, res) => {
+      try {
+        const result = await this.strategyLoader.reload({ restartInstances: Boolean(req.body?.restartInstances) });
+        res.json({ success: result.failed.length === 0, ...result, strategies: this.strategyManager.describeStrategyTypes() });
+      } catch (error) {
+        logger.error('Error reloading strategy plugins:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Strategy instances: several instances of one type can run with their own id, products and parameters
+    this.app.get('/strategy/instances', (req, res) => {
+      res.json({ instances: this.strategyManager.getInstances() });
+    });
+
+    this.app.post('/strategy/instances', async (req, res) => {
+      const { type, id, parameters = {}, start = true } = req.body || {};
+      if (start && this.circuitBreaker.isHalted()) {
+        return res.status(409).json({ error: 'Trading is halted; resume before starting strategies', code: 'HALTED' });
+      }
+      try {
+        const strategy = start
+          ? await this.strategyManager.startStrategy(type, parameters, { id })
+          : this.strategyManager.createStrategy(type, parameters, { id });
+        res.status(201).json({ success: true, instance: this.strategyManager.describeInstance(strategy.id) });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Export the instance configs as JSON (or YAML with ?format=yaml)
+    this.app.get('/strategy/config', (req, res) => {
+      const configs = this.strategyManager.exportConfigs();
+      if (req.query.format === 'yaml') {
+        return res.type('text/yaml').send(StrategyConfigStore.serialize(configs, 'yaml'));
+      }
+      res.json({ strategies: configs });
+    });
+
+    // Import configs ({ strategies: [...], replace }); instances with a known id are reconfigured
+    this.app.post('/strategy/config', async (req, res) => {
+      if (this.circuitBreaker.isHalted()) {
+        return res.status(409).json({ error: 'Trading is halted; resume before importing strategies', code: 'HALTED' });
+      }
+      let configs;
+      try {
+        configs = StrategyConfigStore.fromDocument(req.body);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      // Bad entries are reported in `failed`; what throws here is stopping, deleting or saving
+      try {
+        const result = await this.strategyManager.importConfigs(configs, { replace: Boolean(req.body?.replace) });
+        res.json({ success: result.failed.length === 0, ...result });
+      } catch (error) {
+        logger.error('Error importing strategy configs:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/strategy/:id', (req, res) => {
+      if (!this.strategyManager.instances.has(req.params.id)) {
+        return res.status(404).json({ error: `Strategy instance '${req.params.id}' not found` });
+      }
+      res.json({
+        instance: this.strategyManager.describeInstance(req.params.id),
+        performance: this.strategyManager.getStrategyPerformance(req.params.id),
+        signals: this.strategyManager.getSignals(req.params.id)
+      });
+    });
+
+    this.app.put('/strategy/:id', async (req, res) => {
+      try {
+        await this.strategyManager.updateStrategy(req.params.id, req.body?.parameters || {});
+        res.json({ success: true, instance: this.strategyManager.describeInstance(req.params.id) });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Change parameters of an instance in place, without restarting it or losing its history
+    this.app.patch('/strategy/:id/parameters', (req, res) => {
+      if (!this.strategyManager.instances.has(req.params.id)) {
+        return res.status(404).json({ error: `Strategy instance '${req.params.id}' not found` });
+      }
+      try {
+        const parameters = this.strategyManager.updateParameters(req.params.id, req.body || {});
+        res.json({ success: true, parameters, indicators: this.strategyManager.getStrategy(req.params.id).getIndicators() });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/strategy/:id/start', async (req, res) => {
+      if (this.circuitBreaker.isHalted()) {
+        return res.status(409).json({ error: 'Trading is halted; resume before starting strategies', code: 'HALTED' });
+      }
+      try {
+        await this.strategyManager.startInstance(req.params.id);
+        res.json({ success: true, instance: this.strategyManager.describeInstance(req.params.id) });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/strategy/:id/stop', async (req, res) => {
+      try {
+        await this.strategyManager.stopStrategy(req.params.id);
+        res.json({ success: true, instance: this.strategyManager.describeInstance(req.params.id) });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/strategy/:id', async (req, res) => {
+      try {
+        await this.strategyManager.deleteStrategy(req.params.id);
+        res.json({ success: true, message: `Strategy ${req.params.id} deleted` });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/performance', (req, res) => {
+      res.json(this.strategyManager.getAllPerformance());
+    });
+
+    // Kill switch: stop all strategies, cancel open orders and optionally flatten positions
+    this.app.get('/halt', (req, res) => {
+      res.json(this.circuitBreaker.getStatus());
+    });
+
+    this.app.post('/halt', async (req, res) => {
+      const { reason, flatten } = req.body || {};
+      try {
+        const status = await this.circuitBreaker.halt(reason || 'Manual halt', {
+          source: 'manual',
+          flatten: flatten === undefined ? undefined : Boolean(flatten)
+        });
+        // Halted either way, but positions the flatten could not sell are still open
+        if (status.unflattened?.length > 0) {
+          return res.json({ success: false, error: `${status.unflattened.length} positions could not be flattened`, ...status });
+        }
+        res.json({ success: true, ...status });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/resume', async (req, res) => {
+      const { confirm, force, restartStrategies } = req.body || {};
+      const result = await this.circuitBreaker.resume({
+        confirm: confirm === true,
+        force: Boolean(force),
+        restartStrategies: Boolean(restartStrategies)
+      });
+      if (!result.success) {
+        return res.status(409).json(result);
+      }
+      res.json(result);
+    });
+
+    // Paper trading portfolio, open orders and fills
+    this.app.get('/paper', (req, res) => {
+      res.json({
+        demoMode: this.tradingEngine.demoMode,
+        ...this.tradingEngine.getPaperSummary(),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    this.app.post('/paper/reset', (req, res) => {
+      const { balances } = req.body || {};
+      this.tradingEngine.resetPaperPortfolio(balances || null);
+      res.json({ success: true, portfolio: this.tradingEngine.getPaperSummary().portfolio });
+    });
+
+    // Positions with cost basis and realized/unrealized P&L, filterable by strategy, productId and account
+    this.app.get('/positions', (req, res) => {
+      const { strategy, productId, account, open } = req.query;
+      const filters = { strategy, productId, account, openOnly: open === 'true' };
+      const ledger = this.tradingEngine.positionLedger;
+      res.json({
+        positions: ledger.getPositions(filters),
+        summary: ledger.getSummary(filters),
+        exits: this.tradingEngine.exitManager.getStatus(),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    this.app.get('/risk', (req, res) => {
+      res.json({
+        ...this.tradingEngine.riskManager.getStatus(),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Orders the bot is still tracking (live and paper)
+    this.app.get('/orders', (req, res) => {
+      res.json({
+        orders: this.tradingEngine.getActiveOrders(),
+        userStreamConnected: this.coinbaseService.isUserStreamConnected(),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Replay historical candles through a strategy with a simulated trading engine
+    this.app.post('/backtest', async (req, res) => {
+      const {
+        strategyName = 'sma',
+        parameters = {},
+        productId = 'BTC-USD',
+        granularity = 3600,
+        start,
+        end,
+        candles,
+        initialBalance,
+        feeRate,
+        slippage
+      } = req.body;
+
+      try {
+        const StrategyClass = this.strategyManager.getStrategyClass(strategyName);
+        const history = await Backtester.loadCandles({
+          candles,
+          coinbaseService: this.coinbaseService,
+          productId,
+          granularity,
+          start,
+          end
+        });
+        const backtester = new Backtester({ StrategyClass, strategyManager: this.strategyManager, parameters, productId, granularity, initialBalance, feeRate, slippage });
+        const results = await backtester.run(history);
+        res.json({ success: true, ...results });
+      } catch (error) {
+        logger.error('Backtest failed:', error);
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // OHLCV candles built from the ticker stream
+    this.app.get('/candles/:productId', (req, res) => {
+      const { productId } = req.params;
+      const interval = req.query.interval || '1m';
+      const limit = parseInt(req.query.limit) || 100;
+
+      if (!this.candleAggregator.getIntervals().includes(interval)) {
+        return res.status(400).json({
+          error: `Unsupported interval '${interval}'. Available: ${this.candleAggregator.getIntervals().join(', ')}`
+        });
+      }
+
+      res.json({
+        productId,
+        interval,
+        candles: this.candleAggregator.getCandles(productId, interval, limit, req.query.includeOpen === 'true'),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Local order book; a catalog product not tracked yet is subscribed on the first request and
+    // answers with ready: false until its snapshot arrives
+    this.app.get('/orderbook/:productId', (req, res) => {
+      const { productId } = req.params;
+      const levels = Math.min(Math.max(parseInt(req.query.levels) || this.orderBookManager.levels, 1), 500);
+
+      if (!this.orderBookManager.isTracked(productId) && !this.productCatalog.getProduct(productId)) {
+        return res.status(404).json({ error: `Unknown product ${productId}` });
+      }
+      this.orderBookManager.request(productId);
+
+      res.json({
+        ...this.orderBookManager.getSummary(productId, levels),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Persisted history: ticks, candles, signals, orders and fills
+    this.app.get('/history/:collection', async (req, res) => {
+      const { collection } = req.params;
+      const { productId, strategy, from, to } = req.query;
+      try {
+        const records = await this.dataStore.query(collection, {
+          productId,
+          strategy,
+          from,
+          to,
+          limit: parseInt(req.query.limit) || 1000
+        });
+        res.json({ collection, count: records.length, records });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
     // Get price for specific cryptocurrency
     this.app.get('/price/:productId', (req, res) => {
       const { productId } = req.params;
@@ -190,8 +525,9 @@ class TradingBot {
 
     // Debug endpoint to check strategy details
     this.app.get('/debug/strategy', (req, res) => {
-      const strategies = Array.from(this.strategyManager.activeStrategies.entries()).map(([name, strategy]) => ({
-        name,
+      const strategies = Array.from(this.strategyManager.activeStrategies.entries()).map(([id, strategy]) => ({
+        id,
+        name: strategy.name,
         period: strategy.period,
         type: strategy.constructor.name,
         indicators: strategy.getIndicators ? strategy.getIndicators() : 'N/A'
@@ -229,17 +565,78 @@ class TradingBot {
     });
   }
 
+  forwardToStrategies(event, data) {
+    const activeStrategies = this.strategyManager.activeStrategies;
+    logger.debug(`[DEBUG] Forwarding ${event} to ${activeStrategies.size} strategies for ${data.productId}`);
+    
+    for (const [name, strategy] of activeStrategies) {
+      if (strategy && strategy.handleMarketData) {
+        strategy.handleMarketData(event, data);
+      } else if (strategy && strategy.onPriceUpdate && event === 'price') {
+        strategy.onPriceUpdate(data);
+      } else {
+        logger.warn(`[DEBUG] Strategy ${name} missing handleMarketData/onPriceUpdate method`);
+      }
+    }
+  }
+
+  // Reload what the previous run persisted so history survives restarts
+  async restoreState() {
+    const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    this.coinbaseService.restorePriceHistory(await this.dataStore.query('ticks', { from: oneDayAgo, limit: 20000 }));
+    this.candleAggregator.restoreCandles(await this.dataStore.query('candles', { limit: 20000 }));
+
+    const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    this.tradingEngine.restoreOrders(await this.dataStore.query('orders', { from: oneWeekAgo, limit: 10000 }));
+    // Cost basis needs every fill, not just recent ones, so no limit here
+    this.tradingEngine.restorePositions(await this.dataStore.query('fills', { limit: Infinity }));
+  }
+
   async start() {
     try {
       const port = await this.findAvailablePort(this.port);
       this.port = port;
       
+      // Load persisted history before anything starts producing new data
+      this.dataStore.initialize();
+      await this.restoreState();
+      const shutdown = () => {
+        this.orderTracker.stop();
+        this.productCatalog.stop();
+        this.orderBookManager.stop();
+        this.circuitBreaker.stop();
+        this.dataStore.close();
+        process.exit(0);
+      };
+      process.once('SIGINT', shutdown);
+      process.once('SIGTERM', shutdown);
+      
       // Start services
       await this.coinbaseService.initialize();
+      // Product names and trading rules; falls back to the copy on disk when Coinbase is unreachable
+      await this.productCatalog.start();
       await this.tradingEngine.initialize();
       
-      // Start and register strategies
-      this.strategyManager.startStrategy('sma', { period: 20 });
+      // Follow live orders to completion (user channel, polling as fallback)
+      if (!this.tradingEngine.demoMode || this.coinbaseService.hasCredentials()) {
+        await this.orderTracker.start();
+      }
+      
+      // Halt everything on the daily loss limit or a burst of order errors
+      this.circuitBreaker.subscribe((event, data) => this.io.emit(event, data));
+      this.circuitBreaker.start();
+      
+      // Strategies find the trading engine through the global reference when they start
+      global.tradingBot = this;
+      this.strategyLoader.load();
+      
+      // Bring back the strategy instances of the previous run; a first run starts the default SMA
+      if (await this.strategyConfigStore.exists()) {
+        await this.strategyManager.restoreConfigs();
+      } else {
+        await this.strategyManager.startStrategy('sma', { period: 20 })
+          .catch(error => logger.error('Could not start the default strategy:', error.message));
+      }
       
       // Debug: Check if strategy was started
       logger.info(`[DEBUG] Active strategies after start: ${Array.from(this.strategyManager.activeStrategies.keys())}`);
@@ -250,32 +647,41 @@ class TradingBot {
           // Forward price updates to trading engine
           this.tradingEngine.handlePriceUpdate(data);
           
-          // Forward to all active strategies
-          const activeStrategies = this.strategyManager.activeStrategies;
-          logger.info(`[DEBUG] Forwarding price to ${activeStrategies.size} strategies for ${data.productId}`);
+          // Build candles from the same ticks
+          this.candleAggregator.addTick(data);
+          this.dataStore.record('ticks', data);
           
-          for (const [name, strategy] of activeStrategies) {
-            logger.info(`[DEBUG] Forwarding to strategy: ${name}`);
-            if (strategy && strategy.handleMarketData) {
-              strategy.handleMarketData(event, data);
-            } else if (strategy && strategy.onPriceUpdate) {
-              strategy.onPriceUpdate(data);
-            } else {
-              logger.warn(`[DEBUG] Strategy ${name} missing handleMarketData/onPriceUpdate method`);
-            }
-          }
+          // Forward to all active strategies
+          this.forwardToStrategies(event, data);
           
           // Emit to connected frontend clients
           logger.info(`[PRICE] Emitting price-update to ${this.io.engine.clientsCount} clients for ${data.productId}`);
           this.io.emit('price-update', data);
+        } else if (event === 'trade') {
+          // Only arrives for products something requested the market_trades channel for
+          this.forwardToStrategies(event, data);
         }
       });
       
+      // Candle closes go to strategies that subscribed to that interval and to the dashboard
+      this.candleAggregator.subscribe((event, candle) => {
+        this.dataStore.record('candles', candle);
+        this.forwardToStrategies(event, candle);
+        this.io.emit('candle', candle);
+      });
+      this.candleAggregator.start();
+      
       // Start WebSocket connection for real-time price data
       await this.coinbaseService.startPriceStream();
-      
-      // Set global reference for strategy signal emission
-      global.tradingBot = this;
+
+      // Order books from level2 updates, for strategies and the dashboard's depth chart
+      this.orderBookManager.subscribe((event, summary) => {
+        this.forwardToStrategies(event, summary);
+        const update = { ...summary };
+        delete update.book; // Strategies may use the OrderBook itself; the dashboard only the summary
+        this.io.emit('orderbook-update', update);
+      });
+      this.orderBookManager.start();
       
       this.server.listen(port, () => {
         logger.info(`Trading bot running on port ${port}`);
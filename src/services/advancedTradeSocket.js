@@ -0,0 +1,347 @@
+const WebSocket = require('ws');
+const logger = require('../utils/logger');
+
+// Channel names used to subscribe, and the name messages of that channel arrive with
+const CHANNELS = {
+  ticker: 'ticker',
+  ticker_batch: 'ticker_batch',
+  level2: 'l2_data',
+  market_trades: 'market_trades',
+  candles: 'candles',
+  heartbeats: 'heartbeats',
+  status: 'status',
+  user: 'user'
+};
+
+// Channels that start with a snapshot; after a sequence gap they are re-subscribed for a new one
+const SNAPSHOT_CHANNELS = ['level2', 'user'];
+
+// Key for subscriptions without products (user, heartbeats)
+const ALL_PRODUCTS = '*';
+
+// Subscribed on every connection, whether or not anyone asked for it
+const KEEPALIVE_CHANNEL = 'heartbeats';
+
+// One Advanced Trade WebSocket connection. Consumers request channels per product with
+// subscribeChannel and get back a function that releases them; a channel stays subscribed for
+// a product while anyone still wants it. Subscriptions are signed with a JWT when credentials
+// exist (the user channel needs one) and are restored after a reconnect.
+//
+// Every message carries a sequence number that counts up by one per connection. A gap means
+// messages were dropped, so 'sequence-gap' is emitted and snapshot channels are re-subscribed.
+//
+// Listeners (subscribe) receive normalized events:
+//   ticker     { productId, price, volume24h, bestBid, bestAsk, timestamp }
+//   level2     { productId, type: 'snapshot' | 'update', changes: [{ side: 'buy' | 'sell', price, size }], timestamp }
+//   trade      { productId, tradeId, price, size, side, timestamp }
+//   candle     { productId, interval: '5m', timestamp, open, high, low, close, volume }
+//   heartbeat  { counter, timestamp }
+//   user       { type, orders } per user channel event
+//   connection { connected }, sequence-gap { expected, received }, error { message }
+class AdvancedTradeSocket {
+  constructor(options = {}) {
+    this.url = options.url || process.env.ADVANCED_TRADE_WS_URL || 'wss://advanced-trade-ws.coinbase.com';
+    this.name = options.name || 'WS';
+    this.createJWT = options.createJWT || null; // () => token, or null to subscribe unsigned
+    this.WebSocket = options.WebSocket || WebSocket;
+    this.maxReconnectAttempts = options.maxReconnectAttempts ?? 5;
+
+    this.ws = null;
+    this.active = false; // Wanted open; reconnects while true
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.lastSequence = null;
+    this.lastMessageAt = null;
+    this.subscriptions = new Map(); // channel -> Map(productId -> consumer count)
+    this.subscribers = new Set();
+  }
+
+  static get CHANNELS() {
+    return Object.keys(CHANNELS);
+  }
+
+  connect() {
+    this.active = true;
+    if (this.ws && [this.WebSocket.OPEN, this.WebSocket.CONNECTING].includes(this.ws.readyState)) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const ws = new this.WebSocket(this.url);
+      this.ws = ws;
+      this.lastSequence = null; // Sequence numbers restart with every connection
+
+      ws.on('open', () => {
+        logger.info(`[${this.name}] Connected to ${this.url}`);
+        this.reconnectAttempts = 0;
+        // Heartbeats keep quiet connections from being closed by the server
+        this.send('subscribe', KEEPALIVE_CHANNEL, []);
+        this.subscriptions.forEach((products, channel) => {
+          if (channel !== KEEPALIVE_CHANNEL) this.send('subscribe', channel, Array.from(products.keys()));
+        });
+        this.notifySubscribers('connection', { connected: true });
+        resolve();
+      });
+
+      ws.on('message', (data) => {
+        try {
+          this.handleMessage(JSON.parse(data));
+        } catch (error) {
+          logger.error(`[${this.name}] Error handling message:`, error);
+        }
+      });
+
+      ws.on('error', (error) => {
+        logger.error(`[${this.name}] WebSocket error:`, error.message || error);
+        reject(error);
+      });
+
+      ws.on('close', () => {
+        if (this.ws !== ws) return; // Replaced by a newer connection
+        logger.warn(`[${this.name}] Connection closed`);
+        this.ws = null;
+        this.notifySubscribers('connection', { connected: false });
+        if (this.active) {
+          this.scheduleReconnect();
+        }
+      });
+    });
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+      logger.error(`[${this.name}] Max reconnection attempts reached`);
+      return;
+    }
+    this.reconnectAttempts++;
+    const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), 30000);
+    logger.info(`[${this.name}] Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect().catch(error => logger.error(`[${this.name}] Reconnection failed:`, error.message || error));
+    }, delay);
+  }
+
+  disconnect() {
+    this.active = false;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.ws) {
+      const ws = this.ws;
+      this.ws = null;
+      ws.close();
+    }
+  }
+
+  isConnected() {
+    return Boolean(this.ws && this.ws.readyState === this.WebSocket.OPEN);
+  }
+
+  // Ask for a channel for some products (none for user and heartbeats). Returns a function that
+  // releases this request; the channel is unsubscribed for products nobody wants any more.
+  subscribeChannel(channel, productIds = []) {
+    if (!CHANNELS[channel]) {
+      throw new Error(`Unknown channel '${channel}' (use ${AdvancedTradeSocket.CHANNELS.join(', ')})`);
+    }
+    const keys = productIds.length > 0 ? [...new Set(productIds)] : [ALL_PRODUCTS];
+    if (!this.subscriptions.has(channel)) {
+      this.subscriptions.set(channel, new Map());
+    }
+    const products = this.subscriptions.get(channel);
+
+    const added = keys.filter(key => !products.has(key));
+    keys.forEach(key => products.set(key, (products.get(key) || 0) + 1));
+    if (added.length > 0 && channel !== KEEPALIVE_CHANNEL) {
+      this.send('subscribe', channel, added);
+    }
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      const removed = keys.filter(key => {
+        const count = products.get(key) - 1;
+        if (count > 0) {
+          products.set(key, count);
+          return false;
+        }
+        products.delete(key);
+        return true;
+      });
+      if (products.size === 0) {
+        this.subscriptions.delete(channel);
+      }
+      if (removed.length > 0 && channel !== KEEPALIVE_CHANNEL) {
+        this.send('unsubscribe', channel, removed);
+      }
+    };
+  }
+
+  // Products a channel is subscribed for; ['*'] for channels without products
+  getSubscriptions() {
+    const subscriptions = {};
+    this.subscriptions.forEach((products, channel) => {
+      subscriptions[channel] = Array.from(products.keys());
+    });
+    return subscriptions;
+  }
+
+  send(type, channel, keys) {
+    if (!this.isConnected()) return false; // Sent on connect
+
+    const message = { type, channel };
+    const productIds = keys.filter(key => key !== ALL_PRODUCTS);
+    if (productIds.length > 0) {
+      message.product_ids = productIds;
+    }
+    const token = this.createJWT ? this.createJWT() : null;
+    if (token) {
+      message.jwt = token;
+    }
+    this.ws.send(JSON.stringify(message));
+    logger.debug(`[${this.name}] ${type} ${channel}${productIds.length > 0 ? ` for ${productIds.join(', ')}` : ''}`);
+    return true;
+  }
+
+  // Fresh snapshots for the channels that have them, after messages went missing
+  resync() {
+    SNAPSHOT_CHANNELS.forEach(channel => {
+      const products = this.subscriptions.get(channel);
+      if (!products) return;
+      const keys = Array.from(products.keys());
+      this.send('unsubscribe', channel, keys);
+      this.send('subscribe', channel, keys);
+    });
+  }
+
+  checkSequence(sequence) {
+    if (sequence === undefined || sequence === null) return;
+    const expected = this.lastSequence === null ? sequence : this.lastSequence + 1;
+    this.lastSequence = sequence;
+    if (sequence !== expected) {
+      logger.warn(`[${this.name}] Sequence gap: expected ${expected}, got ${sequence}; requesting new snapshots`);
+      this.notifySubscribers('sequence-gap', { expected, received: sequence });
+      this.resync();
+    }
+  }
+
+  handleMessage(message) {
+    this.lastMessageAt = new Date();
+    if (message.type === 'error') {
+      logger.error(`[${this.name}] Server error: ${message.message}`);
+      this.notifySubscribers('error', { message: message.message });
+      return;
+    }
+
+    this.checkSequence(message.sequence_num);
+    const timestamp = new Date(message.timestamp || Date.now());
+    const events = message.events || [];
+
+    switch (message.channel) {
+      case CHANNELS.ticker:
+      case CHANNELS.ticker_batch:
+        events.forEach(event => (event.tickers || []).forEach(ticker => {
+          this.notifySubscribers('ticker', AdvancedTradeSocket.normalizeTicker(ticker, timestamp));
+        }));
+        break;
+      case CHANNELS.level2:
+        events.forEach(event => {
+          this.notifySubscribers('level2', AdvancedTradeSocket.normalizeLevel2(event, timestamp));
+        });
+        break;
+      case CHANNELS.market_trades:
+        events.forEach(event => (event.trades || []).forEach(trade => {
+          this.notifySubscribers('trade', AdvancedTradeSocket.normalizeTrade(trade));
+        }));
+        break;
+      case CHANNELS.candles:
+        events.forEach(event => (event.candles || []).forEach(candle => {
+          this.notifySubscribers('candle', AdvancedTradeSocket.normalizeCandle(candle));
+        }));
+        break;
+      case CHANNELS.heartbeats:
+        events.forEach(event => {
+          this.notifySubscribers('heartbeat', { counter: parseInt(event.heartbeat_counter), timestamp });
+        });
+        break;
+      case CHANNELS.user:
+        events.forEach(event => this.notifySubscribers('user', event));
+        break;
+      case 'subscriptions':
+        logger.info(`[${this.name}] Subscriptions confirmed: ${JSON.stringify(events[0]?.subscriptions || {})}`);
+        break;
+      default:
+        logger.debug(`[${this.name}] Unhandled channel: ${message.channel || 'unknown'}`);
+        break;
+    }
+  }
+
+  static normalizeTicker(ticker, timestamp) {
+    return {
+      productId: ticker.product_id,
+      price: parseFloat(ticker.price),
+      volume24h: parseFloat(ticker.volume_24_h || 0),
+      bestBid: ticker.best_bid ? parseFloat(ticker.best_bid) : null,
+      bestAsk: ticker.best_ask ? parseFloat(ticker.best_ask) : null,
+      timestamp
+    };
+  }
+
+  // Advanced Trade sends 'bid' and 'offer'; sides are named buy and sell like everywhere else
+  static normalizeLevel2(event, timestamp) {
+    return {
+      productId: event.product_id,
+      type: event.type,
+      changes: (event.updates || []).map(update => ({
+        side: update.side === 'bid' ? 'buy' : 'sell',
+        price: parseFloat(update.price_level),
+        size: parseFloat(update.new_quantity)
+      })),
+      timestamp
+    };
+  }
+
+  static normalizeTrade(trade) {
+    return {
+      productId: trade.product_id,
+      tradeId: trade.trade_id,
+      price: parseFloat(trade.price),
+      size: parseFloat(trade.size),
+      side: String(trade.side).toLowerCase(),
+      timestamp: new Date(trade.time)
+    };
+  }
+
+  // The candles channel only streams five minute candles, started at a Unix time in seconds
+  static normalizeCandle(candle) {
+    return {
+      productId: candle.product_id,
+      interval: '5m',
+      timestamp: new Date(parseInt(candle.start) * 1000),
+      open: parseFloat(candle.open),
+      high: parseFloat(candle.high),
+      low: parseFloat(candle.low),
+      close: parseFloat(candle.close),
+      volume: parseFloat(candle.volume)
+    };
+  }
+
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+
+  notifySubscribers(event, data) {
+    this.subscribers.forEach(callback => {
+      try {
+        callback(event, data);
+      } catch (error) {
+        logger.error(`[${this.name}] Error in subscriber callback:`, error);
+      }
+    });
+  }
+}
+
+module.exports = AdvancedTradeSocket;
@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const TradingEngine = require('./tradingEngine');
+const PerformanceMetrics = require('../utils/performanceMetrics');
+const logger = require('../utils/logger');
+
+// Stand-in for CoinbaseService during a replay: the last price is the close of the candle being replayed
+class ReplayMarket {
+  constructor() {
+    this.lastPrices = new Map();
+  }
+
+  getLastPrice(productId = 'BTC-USD') {
+    return this.lastPrices.get(productId) || null;
+  }
+
+  setPrice(productId, price) {
+    this.lastPrices.set(productId, price);
+  }
+}
+
+// Risk rules belong to the live engine; a backtest measures the strategy on its own
+const permissiveRiskManager = {
+  checkBuyOrder: async () => ({ approved: true }),
+  checkSellOrder: async () => ({ approved: true }),
+  recordLoss: () => {}
+};
+
+class Backtester {
+  constructor(options = {}) {
+    if (!options.StrategyClass) {
+      throw new Error('Backtester requires a StrategyClass');
+    }
+
+    this.StrategyClass = options.StrategyClass;
+    this.strategyManager = options.strategyManager || null;
+    this.parameters = this.StrategyClass.validateParameters(options.parameters || {});
+    this.productId = options.productId || 'BTC-USD';
+    this.granularity = options.granularity || 3600;
+    this.initialBalance = options.initialBalance || 10000;
+    this.feeRate = options.feeRate ?? 0.006;
+    this.slippage = options.slippage ?? 0;
+  }
+
+  async run(candles) {
+    if (!candles || candles.length === 0) {
+      throw new Error('No candles to backtest');
+    }
+
+    const [baseCurrency, quoteCurrency] = this.productId.split('-');
+    const market = new ReplayMarket();
+    const tradingEngine = new TradingEngine(market, {
+      demoMode: true,
+      riskManager: permissiveRiskManager,
+      paper: {
+        takerFeeRate: this.feeRate,
+        makerFeeRate: this.feeRate,
+        slippage: this.slippage,
+        initialBalances: { [quoteCurrency]: this.initialBalance }
+      }
+    });
+
+    const strategy = new this.StrategyClass({
+      ...this.parameters,
+      productId: this.productId,
+      autoTrade: true,
+      mode: 'simulation'
+    }, { strategyManager: this.strategyManager });
+
+    let currentCandle = null;
+    const trades = [];
+    const equityCurve = [];
+
+    // Stamp fills with replay time rather than wall-clock time
+    tradingEngine.paperBroker.subscribe((event, data) => {
+      if (event === 'fill') {
+        trades.push({ ...data.fill, timestamp: currentCandle.timestamp });
+      }
+    });
+
+    await strategy.start({ tradingEngine, coinbaseService: market, backtest: true });
+    logger.info(`[BACKTEST] Replaying ${candles.length} candles of ${this.productId} through ${strategy.name}`);
+
+    for (const candle of candles) {
+      currentCandle = candle;
+
+      // Resting limit orders see the candle's full range before the strategy sees its close
+      market.setPrice(this.productId, candle.close);
+      tradingEngine.paperBroker.handlePriceUpdate({ productId: this.productId, price: candle.low });
+      tradingEngine.paperBroker.handlePriceUpdate({ productId: this.productId, price: candle.high });
+      // Protective exits sell at market, so they are checked against the close they would fill at
+      tradingEngine.exitManager.handlePriceUpdate({ productId: this.productId, price: candle.close });
+
+      strategy.handleMarketData('price', {
+        productId: this.productId,
+        price: candle.close,
+        timestamp: candle.timestamp
+      });
+
+      // Strategies place orders asynchronously; let them settle before the next candle
+      await new Promise(resolve => setImmediate(resolve));
+
+      const portfolio = tradingEngine.paperBroker.getPortfolio();
+      equityCurve.push({
+        timestamp: candle.timestamp,
+        price: candle.close,
+        equity: (portfolio[quoteCurrency] || 0) + (portfolio[baseCurrency] || 0) * candle.close
+      });
+    }
+
+    await strategy.stop();
+
+    return {
+      strategy: strategy.name,
+      productId: this.productId,
+      granularity: this.granularity,
+      parameters: this.parameters,
+      start: candles[0].timestamp,
+      end: candles[candles.length - 1].timestamp,
+      candles: candles.length,
+      metrics: this.calculateMetrics(equityCurve, trades),
+      equityCurve,
+      trades,
+      signals: strategy.signals.length
+    };
+  }
+
+  calculateMetrics(equityCurve, trades) {
+    const equity = equityCurve.map(point => point.equity);
+    const finalEquity = equity[equity.length - 1];
+    const totalFees = trades.reduce((sum, trade) => sum + trade.fee, 0);
+    const netProfit = finalEquity - this.initialBalance;
+    const returns = PerformanceMetrics.returns(equity);
+    const periodsPerYear = (365 * 24 * 60 * 60) / this.granularity;
+    const { maxDrawdown, maxDrawdownPct } = PerformanceMetrics.maxDrawdown(equity);
+
+    // Realized P&L per sell against the average cost of the position, fees included
+    let position = 0;
+    let costBasis = 0;
+    let wins = 0;
+    let losses = 0;
+    for (const trade of trades) {
+      if (trade.side === 'buy') {
+        position += trade.size;
+        costBasis += trade.size * trade.price + trade.fee;
+      } else if (position > 0) {
+        const size = Math.min(trade.size, position);
+        const averageCost = costBasis / position;
+        const pnl = size * trade.price - trade.fee - size * averageCost;
+        costBasis -= size * averageCost;
+        position -= size;
+        if (pnl > 0) wins++;
+        else losses++;
+      }
+    }
+
+    return {
+      initialBalance: this.initialBalance,
+      finalEquity,
+      netProfit,
+      grossProfit: netProfit + totalFees,
+      totalFees,
+      returnPct: (netProfit / this.initialBalance) * 100,
+      buyAndHoldReturnPct: equityCurve.length > 0
+        ? ((equityCurve[equityCurve.length - 1].price - equityCurve[0].price) / equityCurve[0].price) * 100
+        : 0,
+      maxDrawdown,
+      maxDrawdownPct: maxDrawdownPct * 100,
+      sharpeRatio: PerformanceMetrics.sharpeRatio(returns, periodsPerYear),
+      sortinoRatio: PerformanceMetrics.sortinoRatio(returns, periodsPerYear),
+      totalTrades: trades.length,
+      roundTrips: wins + losses,
+      winRate: wins + losses > 0 ? (wins / (wins + losses)) * 100 : 0
+    };
+  }
+
+  // Accepts Coinbase candle arrays ([time, low, high, open, close, volume]) or objects
+  static normalizeCandle(raw, productId = 'BTC-USD') {
+    if (Array.isArray(raw)) {
+      const [time, low, high, open, close, volume] = raw.map(Number);
+      return { productId, timestamp: new Date(time < 1e12 ? time * 1000 : time), open, high, low, close, volume };
+    }
+
+    const time = raw.timestamp ?? raw.time ?? raw.start;
+    const numericTime = Number(time);
+    return {
+      productId: raw.productId || productId,
+      timestamp: Number.isNaN(numericTime)
+        ? new Date(time)
+        : new Date(numericTime < 1e12 ? numericTime * 1000 : numericTime),
+      open: parseFloat(raw.open),
+      high: parseFloat(raw.high),
+      low: parseFloat(raw.low),
+      close: parseFloat(raw.close),
+      volume: parseFloat(raw.volume || 0)
+    };
+  }
+
+  // Recorded data: a JSON array of candles, or CSV with a timestamp,open,high,low,close,volume header
+  static loadCandlesFromFile(filePath, productId = 'BTC-USD') {
+    const content = fs.readFileSync(filePath, 'utf8');
+    let rows;
+
+    if (path.extname(filePath).toLowerCase() === '.csv') {
+      const [header, ...lines] = content.trim().split(/\r?\n/);
+      const columns = header.split(',').map(column => column.trim().toLowerCase());
+      rows = lines.filter(line => line.trim()).map(line => {
+        const values = line.split(',');
+        return columns.reduce((row, column, i) => {
+          row[column] = values[i]?.trim();
+          return row;
+        }, {});
+      });
+    } else {
+      rows = JSON.parse(content);
+    }
+
+    return rows
+      .map(row => Backtester.normalizeCandle(row, productId))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  // Resolve the candle source for a backtest request: inline candles, a recorded file or a download
+  static async loadCandles({ candles, file, coinbaseService, productId = 'BTC-USD', granularity = 3600, start, end }) {
+    if (candles && candles.length > 0) {
+      return candles
+        .map(candle => Backtester.normalizeCandle(candle, productId))
+        .sort((a, b) => a.timestamp - b.timestamp);
+    }
+    if (file) {
+      return Backtester.loadCandlesFromFile(file, productId);
+    }
+    if (!coinbaseService) {
+      throw new Error('No candle source: provide candles, a file or a Coinbase service to download from');
+    }
+    return coinbaseService.getHistoricalCandles(productId, granularity, start, end);
+  }
+}
+
+module.exports = Backtester;
@@ -0,0 +1,180 @@
+const logger = require('../utils/logger');
+
+const INTERVALS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+// Builds OHLCV candles per product and interval from the ticker stream.
+// Subscribers receive a 'candle' event each time a candle closes.
+class CandleAggregator {
+  constructor(options = {}) {
+    const configured = options.intervals ||
+      (process.env.CANDLE_INTERVALS ? process.env.CANDLE_INTERVALS.split(',').map(i => i.trim()) : Object.keys(INTERVALS));
+
+    configured.forEach(interval => {
+      if (!INTERVALS[interval]) {
+        throw new Error(`Unsupported candle interval '${interval}'. Use one of: ${Object.keys(INTERVALS).join(', ')}`);
+      }
+    });
+
+    this.intervals = configured;
+    this.maxCandles = options.maxCandles || 500;
+    this.candles = new Map(); // `${productId}:${interval}` -> closed candles, oldest first
+    this.openCandles = new Map(); // `${productId}:${interval}` -> candle being built
+    this.subscribers = new Set();
+    this.timer = null;
+  }
+
+  static get INTERVALS() {
+    return INTERVALS;
+  }
+
+  // Close candles on a timer too, so quiet products still produce bars on time
+  start(checkIntervalMs = 1000) {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.closeStaleCandles(), checkIntervalMs);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  addTick(tick) {
+    const productId = tick.productId;
+    const price = parseFloat(tick.price);
+    if (!productId || !Number.isFinite(price)) return;
+
+    const size = parseFloat(tick.size || 0) || 0;
+    const time = tick.timestamp ? new Date(tick.timestamp).getTime() : Date.now();
+
+    for (const interval of this.intervals) {
+      const key = `${productId}:${interval}`;
+      const bucketStart = Math.floor(time / INTERVALS[interval]) * INTERVALS[interval];
+      let candle = this.openCandles.get(key);
+
+      if (candle && bucketStart > candle.timestamp.getTime()) {
+        this.closeCandle(key, candle);
+        candle = null;
+      } else if (candle && bucketStart < candle.timestamp.getTime()) {
+        // Late tick for a bucket that has already closed
+        continue;
+      }
+
+      if (!candle) {
+        candle = {
+          productId,
+          interval,
+          granularity: INTERVALS[interval] / 1000,
+          timestamp: new Date(bucketStart),
+          open: price,
+          high: price,
+          low: price,
+          close: price,
+          volume: 0,
+          trades: 0,
+          closed: false
+        };
+        this.openCandles.set(key, candle);
+      }
+
+      candle.high = Math.max(candle.high, price);
+      candle.low = Math.min(candle.low, price);
+      candle.close = price;
+      candle.volume += size;
+      candle.trades++;
+    }
+  }
+
+  closeCandle(key, candle) {
+    candle.closed = true;
+    this.openCandles.delete(key);
+
+    if (!this.candles.has(key)) {
+      this.candles.set(key, []);
+    }
+    const history = this.candles.get(key);
+    history.push(candle);
+    if (history.length > this.maxCandles) {
+      history.shift();
+    }
+
+    logger.debug(`[CANDLES] ${candle.productId} ${candle.interval} closed: O=${candle.open} H=${candle.high} L=${candle.low} C=${candle.close} V=${candle.volume}`);
+    this.notifySubscribers('candle', candle);
+  }
+
+  closeStaleCandles(now = Date.now()) {
+    for (const [key, candle] of this.openCandles) {
+      if (candle.timestamp.getTime() + INTERVALS[candle.interval] <= now) {
+        this.closeCandle(key, candle);
+      }
+    }
+  }
+
+  // Reload closed candles persisted by a previous run (oldest first)
+  restoreCandles(candles) {
+    candles.forEach(candle => {
+      if (!this.intervals.includes(candle.interval)) return;
+      const key = `${candle.productId}:${candle.interval}`;
+      if (!this.candles.has(key)) {
+        this.candles.set(key, []);
+      }
+      this.candles.get(key).push({ ...candle, timestamp: new Date(candle.timestamp), closed: true });
+    });
+
+    this.candles.forEach((history, key) => {
+      if (history.length > this.maxCandles) {
+        this.candles.set(key, history.slice(-this.maxCandles));
+      }
+    });
+  }
+
+  getCandles(productId, interval = '1m', limit = 100, includeOpen = false) {
+    const key = `${productId}:${interval}`;
+    const candles = [...(this.candles.get(key) || [])];
+    if (includeOpen && this.openCandles.has(key)) {
+      candles.push(this.openCandles.get(key));
+    }
+    return candles.slice(-limit);
+  }
+
+  // Column arrays in the shape TechnicalIndicators.atr/stochastic/williamsR/mfi expect
+  getSeries(productId, interval = '1m', limit = 100) {
+    const candles = this.getCandles(productId, interval, limit);
+    return {
+      opens: candles.map(c => c.open),
+      highs: candles.map(c => c.high),
+      lows: candles.map(c => c.low),
+      closes: candles.map(c => c.close),
+      volumes: candles.map(c => c.volume)
+    };
+  }
+
+  getIntervals() {
+    return [...this.intervals];
+  }
+
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+
+  notifySubscribers(event, data) {
+    this.subscribers.forEach(callback => {
+      try {
+        callback(event, data);
+      } catch (error) {
+        logger.error('Error in candle subscriber callback:', error);
+      }
+    });
+  }
+}
+
+module.exports = CandleAggregator;
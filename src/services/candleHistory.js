@@ -0,0 +1,72 @@
+const CandleAggregator = require('./candleAggregator');
+const logger = require('../utils/logger');
+
+const SOURCES = ['auto', 'local', 'exchange'];
+
+// Closed candles from before a strategy started, for warming up its indicators.
+// 'local' reads the candle aggregator (restored from the data store on startup), 'exchange'
+// the public Coinbase candles endpoint, and 'auto' takes what's local and fetches the rest.
+class CandleHistory {
+  constructor(coinbaseService, candleAggregator, options = {}) {
+    this.coinbaseService = coinbaseService;
+    this.candleAggregator = candleAggregator;
+    this.source = options.source || process.env.WARMUP_SOURCE || 'auto';
+    this.timeoutMs = options.timeoutMs ?? (parseInt(process.env.WARMUP_TIMEOUT) || 15000);
+
+    if (!SOURCES.includes(this.source)) {
+      throw new Error(`Unknown warm-up source '${this.source}' (use ${SOURCES.join(', ')})`);
+    }
+  }
+
+  // The last `count` closed candles, oldest first, and where they came from
+  async getCandles(productId, interval = '1m', count = 100, now = Date.now()) {
+    const intervalMs = CandleAggregator.INTERVALS[interval];
+    if (!intervalMs) {
+      throw new Error(`Unsupported candle interval '${interval}'`);
+    }
+
+    const local = this.source === 'exchange' ? [] : this.getLocalCandles(productId, interval, count);
+    if (local.length >= count || this.source === 'local') {
+      return { candles: local.slice(-count), source: 'local' };
+    }
+
+    const remote = await this.fetchCandles(productId, interval, count, now);
+    // Candles the bot built itself win where both have the same bucket
+    const merged = new Map(remote.map(candle => [candle.timestamp.getTime(), candle]));
+    local.forEach(candle => merged.set(candle.timestamp.getTime(), candle));
+
+    const candles = Array.from(merged.values())
+      .filter(candle => candle.timestamp.getTime() + intervalMs <= now)
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .slice(-count);
+    return { candles, source: local.length > 0 ? 'local+exchange' : 'exchange' };
+  }
+
+  getLocalCandles(productId, interval, count) {
+    if (!this.candleAggregator || !this.candleAggregator.getIntervals().includes(interval)) return [];
+    return this.candleAggregator.getCandles(productId, interval, count);
+  }
+
+  async fetchCandles(productId, interval, count, now) {
+    const intervalMs = CandleAggregator.INTERVALS[interval];
+    // One extra bucket because the newest one is still open
+    const start = new Date(now - (count + 1) * intervalMs);
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+    });
+
+    try {
+      const candles = await Promise.race([
+        this.coinbaseService.getHistoricalCandles(productId, intervalMs / 1000, start, new Date(now)),
+        timeout
+      ]);
+      logger.debug(`[WARMUP] Fetched ${candles.length} ${interval} candles for ${productId} from Coinbase`);
+      return candles.map(candle => ({ ...candle, interval, closed: true }));
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = CandleHistory;
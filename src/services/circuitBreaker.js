@@ -0,0 +1,222 @@
+const PositionSizer = require('./positionSizer');
+const logger = require('../utils/logger');
+
+// Bot-wide kill switch. Trips on the daily loss limit, a burst of order errors or a manual halt:
+// stops every strategy, cancels open orders, optionally flattens positions and blocks new orders
+// until a guarded resume.
+class CircuitBreaker {
+  constructor(tradingEngine, strategyManager, options = {}) {
+    this.tradingEngine = tradingEngine;
+    this.strategyManager = strategyManager;
+    this.flattenOnHalt = options.flattenOnHalt ?? process.env.HALT_FLATTEN_POSITIONS === 'true';
+    this.maxOrderErrors = options.maxOrderErrors ?? (parseInt(process.env.HALT_MAX_ORDER_ERRORS) || 5);
+    this.errorWindowMs = options.errorWindowMs ?? (parseInt(process.env.HALT_ERROR_WINDOW) || 60000);
+    this.resumeCooldownMs = options.resumeCooldownMs ?? (parseInt(process.env.HALT_RESUME_COOLDOWN) || 5 * 60 * 1000);
+
+    this.halted = false;
+    this.halting = false; // Stopping strategies, cancelling and flattening after a halt
+    this.haltState = null;
+    this.orderErrors = [];
+    this.subscribers = new Set();
+    this.unsubscribe = null;
+  }
+
+  start() {
+    this.unsubscribe = this.tradingEngine.subscribe((event, data) => {
+      if (event === 'order-error') {
+        this.recordOrderError(data);
+      } else if (event === 'loss' && data.dailyLoss >= data.dailyLossLimit) {
+        this.trip('daily-loss', `Daily loss limit reached: $${data.dailyLoss.toFixed(2)} of $${data.dailyLossLimit.toFixed(2)}`);
+      }
+    });
+  }
+
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  recordOrderError(error) {
+    const now = Date.now();
+    this.orderErrors = this.orderErrors.filter(time => now - time < this.errorWindowMs);
+    this.orderErrors.push(now);
+
+    if (this.maxOrderErrors && this.orderErrors.length >= this.maxOrderErrors) {
+      this.trip('order-errors', `${this.orderErrors.length} order errors within ${this.errorWindowMs / 1000}s (last: ${error.error})`);
+    }
+  }
+
+  // Automatic trips run in the background; the halt itself logs its own failures
+  trip(source, reason) {
+    if (this.halted) return;
+    this.halt(reason, { source }).catch(error => logger.error('[HALT] Automatic halt failed:', error));
+  }
+
+  isHalted() {
+    return this.halted;
+  }
+
+  async halt(reason = 'Manual halt', options = {}) {
+    if (this.halted) {
+      return this.getStatus();
+    }
+
+    const flatten = options.flatten ?? this.flattenOnHalt;
+    // Remember what was running so a resume can bring it back. The state exists before the
+    // halt is visible, so status and resume calls during the cancels below can read it.
+    const strategies = Array.from(this.strategyManager.activeStrategies.values()).map(strategy => ({
+      id: strategy.getStrategyId(),
+      type: strategy.type
+    }));
+    this.haltState = {
+      halted: true,
+      reason,
+      source: options.source || 'manual',
+      haltedAt: new Date(),
+      strategies,
+      cancelled: [],
+      flattened: [],
+      unflattened: [], // Positions the flatten could not sell; still open
+      flatten
+    };
+    this.halting = true;
+    this.halted = true;
+    this.tradingEngine.setHalted(true);
+    logger.error(`[HALT] Trading halted (${options.source || 'manual'}): ${reason}`);
+
+    try {
+      // Strategies cancel their own orders when stopping (grid); let them finish first
+      await this.strategyManager.stopAllStrategies();
+
+      for (const order of this.tradingEngine.getActiveOrders()) {
+        const result = await this.tradingEngine.cancelOrder(order.order_id);
+        this.haltState.cancelled.push({ orderId: order.order_id, productId: order.product_id, success: result.success, error: result.error || null });
+      }
+
+      if (flatten) {
+        this.haltState.flattened = await this.flattenPositions();
+        this.haltState.unflattened = this.haltState.flattened.filter(result => !result.success);
+        if (this.haltState.unflattened.length > 0) {
+          logger.error(`[HALT] ${this.haltState.unflattened.length} positions are still open: ${this.haltState.unflattened.map(p => `${p.size} ${p.productId} (${p.strategy})`).join(', ')}`);
+        }
+      }
+    } finally {
+      this.halting = false;
+    }
+
+    this.notifySubscribers('halted', this.getStatus());
+    return this.getStatus();
+  }
+
+  // Sell every open position at market; these sells bypass the halt they are part of. Sizes are
+  // rounded down to the base increment the exchange takes; dust below one increment stays.
+  async flattenPositions() {
+    const results = [];
+    for (const position of this.tradingEngine.positionLedger.getPositions({ openOnly: true })) {
+      const product = await this.tradingEngine.positionSizer?.getProduct(position.productId);
+      const size = PositionSizer.toIncrement(position.size, product?.baseIncrement);
+      if (!(size > 0)) {
+        logger.warn(`[HALT] Left ${position.size} ${position.productId} of ${position.strategy}: less than one base increment`);
+        continue;
+      }
+
+      const result = await this.tradingEngine.executeSellOrder(position.productId, size, null, 'market', {
+        mode: position.account === 'paper' ? 'simulation' : 'live',
+        strategy: position.strategy,
+        bypassHalt: true,
+        reduceOnly: true
+      });
+      results.push({
+        strategy: position.strategy,
+        productId: position.productId,
+        size,
+        success: result.success,
+        error: result.error || null,
+        code: result.code || null
+      });
+      if (!result.success) {
+        logger.error(`[HALT] Could not flatten ${size} ${position.productId} for ${position.strategy}: ${result.error}`);
+      }
+    }
+    return results;
+  }
+
+  // Guarded: cooldown since the halt, no orders still working, and the loss limit cleared,
+  // unless forced. Optionally restarts the strategies the halt stopped.
+  async resume(options = {}) {
+    if (!this.halted) {
+      return { success: false, code: 'NOT_HALTED', error: 'Trading is not halted' };
+    }
+    if (options.confirm !== true) {
+      return { success: false, code: 'CONFIRMATION_REQUIRED', error: 'Resuming requires confirm: true' };
+    }
+    if (this.halting) {
+      return { success: false, code: 'HALT_IN_PROGRESS', error: 'The halt is still cancelling orders; try again shortly' };
+    }
+
+    if (!options.force) {
+      const elapsed = Date.now() - this.haltState.haltedAt.getTime();
+      if (elapsed < this.resumeCooldownMs) {
+        return {
+          success: false,
+          code: 'COOLDOWN',
+          error: `Resume is allowed ${Math.ceil((this.resumeCooldownMs - elapsed) / 1000)}s from now (or force it)`
+        };
+      }
+
+      const risk = this.tradingEngine.riskManager;
+      if (risk.dailyLossLimit && risk.dailyLoss >= risk.dailyLossLimit) {
+        return { success: false, code: 'DAILY_LOSS_LIMIT', error: 'Daily loss limit is still reached (or force it)' };
+      }
+
+      if (this.tradingEngine.getActiveOrders().length > 0) {
+        return { success: false, code: 'OPEN_ORDERS', error: 'Orders are still open; cancel them first (or force it)' };
+      }
+    }
+
+    this.halted = false;
+    this.orderErrors = [];
+    this.tradingEngine.setHalted(false);
+    logger.warn(`[HALT] Trading resumed${options.force ? ' (forced)' : ''}`);
+
+    const restarted = [];
+    if (options.restartStrategies) {
+      for (const { id } of this.haltState.strategies) {
+        try {
+          await this.strategyManager.startInstance(id);
+          restarted.push(id);
+        } catch (error) {
+          logger.error(`[HALT] Could not restart strategy ${id}:`, error.message);
+        }
+      }
+    }
+
+    const previous = this.haltState;
+    this.haltState = null;
+    this.notifySubscribers('resumed', { previous, restarted, resumedAt: new Date() });
+    return { success: true, restarted };
+  }
+
+  getStatus() {
+    return this.haltState ? { ...this.haltState } : { halted: false };
+  }
+
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+
+  notifySubscribers(event, data) {
+    this.subscribers.forEach(callback => {
+      try {
+        callback(event, data);
+      } catch (error) {
+        logger.error('Error in circuit breaker subscriber:', error);
+      }
+    });
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -1,7 +1,8 @@
 const WebSocket = require('ws');
 const axios = require('axios');
-const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const OrderBuilder = require('./orderBuilder');
+const AdvancedTradeSocket = require('./advancedTradeSocket');
 const logger = require('../utils/logger');
 
 class CoinbaseService {
@@ -11,6 +12,11 @@ class CoinbaseService {
     this.baseUrl = process.env.API_BASE_URL || 'https://api.coinbase.com/v2';
     this.advancedTradeUrl = 'https://api.coinbase.com/api/v3/brokerage';
     this.websocketUrl = process.env.WEBSOCKET_URL || 'wss://ws-feed.exchange.coinbase.com';
+    this.userWebsocketUrl = process.env.USER_WEBSOCKET_URL || 'wss://advanced-trade-ws-user.coinbase.com';
+    // Where the ticker comes from: 'exchange' (the legacy Exchange feed, the default) or 'advanced'
+    // (the Advanced Trade WebSocket). Other channels (level2, trades) always use Advanced Trade.
+    this.marketDataFeed = process.env.MARKET_DATA_FEED === 'advanced' ? 'advanced' : 'exchange';
+    this.demoMode = process.env.DEMO_MODE === 'true';
     
     this.ws = null;
     this.lastPrices = new Map(); // Store prices for multiple cryptocurrencies
@@ -19,10 +25,38 @@ class CoinbaseService {
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.subscribedProducts = ['BTC-USD']; // Default to BTC-USD
+    this.productCache = new Map(); // productId -> { product, expiresAt }
+
+    // Advanced Trade market data (ticker, level2, market_trades, candles), signed when credentials exist
+    this.marketSocket = new AdvancedTradeSocket({
+      name: 'WS-MARKET',
+      createJWT: () => (this.hasCredentials() ? this.createJWT() : null)
+    });
+    this.marketSocket.subscribe((event, data) => this.handleMarketSocketEvent(event, data));
+    this.releaseTicker = null;
+    this.lastHeartbeat = null;
+
+    // Authenticated Advanced Trade 'user' channel for order updates
+    this.userSocket = new AdvancedTradeSocket({
+      name: 'WS-USER',
+      url: this.userWebsocketUrl,
+      createJWT: () => this.createJWT()
+    });
+    this.userSocket.subscribe((event, data) => this.handleUserSocketEvent(event, data));
+    this.releaseUser = null;
+  }
+
+  hasCredentials() {
+    return Boolean(this.apiKey && this.privateKey);
   }
 
   async initialize() {
-    // Always use real API - no demo mode
+    // Demo mode only needs the public market data feed; orders go to the paper broker
+    if (this.demoMode && (!this.apiKey || !this.privateKey)) {
+      logger.warn('Demo mode: Coinbase API credentials not set, using public market data only');
+      return;
+    }
+
     if (!this.apiKey || !this.privateKey) {
       throw new Error('Coinbase API credentials are required. Please set COINBASE_API_KEY and COINBASE_PRIVATE_KEY in your .env file');
     }
@@ -37,22 +71,25 @@ class CoinbaseService {
     }
   }
 
-  // Authentication helper for Advanced Trade API
-  createJWT(requestMethod, requestPath, body = '') {
+  // Authentication helper for Advanced Trade API.
+  // WebSocket subscriptions are signed the same way but without a request uri.
+  createJWT(requestMethod = null, requestPath = null, body = '') {
     if (!this.privateKey || !this.apiKey) {
       throw new Error('API credentials not configured');
     }
 
     const algorithm = 'ES256';
-    const uri = requestMethod + ' ' + 'api.coinbase.com' + requestPath;
     
     const payload = {
       iss: "coinbase-cloud",
       nbf: Math.floor(Date.now() / 1000),
       exp: Math.floor(Date.now() / 1000) + 120, // 2 minutes
-      sub: this.apiKey,
-      uri: uri
+      sub: this.apiKey
     };
+    if (requestMethod && requestPath) {
+      // The signed uri never includes the query string
+      payload.uri = requestMethod + ' ' + 'api.coinbase.com' + requestPath.split('?')[0];
+    }
 
     // Create private key object
     let privateKeyFormatted = this.privateKey;
@@ -104,6 +141,49 @@ class CoinbaseService {
     }
   }
 
+  // Historical OHLCV candles from the public Exchange API, oldest first.
+  // The endpoint caps each response at 300 candles, so longer ranges are fetched in pages.
+  async getHistoricalCandles(productId = 'BTC-USD', granularity = 3600, start = null, end = null) {
+    const maxCandlesPerRequest = 300;
+    const endTime = end ? new Date(end).getTime() : Date.now();
+    const startTime = start ? new Date(start).getTime() : endTime - granularity * 1000 * maxCandlesPerRequest;
+    const candles = new Map();
+
+    try {
+      let pageStart = startTime;
+      while (pageStart < endTime) {
+        const pageEnd = Math.min(pageStart + granularity * 1000 * maxCandlesPerRequest, endTime);
+        const response = await axios.get(`https://api.exchange.coinbase.com/products/${productId}/candles`, {
+          params: {
+            granularity,
+            start: new Date(pageStart).toISOString(),
+            end: new Date(pageEnd).toISOString()
+          }
+        });
+
+        // Exchange format: [time, low, high, open, close, volume], newest first
+        (response.data || []).forEach(([time, low, high, open, close, volume]) => {
+          candles.set(time, {
+            productId,
+            granularity,
+            timestamp: new Date(time * 1000),
+            open,
+            high,
+            low,
+            close,
+            volume
+          });
+        });
+        pageStart = pageEnd;
+      }
+    } catch (error) {
+      logger.error('Error fetching historical candles:', error);
+      throw error;
+    }
+
+    return Array.from(candles.values()).sort((a, b) => a.timestamp - b.timestamp);
+  }
+
   async getAccounts() {
     try {
       const response = await axios.get(`${this.advancedTradeUrl}/accounts`, {
@@ -128,27 +208,14 @@ class CoinbaseService {
     }
   }
 
-  async placeBuyOrder(productId, amount, price = null) {
-    const orderConfig = {
-      client_order_id: crypto.randomUUID(),
-      product_id: productId,
-      side: 'BUY',
-      order_configuration: {}
-    };
-
-    if (price) {
-      // Limit order
-      orderConfig.order_configuration.limit_limit_gtc = {
-        base_size: amount.toString(),
-        limit_price: price.toString()
-      };
-    } else {
-      // Market order
-      orderConfig.order_configuration.market_market_ioc = {
-        base_size: amount.toString()
-      };
+  // Any order OrderBuilder understands: market by base or quote size, limit GTC/GTD/IOC/FOK
+  // (optionally post-only), stop-limit and bracket. Invalid requests throw before anything is sent.
+  async placeOrder(request) {
+    if (this.demoMode) {
+      throw new Error('Live orders are disabled in demo mode');
     }
 
+    const orderConfig = OrderBuilder.buildRequest(request);
     try {
       const response = await axios.post(
         `${this.advancedTradeUrl}/orders`,
@@ -157,49 +224,22 @@ class CoinbaseService {
           headers: this.getAuthHeaders('POST', '/api/v3/brokerage/orders', JSON.stringify(orderConfig))
         }
       );
-      logger.info('Buy order placed:', response.data);
+      logger.info(`${orderConfig.side === 'BUY' ? 'Buy' : 'Sell'} order placed:`, response.data);
       return response.data;
     } catch (error) {
-      logger.error('Error placing buy order:', error);
+      logger.error(`Error placing ${orderConfig.side.toLowerCase()} order:`, error);
       throw error;
     }
   }
 
-  async placeSellOrder(productId, amount, price = null) {
-    const orderConfig = {
-      client_order_id: crypto.randomUUID(),
-      product_id: productId,
-      side: 'SELL',
-      order_configuration: {}
-    };
-
-    if (price) {
-      // Limit order
-      orderConfig.order_configuration.limit_limit_gtc = {
-        base_size: amount.toString(),
-        limit_price: price.toString()
-      };
-    } else {
-      // Market order
-      orderConfig.order_configuration.market_market_ioc = {
-        base_size: amount.toString()
-      };
-    }
+  // A limit order when given a price, otherwise market; metadata.order (from the trading engine)
+  // carries any other order type
+  async placeBuyOrder(productId, amount, price = null, metadata = {}) {
+    return this.placeOrder(metadata.order || { side: 'buy', productId, baseSize: amount, limitPrice: price });
+  }
 
-    try {
-      const response = await axios.post(
-        `${this.advancedTradeUrl}/orders`,
-        orderConfig,
-        {
-          headers: this.getAuthHeaders('POST', '/api/v3/brokerage/orders', JSON.stringify(orderConfig))
-        }
-      );
-      logger.info('Sell order placed:', response.data);
-      return response.data;
-    } catch (error) {
-      logger.error('Error placing sell order:', error);
-      throw error;
-    }
+  async placeSellOrder(productId, amount, price = null, metadata = {}) {
+    return this.placeOrder(metadata.order || { side: 'sell', productId, baseSize: amount, limitPrice: price });
   }
 
   async cancelOrder(orderId) {
@@ -229,14 +269,18 @@ class CoinbaseService {
       return { orders: [] };
     }
 
-    let params = `?order_status=${status}`;
+    const query = [];
+    if (status) {
+      query.push(`order_status=${status}`);
+    }
     if (productId) {
-      params += `&product_id=${productId}`;
+      query.push(`product_id=${productId}`);
     }
+    const params = query.length > 0 ? `?${query.join('&')}` : '';
 
     try {
       const response = await axios.get(`${this.advancedTradeUrl}/orders/historical/batch${params}`, {
-        headers: this.getAuthHeaders('GET', `/api/v3/brokerage/orders/historical/batch${params}`)
+        headers: this.getAuthHeaders('GET', '/api/v3/brokerage/orders/historical/batch')
       });
       return response.data;
     } catch (error) {
@@ -245,8 +289,186 @@ class CoinbaseService {
     }
   }
 
+  async getOrder(orderId) {
+    try {
+      const response = await axios.get(`${this.advancedTradeUrl}/orders/historical/${orderId}`, {
+        headers: this.getAuthHeaders('GET', `/api/v3/brokerage/orders/historical/${orderId}`)
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Error fetching order:', error);
+      throw error;
+    }
+  }
+
+  // Trading rules for a product (increments and minimum sizes), cached since they rarely change.
+  // Failed lookups are cached briefly too so an unreachable API does not slow every order down.
+  async getProduct(productId) {
+    const cached = this.productCache.get(productId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.product;
+    }
+
+    try {
+      const response = await axios.get(`${this.advancedTradeUrl}/market/products/${productId}`);
+      const product = CoinbaseService.normalizeProduct(response.data);
+      this.productCache.set(productId, { product, expiresAt: Date.now() + 60 * 60 * 1000 });
+      return product;
+    } catch (error) {
+      logger.warn(`Could not load product details for ${productId}: ${error.message}`);
+      this.productCache.set(productId, { product: null, expiresAt: Date.now() + 5 * 60 * 1000 });
+      return null;
+    }
+  }
+
+  // Every spot product listed on Advanced Trade, normalized like getProduct
+  async getProducts() {
+    const response = await axios.get(`${this.advancedTradeUrl}/market/products`, { params: { product_type: 'SPOT' } });
+    return (response.data.products || []).map(product => CoinbaseService.normalizeProduct(product));
+  }
+
+  static normalizeProduct(product) {
+    const number = value => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+    return {
+      productId: product.product_id,
+      baseCurrency: product.base_currency_id,
+      quoteCurrency: product.quote_currency_id,
+      baseName: product.base_name || product.base_currency_id,
+      quoteName: product.quote_name || product.quote_currency_id,
+      status: product.status || null,
+      baseIncrement: number(product.base_increment),
+      quoteIncrement: number(product.quote_increment),
+      priceIncrement: number(product.price_increment) ?? number(product.quote_increment),
+      baseMinSize: number(product.base_min_size),
+      baseMaxSize: number(product.base_max_size),
+      minNotional: number(product.quote_min_size),
+      tradingDisabled: Boolean(product.trading_disabled)
+    };
+  }
+
+  // Advanced Trade orders (REST or user channel) in the shape the order tracker works with
+  static normalizeOrder(order) {
+    return {
+      orderId: order.order_id,
+      clientOrderId: order.client_order_id,
+      productId: order.product_id,
+      side: (order.order_side || order.side || '').toLowerCase(),
+      status: order.status,
+      filledSize: parseFloat(order.cumulative_quantity ?? order.filled_size ?? 0) || 0,
+      averagePrice: parseFloat(order.avg_price ?? order.average_filled_price ?? 0) || 0,
+      totalFees: parseFloat(order.total_fees ?? 0) || 0,
+      remainingSize: order.leaves_quantity !== undefined ? parseFloat(order.leaves_quantity) : null,
+      rejectReason: order.reject_reason || null,
+      timestamp: new Date()
+    };
+  }
+
+  // User channel: order status, fills and fees for this account, pushed as 'order' events
+  async startUserStream() {
+    if (!this.hasCredentials()) {
+      logger.warn('[WS-USER] No API credentials, order updates will rely on polling');
+      return;
+    }
+
+    if (!this.releaseUser) {
+      this.releaseUser = this.userSocket.subscribeChannel('user');
+    }
+    await this.userSocket.connect();
+  }
+
+  handleUserSocketEvent(event, data) {
+    if (event === 'user') {
+      (data.orders || []).forEach(order => {
+        this.notifySubscribers('order', {
+          ...CoinbaseService.normalizeOrder(order),
+          source: data.type === 'snapshot' ? 'snapshot' : 'websocket'
+        });
+      });
+    } else if (event === 'connection' && !data.connected) {
+      this.notifySubscribers('user-stream', { connected: false });
+    }
+  }
+
+  isUserStreamConnected() {
+    return this.userSocket.isConnected();
+  }
+
+  // Advanced Trade market data, forwarded in the shapes subscribers already know:
+  // ticker -> 'price', market_trades -> 'trade', level2 -> 'orderbook', candles -> 'market-candle'
+  handleMarketSocketEvent(event, data) {
+    switch (event) {
+      case 'ticker':
+        this.recordPrice({ productId: data.productId, price: data.price, volume: data.volume24h, timestamp: data.timestamp });
+        break;
+      case 'trade':
+        this.notifySubscribers('trade', data);
+        break;
+      case 'level2':
+        this.notifySubscribers('orderbook', data);
+        break;
+      case 'candle':
+        this.notifySubscribers('market-candle', data);
+        break;
+      case 'heartbeat':
+        this.lastHeartbeat = data;
+        break;
+      case 'sequence-gap':
+        // Snapshots are re-requested by the socket; consumers drop what they built so far
+        this.notifySubscribers('sequence-gap', data);
+        break;
+      case 'connection':
+        this.notifySubscribers('market-stream', data);
+        break;
+    }
+  }
+
+  // Request an Advanced Trade channel (ticker, level2, market_trades, candles, heartbeats, user)
+  // for some products. Returns a function that releases it again; see AdvancedTradeSocket.
+  subscribeChannel(channel, productIds = []) {
+    const socket = channel === 'user' ? this.userSocket : this.marketSocket;
+    const release = socket.subscribeChannel(channel, productIds);
+    if (!socket.active) {
+      socket.connect().catch(error => logger.error(`Could not open the WebSocket for ${channel}:`, error.message || error));
+    }
+    return release;
+  }
+
+  getStreamStatus() {
+    const describe = socket => ({
+      connected: socket.isConnected(),
+      subscriptions: socket.getSubscriptions(),
+      lastMessageAt: socket.lastMessageAt
+    });
+    return {
+      feed: this.marketDataFeed,
+      market: this.marketDataFeed === 'exchange'
+        ? { connected: Boolean(this.ws && this.ws.readyState === WebSocket.OPEN), subscriptions: { ticker: this.subscribedProducts } }
+        : { ...describe(this.marketSocket), lastHeartbeat: this.lastHeartbeat },
+      user: describe(this.userSocket)
+    };
+  }
+
   // WebSocket Methods
   async startPriceStream(productIds = ['BTC-USD']) {
+    if (this.marketDataFeed !== 'exchange') {
+      logger.info(`[WS] Starting Advanced Trade price stream for products: ${productIds.join(', ')}`);
+      this.setTickerProducts(productIds);
+      return this.marketSocket.connect();
+    }
+    return this.startExchangeStream(productIds);
+  }
+
+  // Ticker for exactly these products; the new subscription is made before the old one is
+  // released so products in both never drop out
+  setTickerProducts(productIds) {
+    const release = this.releaseTicker;
+    this.releaseTicker = this.marketSocket.subscribeChannel('ticker', productIds);
+    if (release) release();
+    this.subscribedProducts = productIds;
+  }
+
+  // Legacy Exchange feed (the default, MARKET_DATA_FEED=exchange), ticker only
+  async startExchangeStream(productIds = ['BTC-USD']) {
     logger.info(`[WS] Starting price stream for products: ${productIds.join(', ')}`);
     
     // Close existing connection if any
@@ -334,38 +556,38 @@ class CoinbaseService {
   handleExchangeTickerMessage(message) {
     // Handle Coinbase Exchange API ticker format
     if (message.product_id && message.price) {
-      const price = parseFloat(message.price);
-      const productId = message.product_id;
-      
-      logger.info(`Real-time price update: ${productId} - $${price.toFixed(2)}`);
-      
-      // Store price for this product
-      this.lastPrices.set(productId, price);
-      
-      // Initialize price history if not exists
-      if (!this.priceHistories.has(productId)) {
-        this.priceHistories.set(productId, []);
-      }
-      
-      const priceHistory = this.priceHistories.get(productId);
-      priceHistory.push({
-        price,
-        timestamp: new Date(message.time || Date.now()),
-        volume: parseFloat(message.volume_24h || 0)
+      this.recordPrice({
+        productId: message.product_id,
+        price: parseFloat(message.price),
+        size: parseFloat(message.last_size || 0),
+        volume: parseFloat(message.volume_24h || 0),
+        timestamp: new Date(message.time || Date.now())
       });
+    }
+  }
 
-      // Keep only last 1000 price points
-      if (priceHistory.length > 1000) {
-        priceHistory.shift();
-      }
+  // A ticker price from either feed: remembered, added to the history and sent to subscribers
+  recordPrice({ productId, price, size = 0, volume = 0, timestamp }) {
+    logger.info(`Real-time price update: ${productId} - $${price.toFixed(2)}`);
 
-      // Notify subscribers
-      this.notifySubscribers('price', { 
-        price, 
-        productId, 
-        timestamp: new Date(message.time || Date.now()) 
-      });
+    // Store price for this product
+    this.lastPrices.set(productId, price);
+
+    // Initialize price history if not exists
+    if (!this.priceHistories.has(productId)) {
+      this.priceHistories.set(productId, []);
+    }
+
+    const priceHistory = this.priceHistories.get(productId);
+    priceHistory.push({ price, timestamp, volume });
+
+    // Keep only last 1000 price points
+    if (priceHistory.length > 1000) {
+      priceHistory.shift();
     }
+
+    // Notify subscribers
+    this.notifySubscribers('price', { price, productId, size, timestamp });
   }
 
   handleMatchMessage(message) {
@@ -394,7 +616,7 @@ class CoinbaseService {
       logger.info(`Attempting to reconnect in ${delay}ms (attempt ${this.reconnectAttempts})`);
       
       setTimeout(() => {
-        this.startPriceStream().catch(error => {
+        this.startExchangeStream(this.subscribedProducts).catch(error => {
           logger.error('Reconnection failed:', error);
         });
       }, delay);
@@ -438,6 +660,28 @@ class CoinbaseService {
     return history.slice(-limit);
   }
 
+  // Seed in-memory price histories from persisted ticks (oldest first).
+  // Last prices are left alone so nothing trades on a stale price before the stream reconnects.
+  restorePriceHistory(ticks) {
+    ticks.forEach(tick => {
+      if (!this.priceHistories.has(tick.productId)) {
+        this.priceHistories.set(tick.productId, []);
+      }
+      this.priceHistories.get(tick.productId).push({
+        price: tick.price,
+        timestamp: new Date(tick.timestamp),
+        volume: tick.volume || 0
+      });
+    });
+
+    this.priceHistories.forEach((history, productId) => {
+      if (history.length > 1000) {
+        this.priceHistories.set(productId, history.slice(-1000));
+      }
+    });
+    logger.info(`Restored price history for ${this.priceHistories.size} products`);
+  }
+
   getAllPrices() {
     const prices = {};
     this.lastPrices.forEach((price, productId) => {
@@ -448,6 +692,12 @@ class CoinbaseService {
 
   // Add method to update subscriptions
   async updateSubscriptions(productIds) {
+    if (this.marketDataFeed !== 'exchange') {
+      this.setTickerProducts(productIds);
+      logger.info(`Updated subscriptions to: ${productIds.join(', ')}`);
+      return;
+    }
+
     if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
       logger.warn('WebSocket not connected, cannot update subscriptions');
       return;
@@ -480,6 +730,8 @@ class CoinbaseService {
       this.ws.close();
       this.ws = null;
     }
+    this.marketSocket.disconnect();
+    this.userSocket.disconnect();
   }
 }
 
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const logger = require('../utils/logger');
+
+const COLLECTIONS = ['ticks', 'candles', 'signals', 'orders', 'fills', 'strategies'];
+
+// Append-only JSONL storage: one file per collection per UTC day, e.g. data/ticks/2024-01-31.jsonl.
+// Writes are buffered and flushed on a timer so the tick stream doesn't hit the disk on every message.
+class DataStore {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || process.env.DATA_DIR || path.join(__dirname, '../../data');
+    this.flushIntervalMs = options.flushIntervalMs ?? 1000;
+    this.buffers = new Map(); // file path -> pending lines
+    this.timer = null;
+  }
+
+  static get COLLECTIONS() {
+    return COLLECTIONS;
+  }
+
+  initialize() {
+    COLLECTIONS.forEach(collection => {
+      fs.mkdirSync(path.join(this.dataDir, collection), { recursive: true });
+    });
+
+    if (this.flushIntervalMs > 0 && !this.timer) {
+      this.timer = setInterval(() => this.flush(), this.flushIntervalMs);
+      if (this.timer.unref) this.timer.unref();
+    }
+
+    logger.info(`Data store initialized at ${this.dataDir}`);
+  }
+
+  record(collection, record) {
+    this.assertCollection(collection);
+
+    const timestamp = record.timestamp ? new Date(record.timestamp) : new Date();
+    const filePath = this.getFilePath(collection, timestamp);
+
+    if (!this.buffers.has(filePath)) {
+      this.buffers.set(filePath, []);
+    }
+    this.buffers.get(filePath).push(JSON.stringify({ ...record, timestamp: timestamp.toISOString() }));
+
+    if (this.flushIntervalMs === 0) {
+      this.flush();
+    }
+  }
+
+  flush() {
+    for (const [filePath, lines] of this.buffers) {
+      if (lines.length === 0) continue;
+      try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.appendFileSync(filePath, lines.join('\n') + '\n');
+      } catch (error) {
+        logger.error(`Error writing to ${filePath}:`, error);
+        continue;
+      }
+      this.buffers.delete(filePath);
+    }
+  }
+
+  // Records in a time range, oldest first. `limit` keeps the most recent matches (Infinity for all).
+  // Files are streamed line by line, newest day first, and no older day is read once the limit is
+  // met, so large histories don't block the event loop the live feeds and orders run on.
+  async query(collection, options = {}) {
+    this.assertCollection(collection);
+    this.flush();
+
+    const { from, to, limit = 1000, ...filters } = options;
+    const fromTime = from ? new Date(from).getTime() : 0;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+    const fromDay = from ? this.getDayKey(new Date(from)) : '';
+    const toDay = to ? this.getDayKey(new Date(to)) : '9999-99-99';
+
+    const collectionDir = path.join(this.dataDir, collection);
+    let entries;
+    try {
+      entries = await fs.promises.readdir(collectionDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const files = entries
+      .filter(file => file.endsWith('.jsonl'))
+      .map(file => file.replace('.jsonl', ''))
+      .filter(day => day >= fromDay && day <= toDay)
+      .sort();
+
+    let results = [];
+    for (let i = files.length - 1; i >= 0 && results.length < limit; i--) {
+      const matches = await this.readMatches(collection, files[i], { fromTime, toTime, filters, keep: limit - results.length });
+      results = matches.concat(results);
+    }
+
+    return results;
+  }
+
+  // Matching records of one day file in file order, keeping only the last `keep`
+  async readMatches(collection, day, { fromTime, toTime, filters, keep }) {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(path.join(this.dataDir, collection, `${day}.jsonl`), { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+
+    let matches = [];
+    for await (const line of lines) {
+      if (!line) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        logger.warn(`Skipping malformed line in ${collection}/${day}.jsonl`);
+        continue;
+      }
+
+      const time = new Date(record.timestamp).getTime();
+      if (time < fromTime || time > toTime) continue;
+      if (!this.matchesFilters(record, filters)) continue;
+
+      matches.push({ ...record, timestamp: new Date(record.timestamp) });
+      // Trim now and then rather than on every line
+      if (matches.length >= keep * 2 && matches.length >= 1000) {
+        matches = matches.slice(-keep);
+      }
+    }
+
+    if (matches.length > keep) {
+      matches = matches.slice(-keep);
+    }
+    return matches.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  matchesFilters(record, filters) {
+    return Object.entries(filters).every(([key, value]) => value === undefined || record[key] === value);
+  }
+
+  getDayKey(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  getFilePath(collection, timestamp) {
+    return path.join(this.dataDir, collection, `${this.getDayKey(timestamp)}.jsonl`);
+  }
+
+  assertCollection(collection) {
+    if (!COLLECTIONS.includes(collection)) {
+      throw new Error(`Unknown collection '${collection}'. Available: ${COLLECTIONS.join(', ')}`);
+    }
+  }
+
+  close() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.flush();
+  }
+}
+
+module.exports = DataStore;
@@ -0,0 +1,276 @@
+const TechnicalIndicators = require('../utils/technicalIndicators');
+const PositionSizer = require('./positionSizer');
+const RiskManager = require('./riskManager');
+const logger = require('../utils/logger');
+
+// Strategy parameters that turn on protective exits. Distances are in quote currency per unit,
+// percentages are whole numbers (2 = 2%) and ATR values are multiples of the average true range.
+const EXIT_PARAMETERS = [
+  'stopLoss',
+  'stopLossPercent',
+  'takeProfit',
+  'takeProfitPercent',
+  'trailingStopPercent',
+  'trailingStopAtr'
+];
+
+const SUBMITTED_RETRY_MS = 60 * 1000; // Live sells can take a moment to show up as fills
+const FAILED_RETRY_MS = 30 * 1000;
+
+// Watches open positions from the position ledger and sells them through
+// TradingEngine.executeSellOrder when a stop-loss, take-profit or trailing stop is hit.
+class ExitManager {
+  constructor(tradingEngine) {
+    this.tradingEngine = tradingEngine;
+    this.rules = new Map(); // strategy name -> { config, mode, account, onExit }
+    this.state = new Map(); // `${strategy}:${productId}` -> { openedAt, highWaterMark, retryAt, blockedSize }
+    this.candleSource = null; // Anything exposing getSeries(productId, interval, limit), for ATR
+    this.subscribers = new Set();
+  }
+
+  static get EXIT_PARAMETERS() {
+    return EXIT_PARAMETERS;
+  }
+
+  // Pull the exit settings out of strategy parameters; null when the strategy has none
+  static parseConfig(parameters = {}) {
+    const config = {};
+    EXIT_PARAMETERS.forEach(name => {
+      if (parameters[name] === undefined || parameters[name] === null || parameters[name] === '') return;
+      const value = parseFloat(parameters[name]);
+      if (!(value > 0)) {
+        throw new Error(`Exit parameter '${name}' must be a positive number`);
+      }
+      config[name] = value;
+    });
+
+    if (Object.keys(config).length === 0) return null;
+
+    if (config.stopLossPercent >= 100) {
+      throw new Error("Exit parameter 'stopLossPercent' must be below 100");
+    }
+    if (config.trailingStopPercent >= 100) {
+      throw new Error("Exit parameter 'trailingStopPercent' must be below 100");
+    }
+    if (config.trailingStopAtr) {
+      config.atrPeriod = parseInt(parameters.atrPeriod) || 14;
+      config.atrInterval = parameters.atrInterval || parameters.candleInterval || '1m';
+    }
+    return config;
+  }
+
+  configure(strategyName, parameters, options = {}) {
+    const config = ExitManager.parseConfig(parameters);
+    if (!config) {
+      this.remove(strategyName);
+      return null;
+    }
+
+    this.rules.set(strategyName, {
+      config,
+      mode: options.mode,
+      account: this.tradingEngine.isSimulated(options.mode) ? 'paper' : 'live',
+      onExit: options.onExit || null
+    });
+    logger.info(`[EXITS] ${strategyName} exits configured:`, config);
+    return config;
+  }
+
+  remove(strategyName) {
+    this.rules.delete(strategyName);
+    for (const key of this.state.keys()) {
+      if (key.startsWith(`${strategyName}:`)) {
+        this.state.delete(key);
+      }
+    }
+  }
+
+  setCandleSource(candleSource) {
+    this.candleSource = candleSource;
+  }
+
+  getAtr(productId, config) {
+    if (!this.candleSource) return null;
+    const series = this.candleSource.getSeries(productId, config.atrInterval, config.atrPeriod + 1);
+    return TechnicalIndicators.atr(series.highs, series.lows, series.closes, config.atrPeriod);
+  }
+
+  // Exit levels for a position; a level is null when its rule is off or cannot be computed yet
+  getLevels(position, state, config) {
+    const entry = position.averageCost;
+    const levels = { stopLoss: null, takeProfit: null, trailingStop: null };
+
+    const stops = [];
+    if (config.stopLoss) stops.push(entry - config.stopLoss);
+    if (config.stopLossPercent) stops.push(entry * (1 - config.stopLossPercent / 100));
+    if (stops.length > 0) levels.stopLoss = Math.max(...stops); // Tightest stop wins
+
+    const targets = [];
+    if (config.takeProfit) targets.push(entry + config.takeProfit);
+    if (config.takeProfitPercent) targets.push(entry * (1 + config.takeProfitPercent / 100));
+    if (targets.length > 0) levels.takeProfit = Math.min(...targets);
+
+    const trails = [];
+    if (config.trailingStopPercent) {
+      trails.push(state.highWaterMark * (1 - config.trailingStopPercent / 100));
+    }
+    if (config.trailingStopAtr) {
+      const atr = this.getAtr(position.productId, config);
+      if (atr) trails.push(state.highWaterMark - atr * config.trailingStopAtr);
+    }
+    if (trails.length > 0) levels.trailingStop = Math.max(...trails);
+
+    return levels;
+  }
+
+  getState(strategyName, position) {
+    const key = `${strategyName}:${position.productId}`;
+    let state = this.state.get(key);
+
+    // A position that was closed and reopened starts a fresh trail
+    const openedAt = position.openedAt ? new Date(position.openedAt).getTime() : 0;
+    if (!state || state.openedAt !== openedAt) {
+      state = { openedAt, highWaterMark: position.averageCost, retryAt: 0, blockedSize: null };
+      this.state.set(key, state);
+    }
+    return state;
+  }
+
+  handlePriceUpdate(data) {
+    const price = parseFloat(data.price);
+    if (this.rules.size === 0 || !data.productId || !Number.isFinite(price)) return;
+
+    for (const [strategyName, rule] of this.rules) {
+      const [position] = this.tradingEngine.positionLedger.getPositions({
+        strategy: strategyName,
+        productId: data.productId,
+        account: rule.account,
+        openOnly: true
+      });
+
+      if (!position) {
+        this.state.delete(`${strategyName}:${data.productId}`);
+        continue;
+      }
+
+      const state = this.getState(strategyName, position);
+      state.highWaterMark = Math.max(state.highWaterMark, price);
+      // A sell that can never pass is not sent again until the position changes
+      if (Date.now() < state.retryAt || state.blockedSize === position.size) continue;
+
+      const levels = this.getLevels(position, state, rule.config);
+      let reason = null;
+      let level = null;
+      if (levels.stopLoss !== null && price <= levels.stopLoss) {
+        reason = 'stop-loss';
+        level = levels.stopLoss;
+      } else if (levels.trailingStop !== null && price <= levels.trailingStop) {
+        reason = 'trailing-stop';
+        level = levels.trailingStop;
+      } else if (levels.takeProfit !== null && price >= levels.takeProfit) {
+        reason = 'take-profit';
+        level = levels.takeProfit;
+      }
+
+      if (reason) {
+        state.retryAt = Date.now() + SUBMITTED_RETRY_MS;
+        this.triggerExit(strategyName, rule, position, { reason, level, price }).catch(error => {
+          logger.error(`[EXITS] Exit for ${strategyName} ${position.productId} failed:`, error);
+        });
+      }
+    }
+  }
+
+  async triggerExit(strategyName, rule, position, trigger) {
+    const state = this.state.get(`${strategyName}:${position.productId}`);
+    // Fills by quote size or partial fills can leave sizes off the base increment; the exchange
+    // only takes whole increments, so the sell is rounded down and any dust stays
+    const product = await this.tradingEngine.positionSizer?.getProduct(position.productId);
+    const size = PositionSizer.toIncrement(position.size, product?.baseIncrement);
+    if (!(size > 0)) {
+      if (state) state.blockedSize = position.size;
+      logger.info(`[EXITS] ${trigger.reason} hit for ${strategyName} ${position.productId}, but ${position.size} is less than one base increment; nothing to sell`);
+      return null;
+    }
+    logger.info(`[EXITS] ${trigger.reason} hit for ${strategyName} ${position.productId}: price ${trigger.price} vs level ${trigger.level.toFixed(2)}, selling ${size}`);
+
+    const result = await this.tradingEngine.executeSellOrder(position.productId, size, null, 'market', {
+      mode: rule.mode,
+      strategy: strategyName,
+      reduceOnly: true
+    });
+
+    const final = !result.success && RiskManager.FINAL_CODES.includes(result.code);
+    const exit = {
+      strategy: strategyName,
+      productId: position.productId,
+      size,
+      entryPrice: position.averageCost,
+      ...trigger,
+      success: result.success,
+      error: result.error || null,
+      code: result.code || null,
+      final, // Rejected for good: not retried until the position changes
+      order: result.order || null,
+      simulated: result.simulated,
+      timestamp: new Date()
+    };
+
+    if (final) {
+      if (state) state.blockedSize = position.size;
+      logger.error(`[EXITS] ${trigger.reason} sell for ${strategyName} ${position.productId} was rejected (${result.code}) and will not be retried: ${result.error}`);
+    } else if (!result.success) {
+      if (state) state.retryAt = Date.now() + FAILED_RETRY_MS;
+      logger.warn(`[EXITS] ${trigger.reason} sell for ${strategyName} ${position.productId} was not placed: ${result.error}`);
+    } else if (rule.onExit) {
+      rule.onExit(exit);
+    }
+
+    this.notifySubscribers('exit', exit);
+    return exit;
+  }
+
+  // Configured exits with the current levels of each open position they cover
+  getStatus() {
+    const status = [];
+    for (const [strategyName, rule] of this.rules) {
+      const positions = this.tradingEngine.positionLedger.getPositions({
+        strategy: strategyName,
+        account: rule.account,
+        openOnly: true
+      });
+      status.push({
+        strategy: strategyName,
+        config: rule.config,
+        positions: positions.map(position => {
+          const state = this.getState(strategyName, position);
+          return {
+            productId: position.productId,
+            size: position.size,
+            entryPrice: position.averageCost,
+            highWaterMark: state.highWaterMark,
+            ...this.getLevels(position, state, rule.config)
+          };
+        })
+      });
+    }
+    return status;
+  }
+
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+
+  notifySubscribers(event, data) {
+    this.subscribers.forEach(callback => {
+      try {
+        callback(event, data);
+      } catch (error) {
+        logger.error('Error in exit manager subscriber:', error);
+      }
+    });
+  }
+}
+
+module.exports = ExitManager;
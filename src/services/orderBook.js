@@ -0,0 +1,137 @@
+// Price levels of one product, built from a level2 snapshot and kept current with its updates.
+// Changes are { side: 'buy' | 'sell', price, size } where size is the new total at that price
+// and 0 removes the level. The book is not `ready` until a snapshot arrived, and is cleared
+// when the feed reports missed messages until the next snapshot.
+class OrderBook {
+  constructor(productId) {
+    this.productId = productId;
+    this.bids = new Map(); // price -> size
+    this.asks = new Map();
+    this.ready = false;
+    this.updatedAt = null;
+  }
+
+  applySnapshot(changes, timestamp = new Date()) {
+    this.bids.clear();
+    this.asks.clear();
+    this.ready = true;
+    this.applyChanges(changes, timestamp);
+  }
+
+  // Updates before the first snapshot are meaningless and dropped
+  applyUpdate(changes, timestamp = new Date()) {
+    if (!this.ready) return false;
+    this.applyChanges(changes, timestamp);
+    return true;
+  }
+
+  applyChanges(changes, timestamp) {
+    changes.forEach(({ side, price, size }) => {
+      const levels = side === 'buy' ? this.bids : this.asks;
+      if (size > 0) {
+        levels.set(price, size);
+      } else {
+        levels.delete(price);
+      }
+    });
+    this.updatedAt = new Date(timestamp);
+  }
+
+  reset() {
+    this.bids.clear();
+    this.asks.clear();
+    this.ready = false;
+  }
+
+  getBestBid() {
+    return OrderBook.best(this.bids, (a, b) => a > b);
+  }
+
+  getBestAsk() {
+    return OrderBook.best(this.asks, (a, b) => a < b);
+  }
+
+  static best(levels, better) {
+    let price = null;
+    levels.forEach((size, level) => {
+      if (price === null || better(level, price)) price = level;
+    });
+    return price === null ? null : { price, size: levels.get(price) };
+  }
+
+  getSpread() {
+    const bid = this.getBestBid();
+    const ask = this.getBestAsk();
+    return bid && ask ? ask.price - bid.price : null;
+  }
+
+  getMidPrice() {
+    const bid = this.getBestBid();
+    const ask = this.getBestAsk();
+    return bid && ask ? (bid.price + ask.price) / 2 : null;
+  }
+
+  // The best `levels` price levels per side, best first, with the running total size
+  getDepth(levels = 10) {
+    const side = (map, order) => {
+      let total = 0;
+      return Array.from(map.entries())
+        .sort(([a], [b]) => order * (a - b))
+        .slice(0, levels)
+        .map(([price, size]) => {
+          total += size;
+          return { price, size, total };
+        });
+    };
+    return { bids: side(this.bids, -1), asks: side(this.asks, 1) };
+  }
+
+  // Bid size minus ask size over the top `levels`, relative to both: +1 all bids, -1 all asks
+  getImbalance(levels = 10) {
+    const { bids, asks } = this.getDepth(levels);
+    return OrderBook.imbalance(OrderBook.volume(bids), OrderBook.volume(asks));
+  }
+
+  static volume(depth) {
+    return depth.length > 0 ? depth[depth.length - 1].total : 0;
+  }
+
+  static imbalance(bidVolume, askVolume) {
+    return bidVolume + askVolume > 0 ? (bidVolume - askVolume) / (bidVolume + askVolume) : null;
+  }
+
+  // Everything the API, the dashboard and strategies look at, over the top `levels`
+  getSummary(levels = 10) {
+    const bestBid = this.getBestBid();
+    const bestAsk = this.getBestAsk();
+    const depth = this.getDepth(levels);
+    const bidVolume = OrderBook.volume(depth.bids);
+    const askVolume = OrderBook.volume(depth.asks);
+    const midPrice = bestBid && bestAsk ? (bestBid.price + bestAsk.price) / 2 : null;
+    const spread = bestBid && bestAsk ? bestAsk.price - bestBid.price : null;
+
+    return {
+      productId: this.productId,
+      ready: this.ready,
+      bestBid,
+      bestAsk,
+      spread,
+      spreadPercent: midPrice ? (spread / midPrice) * 100 : null,
+      midPrice,
+      // Leans toward the side with less size at the top, where the price is more likely to go
+      weightedMidPrice: bestBid && bestAsk
+        ? (bestBid.price * bestAsk.size + bestAsk.price * bestBid.size) / (bestBid.size + bestAsk.size)
+        : null,
+      levels,
+      bidVolume,
+      askVolume,
+      imbalance: OrderBook.imbalance(bidVolume, askVolume),
+      depth,
+      bidLevels: this.bids.size,
+      askLevels: this.asks.size,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = OrderBook;
@@ -0,0 +1,124 @@
+const OrderBook = require('./orderBook');
+const logger = require('../utils/logger');
+
+// Keeps an OrderBook per tracked product from the level2 channel. Books are tracked from
+// ORDERBOOK_PRODUCTS at start and on demand (request); at most ORDERBOOK_MAX_REQUESTED books are
+// kept on demand, dropping the one asked for least recently to make room. Subscribers get an 'orderbook' summary
+// (see OrderBook.getSummary) with the `book` itself, at most every ORDERBOOK_EMIT_INTERVAL ms
+// per product, since busy books change many times a second.
+class OrderBookManager {
+  constructor(coinbaseService, options = {}) {
+    this.coinbaseService = coinbaseService;
+    this.emitIntervalMs = options.emitIntervalMs ?? (parseInt(process.env.ORDERBOOK_EMIT_INTERVAL) || 1000);
+    this.levels = options.levels ?? (parseInt(process.env.ORDERBOOK_LEVELS) || 25);
+    this.productIds = options.productIds || (process.env.ORDERBOOK_PRODUCTS || '').split(',').map(id => id.trim()).filter(Boolean);
+    this.maxRequested = options.maxRequested ?? (parseInt(process.env.ORDERBOOK_MAX_REQUESTED) || 10);
+    this.books = new Map(); // productId -> OrderBook
+    this.releases = new Map(); // productId -> releases the level2 subscription
+    this.lastEmit = new Map(); // productId -> time of the last summary sent
+    this.requested = new Map(); // Books tracked on demand, least recently requested first
+    this.subscribers = new Set();
+    this.unsubscribe = null;
+  }
+
+  start() {
+    this.unsubscribe = this.coinbaseService.subscribe((event, data) => {
+      if (event === 'orderbook') {
+        this.handleLevel2(data);
+      } else if (event === 'sequence-gap') {
+        // Updates went missing; the books are rebuilt from the snapshots the feed sends next
+        this.books.forEach(book => book.reset());
+      }
+    });
+    this.productIds.forEach(productId => this.track(productId));
+  }
+
+  stop() {
+    Array.from(this.books.keys()).forEach(productId => this.untrack(productId));
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  track(productId) {
+    if (this.books.has(productId)) return this.books.get(productId);
+
+    const book = new OrderBook(productId);
+    this.books.set(productId, book);
+    this.releases.set(productId, this.coinbaseService.subscribeChannel('level2', [productId]));
+    logger.info(`[BOOK] Tracking the ${productId} order book`);
+    return book;
+  }
+
+  // A book someone asked for (the API); configured products are always kept
+  request(productId) {
+    if (this.productIds.includes(productId)) return this.track(productId);
+
+    this.requested.delete(productId);
+    if (!this.books.has(productId) && this.requested.size >= this.maxRequested) {
+      const [oldest] = this.requested.keys();
+      logger.info(`[BOOK] Dropping the ${oldest} order book to make room for ${productId}`);
+      this.untrack(oldest);
+    }
+    this.requested.set(productId, Date.now());
+    return this.track(productId);
+  }
+
+  untrack(productId) {
+    this.requested.delete(productId);
+    const release = this.releases.get(productId);
+    if (release) release();
+    this.releases.delete(productId);
+    this.books.delete(productId);
+    this.lastEmit.delete(productId);
+  }
+
+  isTracked(productId) {
+    return this.books.has(productId);
+  }
+
+  getBook(productId) {
+    return this.books.get(productId) || null;
+  }
+
+  handleLevel2(data) {
+    const book = this.books.get(data.productId);
+    if (!book) return;
+
+    if (data.type === 'snapshot') {
+      book.applySnapshot(data.changes, data.timestamp);
+      logger.info(`[BOOK] ${data.productId} snapshot: ${book.bids.size} bids, ${book.asks.size} asks`);
+    } else if (!book.applyUpdate(data.changes, data.timestamp)) {
+      return;
+    }
+
+    const now = Date.now();
+    if (now - (this.lastEmit.get(data.productId) || 0) >= this.emitIntervalMs) {
+      this.lastEmit.set(data.productId, now);
+      this.notifySubscribers('orderbook', { ...book.getSummary(this.levels), book });
+    }
+  }
+
+  getSummary(productId, levels = this.levels) {
+    const book = this.books.get(productId);
+    return book ? book.getSummary(levels) : null;
+  }
+
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+
+  notifySubscribers(event, data) {
+    this.subscribers.forEach(callback => {
+      try {
+        callback(event, data);
+      } catch (error) {
+        logger.error('Error in order book subscriber:', error);
+      }
+    });
+  }
+}
+
+module.exports = OrderBookManager;
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+
+// Time in force each order type accepts; the first is the default
+const TIME_IN_FORCE = {
+  market: ['ioc'],
+  limit: ['gtc', 'gtd', 'ioc', 'fok'],
+  'stop-limit': ['gtc', 'gtd'],
+  bracket: ['gtc', 'gtd']
+};
+const ORDER_TYPES = Object.keys(TIME_IN_FORCE);
+
+const STOP_DIRECTIONS = {
+  up: 'STOP_DIRECTION_STOP_UP',
+  down: 'STOP_DIRECTION_STOP_DOWN'
+};
+
+// Order requests as the trading engine and brokers pass them around, and their Advanced Trade
+// `order_configuration`. A request looks like
+//   { side: 'buy', productId: 'BTC-USD', type: 'stop-limit', baseSize: 0.01, limitPrice: 49000, stopPrice: 49500 }
+// with quoteSize instead of baseSize for market orders, timeInForce gtc/gtd/ioc/fok, endTime
+// for gtd, postOnly for resting limits and stopDirection up/down for stop-limits.
+class OrderBuilder {
+  static get ORDER_TYPES() {
+    return ORDER_TYPES;
+  }
+
+  static get TIME_IN_FORCE() {
+    return TIME_IN_FORCE;
+  }
+
+  // Checks a request and fills in defaults. Every problem is reported at once so a strategy
+  // author sees all missing fields in one go.
+  static normalize(request = {}) {
+    const errors = [];
+    const number = (key) => {
+      const value = request[key];
+      if (value === undefined || value === null || value === '') return null;
+      const parsed = parseFloat(value);
+      if (!(parsed > 0)) errors.push(`${key} must be a positive number`);
+      return parsed;
+    };
+
+    const side = String(request.side || '').toLowerCase();
+    if (!['buy', 'sell'].includes(side)) errors.push('side must be buy or sell');
+    if (!request.productId) errors.push('productId is required');
+
+    const limitPrice = number('limitPrice');
+    const stopPrice = number('stopPrice');
+    const baseSize = number('baseSize');
+    const quoteSize = number('quoteSize');
+
+    // Case-insensitive like side and timeInForce; STOP_LIMIT (the Advanced Trade spelling) means stop-limit
+    const type = request.type ? String(request.type).toLowerCase().replace(/_/g, '-') : (limitPrice ? 'limit' : 'market');
+    if (!ORDER_TYPES.includes(type)) {
+      throw new Error(`Invalid order: type must be one of ${ORDER_TYPES.join(', ')}`);
+    }
+    const timeInForce = String(request.timeInForce || TIME_IN_FORCE[type][0]).toLowerCase();
+    if (!TIME_IN_FORCE[type].includes(timeInForce)) {
+      errors.push(`${type} orders take time in force ${TIME_IN_FORCE[type].join(', ')}, not ${timeInForce}`);
+    }
+
+    if (baseSize === null && quoteSize === null) errors.push('baseSize or quoteSize is required');
+    if (baseSize !== null && quoteSize !== null) errors.push('give baseSize or quoteSize, not both');
+    if (quoteSize !== null && type !== 'market') errors.push('quoteSize is only for market orders');
+
+    if (type === 'market') {
+      if (limitPrice !== null) errors.push('market orders take no limitPrice');
+      if (stopPrice !== null) errors.push('market orders take no stopPrice');
+    } else if (limitPrice === null) {
+      errors.push(`${type} orders need a limitPrice`);
+    }
+    if (type === 'limit' && stopPrice !== null) errors.push('limit orders take no stopPrice; use stop-limit');
+    if ((type === 'stop-limit' || type === 'bracket') && stopPrice === null) errors.push(`${type} orders need a stopPrice`);
+
+    // A buy stop fires on the way up and a sell stop on the way down unless told otherwise
+    let stopDirection = null;
+    if (type === 'stop-limit') {
+      stopDirection = request.stopDirection || (side === 'buy' ? 'up' : 'down');
+      if (!STOP_DIRECTIONS[stopDirection]) errors.push('stopDirection must be up or down');
+    }
+    // The bracket's limit takes profit and its stop cuts the loss, so they sit either side of the entry
+    if (type === 'bracket' && limitPrice !== null && stopPrice !== null) {
+      if (side === 'sell' && stopPrice >= limitPrice) errors.push('a sell bracket needs its stopPrice below its limitPrice');
+      if (side === 'buy' && stopPrice <= limitPrice) errors.push('a buy bracket needs its stopPrice above its limitPrice');
+    }
+
+    let endTime = null;
+    if (timeInForce === 'gtd') {
+      endTime = request.endTime ? new Date(request.endTime) : null;
+      if (!endTime || isNaN(endTime.getTime())) {
+        errors.push('gtd orders need an endTime');
+      } else if (endTime.getTime() <= Date.now()) {
+        errors.push('endTime must be in the future');
+      }
+    } else if (request.endTime) {
+      errors.push('endTime is only for gtd orders');
+    }
+
+    const postOnly = Boolean(request.postOnly);
+    if (postOnly && !(type === 'limit' && ['gtc', 'gtd'].includes(timeInForce))) {
+      errors.push('postOnly is only for gtc and gtd limit orders');
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid order: ${errors.join('; ')}`);
+    }
+
+    return {
+      side,
+      productId: request.productId,
+      type,
+      baseSize,
+      quoteSize,
+      limitPrice,
+      stopPrice,
+      stopDirection,
+      timeInForce,
+      endTime,
+      postOnly,
+      clientOrderId: request.clientOrderId || crypto.randomUUID()
+    };
+  }
+
+  // Advanced Trade's order_configuration, keyed by the configuration the type maps to
+  static toOrderConfiguration(order) {
+    const size = order.quoteSize !== null && order.quoteSize !== undefined
+      ? { quote_size: order.quoteSize.toString() }
+      : { base_size: order.baseSize.toString() };
+    const endTime = order.endTime ? { end_time: new Date(order.endTime).toISOString() } : {};
+
+    switch (order.type) {
+      case 'market':
+        return { market_market_ioc: size };
+      case 'limit': {
+        const limit = { ...size, limit_price: order.limitPrice.toString() };
+        if (order.timeInForce === 'ioc') return { sor_limit_ioc: limit };
+        if (order.timeInForce === 'fok') return { limit_limit_fok: limit };
+        const key = order.timeInForce === 'gtd' ? 'limit_limit_gtd' : 'limit_limit_gtc';
+        return { [key]: { ...limit, ...endTime, post_only: Boolean(order.postOnly) } };
+      }
+      case 'stop-limit': {
+        const key = order.timeInForce === 'gtd' ? 'stop_limit_stop_limit_gtd' : 'stop_limit_stop_limit_gtc';
+        return {
+          [key]: {
+            ...size,
+            limit_price: order.limitPrice.toString(),
+            stop_price: order.stopPrice.toString(),
+            stop_direction: STOP_DIRECTIONS[order.stopDirection],
+            ...endTime
+          }
+        };
+      }
+      case 'bracket': {
+        const key = order.timeInForce === 'gtd' ? 'trigger_bracket_gtd' : 'trigger_bracket_gtc';
+        return {
+          [key]: {
+            ...size,
+            limit_price: order.limitPrice.toString(),
+            stop_trigger_price: order.stopPrice.toString(),
+            ...endTime
+          }
+        };
+      }
+      default:
+        throw new Error(`Unsupported order type '${order.type}'`);
+    }
+  }
+
+  // Body for POST /api/v3/brokerage/orders
+  static buildRequest(request) {
+    const order = OrderBuilder.normalize(request);
+    return {
+      client_order_id: order.clientOrderId,
+      product_id: order.productId,
+      side: order.side.toUpperCase(),
+      order_configuration: OrderBuilder.toOrderConfiguration(order)
+    };
+  }
+}
+
+module.exports = OrderBuilder;
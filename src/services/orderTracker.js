@@ -0,0 +1,151 @@
+const CoinbaseService = require('./coinbaseService');
+const logger = require('../utils/logger');
+
+const TERMINAL_STATUSES = ['FILLED', 'CANCELLED', 'EXPIRED', 'FAILED'];
+
+// Reconciles live orders in TradingEngine.activeOrders with the exchange.
+// Updates come from the Advanced Trade user channel; polling covers gaps and disconnects.
+class OrderTracker {
+  constructor(tradingEngine, coinbaseService, options = {}) {
+    this.tradingEngine = tradingEngine;
+    this.coinbaseService = coinbaseService;
+    this.pollIntervalMs = options.pollIntervalMs ?? (parseInt(process.env.ORDER_POLL_INTERVAL) || 15000);
+    this.pollTimer = null;
+    this.unsubscribe = null;
+    this.lastUpdate = new Map(); // orderId -> time of the last update from any source
+  }
+
+  static get TERMINAL_STATUSES() {
+    return TERMINAL_STATUSES;
+  }
+
+  async start() {
+    this.unsubscribe = this.coinbaseService.subscribe((event, data) => {
+      if (event === 'order') {
+        this.applyUpdate(data);
+      }
+    });
+
+    try {
+      await this.coinbaseService.startUserStream();
+    } catch (error) {
+      logger.error('[ORDERS] User channel unavailable, relying on polling:', error.message);
+    }
+
+    if (this.pollIntervalMs > 0) {
+      this.pollTimer = setInterval(() => {
+        this.poll().catch(error => logger.error('[ORDERS] Order polling failed:', error));
+      }, this.pollIntervalMs);
+      if (this.pollTimer.unref) this.pollTimer.unref();
+    }
+
+    logger.info(`[ORDERS] Order tracker started (polling every ${this.pollIntervalMs}ms)`);
+  }
+
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  getLiveOrders() {
+    return Array.from(this.tradingEngine.activeOrders.values()).filter(order => !order.paper);
+  }
+
+  // Fallback for a missing or stale user channel: list open orders, then look up any
+  // tracked order that has dropped off the list to learn how it finished.
+  async poll() {
+    const stale = this.getLiveOrders().filter(order => {
+      const last = this.lastUpdate.get(order.order_id) || 0;
+      return Date.now() - last >= this.pollIntervalMs;
+    });
+    if (stale.length === 0 || !this.coinbaseService.hasCredentials()) return;
+
+    const response = await this.coinbaseService.getOrders(null, 'OPEN');
+    const open = new Map((response.orders || []).map(order => [order.order_id, order]));
+
+    for (const order of stale) {
+      try {
+        const raw = open.get(order.order_id) || (await this.coinbaseService.getOrder(order.order_id)).order;
+        if (raw) {
+          this.applyUpdate({ ...CoinbaseService.normalizeOrder(raw), source: 'poll' });
+        }
+      } catch (error) {
+        logger.error(`[ORDERS] Could not refresh order ${order.order_id}:`, error.message);
+      }
+    }
+  }
+
+  applyUpdate(update) {
+    const order = this.tradingEngine.activeOrders.get(update.orderId);
+    if (!order || order.paper) return null; // Not placed by this bot
+
+    this.lastUpdate.set(update.orderId, Date.now());
+
+    const previousStatus = order.status;
+    const previousFilled = parseFloat(order.filled_size) || 0;
+    const previousNotional = previousFilled * (parseFloat(order.average_filled_price) || 0);
+    const previousFees = parseFloat(order.total_fees) || 0;
+
+    // Only ever move fills forward; snapshots and polls can arrive out of order
+    const filledSize = Math.max(update.filledSize, previousFilled);
+    const averagePrice = update.filledSize >= previousFilled ? update.averagePrice : order.average_filled_price;
+    const totalFees = Math.max(update.totalFees, previousFees);
+
+    const filledDelta = filledSize - previousFilled;
+    if (filledDelta > 1e-12) {
+      // Price of just the newly filled part, derived from the change in filled notional
+      const fillPrice = (filledSize * averagePrice - previousNotional) / filledDelta;
+      this.tradingEngine.applyFill({
+        orderId: update.orderId,
+        productId: order.product_id,
+        side: order.type || (order.side || '').toLowerCase(),
+        size: filledDelta,
+        price: fillPrice,
+        fee: totalFees - previousFees,
+        strategy: order.strategy || null,
+        paper: false,
+        timestamp: new Date()
+      });
+    }
+
+    order.status = update.status || order.status;
+    order.filled_size = filledSize;
+    order.average_filled_price = averagePrice;
+    order.total_fees = totalFees;
+    order.updated_at = new Date();
+    if (update.rejectReason) {
+      order.reject_reason = update.rejectReason;
+    }
+
+    if (order.status !== previousStatus || filledDelta > 0) {
+      logger.info(`[ORDERS] ${update.orderId} ${previousStatus} -> ${order.status} (filled ${filledSize} @ ${averagePrice}, fees ${totalFees}) via ${update.source || 'update'}`);
+      this.tradingEngine.recordOrder({
+        orderId: update.orderId,
+        productId: order.product_id,
+        side: order.type,
+        status: order.status,
+        filledSize,
+        averagePrice,
+        totalFees,
+        paper: false,
+        strategy: order.strategy || null
+      });
+      this.tradingEngine.emitOrderUpdate(order);
+    }
+
+    if (TERMINAL_STATUSES.includes(order.status)) {
+      this.tradingEngine.activeOrders.delete(update.orderId);
+      this.lastUpdate.delete(update.orderId);
+    }
+
+    return order;
+  }
+}
+
+module.exports = OrderTracker;
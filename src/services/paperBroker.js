@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const OrderBuilder = require('./orderBuilder');
+const PositionSizer = require('./positionSizer');
+const logger = require('../utils/logger');
+
+// Simulated broker used for demo mode and strategies running in 'simulation' mode.
+// Mirrors the order methods of CoinbaseService so TradingEngine can route to either one.
+class PaperBroker {
+  constructor(priceSource, options = {}) {
+    this.priceSource = priceSource; // Anything exposing getLastPrice(productId)
+    this.productSource = options.productSource || null; // Anything exposing async getProduct(productId)
+    this.takerFeeRate = options.takerFeeRate ?? (parseFloat(process.env.PAPER_TAKER_FEE) || 0.006);
+    this.makerFeeRate = options.makerFeeRate ?? (parseFloat(process.env.PAPER_MAKER_FEE) || 0.004);
+    this.slippage = options.slippage ?? (parseFloat(process.env.PAPER_SLIPPAGE) || 0);
+    this.initialBalances = options.initialBalances || {
+      USD: parseFloat(process.env.PAPER_STARTING_USD) || 10000
+    };
+    this.maxHistory = options.maxHistory || 1000;
+
+    this.balances = { ...this.initialBalances };
+    this.orders = new Map();
+    this.fills = [];
+    this.subscribers = new Set();
+  }
+
+  async placeBuyOrder(productId, amount, price = null, metadata = {}) {
+    return this.placeOrder('BUY', productId, amount, price, metadata);
+  }
+
+  async placeSellOrder(productId, amount, price = null, metadata = {}) {
+    return this.placeOrder('SELL', productId, amount, price, metadata);
+  }
+
+  // Simulates the order types OrderBuilder describes (metadata.order): market by base or quote
+  // size, resting GTC/GTD limits (post-only ones rejected if they would cross), IOC/FOK limits
+  // that fill at once or are cancelled, stop-limits that wait for their stop, and brackets.
+  // Without metadata.order it is a limit order when given a price, otherwise market.
+  async placeOrder(side, productId, amount, price = null, metadata = {}) {
+    let request = metadata.order;
+    if (!request) {
+      const size = parseFloat(amount);
+      if (!(size > 0)) {
+        throw new Error(`Invalid order size: ${amount}`);
+      }
+      request = OrderBuilder.normalize({ side: side.toLowerCase(), productId, baseSize: size, limitPrice: price });
+    }
+
+    const order = {
+      order_id: `paper-${crypto.randomUUID()}`,
+      client_order_id: request.clientOrderId,
+      product_id: productId,
+      side,
+      order_type: request.type.toUpperCase().replace('-', '_'),
+      time_in_force: request.timeInForce.toUpperCase(),
+      status: 'OPEN',
+      base_size: request.baseSize,
+      quote_size: request.quoteSize,
+      limit_price: request.limitPrice,
+      stop_price: request.stopPrice,
+      // Bracket stops cut losses: a sell bracket's fires on the way down, a buy bracket's on the way up
+      stop_direction: request.type === 'bracket'
+        ? (side === 'SELL' ? 'STOP_DIRECTION_STOP_DOWN' : 'STOP_DIRECTION_STOP_UP')
+        : request.stopDirection ? `STOP_DIRECTION_STOP_${request.stopDirection.toUpperCase()}` : null,
+      triggered: false,
+      end_time: request.endTime ? new Date(request.endTime).toISOString() : null,
+      post_only: request.postOnly,
+      filled_size: 0,
+      average_filled_price: 0,
+      total_fees: 0,
+      created_time: new Date().toISOString(),
+      strategy: metadata.strategy || null,
+      paper: true
+    };
+    const marketPrice = this.getMarketPrice(productId);
+
+    if (order.order_type === 'MARKET') {
+      if (!marketPrice) {
+        throw new Error(`No market price available for ${productId}`);
+      }
+      const fillPrice = this.getTakerPrice(side, marketPrice);
+      if (order.base_size === null) {
+        // Like the exchange, the fee comes out of the quote size and the size is rounded down
+        // to the base increment, so the order never spends more than it was given
+        const product = await this.getProduct(productId);
+        order.base_size = PositionSizer.toIncrement(order.quote_size / (1 + this.takerFeeRate) / fillPrice, product?.baseIncrement);
+        if (!(order.base_size > 0)) {
+          throw new Error(`Quote size ${order.quote_size} buys nothing of ${productId} at ${fillPrice}`);
+        }
+      }
+      this.checkFunds(order, fillPrice, this.takerFeeRate);
+      this.orders.set(order.order_id, order);
+      this.fillOrder(order, fillPrice, 'taker');
+    } else if (order.time_in_force === 'IOC' || order.time_in_force === 'FOK') {
+      // The paper book is endlessly deep, so both fill whole or not at all
+      this.checkFunds(order, order.limit_price, this.takerFeeRate);
+      this.orders.set(order.order_id, order);
+      if (marketPrice && this.crossesLimit(order, marketPrice)) {
+        const takerPrice = this.getTakerPrice(side, marketPrice);
+        this.fillOrder(order, side === 'BUY' ? Math.min(takerPrice, order.limit_price) : Math.max(takerPrice, order.limit_price), 'taker');
+      } else {
+        this.closeOrder(order, 'CANCELLED');
+      }
+    } else {
+      if (order.post_only && marketPrice && this.crossesLimit(order, marketPrice)) {
+        throw new Error(`Post-only ${side} at ${order.limit_price} would take liquidity at the market price ${marketPrice}`);
+      }
+      this.checkFunds(order, order.limit_price, this.makerFeeRate);
+      this.orders.set(order.order_id, order);
+      logger.info(`[PAPER] ${order.order_type} ${side} order resting: ${order.base_size} ${productId} @ ${order.limit_price}${order.stop_price ? ` (stop ${order.stop_price})` : ''}`);
+      this.notifySubscribers('order', order);
+    }
+
+    this.trimHistory();
+    return { success: true, order_id: order.order_id, order };
+  }
+
+  getTakerPrice(side, marketPrice) {
+    return side === 'BUY'
+      ? marketPrice * (1 + this.slippage)
+      : marketPrice * (1 - this.slippage);
+  }
+
+  crossesLimit(order, price) {
+    return order.side === 'BUY' ? price <= order.limit_price : price >= order.limit_price;
+  }
+
+  stopReached(order, price) {
+    return order.stop_direction === 'STOP_DIRECTION_STOP_UP' ? price >= order.stop_price : price <= order.stop_price;
+  }
+
+  checkFunds(order, price, feeRate) {
+    const [base, quote] = order.product_id.split('-');
+    if (order.side === 'BUY') {
+      const required = order.base_size * price * (1 + feeRate);
+      const available = this.getAvailableBalance(quote);
+      if (available < required) {
+        throw new Error(`Insufficient paper ${quote} balance. Required: ${required.toFixed(2)}, Available: ${available.toFixed(2)}`);
+      }
+    } else {
+      const available = this.getAvailableBalance(base);
+      if (available < order.base_size) {
+        throw new Error(`Insufficient paper ${base} balance. Required: ${order.base_size}, Available: ${available}`);
+      }
+    }
+  }
+
+  // `liquidity` is 'maker' for resting orders the market came to, 'taker' for orders that crossed it
+  fillOrder(order, price, liquidity) {
+    const [base, quote] = order.product_id.split('-');
+    const notional = order.base_size * price;
+    const fee = notional * (liquidity === 'maker' ? this.makerFeeRate : this.takerFeeRate);
+
+    if (order.side === 'BUY') {
+      this.balances[quote] = (this.balances[quote] || 0) - notional - fee;
+      this.balances[base] = (this.balances[base] || 0) + order.base_size;
+    } else {
+      this.balances[base] = (this.balances[base] || 0) - order.base_size;
+      this.balances[quote] = (this.balances[quote] || 0) + notional - fee;
+    }
+
+    order.status = 'FILLED';
+    order.filled_size = order.base_size;
+    order.average_filled_price = price;
+    order.total_fees = fee;
+    order.completion_time = new Date().toISOString();
+
+    const fill = {
+      orderId: order.order_id,
+      productId: order.product_id,
+      side: order.side.toLowerCase(),
+      size: order.base_size,
+      price,
+      fee,
+      liquidity,
+      timestamp: new Date()
+    };
+    this.fills.push(fill);
+
+    logger.info(`[PAPER] ${order.side} filled: ${order.base_size} ${order.product_id} @ $${price.toFixed(2)} (fee $${fee.toFixed(2)})`);
+    this.notifySubscribers('fill', { fill, order, portfolio: this.getPortfolio() });
+    return fill;
+  }
+
+  // Check resting orders against the latest ticker price: GTD expiry first, then stops, then limits
+  handlePriceUpdate(data) {
+    const now = data.timestamp ? new Date(data.timestamp).getTime() : Date.now();
+    for (const order of this.orders.values()) {
+      if (order.status !== 'OPEN' || order.product_id !== data.productId) continue;
+
+      if (order.end_time && now >= new Date(order.end_time).getTime()) {
+        this.closeOrder(order, 'EXPIRED');
+      } else if (order.order_type === 'STOP_LIMIT' && !order.triggered) {
+        if (!this.stopReached(order, data.price)) continue;
+        order.triggered = true;
+        logger.info(`[PAPER] Stop triggered at ${data.price}: ${order.side} ${order.base_size} ${order.product_id} limit ${order.limit_price}`);
+        // A limit that is marketable the moment it triggers takes liquidity at the market
+        if (this.crossesLimit(order, data.price)) {
+          this.fillOrder(order, data.price, 'taker');
+        }
+      } else if (order.order_type === 'BRACKET' && this.stopReached(order, data.price)) {
+        // The stop leg leaves at the market
+        this.fillOrder(order, data.price, 'taker');
+      } else if (this.crossesLimit(order, data.price)) {
+        this.fillOrder(order, order.limit_price, 'maker');
+      }
+    }
+  }
+
+  async cancelOrder(orderId) {
+    const order = this.orders.get(orderId);
+    if (!order) {
+      throw new Error(`Paper order ${orderId} not found`);
+    }
+    if (order.status === 'OPEN') {
+      this.closeOrder(order, 'CANCELLED');
+    }
+    return { success: true };
+  }
+
+  closeOrder(order, status) {
+    order.status = status;
+    order.completion_time = new Date().toISOString();
+    logger.info(`[PAPER] Order ${status.toLowerCase()}: ${order.order_id}`);
+    this.notifySubscribers('order', order);
+  }
+
+  async getOrders(productId = null, status = 'OPEN') {
+    const orders = Array.from(this.orders.values())
+      .filter(order => !productId || order.product_id === productId)
+      .filter(order => !status || order.status === status);
+    return { orders };
+  }
+
+  // Same shape as the Advanced Trade accounts response so TradingEngine.loadPortfolio can consume it
+  async getAccounts() {
+    const accounts = Object.keys(this.balances).map(currency => {
+      const hold = this.getHeldBalance(currency);
+      return {
+        currency,
+        available_balance: { value: String(this.balances[currency] - hold), currency },
+        hold: { value: String(hold), currency }
+      };
+    });
+    return { accounts };
+  }
+
+  getMarketPrice(productId) {
+    return this.priceSource && this.priceSource.getLastPrice
+      ? this.priceSource.getLastPrice(productId)
+      : null;
+  }
+
+  async getProduct(productId) {
+    if (!this.productSource || typeof this.productSource.getProduct !== 'function') return null;
+    try {
+      return await this.productSource.getProduct(productId);
+    } catch (error) {
+      logger.warn(`Could not load the trading rules of ${productId} for a paper fill: ${error.message}`);
+      return null;
+    }
+  }
+
+  getHeldBalance(currency) {
+    let held = 0;
+    for (const order of this.orders.values()) {
+      if (order.status !== 'OPEN') continue;
+      const [base, quote] = order.product_id.split('-');
+      if (order.side === 'BUY' && quote === currency) {
+        held += order.base_size * order.limit_price * (1 + this.makerFeeRate);
+      } else if (order.side === 'SELL' && base === currency) {
+        held += order.base_size;
+      }
+    }
+    return held;
+  }
+
+  getAvailableBalance(currency) {
+    return (this.balances[currency] || 0) - this.getHeldBalance(currency);
+  }
+
+  getPortfolio() {
+    return { ...this.balances };
+  }
+
+  getOrderHistory(limit = 100) {
+    return Array.from(this.orders.values()).slice(-limit);
+  }
+
+  getFills(limit = 100) {
+    return this.fills.slice(-limit);
+  }
+
+  getSummary() {
+    return {
+      portfolio: this.getPortfolio(),
+      initialBalances: { ...this.initialBalances },
+      openOrders: Array.from(this.orders.values()).filter(order => order.status === 'OPEN'),
+      fills: this.getFills(),
+      totalFees: this.fills.reduce((sum, fill) => sum + fill.fee, 0)
+    };
+  }
+
+  reset(initialBalances = null) {
+    if (initialBalances) {
+      this.initialBalances = { ...initialBalances };
+    }
+    this.balances = { ...this.initialBalances };
+    this.orders.clear();
+    this.fills = [];
+    logger.info('[PAPER] Paper portfolio reset:', this.balances);
+    this.notifySubscribers('reset', { portfolio: this.getPortfolio() });
+  }
+
+  trimHistory() {
+    // Drop the oldest completed orders once history grows past the cap
+    if (this.orders.size <= this.maxHistory) return;
+    for (const [orderId, order] of this.orders) {
+      if (this.orders.size <= this.maxHistory) break;
+      if (order.status !== 'OPEN') {
+        this.orders.delete(orderId);
+      }
+    }
+    if (this.fills.length > this.maxHistory) {
+      this.fills = this.fills.slice(-this.maxHistory);
+    }
+  }
+
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+
+  notifySubscribers(event, data) {
+    this.subscribers.forEach(callback => {
+      try {
+        callback(event, data);
+      } catch (error) {
+        logger.error('Error in paper broker subscriber:', error);
+      }
+    });
+  }
+}
+
+module.exports = PaperBroker;
@@ -0,0 +1,225 @@
+const logger = require('../utils/logger');
+
+const COST_METHODS = ['fifo', 'average'];
+const DUST = 1e-12;
+
+// Open lots and realized P&L per strategy and product, built from fills.
+// Buy fees are added to the cost basis, sell fees are taken from the proceeds.
+class PositionLedger {
+  constructor(priceSource, options = {}) {
+    this.priceSource = priceSource; // Anything exposing getLastPrice(productId)
+    this.costMethod = (options.costMethod || process.env.POSITION_COST_METHOD || 'fifo').toLowerCase();
+    if (!COST_METHODS.includes(this.costMethod)) {
+      throw new Error(`Unsupported cost method '${this.costMethod}'. Use one of: ${COST_METHODS.join(', ')}`);
+    }
+
+    this.positions = new Map(); // `${account}:${strategy}:${productId}` -> position
+    this.subscribers = new Set();
+  }
+
+  static get COST_METHODS() {
+    return COST_METHODS;
+  }
+
+  static getKey(account, strategy, productId) {
+    return `${account}:${strategy}:${productId}`;
+  }
+
+  getOrCreatePosition(fill) {
+    const account = fill.paper ? 'paper' : 'live';
+    const strategy = fill.strategy || 'manual';
+    const key = PositionLedger.getKey(account, strategy, fill.productId);
+
+    if (!this.positions.has(key)) {
+      this.positions.set(key, {
+        account,
+        strategy,
+        productId: fill.productId,
+        lots: [], // { size, price, time } with price including the buy fee per unit
+        realizedPnl: 0,
+        fees: 0,
+        buys: 0,
+        sells: 0,
+        wins: 0,
+        losses: 0,
+        openedAt: null,
+        updatedAt: null
+      });
+    }
+    return this.positions.get(key);
+  }
+
+  // Apply one fill; returns the P&L it realized (0 for buys)
+  applyFill(fill, options = {}) {
+    const size = parseFloat(fill.size);
+    const price = parseFloat(fill.price);
+    const fee = parseFloat(fill.fee) || 0;
+    if (!(size > 0) || !Number.isFinite(price)) return 0;
+
+    const position = this.getOrCreatePosition(fill);
+    const time = fill.timestamp ? new Date(fill.timestamp) : new Date();
+    position.fees += fee;
+    position.updatedAt = time;
+
+    let realized = 0;
+    if (fill.side === 'buy') {
+      this.addLot(position, size, price + fee / size, time);
+      position.buys++;
+    } else {
+      realized = this.closeLots(position, size, price - fee / size);
+      position.sells++;
+      if (realized > 0) position.wins++;
+      else if (realized < 0) position.losses++;
+    }
+
+    if (!options.silent) {
+      if (fill.side === 'sell') {
+        logger.info(`[POSITIONS] ${position.strategy} ${position.productId} realized $${realized.toFixed(2)} (total $${position.realizedPnl.toFixed(2)})`);
+      }
+      this.notifySubscribers('fill', { position: this.describe(position), realizedPnl: realized, fill });
+    }
+    return realized;
+  }
+
+  addLot(position, size, unitCost, time) {
+    if (this.getSize(position) <= DUST) {
+      position.openedAt = time;
+    }
+
+    if (this.costMethod === 'average' && position.lots.length > 0) {
+      const lot = position.lots[0];
+      const total = lot.size + size;
+      lot.price = (lot.size * lot.price + size * unitCost) / total;
+      lot.size = total;
+    } else {
+      position.lots.push({ size, price: unitCost, time });
+    }
+  }
+
+  closeLots(position, size, unitProceeds) {
+    let remaining = size;
+    let realized = 0;
+
+    while (remaining > DUST && position.lots.length > 0) {
+      const lot = position.lots[0];
+      const matched = Math.min(lot.size, remaining);
+      realized += matched * (unitProceeds - lot.price);
+      lot.size -= matched;
+      remaining -= matched;
+      if (lot.size <= DUST) {
+        position.lots.shift();
+      }
+    }
+
+    // Selling holdings the ledger never saw bought (e.g. funded outside the bot) has no known cost
+    if (remaining > DUST) {
+      logger.warn(`[POSITIONS] ${position.strategy} sold ${remaining} ${position.productId} more than its open position, ignored for P&L`);
+    }
+
+    position.realizedPnl += realized;
+    return realized;
+  }
+
+  getSize(position) {
+    return position.lots.reduce((sum, lot) => sum + lot.size, 0);
+  }
+
+  getMarketPrice(productId) {
+    return this.priceSource && this.priceSource.getLastPrice
+      ? this.priceSource.getLastPrice(productId)
+      : null;
+  }
+
+  // Position marked to the latest price
+  describe(position) {
+    const size = this.getSize(position);
+    const costBasis = position.lots.reduce((sum, lot) => sum + lot.size * lot.price, 0);
+    const marketPrice = this.getMarketPrice(position.productId);
+    const marketValue = marketPrice ? size * marketPrice : null;
+    const unrealizedPnl = marketValue !== null ? marketValue - costBasis : 0;
+
+    return {
+      account: position.account,
+      strategy: position.strategy,
+      productId: position.productId,
+      costMethod: this.costMethod,
+      size,
+      averageCost: size > DUST ? costBasis / size : 0,
+      costBasis,
+      marketPrice,
+      marketValue,
+      unrealizedPnl,
+      realizedPnl: position.realizedPnl,
+      totalPnl: position.realizedPnl + unrealizedPnl,
+      fees: position.fees,
+      lots: position.lots.length,
+      buys: position.buys,
+      sells: position.sells,
+      wins: position.wins,
+      losses: position.losses,
+      openedAt: size > DUST ? position.openedAt : null,
+      updatedAt: position.updatedAt
+    };
+  }
+
+  getPositions(filters = {}) {
+    return Array.from(this.positions.values())
+      .filter(position => !filters.strategy || position.strategy === filters.strategy)
+      .filter(position => !filters.productId || position.productId === filters.productId)
+      .filter(position => !filters.account || position.account === filters.account)
+      .map(position => this.describe(position))
+      .filter(position => !filters.openOnly || position.size > DUST);
+  }
+
+  // Totals across products, optionally for one strategy
+  getSummary(filters = {}) {
+    const positions = this.getPositions(filters);
+    const sum = field => positions.reduce((total, position) => total + (position[field] || 0), 0);
+    const wins = sum('wins');
+    const losses = sum('losses');
+
+    return {
+      costMethod: this.costMethod,
+      openPositions: positions.filter(position => position.size > DUST).length,
+      realizedPnl: sum('realizedPnl'),
+      unrealizedPnl: sum('unrealizedPnl'),
+      totalPnl: sum('totalPnl'),
+      fees: sum('fees'),
+      marketValue: sum('marketValue'),
+      wins,
+      losses,
+      winRate: wins + losses > 0 ? (wins / (wins + losses)) * 100 : 0
+    };
+  }
+
+  // Rebuild from persisted fills (oldest first) without re-notifying subscribers
+  restore(fills) {
+    fills.forEach(fill => this.applyFill(fill, { silent: true }));
+    logger.info(`[POSITIONS] Rebuilt ${this.positions.size} positions from ${fills.length} fills`);
+  }
+
+  reset(filters = {}) {
+    for (const [key, position] of this.positions) {
+      if (!filters.account || position.account === filters.account) {
+        this.positions.delete(key);
+      }
+    }
+  }
+
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+
+  notifySubscribers(event, data) {
+    this.subscribers.forEach(callback => {
+      try {
+        callback(event, data);
+      } catch (error) {
+        logger.error('Error in position ledger subscriber:', error);
+      }
+    });
+  }
+}
+
+module.exports = PositionLedger;
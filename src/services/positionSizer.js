@@ -0,0 +1,138 @@
+const logger = require('../utils/logger');
+
+const SIZING_MODES = ['base', 'quote', 'percent', 'volatility'];
+
+// Strategy parameter each sizing mode reads its amount from
+const SIZING_PARAMETERS = {
+  base: 'tradeAmount',
+  quote: 'tradeValue',
+  percent: 'tradePercent',
+  volatility: 'riskPercent'
+};
+
+// Rounds to a whole number of increments in the given direction; the small epsilon keeps
+// 0.3 / 0.1 from flooring to 2, and toFixed drops the float noise of the multiplication
+function toIncrement(value, increment, direction = 'down') {
+  if (!increment) return value;
+  const decimals = Math.max(0, -Math.floor(Math.log10(increment)));
+  const steps = direction === 'down' ? Math.floor(value / increment + 1e-9) : Math.ceil(value / increment - 1e-9);
+  return Number((steps * increment).toFixed(decimals));
+}
+
+// Turns a strategy's sizing settings into an order size that fits the product's trading rules:
+//   base        tradeAmount of the base currency (0.01 BTC)
+//   quote       tradeValue of the quote currency ($100 worth)
+//   percent     tradePercent of the available balance (quote for buys, base for sells)
+//   volatility  as much as makes one ATR move cost riskPercent of the quote balance
+// Base sizes are rounded down to the product's base_increment; market buys by quote size are
+// sent as a quote size rounded to its quote_increment instead. Limit prices move onto the
+// price increment away from the market: down for buys, up for sells.
+class PositionSizer {
+  constructor(tradingEngine, options = {}) {
+    this.tradingEngine = tradingEngine;
+    this.productSource = options.productSource || null; // Anything exposing async getProduct(productId)
+  }
+
+  static get SIZING_MODES() {
+    return SIZING_MODES;
+  }
+
+  static get SIZING_PARAMETERS() {
+    return SIZING_PARAMETERS;
+  }
+
+  static toIncrement(value, increment, direction) {
+    return toIncrement(value, increment, direction);
+  }
+
+  // request: { side, productId, price, limitPrice, orderType, mode, size, parameters }. An
+  // explicit `size` (e.g. from the signal) skips the sizing mode but is still rounded.
+  // Returns { success: true, size, quoteSize, limitPrice, sizing } or { success: false, error, code }.
+  async size(request) {
+    const parameters = request.parameters || {};
+    const sizing = request.size ? 'signal' : parameters.sizing || 'base';
+    const product = await this.getProduct(request.productId);
+    const limitPrice = request.limitPrice ? toIncrement(request.limitPrice, product?.priceIncrement, request.side === 'buy' ? 'down' : 'up') : null;
+    const price = limitPrice || request.price || this.tradingEngine.coinbaseService?.getLastPrice?.(request.productId) || null;
+    const [base, quote] = request.productId.split('-');
+
+    let size;
+    let value = null; // Quote currency amount, for the modes sized in it
+    if (sizing === 'signal') {
+      size = parseFloat(request.size);
+    } else if (sizing === 'base') {
+      size = parseFloat(parameters.tradeAmount || process.env.DEFAULT_TRADE_AMOUNT || 0.01);
+    } else if (sizing === 'quote') {
+      value = parseFloat(parameters.tradeValue);
+    } else if (sizing === 'percent' && request.side === 'sell') {
+      size = this.getAvailable(base, request.mode) * parameters.tradePercent / 100;
+    } else if (sizing === 'percent') {
+      value = this.getAvailable(quote, request.mode) * parameters.tradePercent / 100;
+    } else if (sizing === 'volatility') {
+      const atr = this.tradingEngine.exitManager.getAtr(request.productId, {
+        atrPeriod: parseInt(parameters.atrPeriod) || 14,
+        atrInterval: parameters.atrInterval || '1m'
+      });
+      if (!atr) {
+        return { success: false, error: `No ATR yet for ${request.productId}; volatility sizing needs candles`, code: 'NO_VOLATILITY' };
+      }
+      // A move of one ATR against the position loses the risk budget
+      size = this.getAvailable(quote, request.mode) * parameters.riskPercent / 100 / atr;
+    } else {
+      return { success: false, error: `Unknown sizing mode '${sizing}'`, code: 'INVALID_SIZE' };
+    }
+
+    let quoteSize = null;
+    if (value !== null) {
+      if (!price) {
+        return { success: false, error: `No price for ${request.productId} to size the order with`, code: 'NO_MARKET_PRICE' };
+      }
+      size = value / price;
+      // Only market buys can be placed by quote size; everything else converts at the price
+      if (request.side === 'buy' && (request.orderType || 'market') === 'market') {
+        quoteSize = value;
+      }
+    }
+
+    return this.round({ size, quoteSize, limitPrice, sizing, product });
+  }
+
+  round({ size, quoteSize, limitPrice, sizing, product }) {
+    const rounded = {
+      size: toIncrement(size, product?.baseIncrement),
+      quoteSize: quoteSize !== null ? toIncrement(quoteSize, product?.quoteIncrement) : null,
+      limitPrice
+    };
+
+    if (!(rounded.size > 0) || (rounded.quoteSize !== null && !(rounded.quoteSize > 0))) {
+      return { success: false, error: `Order size ${size} rounds to nothing`, code: 'INVALID_SIZE' };
+    }
+    if (product?.baseMinSize && rounded.size < product.baseMinSize) {
+      return {
+        success: false,
+        error: `Size ${rounded.size} is below the minimum of ${product.baseMinSize} for ${product.productId}`,
+        code: 'MIN_SIZE'
+      };
+    }
+    return { success: true, ...rounded, sizing };
+  }
+
+  getAvailable(currency, mode) {
+    const portfolio = this.tradingEngine.isSimulated(mode)
+      ? { [currency]: this.tradingEngine.paperBroker.getAvailableBalance(currency) }
+      : this.tradingEngine.getPortfolioForMode(mode);
+    return Math.max(portfolio[currency] || 0, 0);
+  }
+
+  async getProduct(productId) {
+    if (!this.productSource || typeof this.productSource.getProduct !== 'function') return null;
+    try {
+      return await this.productSource.getProduct(productId);
+    } catch (error) {
+      logger.warn(`Could not load the trading rules of ${productId} for sizing: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = PositionSizer;
@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Quote currencies tried, in order, when a holding has to be valued or charted
+const PREFERRED_QUOTES = ['USD', 'USDC'];
+
+// Decimals needed to show values on an increment: 0.01 -> 2, 1 -> 0
+function decimalsOf(increment, fallback) {
+  if (!(increment > 0)) return fallback;
+  return Math.max(0, Math.ceil(-Math.log10(increment) - 1e-9));
+}
+
+// Every spot product Coinbase lists, with names, quote currencies, increments and display
+// precision. Loaded from the public products endpoint and kept in a JSON file in DATA_DIR, so
+// the dashboard still knows its products when Coinbase can't be reached. The file is used as
+// is while younger than PRODUCT_CATALOG_MAX_AGE and refreshed in the background after that.
+class ProductCatalog {
+  constructor(coinbaseService, options = {}) {
+    this.coinbaseService = coinbaseService;
+    const dataDir = options.dataDir || process.env.DATA_DIR || path.join(__dirname, '../../data');
+    this.filePath = options.filePath || process.env.PRODUCT_CATALOG_FILE || path.join(dataDir, 'products.json');
+    this.maxAgeMs = options.maxAgeMs ?? (parseInt(process.env.PRODUCT_CATALOG_MAX_AGE) || 24 * 60 * 60 * 1000);
+    this.checkIntervalMs = options.checkIntervalMs ?? 60 * 60 * 1000;
+    this.products = new Map(); // productId -> product
+    this.currencyNames = new Map(); // currency -> name
+    this.updatedAt = null;
+    this.source = null; // 'api' or 'cache'
+    this.refreshing = null;
+    this.refreshTimer = null;
+  }
+
+  static get PREFERRED_QUOTES() {
+    return PREFERRED_QUOTES;
+  }
+
+  // A normalized Coinbase product plus what the dashboard needs to display it
+  static describe(product) {
+    return {
+      ...product,
+      displayName: `${product.baseCurrency}/${product.quoteCurrency}`,
+      priceDecimals: decimalsOf(product.priceIncrement, 2),
+      sizeDecimals: decimalsOf(product.baseIncrement, 8)
+    };
+  }
+
+  async start() {
+    this.loadCache();
+    if (this.isStale()) {
+      await this.refresh();
+    }
+
+    if (this.checkIntervalMs > 0) {
+      this.refreshTimer = setInterval(() => {
+        if (this.isStale()) this.refresh();
+      }, this.checkIntervalMs);
+      if (this.refreshTimer.unref) this.refreshTimer.unref();
+    }
+  }
+
+  stop() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  isStale() {
+    return !this.updatedAt || Date.now() - this.updatedAt.getTime() > this.maxAgeMs;
+  }
+
+  // Concurrent callers share one request. Resolves to whether fresh products were loaded; on
+  // failure the products already loaded (from the file, say) stay in use.
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.fetchProducts().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  async fetchProducts() {
+    try {
+      const products = await this.coinbaseService.getProducts();
+      if (products.length === 0) {
+        throw new Error('Coinbase returned no products');
+      }
+      this.setProducts(products.map(product => ProductCatalog.describe(product)), new Date(), 'api');
+      this.saveCache();
+      logger.info(`Product catalog loaded ${products.length} products from Coinbase`);
+      return true;
+    } catch (error) {
+      logger.warn(`Could not refresh the product catalog${this.products.size > 0 ? ', keeping the cached copy' : ''}: ${error.message}`);
+      return false;
+    }
+  }
+
+  setProducts(products, updatedAt, source) {
+    this.products = new Map(products.map(product => [product.productId, product]));
+    this.currencyNames = new Map();
+    products.forEach(product => {
+      this.currencyNames.set(product.baseCurrency, product.baseName);
+      if (!this.currencyNames.has(product.quoteCurrency)) {
+        this.currencyNames.set(product.quoteCurrency, product.quoteName);
+      }
+    });
+    this.updatedAt = updatedAt;
+    this.source = source;
+  }
+
+  loadCache() {
+    if (!fs.existsSync(this.filePath)) return false;
+    try {
+      const document = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.setProducts(document.products, new Date(document.updatedAt), 'cache');
+      logger.info(`Product catalog loaded ${this.products.size} products from ${this.filePath}`);
+      return true;
+    } catch (error) {
+      logger.warn(`Ignoring unreadable product catalog ${this.filePath}: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Written to a temporary file first so a crash never leaves half a catalog behind
+  saveCache() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ updatedAt: this.updatedAt, products: this.getProducts() }));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      logger.warn(`Could not save the product catalog to ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  getProduct(productId) {
+    return this.products.get(productId) || null;
+  }
+
+  // filters: { quote: 'USD', productIds: ['BTC-USD', ...] }
+  getProducts(filters = {}) {
+    let products = Array.from(this.products.values());
+    if (filters.quote) {
+      products = products.filter(product => product.quoteCurrency === filters.quote);
+    }
+    if (filters.productIds) {
+      products = products.filter(product => filters.productIds.includes(product.productId));
+    }
+    return products;
+  }
+
+  // The product a currency is valued and charted in, e.g. BTC -> BTC-USD
+  findProduct(currency, quotes = PREFERRED_QUOTES) {
+    for (const quote of quotes) {
+      const product = this.getProduct(`${currency}-${quote}`);
+      if (product) return product;
+    }
+    return null;
+  }
+
+  getCurrencyName(currency) {
+    return this.currencyNames.get(currency) || currency;
+  }
+
+  getStatus() {
+    return {
+      products: this.products.size,
+      source: this.source,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = ProductCatalog;
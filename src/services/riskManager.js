@@ -0,0 +1,366 @@
+const logger = require('../utils/logger');
+
+const QUOTE_CURRENCIES = ['USD', 'USDC'];
+
+// True when value is a whole number of increments (allowing for float noise)
+function isMultiple(value, increment) {
+  const steps = value / increment;
+  return Math.abs(steps - Math.round(steps)) < 1e-6;
+}
+
+// Sells marked reduceOnly (protective exits, halt flattening, grid sells of held inventory) only
+// lower exposure, so order-count limits must never keep them from going out
+function isReducing(order) {
+  return order.side === 'sell' && order.reduceOnly === true;
+}
+
+// Pre-trade rules, checked in order. Each returns null to pass or { code, reason } to reject.
+const DEFAULT_RULES = [
+  {
+    name: 'market-price',
+    check: (order) => {
+      if (!order.marketPrice && !order.price) {
+        return { code: 'NO_MARKET_PRICE', reason: `No market price available for ${order.productId}` };
+      }
+      return null;
+    }
+  },
+  {
+    name: 'product-status',
+    check: (order) => {
+      if (order.product?.tradingDisabled) {
+        return { code: 'TRADING_DISABLED', reason: `Trading is disabled for ${order.productId}` };
+      }
+      return null;
+    }
+  },
+  {
+    name: 'daily-loss',
+    check: (order, risk) => {
+      if (order.side === 'buy' && risk.dailyLoss >= risk.dailyLossLimit) {
+        return { code: 'DAILY_LOSS_LIMIT', reason: `Daily loss limit reached: $${risk.dailyLoss.toFixed(2)}` };
+      }
+      return null;
+    }
+  },
+  {
+    name: 'max-order-value',
+    check: (order, risk) => {
+      if (order.side === 'buy' && order.orderValue > risk.maxPositionSize) {
+        return {
+          code: 'MAX_ORDER_VALUE',
+          reason: `Order value $${order.orderValue.toFixed(2)} exceeds max position size $${risk.maxPositionSize}`
+        };
+      }
+      return null;
+    }
+  },
+  {
+    name: 'min-notional',
+    check: (order, risk) => {
+      const minNotional = Math.max(order.product?.minNotional || 0, risk.minNotional);
+      if (order.orderValue < minNotional) {
+        return {
+          code: 'MIN_NOTIONAL',
+          reason: `Order value $${order.orderValue.toFixed(2)} is below the minimum of $${minNotional}`
+        };
+      }
+      return null;
+    }
+  },
+  {
+    name: 'increments',
+    check: (order) => {
+      const product = order.product;
+      if (!product) return null; // Product rules unknown (e.g. offline); the exchange still validates
+
+      if (product.baseMinSize && order.amount < product.baseMinSize) {
+        return { code: 'MIN_SIZE', reason: `Size ${order.amount} is below the minimum of ${product.baseMinSize} for ${order.productId}` };
+      }
+      if (product.baseMaxSize && order.amount > product.baseMaxSize) {
+        return { code: 'MAX_SIZE', reason: `Size ${order.amount} is above the maximum of ${product.baseMaxSize} for ${order.productId}` };
+      }
+      // A quote size is converted by the exchange, so only it has to fit the quote increment
+      if (order.quoteSize) {
+        if (product.quoteIncrement && !isMultiple(order.quoteSize, product.quoteIncrement)) {
+          return { code: 'INVALID_SIZE_INCREMENT', reason: `Quote size ${order.quoteSize} is not a multiple of ${product.quoteIncrement} for ${order.productId}` };
+        }
+      } else if (product.baseIncrement && !isMultiple(order.amount, product.baseIncrement)) {
+        return { code: 'INVALID_SIZE_INCREMENT', reason: `Size ${order.amount} is not a multiple of ${product.baseIncrement} for ${order.productId}` };
+      }
+      if (order.limitPrice && product.priceIncrement && !isMultiple(order.limitPrice, product.priceIncrement)) {
+        return { code: 'INVALID_PRICE_INCREMENT', reason: `Price ${order.limitPrice} is not a multiple of ${product.priceIncrement} for ${order.productId}` };
+      }
+      return null;
+    }
+  },
+  {
+    name: 'price-deviation',
+    check: (order, risk) => {
+      if (!order.limitPrice || !order.marketPrice || !risk.maxPriceDeviation) return null;
+      // Their limit price belongs to the stop (or the profit target), not to the market now
+      if (order.orderType === 'stop-limit' || order.orderType === 'bracket') return null;
+      const maxDeviation = Math.max(order.maxPriceDeviation || 0, risk.maxPriceDeviation);
+      const deviation = Math.abs(order.limitPrice - order.marketPrice) / order.marketPrice * 100;
+      if (deviation > maxDeviation) {
+        return {
+          code: 'PRICE_DEVIATION',
+          reason: `Limit price ${order.limitPrice} is ${deviation.toFixed(2)}% from the market price ${order.marketPrice} (max ${maxDeviation}%)`
+        };
+      }
+      return null;
+    }
+  },
+  {
+    name: 'max-open-orders',
+    check: (order, risk) => {
+      if (isReducing(order)) return null;
+      if (risk.maxOpenOrders && order.openOrders >= risk.maxOpenOrders) {
+        return { code: 'MAX_OPEN_ORDERS', reason: `${order.openOrders} orders already open (max ${risk.maxOpenOrders})` };
+      }
+      return null;
+    }
+  },
+  {
+    name: 'order-rate',
+    check: (order, risk) => {
+      if (isReducing(order)) return null;
+      const recent = risk.getOrdersInLastMinute();
+      if (risk.maxOrdersPerMinute && recent >= risk.maxOrdersPerMinute) {
+        return { code: 'ORDER_RATE_LIMIT', reason: `${recent} orders placed in the last minute (max ${risk.maxOrdersPerMinute})` };
+      }
+      return null;
+    }
+  },
+  {
+    name: 'funds',
+    check: (order) => {
+      const [base, quote] = order.productId.split('-');
+      if (order.side === 'buy') {
+        const available = order.portfolio[quote] || 0;
+        if (available < order.orderValue) {
+          return {
+            code: 'INSUFFICIENT_FUNDS',
+            reason: `Insufficient funds. Required: $${order.orderValue.toFixed(2)}, Available: $${available.toFixed(2)}`
+          };
+        }
+      } else {
+        const available = order.portfolio[base] || 0;
+        if (available < order.amount) {
+          return {
+            code: 'INSUFFICIENT_BALANCE',
+            reason: `Insufficient ${base} balance. Required: ${order.amount}, Available: ${available}`
+          };
+        }
+      }
+      return null;
+    }
+  },
+  {
+    name: 'product-exposure',
+    check: (order, risk) => {
+      if (order.side !== 'buy' || !risk.maxProductExposure) return null;
+      const base = order.productId.split('-')[0];
+      const exposure = (order.portfolio[base] || 0) * order.price + order.orderValue;
+      if (exposure > risk.maxProductExposure) {
+        return {
+          code: 'MAX_PRODUCT_EXPOSURE',
+          reason: `${base} exposure would be $${exposure.toFixed(2)} (max $${risk.maxProductExposure})`
+        };
+      }
+      return null;
+    }
+  },
+  {
+    name: 'total-exposure',
+    check: (order, risk) => {
+      if (order.side !== 'buy' || !risk.maxTotalExposure) return null;
+      const exposure = risk.getTotalExposure(order.portfolio, order.productId.split('-')[1]) + order.orderValue;
+      if (exposure > risk.maxTotalExposure) {
+        return {
+          code: 'MAX_TOTAL_EXPOSURE',
+          reason: `Total exposure would be $${exposure.toFixed(2)} (max $${risk.maxTotalExposure})`
+        };
+      }
+      return null;
+    }
+  }
+];
+
+// Rejections the same order meets every time it is sent; retrying it is pointless
+const FINAL_CODES = ['INVALID_ORDER', 'INVALID_SIZE', 'MIN_SIZE', 'MAX_SIZE', 'MIN_NOTIONAL', 'INVALID_SIZE_INCREMENT', 'INVALID_PRICE_INCREMENT'];
+
+// Pre-trade risk checks run by TradingEngine before every order.
+// Rules can be added or removed at runtime; rejections carry a machine-readable code.
+class RiskManager {
+  constructor(priceSource = null, options = {}) {
+    this.priceSource = priceSource; // Anything exposing getLastPrice(productId)
+    this.productSource = options.productSource || null; // Anything exposing async getProduct(productId)
+
+    this.maxPositionSize = options.maxPositionSize ?? (parseFloat(process.env.MAX_POSITION_SIZE) || 1000);
+    this.riskTolerance = options.riskTolerance ?? (parseFloat(process.env.RISK_TOLERANCE) || 0.05);
+    this.dailyLossLimit = this.maxPositionSize * this.riskTolerance;
+    this.maxProductExposure = options.maxProductExposure ?? (parseFloat(process.env.MAX_PRODUCT_EXPOSURE) || 0);
+    this.maxTotalExposure = options.maxTotalExposure ?? (parseFloat(process.env.MAX_TOTAL_EXPOSURE) || 0);
+    this.maxOpenOrders = options.maxOpenOrders ?? (parseInt(process.env.MAX_OPEN_ORDERS) || 20);
+    this.maxOrdersPerMinute = options.maxOrdersPerMinute ?? (parseInt(process.env.MAX_ORDERS_PER_MINUTE) || 10);
+    this.minNotional = options.minNotional ?? (parseFloat(process.env.MIN_ORDER_NOTIONAL) || 1);
+    this.maxPriceDeviation = options.maxPriceDeviation ?? (parseFloat(process.env.MAX_PRICE_DEVIATION) || 5);
+
+    this.rules = [...DEFAULT_RULES];
+    this.orderTimes = [];
+    this.dailyLoss = 0;
+    this.lastResetDate = new Date().toDateString();
+  }
+
+  static get DEFAULT_RULES() {
+    return DEFAULT_RULES;
+  }
+
+  static get FINAL_CODES() {
+    return FINAL_CODES;
+  }
+
+  // rule: { name, check(order, riskManager) } returning null or { code, reason }; check may be async
+  addRule(rule, options = {}) {
+    if (!rule || !rule.name || typeof rule.check !== 'function') {
+      throw new Error('A risk rule needs a name and a check function');
+    }
+    this.removeRule(rule.name);
+    const index = options.before ? this.rules.findIndex(r => r.name === options.before) : -1;
+    if (index >= 0) {
+      this.rules.splice(index, 0, rule);
+    } else {
+      this.rules.push(rule);
+    }
+  }
+
+  removeRule(name) {
+    this.rules = this.rules.filter(rule => rule.name !== name);
+  }
+
+  getRules() {
+    return this.rules.map(rule => rule.name);
+  }
+
+  async checkBuyOrder(productId, amount, price, portfolio, context = {}) {
+    return this.checkOrder({ ...context, side: 'buy', productId, amount, price, portfolio });
+  }
+
+  async checkSellOrder(productId, amount, price, portfolio, context = {}) {
+    return this.checkOrder({ ...context, side: 'sell', productId, amount, price, portfolio });
+  }
+
+  async checkOrder(request) {
+    this.resetDailyLossIfNeeded();
+
+    const marketPrice = this.getCurrentPrice(request.productId);
+    // Market orders by quote size are checked as the base amount they come to at the current price
+    if (request.quoteSize && !request.amount) {
+      if (!marketPrice) {
+        return this.reject(request, { code: 'NO_MARKET_PRICE', reason: `No market price available for ${request.productId}` }, 'market-price');
+      }
+      request = { ...request, amount: request.quoteSize / marketPrice };
+    }
+
+    const amount = parseFloat(request.amount);
+    if (!(amount > 0)) {
+      return this.reject(request, { code: 'INVALID_SIZE', reason: `Invalid order size: ${request.amount}` }, 'size');
+    }
+
+    const limitPrice = request.price ? parseFloat(request.price) : null;
+    const price = limitPrice || marketPrice;
+    const order = {
+      ...request,
+      amount,
+      limitPrice,
+      marketPrice,
+      price,
+      orderValue: amount * (price || 0),
+      portfolio: request.portfolio || {},
+      openOrders: request.openOrders || 0,
+      product: await this.getProduct(request.productId)
+    };
+
+    for (const rule of this.rules) {
+      const result = await rule.check(order, this);
+      if (result) {
+        return this.reject(order, result, rule.name);
+      }
+    }
+
+    return { approved: true };
+  }
+
+  reject(order, result, ruleName) {
+    logger.warn(`[RISK] ${order.side} ${order.amount} ${order.productId} rejected by ${ruleName} (${result.code}): ${result.reason}`);
+    return { approved: false, code: result.code, reason: result.reason, rule: ruleName };
+  }
+
+  async getProduct(productId) {
+    if (!this.productSource || typeof this.productSource.getProduct !== 'function') return null;
+    try {
+      return await this.productSource.getProduct(productId);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Called by TradingEngine once an order has been placed, for the order-rate rule
+  recordOrder() {
+    this.orderTimes.push(Date.now());
+    this.getOrdersInLastMinute();
+  }
+
+  getOrdersInLastMinute() {
+    const cutoff = Date.now() - 60 * 1000;
+    this.orderTimes = this.orderTimes.filter(time => time > cutoff);
+    return this.orderTimes.length;
+  }
+
+  // Market value of everything held except quote currencies
+  getTotalExposure(portfolio, quoteCurrency = 'USD') {
+    return Object.entries(portfolio).reduce((total, [currency, amount]) => {
+      if (QUOTE_CURRENCIES.includes(currency) || currency === quoteCurrency || !(amount > 0)) return total;
+      const price = this.getCurrentPrice(`${currency}-${quoteCurrency}`);
+      return total + (price ? amount * price : 0);
+    }, 0);
+  }
+
+  resetDailyLossIfNeeded() {
+    const today = new Date().toDateString();
+    if (this.lastResetDate !== today) {
+      this.dailyLoss = 0;
+      this.lastResetDate = today;
+    }
+  }
+
+  getCurrentPrice(productId) {
+    return this.priceSource && this.priceSource.getLastPrice
+      ? this.priceSource.getLastPrice(productId)
+      : null;
+  }
+
+  recordLoss(amount) {
+    this.dailyLoss += amount;
+  }
+
+  getStatus() {
+    this.resetDailyLossIfNeeded();
+    return {
+      dailyLoss: this.dailyLoss,
+      dailyLossLimit: this.dailyLossLimit,
+      maxPositionSize: this.maxPositionSize,
+      maxProductExposure: this.maxProductExposure,
+      maxTotalExposure: this.maxTotalExposure,
+      maxOpenOrders: this.maxOpenOrders,
+      maxOrdersPerMinute: this.maxOrdersPerMinute,
+      ordersInLastMinute: this.getOrdersInLastMinute(),
+      minNotional: this.minNotional,
+      maxPriceDeviation: this.maxPriceDeviation,
+      rules: this.getRules()
+    };
+  }
+}
+
+module.exports = RiskManager;
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const logger = require('../utils/logger');
+
+const MODES = ['stopped', 'simulation', 'live'];
+
+// Which strategy instances exist, with their parameters, mode and products, so they survive restarts.
+// Kept in a JSON or YAML file (by extension) or, with the 'database' backend, in the data store.
+class StrategyConfigStore {
+  constructor(options = {}) {
+    this.backend = options.backend || process.env.STRATEGY_CONFIG_BACKEND || 'file';
+    const dataDir = options.dataDir || process.env.DATA_DIR || path.join(__dirname, '../../data');
+    this.filePath = options.filePath || process.env.STRATEGY_CONFIG_FILE || path.join(dataDir, 'strategies.json');
+    this.dataStore = options.dataStore || null;
+
+    if (!['file', 'database'].includes(this.backend)) {
+      throw new Error(`Unknown strategy config backend '${this.backend}' (use file or database)`);
+    }
+  }
+
+  static get MODES() {
+    return MODES;
+  }
+
+  static getFormat(filePath) {
+    return /\.ya?ml$/i.test(filePath) ? 'yaml' : 'json';
+  }
+
+  static parse(text, format = 'json') {
+    return StrategyConfigStore.fromDocument(format === 'yaml' ? yaml.load(text) : JSON.parse(text));
+  }
+
+  // Accepts a bare list or { strategies: [...] }
+  static fromDocument(document) {
+    const configs = Array.isArray(document) ? document : document?.strategies;
+    if (!Array.isArray(configs)) {
+      throw new Error('Strategy config must be a list or contain a "strategies" list');
+    }
+    return configs.map(config => StrategyConfigStore.normalize(config));
+  }
+
+  static serialize(configs, format = 'json') {
+    const document = { strategies: configs };
+    return format === 'yaml' ? yaml.dump(document) : JSON.stringify(document, null, 2) + '\n';
+  }
+
+  static normalize(config) {
+    if (!config || typeof config.type !== 'string') {
+      throw new Error('Each strategy config needs a type');
+    }
+    if (config.parameters !== undefined && (typeof config.parameters !== 'object' || Array.isArray(config.parameters))) {
+      throw new Error(`Parameters of strategy ${config.id || config.type} must be an object`);
+    }
+    const mode = config.mode || 'stopped';
+    if (!MODES.includes(mode)) {
+      throw new Error(`Mode of strategy ${config.id || config.type} must be one of ${MODES.join(', ')}`);
+    }
+
+    return {
+      id: config.id || null,
+      type: config.type,
+      mode,
+      productIds: config.productIds || null,
+      parameters: config.parameters || {}
+    };
+  }
+
+  // Whether anything was ever saved; a first run falls back to the default strategy
+  async exists() {
+    if (this.backend === 'database') {
+      return (await this.dataStore.query('strategies', { limit: 1 })).length > 0;
+    }
+    return fs.existsSync(this.filePath);
+  }
+
+  async load() {
+    if (!(await this.exists())) return [];
+
+    if (this.backend === 'database') {
+      const [snapshot] = await this.dataStore.query('strategies', { limit: 1 });
+      return snapshot.strategies.map(config => StrategyConfigStore.normalize(config));
+    }
+    return StrategyConfigStore.parse(fs.readFileSync(this.filePath, 'utf8'), StrategyConfigStore.getFormat(this.filePath));
+  }
+
+  save(configs) {
+    if (this.backend === 'database') {
+      // Append-only: the newest snapshot wins
+      this.dataStore.record('strategies', { strategies: configs });
+      return;
+    }
+
+    // Write to a temporary file first so a crash never leaves half a config behind
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, StrategyConfigStore.serialize(configs, StrategyConfigStore.getFormat(this.filePath)));
+    fs.renameSync(tempPath, this.filePath);
+    logger.debug(`Strategy configs saved to ${this.filePath}`);
+  }
+}
+
+module.exports = StrategyConfigStore;
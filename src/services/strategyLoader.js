@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// What the strategy manager, the exit manager and the dashboard call on a strategy.
+// Extending BaseStrategy provides all of it.
+const REQUIRED_METHODS = ['start', 'stop', 'handleMarketData', 'updateParameters', 'getPerformance', 'getIndicators', 'getSignals'];
+const SCHEMA_TYPES = ['integer', 'number', 'boolean', 'string', 'list', 'object'];
+
+// Discovers user-defined strategies in the plugin directory (one module per file or folder)
+// and in npm packages named in STRATEGY_PACKAGES, and registers them with the strategy manager.
+// The type is the class's static `type`, or else the file or package name.
+class StrategyLoader {
+  constructor(strategyManager, options = {}) {
+    this.strategyManager = strategyManager;
+    this.pluginDir = options.pluginDir || process.env.STRATEGY_PLUGIN_DIR || path.join(__dirname, '../../strategies');
+    this.packages = options.packages ?? (process.env.STRATEGY_PACKAGES || '').split(',').map(name => name.trim()).filter(Boolean);
+    this.plugins = new Map(); // type -> { type, source, modulePath }
+  }
+
+  // Every plugin module with where it came from; unreadable directories just yield nothing
+  discover() {
+    const modules = [];
+
+    if (fs.existsSync(this.pluginDir)) {
+      for (const entry of fs.readdirSync(this.pluginDir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+        if (entry.name.startsWith('.')) continue;
+        if (entry.isFile() && !entry.name.endsWith('.js')) continue;
+        modules.push({
+          name: path.basename(entry.name, '.js'),
+          source: `plugin:${entry.name}`,
+          request: path.join(this.pluginDir, entry.name)
+        });
+      }
+    }
+
+    for (const packageName of this.packages) {
+      modules.push({
+        name: packageName.split('/').pop(),
+        source: `package:${packageName}`,
+        request: packageName
+      });
+    }
+
+    return modules;
+  }
+
+  static getStrategyClass(exported) {
+    if (typeof exported === 'function') return exported;
+    return exported?.default || exported?.Strategy || null;
+  }
+
+  // Throws with the first way the class breaks the BaseStrategy contract
+  static validate(StrategyClass) {
+    if (typeof StrategyClass !== 'function' || !StrategyClass.prototype) {
+      throw new Error('Module must export a strategy class');
+    }
+
+    const missing = REQUIRED_METHODS.filter(method => typeof StrategyClass.prototype[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Strategy class is missing ${missing.join(', ')} (extend BaseStrategy)`);
+    }
+    if (typeof StrategyClass.validateParameters !== 'function') {
+      throw new Error('Strategy class is missing static validateParameters (extend BaseStrategy)');
+    }
+
+    const schema = StrategyClass.parameterSchema;
+    if (!schema || typeof schema !== 'object') {
+      throw new Error('Strategy class must declare a static parameterSchema');
+    }
+    for (const [key, spec] of Object.entries(schema)) {
+      if (!SCHEMA_TYPES.includes(spec?.type)) {
+        throw new Error(`Parameter ${key} has unknown type '${spec?.type}' (use ${SCHEMA_TYPES.join(', ')})`);
+      }
+    }
+
+    // The defaults must produce a working instance
+    const strategy = new StrategyClass(StrategyClass.validateParameters({}));
+    if (typeof strategy.name !== 'string' || !strategy.name) {
+      throw new Error('Strategy instances need a name (pass it to the BaseStrategy constructor)');
+    }
+  }
+
+  // Drop the module and everything it loaded from the same folder so a reload reads fresh code
+  clearCache(modulePath) {
+    const root = path.dirname(modulePath);
+    Object.keys(require.cache)
+      .filter(file => file === modulePath || (root !== this.pluginDir && file.startsWith(root + path.sep)))
+      .forEach(file => delete require.cache[file]);
+  }
+
+  loadModule({ name, source, request }) {
+    const modulePath = require.resolve(request);
+    this.clearCache(modulePath);
+
+    const StrategyClass = StrategyLoader.getStrategyClass(require(modulePath));
+    StrategyLoader.validate(StrategyClass);
+
+    const type = String(StrategyClass.type || name).toLowerCase();
+    if (!/^[a-z0-9_-]+$/.test(type)) {
+      throw new Error(`Strategy type '${type}' must be letters, digits, dashes or underscores`);
+    }
+    if (this.strategyManager.registeredStrategies.has(type) && !this.plugins.has(type)) {
+      throw new Error(`Strategy type '${type}' is already registered`);
+    }
+
+    return { type, source, modulePath, StrategyClass };
+  }
+
+  // Load every plugin; one broken module doesn't stop the others
+  load() {
+    const loaded = [];
+    const failed = [];
+    const seen = new Set();
+
+    for (const entry of this.discover()) {
+      try {
+        const plugin = this.loadModule(entry);
+        if (seen.has(plugin.type)) {
+          throw new Error(`Strategy type '${plugin.type}' is defined twice`);
+        }
+        seen.add(plugin.type);
+
+        this.strategyManager.registerStrategy(plugin.type, plugin.StrategyClass, { source: plugin.source });
+        this.plugins.set(plugin.type, { type: plugin.type, source: plugin.source, modulePath: plugin.modulePath });
+        loaded.push(plugin.type);
+      } catch (error) {
+        logger.error(`Could not load strategy ${entry.source}:`, error.message);
+        failed.push({ source: entry.source, error: error.message });
+      }
+    }
+
+    if (loaded.length > 0 || failed.length > 0) {
+      logger.info(`Strategy plugins: ${loaded.length} loaded${failed.length ? `, ${failed.length} failed` : ''}`);
+    }
+    return { loaded, failed };
+  }
+
+  // Re-read all plugins. Types whose module is gone are unregistered; running instances keep
+  // their code unless `restartInstances`, which recreates them from the reloaded classes.
+  async reload(options = {}) {
+    const previous = new Set(this.plugins.keys());
+    const result = this.load();
+
+    const removed = [];
+    for (const type of previous) {
+      if (!result.loaded.includes(type) && !result.failed.some(f => this.plugins.get(type)?.source === f.source)) {
+        this.strategyManager.unregisterStrategy(type);
+        this.plugins.delete(type);
+        removed.push(type);
+      }
+    }
+
+    const restarted = [];
+    if (options.restartInstances) {
+      for (const { id, type } of this.strategyManager.getInstances()) {
+        if (!result.loaded.includes(type)) continue;
+        try {
+          await this.strategyManager.updateStrategy(id, {});
+          restarted.push(id);
+        } catch (error) {
+          logger.error(`Could not recreate strategy ${id} from reloaded ${type}:`, error.message);
+          result.failed.push({ source: id, error: error.message });
+        }
+      }
+    }
+
+    return { ...result, removed, restarted };
+  }
+
+  getPlugins() {
+    return Array.from(this.plugins.values()).map(({ type, source }) => ({ type, source }));
+  }
+}
+
+module.exports = StrategyLoader;
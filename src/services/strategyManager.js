@@ -2,59 +2,371 @@ const logger = require('../utils/logger');
 const SimpleMovingAverageStrategy = require('../strategies/simpleMovingAverage');
 const RSIStrategy = require('../strategies/rsiStrategy');
 const MACDStrategy = require('../strategies/macdStrategy');
+const BollingerStrategy = require('../strategies/bollingerStrategy');
+const EnsembleStrategy = require('../strategies/ensembleStrategy');
+const DCAStrategy = require('../strategies/dcaStrategy');
+const GridStrategy = require('../strategies/gridStrategy');
+const ExitManager = require('./exitManager');
+
+// Ids that would clash with the /strategy/* routes
+const RESERVED_IDS = ['instances', 'config', 'start', 'stop'];
 
 class StrategyManager {
   constructor() {
     this.strategies = new Map();
-    this.activeStrategies = new Map();
+    this.instances = new Map(); // id -> { id, type, strategy, createdAt }
+    this.activeStrategies = new Map(); // id -> running strategy
     this.registeredStrategies = new Map();
+    this.strategySources = new Map(); // type -> where a plugin was loaded from
+    this.dataStore = null;
+    this.configStore = null;
+    this.savingPaused = false;
     
     // Register built-in strategies
     this.registerStrategy('sma', SimpleMovingAverageStrategy);
     this.registerStrategy('rsi', RSIStrategy);
     this.registerStrategy('macd', MACDStrategy);
+    this.registerStrategy('bollinger', BollingerStrategy);
+    this.registerStrategy('ensemble', EnsembleStrategy);
+    this.registerStrategy('dca', DCAStrategy);
+    this.registerStrategy('grid', GridStrategy);
   }
 
-  registerStrategy(name, StrategyClass) {
+  registerStrategy(name, StrategyClass, options = {}) {
     this.registeredStrategies.set(name, StrategyClass);
-    logger.info(`Strategy registered: ${name}`);
+    if (options.source) {
+      this.strategySources.set(name, options.source);
+    }
+    logger.info(`Strategy registered: ${name}${options.source ? ` (${options.source})` : ''}`);
+  }
+
+  // Existing instances keep the class they were created with
+  unregisterStrategy(name) {
+    this.registeredStrategies.delete(name);
+    this.strategySources.delete(name);
+    logger.info(`Strategy unregistered: ${name}`);
   }
 
-  async startStrategy(strategyName, parameters = {}) {
+  getStrategyClass(strategyName) {
     if (!this.registeredStrategies.has(strategyName)) {
       throw new Error(`Strategy '${strategyName}' not found`);
     }
+    return this.registeredStrategies.get(strategyName);
+  }
+
+  // The first instance of a type is named after it ('sma'), later ones get a suffix ('sma-2')
+  generateId(type) {
+    if (!this.instances.has(type)) return type;
+    let n = 2;
+    while (this.instances.has(`${type}-${n}`)) n++;
+    return `${type}-${n}`;
+  }
+
+  validateId(id) {
+    if (typeof id !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(id)) {
+      throw new Error('Strategy id must be 1-64 letters, digits, dashes or underscores');
+    }
+    if (RESERVED_IDS.includes(id)) {
+      throw new Error(`Strategy id '${id}' is reserved`);
+    }
+    if (this.instances.has(id)) {
+      throw new Error(`Strategy instance '${id}' already exists`);
+    }
+  }
+
+  // Types with their display name, description and parameter schema (GET /strategies)
+  describeStrategyTypes() {
+    return Array.from(this.registeredStrategies.entries()).map(([type, StrategyClass]) => ({
+      type,
+      name: StrategyClass.displayName,
+      description: StrategyClass.description,
+      source: this.strategySources.get(type) || 'built-in',
+      parameters: StrategyClass.parameterSchema
+    }));
+  }
+
+  // Create a stopped instance of a registered strategy type
+  createStrategy(type, parameters = {}, options = {}) {
+    const StrategyClass = this.getStrategyClass(type);
+    const id = options.id ?? this.generateId(type);
+    this.validateId(id);
+
+    // Reject bad settings before the instance exists
+    const validated = StrategyClass.validateParameters(parameters);
+    ExitManager.parseConfig(validated);
+
+    // Strategies that host others (the ensemble) look up member types through the manager
+    const strategy = new StrategyClass(validated, { strategyManager: this });
+    strategy.id = id;
+    strategy.type = type;
+    this.instances.set(id, { id, type, strategy, createdAt: options.createdAt || new Date() });
+    this.attachDataStore(strategy);
+    logger.info(`Strategy instance created: ${id} (${type})`);
+    this.saveConfigs();
+    return strategy;
+  }
+
+  getInstance(id) {
+    const instance = this.instances.get(id);
+    if (!instance) {
+      throw new Error(`Strategy instance '${id}' not found`);
+    }
+    return instance;
+  }
+
+  async startInstance(id) {
+    const { strategy } = this.getInstance(id);
+    if (this.activeStrategies.has(id)) {
+      throw new Error(`Strategy '${id}' is already running`);
+    }
 
-    if (this.activeStrategies.has(strategyName)) {
-      throw new Error(`Strategy '${strategyName}' is already running`);
+    this.activeStrategies.set(id, strategy);
+    try {
+      await strategy.start();
+    } catch (error) {
+      this.activeStrategies.delete(id);
+      throw error;
     }
+    logger.info(`Strategy started: ${id}`);
+    this.saveConfigs();
+    return strategy;
+  }
 
-    const StrategyClass = this.registeredStrategies.get(strategyName);
-    const strategy = new StrategyClass(parameters);
-    this.activeStrategies.set(strategyName, strategy);
-    await strategy.start();
-    logger.info(`Strategy started: ${strategyName}`);
+  // Create and start in one go; the instance is dropped again if it cannot start
+  async startStrategy(strategyName, parameters = {}, options = {}) {
+    const strategy = this.createStrategy(strategyName, parameters, options);
+    try {
+      await this.startInstance(strategy.id);
+    } catch (error) {
+      this.instances.delete(strategy.id);
+      this.saveConfigs();
+      throw error;
+    }
     return strategy;
   }
 
-  stopStrategy(strategyName) {
+  // Change an instance's parameters (merged unless `replace`), keeping its id and restarting it if it was running
+  async updateStrategy(id, parameters = {}, options = {}) {
+    const instance = this.getInstance(id);
+    const merged = options.replace ? { ...parameters } : { ...instance.strategy.parameters, ...parameters };
+    ExitManager.parseConfig(merged);
+
+    const wasRunning = this.activeStrategies.has(id);
+    if (wasRunning) {
+      await this.stopStrategy(id);
+    }
+
+    this.instances.delete(id);
+    let strategy;
+    try {
+      strategy = this.createStrategy(instance.type, merged, { id, createdAt: instance.createdAt });
+    } catch (error) {
+      this.instances.set(id, instance);
+      if (wasRunning) {
+        await this.startInstance(id);
+      }
+      throw error;
+    }
+
+    if (wasRunning) {
+      await this.startInstance(id);
+    }
+    return strategy;
+  }
+
+  // Hot update: the instance keeps running with its history and re-derives its indicators
+  updateParameters(id, changes = {}) {
+    const { strategy } = this.getInstance(id);
+    ExitManager.parseConfig({ ...strategy.parameters, ...changes });
+    strategy.updateParameters(changes);
+    this.saveConfigs();
+    return strategy.parameters;
+  }
+
+  async deleteStrategy(id) {
+    this.getInstance(id);
+    if (this.activeStrategies.has(id)) {
+      await this.stopStrategy(id);
+    }
+    this.instances.delete(id);
+    logger.info(`Strategy instance deleted: ${id}`);
+    this.saveConfigs();
+  }
+
+  setDataStore(dataStore) {
+    this.dataStore = dataStore;
+  }
+
+  setConfigStore(configStore) {
+    this.configStore = configStore;
+  }
+
+  // 'stopped', or the mode a running instance trades in
+  getInstanceMode(id) {
+    if (!this.activeStrategies.has(id)) return 'stopped';
+    return this.getInstance(id).strategy.parameters.mode === 'simulation' ? 'simulation' : 'live';
+  }
+
+  // Instances in the config store's shape
+  exportConfigs() {
+    return Array.from(this.instances.values()).map(({ id, type, strategy }) => {
+      const parameters = { ...strategy.parameters };
+      delete parameters.productIds;
+      return {
+        id,
+        type,
+        mode: this.getInstanceMode(id),
+        productIds: strategy.productIds,
+        parameters
+      };
+    });
+  }
+
+  saveConfigs() {
+    if (!this.configStore || this.savingPaused) return;
+    try {
+      this.configStore.save(this.exportConfigs());
+    } catch (error) {
+      logger.error('Error saving strategy configs:', error);
+    }
+  }
+
+  // Create or reconfigure the instance, then start or stop it to match the config's mode
+  async applyConfig(config) {
+    const parameters = { ...config.parameters };
+    if (config.productIds) {
+      parameters.productIds = config.productIds;
+    }
+    if (config.mode === 'simulation') {
+      parameters.mode = 'simulation';
+    } else if (config.mode === 'live' && parameters.mode === 'simulation') {
+      delete parameters.mode;
+    }
+
+    const id = config.id && this.instances.has(config.id)
+      ? (await this.updateStrategy(config.id, parameters, { replace: true })).id
+      : this.createStrategy(config.type, parameters, { id: config.id || undefined }).id;
+
+    const running = this.activeStrategies.has(id);
+    if (config.mode === 'stopped' && running) {
+      await this.stopStrategy(id);
+    } else if (config.mode !== 'stopped' && !running) {
+      await this.startInstance(id);
+    }
+    return id;
+  }
+
+  // Apply every config; with `replace`, instances missing from the list are deleted.
+  // One bad entry doesn't stop the others.
+  async importConfigs(configs, options = {}) {
+    const imported = [];
+    const failed = [];
+
+    this.savingPaused = true;
+    try {
+      for (const config of configs) {
+        try {
+          imported.push(await this.applyConfig(config));
+        } catch (error) {
+          logger.error(`Could not apply strategy config ${config.id || config.type}:`, error.message);
+          failed.push({ id: config.id || null, type: config.type, error: error.message });
+        }
+      }
+
+      if (options.replace) {
+        const keep = new Set([...imported, ...configs.map(config => config.id).filter(Boolean)]);
+        for (const id of Array.from(this.instances.keys())) {
+          if (!keep.has(id)) {
+            await this.deleteStrategy(id);
+          }
+        }
+      }
+    } finally {
+      this.savingPaused = false;
+    }
+
+    this.saveConfigs();
+    return { imported, failed };
+  }
+
+  // Bring back the instances saved by a previous run
+  async restoreConfigs() {
+    if (!this.configStore) return { imported: [], failed: [] };
+    const configs = await this.configStore.load();
+    const result = await this.importConfigs(configs);
+    logger.info(`Restored ${result.imported.length} strategy instance(s)${result.failed.length ? `, ${result.failed.length} failed` : ''}`);
+    return result;
+  }
+
+  // Restore the instance's earlier signals and fills, then persist new signals as they happen
+  attachDataStore(strategy) {
+    if (!this.dataStore) return;
+
+    // History is read in the background; restoreHistory puts it ahead of anything newer
+    this.restoreHistory(strategy)
+      .catch(error => logger.error(`Could not restore the history of ${strategy.getStrategyId()}:`, error));
+
+    strategy.addSignalListener(signal => {
+      this.dataStore.record('signals', {
+        type: signal.type,
+        strategy: signal.strategy,
+        strategyId: signal.strategyId,
+        productId: signal.productId || signal.data?.productId || null,
+        data: signal.data,
+        timestamp: signal.timestamp
+      });
+    });
+  }
+
+  async restoreHistory(strategy) {
+    const strategyId = strategy.getStrategyId();
+    const signals = await this.dataStore.query('signals', { strategyId, limit: 1000 });
+    const fills = await this.dataStore.query('fills', { strategy: strategyId, limit: 1000 });
+    const trades = fills.map(fill => ({
+      type: fill.side,
+      productId: fill.productId,
+      amount: fill.size,
+      price: fill.price,
+      fee: fill.fee,
+      orderId: fill.orderId,
+      simulated: Boolean(fill.paper),
+      timestamp: fill.timestamp
+    }));
+    strategy.restoreHistory({ signals, trades });
+  }
+
+  // Stopped instances keep their id and parameters until deleted. Stopping can take a while
+  // (the grid cancels its orders), so configs are saved once it has finished.
+  async stopStrategy(strategyName) {
     if (!this.activeStrategies.has(strategyName)) {
       throw new Error(`Strategy '${strategyName}' is not running`);
     }
 
     const strategy = this.activeStrategies.get(strategyName);
-    strategy.stop();
     this.activeStrategies.delete(strategyName);
-    
-    logger.info(`Strategy stopped: ${strategyName}`);
+    try {
+      await strategy.stop();
+      logger.info(`Strategy stopped: ${strategyName}`);
+    } finally {
+      this.saveConfigs();
+    }
   }
 
-  stopAllStrategies() {
-    for (const [name, strategy] of this.activeStrategies) {
-      strategy.stop();
-      logger.info(`Strategy stopped: ${name}`);
-    }
+  // One strategy failing to stop cleanly doesn't keep the others running
+  async stopAllStrategies() {
+    const stopping = Array.from(this.activeStrategies.entries());
     this.activeStrategies.clear();
+
+    const results = await Promise.allSettled(stopping.map(([, strategy]) => strategy.stop()));
+    results.forEach((result, index) => {
+      const name = stopping[index][0];
+      if (result.status === 'rejected') {
+        logger.error(`Error stopping strategy ${name}:`, result.reason);
+      } else {
+        logger.info(`Strategy stopped: ${name}`);
+      }
+    });
+    this.saveConfigs();
   }
 
   getActiveStrategies() {
@@ -62,15 +374,34 @@ class StrategyManager {
   }
 
   getStrategy(strategyName) {
-    return this.activeStrategies.get(strategyName);
+    return this.instances.get(strategyName)?.strategy;
   }
 
   getAllStrategies() {
     return Array.from(this.registeredStrategies.keys());
   }
 
+  describeInstance(id) {
+    const { type, strategy, createdAt } = this.getInstance(id);
+    return {
+      id,
+      type,
+      name: strategy.name,
+      status: this.activeStrategies.has(id) ? 'running' : 'stopped',
+      mode: this.getInstanceMode(id),
+      productIds: strategy.productIds,
+      parameters: strategy.parameters,
+      createdAt,
+      startedAt: strategy.startTime
+    };
+  }
+
+  getInstances() {
+    return Array.from(this.instances.keys()).map(id => this.describeInstance(id));
+  }
+
   getStrategyPerformance(strategyName) {
-    const strategy = this.activeStrategies.get(strategyName);
+    const strategy = this.getStrategy(strategyName);
     if (!strategy) {
       return null;
     }
@@ -80,14 +411,14 @@ class StrategyManager {
 
   getAllPerformance() {
     const performance = {};
-    for (const [name, strategy] of this.activeStrategies) {
-      performance[name] = strategy.getPerformance();
+    for (const [id, { strategy }] of this.instances) {
+      performance[id] = strategy.getPerformance();
     }
     return performance;
   }
 
   getSignals(strategyName) {
-    const strategy = this.activeStrategies.get(strategyName);
+    const strategy = this.getStrategy(strategyName);
     if (!strategy || typeof strategy.getSignals !== 'function') return [];
     return strategy.getSignals();
   }
@@ -1,7 +1,16 @@
 const logger = require('../utils/logger');
+const PaperBroker = require('./paperBroker');
+const PositionLedger = require('./positionLedger');
+const ExitManager = require('./exitManager');
+const RiskManager = require('./riskManager');
+const OrderBuilder = require('./orderBuilder');
+const PositionSizer = require('./positionSizer');
+
+// Order statuses that still may fill
+const WORKING_STATUSES = ['OPEN', 'PENDING'];
 
 class TradingEngine {
-  constructor(coinbaseService) {
+  constructor(coinbaseService, options = {}) {
     this.coinbaseService = coinbaseService;
     this.activeOrders = new Map();
     this.portfolio = {
@@ -9,9 +18,34 @@ class TradingEngine {
       USD: 0
     };
     this.tradingEnabled = false;
-    this.riskManager = new RiskManager();
+    this.halted = false; // Set by the circuit breaker; blocks every order except its own flattening sells
+    this.subscribers = new Set();
+    // Trading rules (increments, minimum sizes) for sizing, risk checks and paper fills; the bot
+    // passes its product catalog, which keeps them on disk
+    this.productSource = options.productSource || coinbaseService;
+    this.riskManager = options.riskManager || new RiskManager(coinbaseService, { productSource: this.productSource });
     this.unsubscribe = null;
     this.io = null;
+    this.dataStore = null;
+
+    // Paper trading: everything is simulated in demo mode, otherwise per strategy via mode 'simulation'
+    this.demoMode = options.demoMode ?? process.env.DEMO_MODE === 'true';
+    this.paperBroker = new PaperBroker(coinbaseService, { productSource: this.productSource, ...options.paper });
+    this.paperBroker.subscribe((event, data) => this.handlePaperEvent(event, data));
+
+    // Cost basis and P&L per strategy and product, built from every fill
+    this.positionLedger = options.positionLedger || new PositionLedger(coinbaseService, options.positions);
+
+    // Stop-loss, take-profit and trailing stops configured per strategy
+    this.exitManager = new ExitManager(this);
+
+    // Turns strategy sizing settings into sizes that fit each product's increments
+    this.positionSizer = options.positionSizer || new PositionSizer(this, { productSource: this.productSource });
+    this.exitManager.subscribe((event, data) => {
+      if (event === 'exit' && this.io) {
+        this.io.emit('exit-triggered', data);
+      }
+    });
   }
 
   async initialize() {
@@ -30,6 +64,12 @@ class TradingEngine {
   }
 
   async loadPortfolio() {
+    if (this.demoMode) {
+      this.portfolio = this.paperBroker.getPortfolio();
+      logger.info('Demo mode - using paper portfolio:', this.portfolio);
+      return;
+    }
+
     try {
       const accountsResponse = await this.coinbaseService.getAccounts();
       logger.debug('Raw accounts response:', JSON.stringify(accountsResponse, null, 2));
@@ -87,6 +127,10 @@ class TradingEngine {
   handlePriceUpdate(data) {
     // This will be called by strategies to make trading decisions
     logger.debug(`Price update: ${data.productId} - $${data.price}`);
+
+    // Resting paper limit orders fill against the live ticker
+    this.paperBroker.handlePriceUpdate(data);
+    this.exitManager.handlePriceUpdate(data);
   }
 
   handleTradeUpdate(data) {
@@ -95,74 +139,238 @@ class TradingEngine {
   }
 
   handleOrderBookUpdate(data) {
-    // Process order book updates
-    logger.debug('Order book update received');
+    // Summaries from the order book manager (see OrderBook.getSummary)
+    logger.debug(`Order book: ${data.productId} - bid ${data.bestBid?.price} / ask ${data.bestAsk?.price}, imbalance ${data.imbalance}`);
+  }
+
+  isSimulated(mode) {
+    return this.demoMode || mode === 'simulation';
+  }
+
+  getBroker(mode) {
+    return this.isSimulated(mode) ? this.paperBroker : this.coinbaseService;
+  }
+
+  getPortfolioForMode(mode) {
+    return this.isSimulated(mode) ? this.paperBroker.getPortfolio() : this.portfolio;
+  }
+
+  // Validated order request for the brokers. The order type is inferred from the price when not
+  // given; `options.order` adds what other types need (quoteSize, timeInForce, endTime, postOnly,
+  // stopPrice, stopDirection).
+  buildOrder(side, productId, amount, price, orderType, options = {}) {
+    return OrderBuilder.normalize({
+      ...options.order,
+      side,
+      productId,
+      type: orderType || options.order?.type,
+      baseSize: amount ?? options.order?.baseSize,
+      limitPrice: price ?? options.order?.limitPrice
+    });
   }
 
-  async executeBuyOrder(productId, amount, price = null, orderType = 'market') {
+  describeSize(request) {
+    return request.baseSize !== null ? request.baseSize : `$${request.quoteSize} of`;
+  }
+
+  // Extra information pre-trade rules can use beyond the order itself
+  getRiskContext(request, options = {}) {
+    return {
+      orderType: request.type,
+      quoteSize: request.quoteSize,
+      stopPrice: request.stopPrice,
+      strategy: options.strategy || null,
+      simulated: this.isSimulated(options.mode),
+      openOrders: this.activeOrders.size,
+      reduceOnly: options.reduceOnly === true,
+      // Orders meant to rest away from the market (grid lines) may widen the fat-finger check
+      maxPriceDeviation: options.maxPriceDeviation
+    };
+  }
+
+  async executeBuyOrder(productId, amount, price = null, orderType = null, options = {}) {
+    const simulated = this.isSimulated(options.mode);
+    if (this.halted && !options.bypassHalt) {
+      return { success: false, error: 'Trading is halted', code: 'HALTED' };
+    }
+
+    let request;
+    try {
+      request = this.buildOrder('buy', productId, amount, price, orderType, options);
+    } catch (error) {
+      logger.warn(`Buy order rejected: ${error.message}`);
+      return { success: false, error: error.message, code: 'INVALID_ORDER' };
+    }
+
     try {
       // Risk management checks
-      const riskCheck = await this.riskManager.checkBuyOrder(productId, amount, price, this.portfolio);
+      const riskCheck = await this.riskManager.checkBuyOrder(productId, request.baseSize, request.limitPrice, this.getPortfolioForMode(options.mode), this.getRiskContext(request, options));
       if (!riskCheck.approved) {
-        logger.warn('Buy order rejected by risk manager:', riskCheck.reason);
-        return { success: false, error: riskCheck.reason };
+        logger.warn(`Buy order rejected by risk manager [${riskCheck.code}]: ${riskCheck.reason}`);
+        return { success: false, error: riskCheck.reason, code: riskCheck.code };
       }
 
       // Place the order
-      const result = await this.coinbaseService.placeBuyOrder(productId, amount, price);
+      const result = await this.getBroker(options.mode).placeBuyOrder(productId, request.baseSize, request.limitPrice, { strategy: options.strategy, order: request });
+      this.riskManager.recordOrder?.();
       
       // Track the order
-      const orderId = result.order?.order_id || result.order_id || result.id;
-      if (orderId) {
-        this.activeOrders.set(orderId, {
-          ...result.order,
-          timestamp: new Date(),
-          type: 'buy'
-        });
-      }
+      const order = this.trackOrder(result, { side: 'buy', request, simulated, strategy: options.strategy });
 
-      logger.info(`Buy order executed: ${amount} ${productId} at ${price || 'market'}`);
-      return { success: true, order: result.order || result };
+      logger.info(`${simulated ? '[PAPER] ' : ''}Buy ${request.type} order executed: ${this.describeSize(request)} ${productId} at ${request.limitPrice || 'market'}`);
+      return { success: true, simulated, order };
     } catch (error) {
       logger.error('Error executing buy order:', error);
+      this.notifySubscribers('order-error', { side: 'buy', productId, amount, error: error.message, simulated });
       return { success: false, error: error.message };
     }
   }
 
-  async executeSellOrder(productId, amount, price = null, orderType = 'market') {
+  async executeSellOrder(productId, amount, price = null, orderType = null, options = {}) {
+    const simulated = this.isSimulated(options.mode);
+    if (this.halted && !options.bypassHalt) {
+      return { success: false, error: 'Trading is halted', code: 'HALTED' };
+    }
+
+    let request;
+    try {
+      request = this.buildOrder('sell', productId, amount, price, orderType, options);
+    } catch (error) {
+      logger.warn(`Sell order rejected: ${error.message}`);
+      return { success: false, error: error.message, code: 'INVALID_ORDER' };
+    }
+
     try {
       // Risk management checks
-      const riskCheck = await this.riskManager.checkSellOrder(productId, amount, price, this.portfolio);
+      const riskCheck = await this.riskManager.checkSellOrder(productId, request.baseSize, request.limitPrice, this.getPortfolioForMode(options.mode), this.getRiskContext(request, options));
       if (!riskCheck.approved) {
-        logger.warn('Sell order rejected by risk manager:', riskCheck.reason);
-        return { success: false, error: riskCheck.reason };
+        logger.warn(`Sell order rejected by risk manager [${riskCheck.code}]: ${riskCheck.reason}`);
+        return { success: false, error: riskCheck.reason, code: riskCheck.code };
       }
 
       // Place the order
-      const result = await this.coinbaseService.placeSellOrder(productId, amount, price);
+      const result = await this.getBroker(options.mode).placeSellOrder(productId, request.baseSize, request.limitPrice, { strategy: options.strategy, order: request });
+      this.riskManager.recordOrder?.();
       
       // Track the order
-      const orderId = result.order?.order_id || result.order_id || result.id;
-      if (orderId) {
-        this.activeOrders.set(orderId, {
-          ...result.order,
-          timestamp: new Date(),
-          type: 'sell'
-        });
-      }
+      const order = this.trackOrder(result, { side: 'sell', request, simulated, strategy: options.strategy });
 
-      logger.info(`Sell order executed: ${amount} ${productId} at ${price || 'market'}`);
-      return { success: true, order: result.order || result };
+      logger.info(`${simulated ? '[PAPER] ' : ''}Sell ${request.type} order executed: ${this.describeSize(request)} ${productId} at ${request.limitPrice || 'market'}`);
+      return { success: true, simulated, order };
     } catch (error) {
       logger.error('Error executing sell order:', error);
+      this.notifySubscribers('order-error', { side: 'sell', productId, amount, error: error.message, simulated });
       return { success: false, error: error.message };
     }
   }
 
+  // Normalize a broker response, keep tracking the order while it is working and persist it
+  trackOrder(result, details) {
+    if (result.success === false) {
+      const reason = result.error_response?.message || result.error_response?.error || result.failure_reason || 'Order rejected by exchange';
+      throw new Error(reason);
+    }
+
+    // Paper orders come back whole; Advanced Trade only returns the new order id
+    const { request } = details;
+    const orderId = result.order?.order_id || result.success_response?.order_id || result.order_id || result.id;
+    const order = {
+      order_id: orderId,
+      product_id: request.productId,
+      side: details.side.toUpperCase(),
+      order_type: request.type.toUpperCase().replace('-', '_'),
+      base_size: request.baseSize,
+      quote_size: request.quoteSize,
+      limit_price: request.limitPrice,
+      stop_price: request.stopPrice,
+      time_in_force: request.timeInForce.toUpperCase(),
+      status: 'OPEN',
+      filled_size: 0,
+      average_filled_price: 0,
+      total_fees: 0,
+      ...result.order,
+      timestamp: new Date(),
+      type: details.side,
+      paper: details.simulated,
+      strategy: details.strategy || null
+    };
+
+    // IOC and FOK orders may be done (filled or cancelled) as soon as they are placed
+    if (orderId && WORKING_STATUSES.includes(order.status)) {
+      this.activeOrders.set(orderId, order);
+    }
+
+    this.recordOrder({
+      orderId,
+      productId: request.productId,
+      side: details.side,
+      size: order.base_size,
+      price: request.limitPrice,
+      orderType: request.type,
+      stopPrice: request.stopPrice,
+      timeInForce: request.timeInForce,
+      status: order.status,
+      paper: details.simulated,
+      strategy: order.strategy
+    });
+    // The paper broker announces its own orders through handlePaperEvent
+    if (!details.simulated) {
+      this.emitOrderUpdate(order);
+    }
+
+    return order;
+  }
+
+  // Apply an exchange fill (or the newly filled part of an order) to the live portfolio
+  applyFill(fill) {
+    const [base, quote] = fill.productId.split('-');
+    const notional = fill.size * fill.price;
+
+    if (fill.side === 'buy') {
+      this.portfolio[base] = (this.portfolio[base] || 0) + fill.size;
+      this.portfolio[quote] = (this.portfolio[quote] || 0) - notional - fill.fee;
+    } else {
+      this.portfolio[base] = (this.portfolio[base] || 0) - fill.size;
+      this.portfolio[quote] = (this.portfolio[quote] || 0) + notional - fill.fee;
+    }
+
+    logger.info(`Fill applied: ${fill.side} ${fill.size} ${fill.productId} @ $${fill.price} (fee $${fill.fee})`);
+    this.recordFill(fill);
+
+    if (this.io) {
+      this.io.emit('portfolio-update', {
+        portfolio: this.getPortfolio(),
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  emitOrderUpdate(order) {
+    if (this.io) {
+      this.io.emit('order-update', {
+        ...order,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
   async cancelOrder(orderId) {
     try {
-      await this.coinbaseService.cancelOrder(orderId);
+      const order = this.activeOrders.get(orderId);
+      const broker = order?.paper || orderId.startsWith('paper-') ? this.paperBroker : this.coinbaseService;
+      await broker.cancelOrder(orderId);
       this.activeOrders.delete(orderId);
+      this.recordOrder({
+        orderId,
+        productId: order?.product_id,
+        side: order?.type,
+        status: 'CANCELLED',
+        paper: broker === this.paperBroker,
+        strategy: order?.strategy || null
+      });
+      if (order && broker !== this.paperBroker) {
+        this.emitOrderUpdate({ ...order, status: 'CANCELLED' });
+      }
       logger.info(`Order cancelled: ${orderId}`);
       return { success: true };
     } catch (error) {
@@ -172,7 +380,50 @@ class TradingEngine {
   }
 
   getPortfolio() {
-    return this.portfolio;
+    return this.demoMode ? this.paperBroker.getPortfolio() : this.portfolio;
+  }
+
+  getPaperSummary() {
+    return this.paperBroker.getSummary();
+  }
+
+  resetPaperPortfolio(initialBalances = null) {
+    this.paperBroker.reset(initialBalances);
+    this.positionLedger.reset({ account: 'paper' });
+    for (const [orderId, order] of this.activeOrders) {
+      if (order.paper) {
+        this.activeOrders.delete(orderId);
+      }
+    }
+  }
+
+  handlePaperEvent(event, data) {
+    if (event === 'fill') {
+      // Resting limit orders leave the active set once filled
+      this.activeOrders.delete(data.order.order_id);
+      this.recordFill({ ...data.fill, strategy: data.order.strategy, paper: true });
+      this.emitOrderUpdate(data.order);
+      if (this.io) {
+        this.io.emit('paper-fill', {
+          ...data.fill,
+          portfolio: data.portfolio,
+          timestamp: data.fill.timestamp.toISOString()
+        });
+      }
+    } else if (event === 'order') {
+      // Expired and cancelled paper orders (GTD, unfilled IOC) are no longer working
+      if (!WORKING_STATUSES.includes(data.status)) {
+        this.activeOrders.delete(data.order_id);
+      }
+      this.emitOrderUpdate(data);
+    }
+
+    if ((event === 'fill' || event === 'reset') && this.demoMode && this.io) {
+      this.io.emit('portfolio-update', {
+        portfolio: this.paperBroker.getPortfolio(),
+        timestamp: new Date().toISOString()
+      });
+    }
   }
 
   getActiveOrders() {
@@ -182,7 +433,7 @@ class TradingEngine {
   async syncPortfolio() {
     await this.loadPortfolio();
     // After loading, update WebSocket subscriptions to all held cryptos
-    const heldCryptos = Object.entries(this.portfolio)
+    const heldCryptos = Object.entries(this.getPortfolio())
       .filter(([currency, amount]) => amount > 0 && currency !== 'USD' && currency !== 'USDC')
       .map(([currency]) => `${currency}-USD`);
     if (this.coinbaseService && heldCryptos.length > 0) {
@@ -191,108 +442,135 @@ class TradingEngine {
     // Emit portfolio update via Socket.IO if available
     if (this.io) {
       this.io.emit('portfolio-update', {
-        portfolio: this.portfolio,
+        portfolio: this.getPortfolio(),
         timestamp: new Date().toISOString()
       });
     }
   }
 
-  setSocketIO(io) {
-    this.io = io;
+  setHalted(halted) {
+    this.halted = halted;
   }
 
-  async stop() {
-    this.tradingEnabled = false;
-    // Note: No need to unsubscribe since we don't subscribe directly anymore
-    logger.info('Trading engine stopped');
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
   }
 
-  getAvailableCryptos() {
-    // Return all portfolio keys as crypto symbols, with USD pairs
-    return Object.keys(this.portfolio)
-      .filter(symbol => symbol !== 'USD' && symbol !== 'USDC')
-      .map(symbol => ({
-        id: `${symbol}-USD`,
-        symbol,
-        name: symbol, // Optionally, map to a friendly name if you have a lookup
-        icon: '❓' // Optionally, map to an icon if you have a lookup
-      }));
+  notifySubscribers(event, data) {
+    this.subscribers.forEach(callback => {
+      try {
+        callback(event, data);
+      } catch (error) {
+        logger.error('Error in trading engine subscriber:', error);
+      }
+    });
   }
-}
 
-class RiskManager {
-  constructor() {
-    this.maxPositionSize = parseFloat(process.env.MAX_POSITION_SIZE) || 1000;
-    this.riskTolerance = parseFloat(process.env.RISK_TOLERANCE) || 0.05;
-    this.dailyLossLimit = this.maxPositionSize * this.riskTolerance;
-    this.dailyLoss = 0;
-    this.lastResetDate = new Date().toDateString();
+  setSocketIO(io) {
+    this.io = io;
   }
 
-  async checkBuyOrder(productId, amount, price, portfolio) {
-    this.resetDailyLossIfNeeded();
-
-    const currentPrice = price || this.getCurrentPrice(productId);
-    const orderValue = amount * currentPrice;
+  setDataStore(dataStore) {
+    this.dataStore = dataStore;
+  }
 
-    // Check if order exceeds position size limit
-    if (orderValue > this.maxPositionSize) {
-      return {
-        approved: false,
-        reason: `Order value $${orderValue} exceeds max position size $${this.maxPositionSize}`
-      };
+  recordOrder(order) {
+    if (this.dataStore && order.orderId) {
+      this.dataStore.record('orders', order);
     }
+  }
 
-    // Check if sufficient funds
-    if (portfolio.USD < orderValue) {
-      return {
-        approved: false,
-        reason: `Insufficient funds. Required: $${orderValue}, Available: $${portfolio.USD}`
-      };
+  recordFill(fill) {
+    if (this.dataStore) {
+      this.dataStore.record('fills', fill);
     }
 
-    // Check daily loss limit
-    if (this.dailyLoss >= this.dailyLossLimit) {
-      return {
-        approved: false,
-        reason: `Daily loss limit reached: $${this.dailyLoss}`
-      };
+    const realized = this.positionLedger.applyFill(fill);
+    // Simulation-mode losses must not eat into the live daily loss limit
+    if (realized < 0 && (!fill.paper || this.demoMode)) {
+      this.riskManager.recordLoss(Math.abs(realized));
+      this.notifySubscribers('loss', {
+        amount: Math.abs(realized),
+        dailyLoss: this.riskManager.dailyLoss,
+        dailyLossLimit: this.riskManager.dailyLossLimit
+      });
     }
-
-    return { approved: true };
+    this.emitPositionsUpdate();
+    // Lets strategies with resting orders (e.g. the grid) react to their fills
+    this.notifySubscribers('fill', fill);
   }
 
-  async checkSellOrder(productId, amount, price, portfolio) {
-    this.resetDailyLossIfNeeded();
-
-    // Check if sufficient crypto balance
-    const cryptoSymbol = productId.split('-')[0];
-    if (portfolio[cryptoSymbol] < amount) {
-      return {
-        approved: false,
-        reason: `Insufficient ${cryptoSymbol} balance. Required: ${amount}, Available: ${portfolio[cryptoSymbol]}`
-      };
+  emitPositionsUpdate() {
+    if (this.io) {
+      this.io.emit('positions-update', {
+        positions: this.positionLedger.getPositions(),
+        summary: this.positionLedger.getSummary(),
+        timestamp: new Date().toISOString()
+      });
     }
-
-    return { approved: true };
   }
 
-  resetDailyLossIfNeeded() {
+  // Rebuild live positions from persisted fills; today's realized losses count toward the daily limit again.
+  // Paper fills are skipped because the paper portfolio starts fresh on every run.
+  restorePositions(fillRecords) {
     const today = new Date().toDateString();
-    if (this.lastResetDate !== today) {
-      this.dailyLoss = 0;
-      this.lastResetDate = today;
+    const liveFills = fillRecords.filter(fill => !fill.paper);
+    liveFills.forEach(fill => {
+      const realized = this.positionLedger.applyFill(fill, { silent: true });
+      if (realized < 0 && new Date(fill.timestamp).toDateString() === today) {
+        this.riskManager.recordLoss(Math.abs(realized));
+      }
+    });
+    logger.info(`Restored positions from ${liveFills.length} live fills`);
+  }
+
+  // Re-track live orders that were still open when the bot last stopped
+  restoreOrders(orderRecords) {
+    const latest = new Map();
+    orderRecords.forEach(record => latest.set(record.orderId, { ...latest.get(record.orderId), ...record }));
+
+    for (const order of latest.values()) {
+      if (order.paper || !WORKING_STATUSES.includes(order.status)) continue;
+      this.activeOrders.set(order.orderId, {
+        order_id: order.orderId,
+        product_id: order.productId,
+        side: order.side?.toUpperCase(),
+        order_type: order.orderType ? order.orderType.toUpperCase().replace('-', '_') : undefined,
+        base_size: order.size,
+        limit_price: order.price,
+        stop_price: order.stopPrice ?? null,
+        status: order.status,
+        // Keep fills already applied so the order tracker only books what is new
+        filled_size: order.filledSize || 0,
+        average_filled_price: order.averagePrice || 0,
+        total_fees: order.totalFees || 0,
+        timestamp: order.timestamp,
+        type: order.side,
+        paper: false,
+        strategy: order.strategy || null,
+        restored: true
+      });
     }
+    logger.info(`Restored ${this.activeOrders.size} open orders from the data store`);
   }
 
-  getCurrentPrice(productId) {
-    // This would get the current price from the market data
-    // For now, return a placeholder
-    return 50000; // BTC price placeholder
+  async stop() {
+    this.tradingEnabled = false;
+    // Note: No need to unsubscribe since we don't subscribe directly anymore
+    logger.info('Trading engine stopped');
   }
 
-  recordLoss(amount) {
-    this.dailyLoss += amount;
+  getAvailableCryptos() {
+    // Return all portfolio keys as crypto symbols, with USD pairs
+    return Object.keys(this.portfolio)
+      .filter(symbol => symbol !== 'USD' && symbol !== 'USDC')
+      .map(symbol => ({
+        id: `${symbol}-USD`,
+        symbol,
+        name: symbol, // Optionally, map to a friendly name if you have a lookup
+        icon: '❓' // Optionally, map to an icon if you have a lookup
+      }));
   }
 }
 
@@ -1,13 +1,63 @@
 const logger = require('../utils/logger');
+const CronSchedule = require('../utils/cronSchedule');
+const PositionSizer = require('../services/positionSizer');
+
+// Parameters every strategy understands; subclasses add their own to parameterSchema.
+// `group` sorts them into sections of the dashboard form, `hidden` ones have their own controls.
+const COMMON_PARAMETERS = {
+  sizing: { type: 'string', enum: ['base', 'quote', 'percent', 'volatility'], default: 'base', group: 'trading', label: 'Sizing', description: 'How orders are sized: a base amount, a quote amount, a % of the balance, or by volatility (ATR)' },
+  tradeAmount: { type: 'number', min: 0, step: 0.001, default: 0.01, group: 'trading', label: 'Trade Amount', description: 'Base currency amount per order (base sizing)' },
+  tradeValue: { type: 'number', min: 0, step: 1, group: 'trading', label: 'Trade Value', description: 'Quote currency amount per order, e.g. 100 for $100 (quote sizing)' },
+  tradePercent: { type: 'number', min: 0, max: 100, step: 0.1, group: 'trading', label: 'Trade %', description: '% of the available balance per order: quote for buys, base for sells (percent sizing)' },
+  riskPercent: { type: 'number', min: 0, max: 100, step: 0.1, group: 'trading', label: 'Risk per ATR %', description: 'Size so a one-ATR move is this % of the quote balance, using the ATR settings (volatility sizing)' },
+  productIds: { type: 'list', group: 'trading', label: 'Products', description: 'Products to trade, e.g. BTC-USD,ETH-USD (empty = all subscribed)' },
+  autoTrade: { type: 'boolean', default: false, group: 'trading', label: 'Auto Trade', description: 'Place orders on signals (simulation and live mode always do)' },
+  orderType: { type: 'string', enum: ['market', 'limit'], default: 'market', group: 'trading', label: 'Order Type', description: 'Orders placed on signals: market, or limit at the signal price' },
+  limitOffset: { type: 'number', min: 0, max: 10, step: 0.01, default: 0, group: 'trading', label: 'Limit Offset %', description: 'How far limit orders sit from the signal price, below it for buys and above it for sells' },
+  timeInForce: { type: 'string', enum: ['gtc', 'ioc', 'fok'], group: 'trading', label: 'Time in Force', description: 'For limit orders: gtc rests until filled, ioc fills what it can now, fok all or nothing (default gtc)' },
+  postOnly: { type: 'boolean', default: false, group: 'trading', label: 'Post Only', description: 'Reject gtc limit orders that would fill at once, so they only ever pay maker fees' },
+  candleInterval: { type: 'string', enum: ['1m', '5m', '15m', '1h', '1d'], group: 'trading', label: 'Candle Interval', description: 'Candles delivered to onCandle' },
+  warmupCandles: { type: 'integer', min: 0, max: 1000, group: 'trading', label: 'Warm-up Candles', description: 'Historical candles replayed on start to prime indicators (empty = what the strategy needs, 0 = off)' },
+  warmupInterval: { type: 'string', enum: ['1m', '5m', '15m', '1h', '1d'], group: 'trading', label: 'Warm-up Interval', description: 'Interval of the warm-up candles (defaults to the candle interval or 1m)' },
+  // The dashboard's Active button sends 'active'
+  mode: { type: 'string', enum: ['simulation', 'live'], valueAliases: { active: 'live' }, hidden: true, label: 'Mode', description: 'simulation trades against the paper broker, live on the exchange' },
+  productId: { type: 'string', hidden: true, label: 'Product', description: 'Product for signals that do not name one' },
+  stopLoss: { type: 'number', min: 0, group: 'exits', label: 'Stop Loss', description: 'Sell this far (quote currency) below the entry' },
+  stopLossPercent: { type: 'number', min: 0, max: 100, group: 'exits', label: 'Stop Loss %', description: 'Sell this % below the entry' },
+  takeProfit: { type: 'number', min: 0, group: 'exits', label: 'Take Profit', description: 'Sell this far (quote currency) above the entry' },
+  takeProfitPercent: { type: 'number', min: 0, group: 'exits', label: 'Take Profit %', description: 'Sell this % above the entry' },
+  trailingStopPercent: { type: 'number', min: 0, max: 100, group: 'exits', label: 'Trailing Stop %', description: 'Sell this % below the highest price since entry' },
+  trailingStopAtr: { type: 'number', min: 0, group: 'exits', label: 'Trailing Stop (ATR)', description: 'Trailing stop at this multiple of the ATR' },
+  atrPeriod: { type: 'integer', min: 1, max: 500, default: 14, group: 'exits', label: 'ATR Period', description: 'Candles in the ATR' },
+  atrInterval: { type: 'string', enum: ['1m', '5m', '15m', '1h', '1d'], group: 'exits', label: 'ATR Interval', description: 'Candle interval of the ATR (defaults to the candle interval or 1m)' }
+};
+
+// Live events held back while a warm-up is in progress
+const MAX_WARMUP_BUFFER = 10000;
+// How often live strategies check their schedules; cron resolution is a minute
+const SCHEDULE_CHECK_MS = 15000;
 
 class BaseStrategy {
   constructor(name, parameters = {}) {
     this.name = name;
+    this.id = null; // Instance id, assigned by the strategy manager
+    this.type = null;
     this.parameters = parameters;
     this.isActive = false;
     this.tradingEngine = null;
     this.coinbaseService = null;
+    this.candleHistory = null;
     this.unsubscribe = null;
+    this.isBacktest = false;
+
+    // While historical candles are replayed, signals are suppressed and live data waits in the buffer
+    this.warmingUp = false;
+    this.warmupBuffer = [];
+    this.warmup = null;
+
+    // Time-based triggers (addSchedule)
+    this.schedules = [];
+    this.scheduleTimer = null;
     
     // Performance tracking
     this.trades = [];
@@ -18,17 +68,189 @@ class BaseStrategy {
     
     // Signal tracking
     this.signals = [];
+    this.maxSignals = 1000;
+    // Prices kept per product so indicators can be re-derived when parameters change
+    this.maxHistory = 500;
     this.lastSignal = null;
+    this.signalListeners = new Set();
+
+    // Products this instance trades; null means every product it receives
+    this.productIds = BaseStrategy.parseProductIds(parameters.productIds);
+
+    // Candle intervals this strategy receives onCandle for
+    this.candleIntervals = new Set();
+    if (parameters.candleInterval) {
+      this.subscribeCandles(parameters.candleInterval);
+    }
+  }
+
+  // Shown in GET /strategies and on the dashboard; subclasses override both
+  static get displayName() {
+    return this.name;
+  }
+
+  static get description() {
+    return '';
+  }
+
+  static get parameterSchema() {
+    return COMMON_PARAMETERS;
+  }
+
+  // Checks values against parameterSchema and returns a copy with numbers and booleans coerced
+  // from strings and aliases renamed. Empty values are dropped so the default applies; unknown
+  // keys are rejected so a misspelled setting can't be silently ignored.
+  static validateParameters(parameters = {}) {
+    const schema = this.parameterSchema;
+    const result = { ...parameters };
+    const errors = [];
+
+    for (const [key, spec] of Object.entries(schema)) {
+      for (const alias of spec.aliases || []) {
+        if (result[alias] !== undefined) {
+          result[key] = result[key] ?? result[alias];
+          delete result[alias];
+        }
+      }
+    }
+
+    Object.keys(result)
+      .filter(key => !schema[key])
+      .forEach(key => errors.push(`${key} is not a parameter of ${this.displayName}`));
+
+    for (const [key, spec] of Object.entries(schema)) {
+      if (result[key] === undefined) continue;
+      if (result[key] === null || result[key] === '') {
+        delete result[key];
+        continue;
+      }
+
+      const { value, error } = BaseStrategy.coerceParameter(result[key], spec);
+      if (error) {
+        errors.push(`${key} ${error}`);
+      } else {
+        result[key] = value;
+      }
+    }
+
+    // The amount the sizing mode reads has no sensible default
+    const sizingParameter = PositionSizer.SIZING_PARAMETERS[result.sizing];
+    if (sizingParameter && sizingParameter !== 'tradeAmount' && !(result[sizingParameter] > 0)) {
+      errors.push(`${sizingParameter} is required for ${result.sizing} sizing`);
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid parameters: ${errors.join('; ')}`);
+    }
+    return result;
+  }
+
+  static coerceParameter(value, spec) {
+    switch (spec.type) {
+      case 'integer':
+      case 'number': {
+        const number = typeof value === 'string' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) return { error: 'must be a number' };
+        if (spec.type === 'integer' && !Number.isInteger(number)) return { error: 'must be a whole number' };
+        if (spec.min !== undefined && number < spec.min) return { error: `must be at least ${spec.min}` };
+        if (spec.max !== undefined && number > spec.max) return { error: `must be at most ${spec.max}` };
+        return { value: number };
+      }
+      case 'boolean':
+        if (typeof value === 'boolean') return { value };
+        if (value === 'true' || value === 'false') return { value: value === 'true' };
+        return { error: 'must be true or false' };
+      case 'list':
+        if (Array.isArray(value) || typeof value === 'string') return { value };
+        return { error: 'must be a list or a comma-separated string' };
+      case 'object': {
+        let object = value;
+        if (typeof value === 'string') {
+          try {
+            object = JSON.parse(value);
+          } catch (error) {
+            return { error: 'must be an object or JSON' };
+          }
+        }
+        if (!object || typeof object !== 'object' || Array.isArray(object)) return { error: 'must be an object' };
+        return { value: object };
+      }
+      default: {
+        if (typeof value !== 'string') return { error: 'must be a string' };
+        const named = spec.valueAliases?.[value] ?? value;
+        if (spec.enum && !spec.enum.includes(named)) return { error: `must be one of ${spec.enum.join(', ')}` };
+        return { value: named };
+      }
+    }
+  }
+
+  // Current value of a parameter, falling back to the schema default
+  getParameter(key) {
+    return this.parameters[key] ?? this.constructor.parameterSchema[key]?.default;
+  }
+
+  // Apply new parameter values while running. History is kept and onParametersUpdate
+  // re-derives the indicators from it, so the strategy doesn't have to warm up again.
+  updateParameters(changes = {}) {
+    const parameters = this.constructor.validateParameters({ ...this.parameters, ...changes });
+    const previous = this.parameters;
+    this.parameters = parameters;
+    this.productIds = BaseStrategy.parseProductIds(parameters.productIds);
+
+    if (previous.candleInterval !== parameters.candleInterval) {
+      if (previous.candleInterval) this.unsubscribeCandles(previous.candleInterval);
+      if (parameters.candleInterval) this.subscribeCandles(parameters.candleInterval);
+    }
+
+    if (this.isActive) {
+      this.configureExits();
+    }
+
+    this.onParametersUpdate(parameters, previous);
+    logger.info(`Parameters updated for ${this.getStrategyId()}:`, changes);
+    return parameters;
+  }
+
+  // Accepts an array or a comma-separated string ('BTC-USD,ETH-USD')
+  static parseProductIds(productIds) {
+    if (!productIds) return null;
+    const list = (Array.isArray(productIds) ? productIds : String(productIds).split(','))
+      .map(id => String(id).trim().toUpperCase())
+      .filter(Boolean);
+    return list.length > 0 ? list : null;
+  }
+
+  // Orders, fills, positions and exits are attributed to the instance, falling back to the name
+  getStrategyId() {
+    return this.id || this.name;
   }
 
-  async start() {
+  getProductId(data) {
+    return data.productId || data.product_id || data.symbol || data.id || 'UNKNOWN';
+  }
+
+  handlesProduct(productId) {
+    return !this.productIds || this.productIds.includes(productId);
+  }
+
+  subscribeCandles(interval) {
+    this.candleIntervals.add(interval);
+  }
+
+  unsubscribeCandles(interval) {
+    this.candleIntervals.delete(interval);
+  }
+
+  async start(services = {}) {
     if (this.isActive) {
       throw new Error(`Strategy ${this.name} is already active`);
     }
 
-    // Get services from global
-    this.tradingEngine = global.tradingBot?.tradingEngine;
-    this.coinbaseService = global.tradingBot?.coinbaseService;
+    // Services can be injected (e.g. by the backtester), otherwise use the running bot's
+    this.tradingEngine = services.tradingEngine || global.tradingBot?.tradingEngine;
+    this.coinbaseService = services.coinbaseService || global.tradingBot?.coinbaseService;
+    this.candleHistory = services.candleHistory || global.tradingBot?.candleHistory || null;
+    this.isBacktest = Boolean(services.backtest);
 
     if (!this.tradingEngine || !this.coinbaseService) {
       throw new Error('Trading engine or Coinbase service not available');
@@ -36,6 +258,8 @@ class BaseStrategy {
 
     // Note: Market data is forwarded from main server, no need to subscribe directly
 
+    this.configureExits();
+
     this.isActive = true;
     this.startTime = new Date();
     
@@ -45,6 +269,121 @@ class BaseStrategy {
     if (this.onStart) {
       await this.onStart();
     }
+
+    if (this.schedules.length > 0) {
+      this.startScheduleTimer();
+    }
+  }
+
+  // Run `callback(time)` at every minute matching a cron expression ('0 9 * * 1' = Mondays 9:00).
+  // Runs missed while stopped are skipped. Returns a function that removes the schedule.
+  addSchedule(expression, callback) {
+    const schedule = { cron: new CronSchedule(expression), callback, nextRun: null, lastRun: null };
+    this.schedules.push(schedule);
+    if (this.isActive) {
+      this.startScheduleTimer();
+    }
+    return () => {
+      this.schedules = this.schedules.filter(s => s !== schedule);
+    };
+  }
+
+  // Backtests run schedules on the replayed data's time instead
+  startScheduleTimer() {
+    if (this.isBacktest) return;
+    this.runDueSchedules(Date.now());
+    if (this.scheduleTimer) return;
+    this.scheduleTimer = setInterval(() => this.runDueSchedules(Date.now()), SCHEDULE_CHECK_MS);
+    if (this.scheduleTimer.unref) this.scheduleTimer.unref();
+  }
+
+  runDueSchedules(now) {
+    for (const schedule of this.schedules) {
+      if (schedule.nextRun === null || !this.isActive) {
+        schedule.nextRun = schedule.cron.next(now);
+        continue;
+      }
+      if (now < schedule.nextRun) continue;
+
+      schedule.lastRun = now;
+      schedule.nextRun = schedule.cron.next(now);
+      Promise.resolve()
+        .then(() => schedule.callback(new Date(now)))
+        .catch(error => logger.error(`Scheduled run of ${this.getStrategyId()} failed:`, error));
+    }
+  }
+
+  getSchedules() {
+    return this.schedules.map(({ cron, nextRun, lastRun }) => ({
+      schedule: cron.toString(),
+      nextRun: nextRun ? new Date(nextRun) : null,
+      lastRun: lastRun ? new Date(lastRun) : null
+    }));
+  }
+
+  getWarmupInterval() {
+    // Override in concrete strategy - interval of the warm-up candles when none is configured
+    return '1m';
+  }
+
+  getWarmupCandles() {
+    return this.parameters.warmupCandles ?? this.getRequiredHistory();
+  }
+
+  // Replay the last `count` closed candles of each product through onPriceUpdate (and onCandle
+  // when subscribed to their interval) so indicators are primed without emitting signals.
+  // A failed fetch only logs: the strategy then warms up from the live feed as before.
+  async warmUp(count = this.getWarmupCandles(), options = {}) {
+    if (this.isBacktest || !count || !this.candleHistory) return null;
+
+    const interval = options.interval || this.parameters.warmupInterval || this.parameters.candleInterval || this.getWarmupInterval();
+    const productIds = options.productIds || this.productIds || this.coinbaseService?.subscribedProducts || [];
+    const status = { interval, requested: count, products: {}, startedAt: new Date(), completedAt: null };
+    this.warmup = status;
+    this.warmingUp = true;
+
+    try {
+      for (const productId of productIds) {
+        try {
+          const { candles, source } = await this.candleHistory.getCandles(productId, interval, count);
+          this.replayCandles(candles);
+          status.products[productId] = { candles: candles.length, source };
+        } catch (error) {
+          logger.warn(`Warm-up of ${this.getStrategyId()} for ${productId} failed:`, error.message);
+          status.products[productId] = { candles: 0, error: error.message };
+        }
+      }
+      this.onWarmupComplete(productIds);
+    } finally {
+      this.warmingUp = false;
+      const buffered = this.warmupBuffer;
+      this.warmupBuffer = [];
+      buffered.forEach(([event, data]) => this.handleMarketData(event, data));
+    }
+
+    status.completedAt = new Date();
+    const total = Object.values(status.products).reduce((sum, product) => sum + product.candles, 0);
+    logger.info(`Strategy ${this.getStrategyId()} warmed up with ${total} ${interval} candles`);
+    return status;
+  }
+
+  replayCandles(candles) {
+    for (const candle of candles) {
+      if (this.onPriceUpdate) {
+        this.onPriceUpdate({ productId: candle.productId, price: candle.close, timestamp: candle.timestamp, warmup: true });
+      }
+      if (this.onCandle && this.candleIntervals.has(candle.interval)) {
+        this.onCandle(candle);
+      }
+    }
+  }
+
+  // Protective exits from parameters (stopLoss, takeProfitPercent, trailingStopAtr, ...)
+  configureExits() {
+    this.tradingEngine?.exitManager?.configure(this.getStrategyId(), this.parameters, {
+      mode: this.parameters.mode,
+      onExit: exit => this.handleExit(exit)
+    });
   }
 
   async stop() {
@@ -53,6 +392,12 @@ class BaseStrategy {
     // Note: No need to unsubscribe since we don't subscribe directly anymore
 
     this.isActive = false;
+    this.tradingEngine?.exitManager?.remove(this.getStrategyId());
+    if (this.scheduleTimer) {
+      clearInterval(this.scheduleTimer);
+      this.scheduleTimer = null;
+    }
+    this.schedules.forEach(schedule => { schedule.nextRun = null; });
     
     logger.info(`Strategy stopped: ${this.name}`);
     
@@ -64,6 +409,12 @@ class BaseStrategy {
 
   handleMarketData(event, data) {
     if (!this.isActive) return;
+    if (!this.handlesProduct(this.getProductId(data))) return;
+    if (this.warmingUp) {
+      // Replayed after the history so indicators see prices in order
+      if (this.warmupBuffer.length < MAX_WARMUP_BUFFER) this.warmupBuffer.push([event, data]);
+      return;
+    }
 
     switch (event) {
       case 'price':
@@ -81,24 +432,42 @@ class BaseStrategy {
           this.onOrderBookUpdate(data);
         }
         break;
+      case 'candle':
+        if (this.onCandle && this.candleIntervals.has(data.interval)) {
+          this.onCandle(data);
+        }
+        break;
+    }
+
+    if (this.isBacktest && data.timestamp) {
+      this.runDueSchedules(new Date(data.timestamp).getTime());
     }
   }
 
   async generateBuySignal(signalData) {
+    // Crossovers inside the warm-up history are not tradeable
+    if (this.warmingUp) return;
+
     const signal = {
       type: 'buy',
       timestamp: new Date(),
       strategy: this.name,
-      data: signalData
+      strategyId: this.getStrategyId(),
+      data: signalData,
+      productId: signalData.productId || signalData.product_id || signalData.symbol || null
     };
 
     this.signals.push(signal);
+    if (this.signals.length > this.maxSignals) {
+      this.signals = this.signals.slice(-this.maxSignals);
+    }
     this.lastSignal = signal;
+    this.notifySignalListeners(signal);
 
     logger.info(`Buy signal generated by ${this.name}:`, signalData);
 
     // Execute trade if auto-trading is enabled
-    if (this.parameters.autoTrade) {
+    if (this.isAutoTrading()) {
       await this.executeBuyOrder(signalData);
     }
 
@@ -109,20 +478,29 @@ class BaseStrategy {
   }
 
   async generateSellSignal(signalData) {
+    // Crossovers inside the warm-up history are not tradeable
+    if (this.warmingUp) return;
+
     const signal = {
       type: 'sell',
       timestamp: new Date(),
       strategy: this.name,
-      data: signalData
+      strategyId: this.getStrategyId(),
+      data: signalData,
+      productId: signalData.productId || signalData.product_id || signalData.symbol || null
     };
 
     this.signals.push(signal);
+    if (this.signals.length > this.maxSignals) {
+      this.signals = this.signals.slice(-this.maxSignals);
+    }
     this.lastSignal = signal;
+    this.notifySignalListeners(signal);
 
     logger.info(`Sell signal generated by ${this.name}:`, signalData);
 
     // Execute trade if auto-trading is enabled
-    if (this.parameters.autoTrade) {
+    if (this.isAutoTrading()) {
       await this.executeSellOrder(signalData);
     }
 
@@ -133,53 +511,150 @@ class BaseStrategy {
   }
 
   async executeBuyOrder(signalData) {
+    return this.executeOrder('buy', signalData);
+  }
+
+  async executeSellOrder(signalData) {
+    return this.executeOrder('sell', signalData);
+  }
+
+  async executeOrder(side, signalData) {
     try {
-      const amount = this.parameters.tradeAmount || process.env.DEFAULT_TRADE_AMOUNT || 0.01;
-      const productId = this.parameters.productId || 'BTC-USD';
-      
-      const result = await this.tradingEngine.executeBuyOrder(productId, amount);
-      
+      const productId = signalData.productId || this.parameters.productId || 'BTC-USD';
+      const { orderType, price, order } = this.getSignalOrder(side, signalData);
+
+      // A signal may size itself (e.g. a quote amount converted at the signal price); otherwise
+      // the sizing parameters apply. Either way the size is rounded to the product's increments.
+      const sized = await this.sizeOrder(side, productId, signalData, orderType, price);
+      if (!sized.success) {
+        logger.warn(`${this.name} could not size its ${side} order for ${productId} [${sized.code}]: ${sized.error}`);
+        return sized;
+      }
+
+      const execute = side === 'buy' ? 'executeBuyOrder' : 'executeSellOrder';
+      const amount = sized.quoteSize !== null ? null : sized.size;
+      const result = await this.tradingEngine[execute](productId, amount, sized.limitPrice ?? price, orderType, {
+        ...this.getOrderOptions(),
+        order: { ...order, quoteSize: sized.quoteSize ?? undefined }
+      });
+
       if (result.success) {
         this.recordTrade({
-          type: 'buy',
-          amount,
-          price: signalData.price,
-          orderId: result.order.id,
+          type: side,
+          productId,
+          amount: parseFloat(result.order.filled_size) || sized.size,
+          price: result.order.average_filled_price || signalData.price,
+          orderId: result.order.order_id || result.order.id,
+          simulated: result.simulated,
           timestamp: new Date(),
           signal: signalData
         });
       }
-      
+
       return result;
     } catch (error) {
-      logger.error(`Error executing buy order for ${this.name}:`, error);
+      logger.error(`Error executing ${side} order for ${this.name}:`, error);
       return { success: false, error: error.message };
     }
   }
 
-  async executeSellOrder(signalData) {
-    try {
-      const amount = this.parameters.tradeAmount || process.env.DEFAULT_TRADE_AMOUNT || 0.01;
-      const productId = this.parameters.productId || 'BTC-USD';
-      
-      const result = await this.tradingEngine.executeSellOrder(productId, amount);
-      
-      if (result.success) {
-        this.recordTrade({
-          type: 'sell',
-          amount,
-          price: signalData.price,
-          orderId: result.order.id,
-          timestamp: new Date(),
-          signal: signalData
-        });
+  // Order size for a signal per the sizing parameter; see PositionSizer
+  async sizeOrder(side, productId, signalData, orderType, limitPrice) {
+    return this.tradingEngine.positionSizer.size({
+      side,
+      productId,
+      orderType,
+      limitPrice,
+      price: signalData.price,
+      size: signalData.size,
+      mode: this.parameters.mode,
+      parameters: {
+        ...this.parameters,
+        sizing: this.getParameter('sizing'),
+        atrPeriod: this.getParameter('atrPeriod'),
+        atrInterval: this.parameters.atrInterval || this.parameters.candleInterval
       }
-      
-      return result;
-    } catch (error) {
-      logger.error(`Error executing sell order for ${this.name}:`, error);
-      return { success: false, error: error.message };
+    });
+  }
+
+  // Called after the exit manager sold a position of this strategy
+  handleExit(exit) {
+    this.recordTrade({
+      type: 'sell',
+      productId: exit.productId,
+      amount: exit.size,
+      price: exit.order?.average_filled_price || exit.price,
+      orderId: exit.order?.order_id || null,
+      simulated: exit.simulated,
+      timestamp: exit.timestamp,
+      exit: exit.reason
+    });
+
+    if (this.onExit) {
+      this.onExit(exit);
+    }
+  }
+
+  // Listeners (e.g. the data store) see every signal regardless of onSignal overrides
+  addSignalListener(listener) {
+    this.signalListeners.add(listener);
+    return () => this.signalListeners.delete(listener);
+  }
+
+  notifySignalListeners(signal) {
+    this.signalListeners.forEach(listener => {
+      try {
+        listener(signal);
+      } catch (error) {
+        logger.error(`Error in signal listener for ${this.name}:`, error);
+      }
+    });
+  }
+
+  // Reload signals and trades persisted by a previous run
+  restoreHistory({ signals = [], trades = [] } = {}) {
+    this.signals = [...signals, ...this.signals];
+    this.lastSignal = this.signals[this.signals.length - 1] || null;
+    this.trades = [...trades, ...this.trades];
+    this.calculatePerformance();
+  }
+
+  // Picking a mode is choosing to trade: 'simulation' against the paper broker, 'live' on the
+  // exchange. Without a mode, autoTrade decides.
+  isAutoTrading() {
+    return Boolean(this.parameters.autoTrade) || ['simulation', 'live'].includes(this.parameters.mode);
+  }
+
+  getOrderOptions() {
+    return {
+      mode: this.parameters.mode,
+      strategy: this.getStrategyId()
+    };
+  }
+
+  // The order a signal becomes. A signal may choose its own (orderType, limitPrice, stopPrice,
+  // timeInForce, endTime, postOnly), e.g. a bracket around its entry; otherwise the orderType
+  // parameter applies, with limits placed limitOffset % from the signal price.
+  getSignalOrder(side, signalData) {
+    const orderType = signalData.orderType || this.getParameter('orderType');
+    let price = signalData.limitPrice ?? null;
+    if (orderType !== 'market' && price === null && signalData.price) {
+      const offset = this.getParameter('limitOffset') / 100;
+      // Rounded to drop floating point noise the exchange would reject
+      price = Number((side === 'buy' ? signalData.price * (1 - offset) : signalData.price * (1 + offset)).toFixed(8));
     }
+
+    return {
+      orderType,
+      price,
+      order: {
+        stopPrice: signalData.stopPrice,
+        stopDirection: signalData.stopDirection,
+        endTime: signalData.endTime,
+        timeInForce: signalData.timeInForce ?? (orderType === 'limit' ? this.parameters.timeInForce : undefined),
+        postOnly: signalData.postOnly ?? (orderType === 'limit' && this.getParameter('postOnly'))
+      }
+    };
   }
 
   recordTrade(trade) {
@@ -218,8 +693,11 @@ class BaseStrategy {
   }
 
   getPerformance() {
-    return {
+    const performance = {
       strategy: this.name,
+      id: this.getStrategyId(),
+      type: this.type,
+      productIds: this.productIds,
       isActive: this.isActive,
       startTime: this.startTime,
       totalTrades: this.trades.length,
@@ -229,8 +707,26 @@ class BaseStrategy {
       winRate: this.winRate,
       signals: this.signals.length,
       lastSignal: this.lastSignal,
+      warmup: this.warmup,
       parameters: this.parameters
     };
+
+    // The position ledger knows actual fill sizes, fees and products, so prefer its P&L
+    const ledger = this.tradingEngine?.positionLedger;
+    if (ledger) {
+      const summary = ledger.getSummary({ strategy: this.getStrategyId() });
+      Object.assign(performance, {
+        netProfit: summary.realizedPnl,
+        realizedPnl: summary.realizedPnl,
+        unrealizedPnl: summary.unrealizedPnl,
+        totalPnl: summary.totalPnl,
+        fees: summary.fees,
+        winRate: summary.wins + summary.losses > 0 ? summary.winRate : this.winRate,
+        positions: ledger.getPositions({ strategy: this.getStrategyId(), openOnly: true })
+      });
+    }
+
+    return performance;
   }
 
   getSignals(limit = 10) {
@@ -251,11 +747,34 @@ class BaseStrategy {
   }
 
   onOrderBookUpdate(data) {
-    // Override in concrete strategy
+    // Override in concrete strategy - called with order book summaries (best bid/ask, spread, depth,
+    // imbalance) and the OrderBook as `book` for products whose book is tracked
+  }
+
+  onCandle(candle) {
+    // Override in concrete strategy - called on candle close for subscribed intervals
+  }
+
+  onExit(exit) {
+    // Override in concrete strategy - called after a stop-loss, take-profit or trailing stop sold a position
+  }
+
+  onParametersUpdate(parameters, previous) {
+    // Override in concrete strategy - re-read parameters and re-derive indicators from retained history
   }
 
   onStart() {
-    // Override in concrete strategy
+    // Override in concrete strategy; call super.onStart() to keep the warm-up
+    return this.warmUp();
+  }
+
+  onWarmupComplete(productIds) {
+    // Override in concrete strategy - reset state the replay shouldn't carry into live trading
+  }
+
+  getRequiredHistory() {
+    // Override in concrete strategy - prices needed before the first signal
+    return 0;
   }
 
   onStop() {
@@ -0,0 +1,163 @@
+const BaseStrategy = require('./baseStrategy');
+const TechnicalIndicators = require('../utils/technicalIndicators');
+
+class BollingerStrategy extends BaseStrategy {
+  static get displayName() {
+    return 'Bollinger Bands';
+  }
+
+  static get description() {
+    return 'Buy on a close below the lower band, sell back at the middle or upper band';
+  }
+
+  static get parameterSchema() {
+    return {
+      period: { type: 'integer', min: 2, max: 500, default: 20, label: 'Period', description: 'Prices in the middle band (SMA)' },
+      stdDev: { type: 'number', min: 0.1, max: 10, step: 0.1, default: 2, label: 'Standard Deviations', description: 'Distance of the outer bands from the middle' },
+      exitAt: { type: 'string', enum: ['middle', 'upper'], default: 'middle', label: 'Exit At', description: 'Sell when the close reaches the middle band, or only above the upper band' },
+      minBandwidth: { type: 'number', min: 0, step: 0.1, label: 'Squeeze Filter %', description: 'Skip entries while the band width is below this % of the middle band (empty = off)' },
+      ...BaseStrategy.parameterSchema
+    };
+  }
+
+  constructor(parameters = {}) {
+    super('Bollinger Bands', parameters);
+
+    this.period = this.getParameter('period');
+    this.stdDev = this.getParameter('stdDev');
+    this.exitAt = this.getParameter('exitAt');
+    this.minBandwidth = this.getParameter('minBandwidth') ?? null;
+
+    this.states = {}; // Separate price history, bands and position for each product
+  }
+
+  getState(productId) {
+    if (!this.states[productId]) {
+      this.states[productId] = {
+        priceHistory: [],
+        bands: null,
+        bandwidth: null,
+        position: 'none'
+      };
+    }
+    return this.states[productId];
+  }
+
+  // Ticks by default; with a candle interval only candle closes count
+  onPriceUpdate(data) {
+    if (this.parameters.candleInterval) return;
+    this.addClose(this.getProductId(data), data.price);
+  }
+
+  onCandle(candle) {
+    this.addClose(candle.productId, candle.close);
+  }
+
+  addClose(productId, price) {
+    const state = this.getState(productId);
+    state.priceHistory.push(price);
+
+    const maxHistory = Math.max(this.period * 2, this.maxHistory);
+    if (state.priceHistory.length > maxHistory) {
+      state.priceHistory = state.priceHistory.slice(-maxHistory);
+    }
+
+    this.calculateBands(state);
+    this.generateSignals(productId, state, price);
+  }
+
+  calculateBands(state) {
+    state.bands = TechnicalIndicators.bollingerBands(state.priceHistory, this.period, this.stdDev);
+    // Band width as a % of the middle band; narrow bands mean a squeeze
+    state.bandwidth = state.bands && state.bands.middle !== 0
+      ? ((state.bands.upper - state.bands.lower) / state.bands.middle) * 100
+      : null;
+  }
+
+  generateSignals(productId, state, price) {
+    if (!state.bands) return;
+    const { upper, middle, lower } = state.bands;
+    const signalData = { upper, middle, lower, bandwidth: state.bandwidth, price, productId };
+
+    if (state.position !== 'long' && price < lower) {
+      if (this.minBandwidth !== null && state.bandwidth < this.minBandwidth) return;
+
+      this.generateBuySignal({
+        ...signalData,
+        reason: `Close below the lower band (${lower.toFixed(2)})`,
+        confidence: this.calculateConfidence(price, state.bands)
+      });
+      state.position = 'long';
+    } else if (state.position === 'long' && (price > upper || (this.exitAt === 'middle' && price >= middle))) {
+      this.generateSellSignal({
+        ...signalData,
+        reason: price > upper ? `Close above the upper band (${upper.toFixed(2)})` : `Close reached the middle band (${middle.toFixed(2)})`,
+        confidence: 100
+      });
+      state.position = 'none';
+    }
+  }
+
+  // The further below the lower band, the stronger the reversion signal
+  calculateConfidence(price, bands) {
+    const halfWidth = bands.middle - bands.lower;
+    if (halfWidth <= 0) return 0;
+    return Math.min(50 + ((bands.lower - price) / halfWidth) * 100, 100);
+  }
+
+  onParametersUpdate() {
+    this.period = this.getParameter('period');
+    this.stdDev = this.getParameter('stdDev');
+    this.exitAt = this.getParameter('exitAt');
+    this.minBandwidth = this.getParameter('minBandwidth') ?? null;
+
+    Object.values(this.states).forEach(state => this.calculateBands(state));
+  }
+
+  getRequiredHistory() {
+    return this.period;
+  }
+
+  onWarmupComplete(productIds) {
+    // Replayed entries placed no orders, so start out flat
+    productIds.forEach(productId => {
+      if (this.states[productId]) this.states[productId].position = 'none';
+    });
+  }
+
+  onExit(exit) {
+    // The protective exit sold the position; the next close below the lower band can buy again
+    this.getState(exit.productId).position = 'none';
+  }
+
+  getIndicators(productId = null) {
+    if (productId) {
+      const state = this.states[productId];
+      return {
+        bands: state ? state.bands : null,
+        bandwidth: state ? state.bandwidth : null,
+        position: state ? state.position : 'none',
+        period: this.period,
+        stdDev: this.stdDev,
+        priceHistoryLength: state ? state.priceHistory.length : 0
+      };
+    }
+
+    // All products
+    const products = {};
+    Object.entries(this.states).forEach(([id, state]) => {
+      products[id] = { bands: state.bands, bandwidth: state.bandwidth, position: state.position, priceHistoryLength: state.priceHistory.length };
+    });
+    return {
+      products,
+      period: this.period,
+      stdDev: this.stdDev
+    };
+  }
+
+  getDescription() {
+    return `Bollinger Bands strategy using a ${this.period}-period middle band and bands ${this.stdDev} standard deviations wide. Buys on a close below the lower band and sells at the ${this.exitAt} band.`;
+  }
+}
+
+module.exports = BollingerStrategy;
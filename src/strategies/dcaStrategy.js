@@ -0,0 +1,272 @@
+const BaseStrategy = require('./baseStrategy');
+const CronSchedule = require('../utils/cronSchedule');
+const logger = require('../utils/logger');
+
+const HOUR = 60 * 60 * 1000;
+
+// Recurring buys of a fixed quote amount on a cron schedule, scaled up when the price is
+// well below its recent high, until an optional budget is used up.
+class DCAStrategy extends BaseStrategy {
+  static get displayName() {
+    return 'Dollar-Cost Averaging';
+  }
+
+  static get description() {
+    return 'Buy a fixed amount on a schedule, more on dips';
+  }
+
+  static get parameterSchema() {
+    return {
+      schedule: { type: 'string', default: '0 9 * * 1', label: 'Schedule', description: 'Cron expression in server time (minute hour day month weekday), e.g. 0 9 * * 1 = Mondays 9:00' },
+      quoteAmount: { type: 'number', min: 0, step: 1, default: 50, label: 'Amount per Buy', description: 'Quote currency spent per product on each run, e.g. 50 = $50' },
+      dipRules: { type: 'list', label: 'Dip Multipliers', description: 'drawdown%:multiplier pairs, e.g. 10:1.5,20:2 buys 1.5x at 10% below the recent high' },
+      highLookback: { type: 'integer', min: 1, max: 1000, default: 720, label: 'High Lookback (h)', description: 'Hours the recent high is taken over' },
+      budget: { type: 'number', min: 0, label: 'Budget', description: 'Total quote currency to spend across all buys (empty = no cap)' },
+      ...BaseStrategy.parameterSchema
+    };
+  }
+
+  static validateParameters(parameters = {}) {
+    const result = super.validateParameters(parameters);
+    try {
+      // Also rejects schedules that never come round, like 30 February
+      new CronSchedule(result.schedule ?? this.parameterSchema.schedule.default).next(Date.now());
+      DCAStrategy.parseDipRules(result.dipRules);
+    } catch (error) {
+      throw new Error(`Invalid parameters: ${error.message}`);
+    }
+    return result;
+  }
+
+  // '10:1.5,20:2' -> [{ drawdown: 20, multiplier: 2 }, { drawdown: 10, multiplier: 1.5 }], deepest first
+  static parseDipRules(rules) {
+    if (!rules) return [];
+    return (Array.isArray(rules) ? rules : String(rules).split(','))
+      .map(rule => String(rule).trim())
+      .filter(Boolean)
+      .map(rule => {
+        const [drawdown, multiplier] = rule.split(':').map(Number);
+        if (!(drawdown > 0 && drawdown < 100) || !(multiplier > 0)) {
+          throw new Error(`dip rule '${rule}' must be drawdown%:multiplier, e.g. 10:1.5`);
+        }
+        return { drawdown, multiplier };
+      })
+      .sort((a, b) => b.drawdown - a.drawdown);
+  }
+
+  constructor(parameters = {}) {
+    super('Dollar-Cost Averaging', parameters);
+
+    this.states = {}; // Last price and hourly highs for each product
+    this.runs = []; // Recent scheduled runs with what each bought or skipped
+    this.removeSchedule = null;
+    this.readParameters();
+  }
+
+  readParameters() {
+    this.quoteAmount = this.getParameter('quoteAmount');
+    this.dipRules = DCAStrategy.parseDipRules(this.parameters.dipRules);
+    this.highLookbackMs = this.getParameter('highLookback') * HOUR;
+    this.budget = this.getParameter('budget') ?? null;
+
+    if (this.removeSchedule) this.removeSchedule();
+    this.removeSchedule = this.addSchedule(this.getParameter('schedule'), time => this.runScheduledBuy(time));
+  }
+
+  getState(productId) {
+    if (!this.states[productId]) {
+      this.states[productId] = {
+        lastPrice: null,
+        highs: [] // { hour, high }, oldest first
+      };
+    }
+    return this.states[productId];
+  }
+
+  // Keeps one high per hour, enough for the drawdown without storing every tick
+  onPriceUpdate(data) {
+    const state = this.getState(this.getProductId(data));
+    const time = data.timestamp ? new Date(data.timestamp).getTime() : Date.now();
+    const hour = Math.floor(time / HOUR) * HOUR;
+
+    state.lastPrice = data.price;
+    const last = state.highs[state.highs.length - 1];
+    if (last && last.hour === hour) {
+      last.high = Math.max(last.high, data.price);
+    } else if (!last || hour > last.hour) {
+      state.highs.push({ hour, high: data.price });
+    }
+    while (state.highs.length > 0 && state.highs[0].hour <= time - this.highLookbackMs) {
+      state.highs.shift();
+    }
+  }
+
+  getRecentHigh(productId) {
+    const state = this.states[productId];
+    if (!state || state.highs.length === 0) return null;
+    return Math.max(...state.highs.map(entry => entry.high));
+  }
+
+  getDrawdown(productId, price) {
+    const high = this.getRecentHigh(productId);
+    return high && price < high ? ((high - price) / high) * 100 : 0;
+  }
+
+  getMultiplier(drawdown) {
+    const rule = this.dipRules.find(r => drawdown >= r.drawdown);
+    return rule ? rule.multiplier : 1;
+  }
+
+  getProducts() {
+    return this.productIds || [this.parameters.productId || 'BTC-USD'];
+  }
+
+  // Quote currency spent on buys so far (at fill prices, before fees), including restored fills
+  getSpent() {
+    return this.trades
+      .filter(trade => trade.type === 'buy')
+      .reduce((sum, trade) => sum + trade.amount * trade.price, 0);
+  }
+
+  getBudgetRemaining() {
+    return this.budget === null ? null : Math.max(this.budget - this.getSpent(), 0);
+  }
+
+  async runScheduledBuy(time) {
+    const run = { time, buys: [], skipped: [] };
+    let remaining = this.getBudgetRemaining();
+
+    for (const productId of this.getProducts()) {
+      const price = this.states[productId]?.lastPrice ?? this.coinbaseService?.getLastPrice(productId) ?? null;
+      if (!price) {
+        run.skipped.push({ productId, reason: 'No price yet' });
+        continue;
+      }
+      if (remaining !== null && remaining <= 0) {
+        run.skipped.push({ productId, reason: 'Budget used up' });
+        continue;
+      }
+
+      const drawdown = this.getDrawdown(productId, price);
+      const multiplier = this.getMultiplier(drawdown);
+      let quoteAmount = this.quoteAmount * multiplier;
+      if (remaining !== null) {
+        quoteAmount = Math.min(quoteAmount, remaining);
+        remaining -= quoteAmount;
+      }
+
+      const size = Math.floor((quoteAmount / price) * 1e8) / 1e8;
+      run.buys.push({ productId, quoteAmount, size, price, drawdown, multiplier });
+      await this.generateBuySignal({
+        reason: multiplier > 1
+          ? `Scheduled buy, ${multiplier}x at ${drawdown.toFixed(1)}% below the recent high`
+          : 'Scheduled buy',
+        price,
+        quoteAmount,
+        size,
+        drawdown,
+        multiplier,
+        recentHigh: this.getRecentHigh(productId),
+        confidence: 100,
+        productId
+      });
+    }
+
+    if (run.skipped.length > 0) {
+      logger.warn(`[DCA] ${this.getStrategyId()} skipped:`, run.skipped);
+    }
+    this.runs.push(run);
+    if (this.runs.length > 100) {
+      this.runs.shift();
+    }
+    return run;
+  }
+
+  onParametersUpdate() {
+    this.readParameters();
+  }
+
+  // The recent high needs hourly prices over the lookback
+  getWarmupInterval() {
+    return '1h';
+  }
+
+  getRequiredHistory() {
+    return Math.round(this.highLookbackMs / HOUR);
+  }
+
+  // Holdings bought by this strategy at average cost; exits and sells reduce them
+  getDcaSummary() {
+    const products = {};
+    for (const trade of this.trades) {
+      const productId = trade.productId || this.parameters.productId || 'BTC-USD';
+      const product = products[productId] || (products[productId] = { buys: 0, invested: 0, size: 0, costBasis: 0, realizedPnl: 0 });
+      if (trade.type === 'buy') {
+        product.buys++;
+        product.invested += trade.amount * trade.price;
+        product.size += trade.amount;
+        product.costBasis += trade.amount * trade.price;
+      } else if (product.size > 0) {
+        const sold = Math.min(trade.amount, product.size);
+        const averageCost = product.costBasis / product.size;
+        product.realizedPnl += (trade.price - averageCost) * sold;
+        product.costBasis -= averageCost * sold;
+        product.size -= sold;
+      }
+    }
+
+    const totals = { invested: 0, costBasis: 0, marketValue: 0, unrealizedPnl: 0, realizedPnl: 0 };
+    for (const [productId, product] of Object.entries(products)) {
+      const price = this.states[productId]?.lastPrice ?? this.coinbaseService?.getLastPrice(productId) ?? null;
+      product.averageCost = product.size > 0 ? product.costBasis / product.size : null;
+      product.price = price;
+      product.marketValue = price ? product.size * price : null;
+      product.unrealizedPnl = price ? product.marketValue - product.costBasis : null;
+
+      totals.invested += product.invested;
+      totals.costBasis += product.costBasis;
+      totals.marketValue += product.marketValue || 0;
+      totals.unrealizedPnl += product.unrealizedPnl || 0;
+      totals.realizedPnl += product.realizedPnl;
+    }
+
+    const [schedule] = this.getSchedules();
+    return {
+      ...totals,
+      returnPct: totals.invested > 0 ? ((totals.unrealizedPnl + totals.realizedPnl) / totals.invested) * 100 : 0,
+      budget: this.budget,
+      budgetRemaining: this.getBudgetRemaining(),
+      schedule: schedule.schedule,
+      nextRun: schedule.nextRun,
+      lastRun: this.runs[this.runs.length - 1] || null,
+      products
+    };
+  }
+
+  getPerformance() {
+    return { ...super.getPerformance(), dca: this.getDcaSummary() };
+  }
+
+  getIndicators(productId = null) {
+    const describe = id => {
+      const price = this.states[id]?.lastPrice ?? null;
+      const drawdown = price ? this.getDrawdown(id, price) : null;
+      return { price, recentHigh: this.getRecentHigh(id), drawdown, multiplier: drawdown === null ? null : this.getMultiplier(drawdown) };
+    };
+
+    if (productId) {
+      return { ...describe(productId), nextRun: this.getSchedules()[0].nextRun, budgetRemaining: this.getBudgetRemaining() };
+    }
+    return {
+      products: Object.fromEntries(Object.keys(this.states).map(id => [id, describe(id)])),
+      nextRun: this.getSchedules()[0].nextRun,
+      budgetRemaining: this.getBudgetRemaining()
+    };
+  }
+
+  getDescription() {
+    return `Dollar-cost averaging: ${this.quoteAmount} per product on '${this.getParameter('schedule')}'${this.dipRules.length ? ', more on dips' : ''}${this.budget !== null ? ` up to a budget of ${this.budget}` : ''}.`;
+  }
+}
+
+module.exports = DCAStrategy;
@@ -0,0 +1,289 @@
+const BaseStrategy = require('./baseStrategy');
+const logger = require('../utils/logger');
+
+const RULES = ['majority', 'weighted', 'unanimous'];
+// Settings the members share with the ensemble; everything about trading stays with the ensemble
+const INHERITED_PARAMETERS = ['productIds', 'productId', 'candleInterval', 'warmupCandles', 'warmupInterval'];
+
+// Hosts several strategies as members, collects their signals as votes and trades only the
+// combined decision, so members can't buy and sell against each other.
+class EnsembleStrategy extends BaseStrategy {
+  static get displayName() {
+    return 'Ensemble';
+  }
+
+  static get description() {
+    return 'Combine the signals of several strategies by vote';
+  }
+
+  static get parameterSchema() {
+    return {
+      members: { type: 'list', default: ['sma', 'rsi', 'macd'], label: 'Members', description: 'Strategy types that vote, e.g. sma,rsi,macd' },
+      rule: { type: 'string', enum: RULES, default: 'majority', label: 'Voting Rule', description: 'majority of members, confidence-weighted score, or all members agree' },
+      weights: { type: 'list', label: 'Weights', description: 'Weight of each member in the same order, for the weighted rule (default 1 each)' },
+      threshold: { type: 'number', min: 0, max: 100, default: 50, label: 'Weighted Threshold', description: 'Weighted score (0-100) needed to signal' },
+      voteWindow: { type: 'integer', min: 1, default: 300, label: 'Vote Window (s)', description: 'How long a member signal counts as a vote' },
+      cooldown: { type: 'integer', min: 0, default: 600, label: 'Cool-down (s)', description: 'Quiet time per product after a combined signal' },
+      memberParameters: { type: 'object', hidden: true, label: 'Member Parameters', description: 'Parameters per member type, e.g. { "rsi": { "period": 10 } }' },
+      ...BaseStrategy.parameterSchema
+    };
+  }
+
+  static validateParameters(parameters = {}) {
+    const result = super.validateParameters(parameters);
+    const members = EnsembleStrategy.parseMembers(result.members ?? this.parameterSchema.members.default);
+
+    if (members.length === 0) {
+      throw new Error('Invalid parameters: members must name at least one strategy');
+    }
+    const duplicate = members.find((type, index) => members.indexOf(type) !== index);
+    if (duplicate) {
+      throw new Error(`Invalid parameters: member ${duplicate} is listed twice`);
+    }
+    if (members.includes('ensemble')) {
+      throw new Error('Invalid parameters: an ensemble cannot contain another ensemble');
+    }
+
+    const weights = EnsembleStrategy.parseWeights(result.weights, members.length);
+    if (weights.length !== members.length || weights.some(weight => !Number.isFinite(weight) || weight < 0)) {
+      throw new Error('Invalid parameters: weights must be one non-negative number per member');
+    }
+
+    const unknown = Object.keys(result.memberParameters || {}).filter(type => !members.includes(type));
+    if (unknown.length > 0) {
+      throw new Error(`Invalid parameters: memberParameters for ${unknown.join(', ')}, which ${unknown.length > 1 ? 'are' : 'is'} not a member`);
+    }
+    return result;
+  }
+
+  static parseMembers(members) {
+    return (Array.isArray(members) ? members : String(members).split(','))
+      .map(type => String(type).trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  static parseWeights(weights, count) {
+    if (weights === undefined) return new Array(count).fill(1);
+    return (Array.isArray(weights) ? weights : String(weights).split(',')).map(weight => Number(weight));
+  }
+
+  // The strategy manager creating the ensemble also supplies the member classes
+  constructor(parameters = {}, context = {}) {
+    super('Ensemble', parameters);
+    this.strategyManager = context.strategyManager || global.tradingBot?.strategyManager || null;
+    if (!this.strategyManager) {
+      throw new Error('Ensemble strategy needs the strategy manager to create its members');
+    }
+
+    this.states = {}; // Votes, last combined signal and position for each product
+    this.readParameters();
+    this.members = this.createMembers();
+  }
+
+  readParameters() {
+    this.memberTypes = EnsembleStrategy.parseMembers(this.getParameter('members'));
+    this.weights = EnsembleStrategy.parseWeights(this.parameters.weights, this.memberTypes.length);
+    this.rule = this.getParameter('rule');
+    this.threshold = this.getParameter('threshold');
+    this.voteWindowMs = this.getParameter('voteWindow') * 1000;
+    this.cooldownMs = this.getParameter('cooldown') * 1000;
+  }
+
+  // Members never trade themselves; their signals become votes instead
+  createMembers() {
+    const memberParameters = this.parameters.memberParameters || {};
+    const inherited = Object.fromEntries(
+      INHERITED_PARAMETERS.filter(key => this.parameters[key] !== undefined).map(key => [key, this.parameters[key]])
+    );
+
+    return this.memberTypes.map(type => {
+      const MemberClass = this.strategyManager.getStrategyClass(type);
+      let parameters;
+      try {
+        parameters = MemberClass.validateParameters({ ...inherited, ...memberParameters[type] });
+      } catch (error) {
+        throw new Error(`Member ${type}: ${error.message}`);
+      }
+
+      const member = new MemberClass(parameters, { strategyManager: this.strategyManager });
+      member.type = type;
+      member.onSignal = signal => this.handleVote(type, signal);
+      return member;
+    });
+  }
+
+  getState(productId) {
+    if (!this.states[productId]) {
+      this.states[productId] = {
+        votes: {}, // member type -> { type, confidence, time }
+        lastSignalAt: null,
+        position: 'none'
+      };
+    }
+    return this.states[productId];
+  }
+
+  // Members warm up themselves; the ensemble has no indicators of its own
+  async onStart() {
+    const services = {
+      tradingEngine: this.tradingEngine,
+      coinbaseService: this.coinbaseService,
+      candleHistory: this.candleHistory,
+      backtest: this.isBacktest
+    };
+    for (const [index, member] of this.members.entries()) {
+      member.id = `${this.getStrategyId()}/${this.memberTypes[index]}`;
+      await member.start(services);
+    }
+  }
+
+  async onStop() {
+    for (const member of this.members) {
+      await member.stop();
+    }
+  }
+
+  // Members see the same data; their signals come back through handleVote
+  handleMarketData(event, data) {
+    if (!this.isActive) return;
+    if (!this.handlesProduct(this.getProductId(data))) return;
+
+    // Replayed data carries its own time, so vote windows and cool-downs follow it
+    this.now = data.timestamp ? new Date(data.timestamp).getTime() : Date.now();
+    this.members.forEach(member => member.handleMarketData(event, data));
+  }
+
+  getTime() {
+    return this.now ?? Date.now();
+  }
+
+  handleVote(memberType, signal) {
+    const productId = signal.productId || this.parameters.productId || 'BTC-USD';
+    const state = this.getState(productId);
+    state.votes[memberType] = {
+      type: signal.type,
+      confidence: signal.data?.confidence ?? 100,
+      time: this.getTime()
+    };
+    this.evaluate(productId, state, signal.data?.price ?? null);
+  }
+
+  // Votes of the last voteWindow, combined by the configured rule
+  tally(state, now = this.getTime()) {
+    const votes = this.memberTypes.map((type, index) => {
+      const vote = state.votes[type];
+      const fresh = vote && now - vote.time <= this.voteWindowMs;
+      return { member: type, weight: this.weights[index], type: fresh ? vote.type : null, confidence: fresh ? vote.confidence : 0 };
+    });
+    const buys = votes.filter(vote => vote.type === 'buy');
+    const sells = votes.filter(vote => vote.type === 'sell');
+
+    let decision = null;
+    let confidence = 0;
+    if (this.rule === 'majority') {
+      if (buys.length > votes.length / 2) decision = 'buy';
+      if (sells.length > votes.length / 2) decision = 'sell';
+      confidence = (Math.max(buys.length, sells.length) / votes.length) * 100;
+    } else if (this.rule === 'unanimous') {
+      if (buys.length === votes.length) decision = 'buy';
+      if (sells.length === votes.length) decision = 'sell';
+      const agreeing = decision === 'buy' ? buys : sells;
+      confidence = decision ? agreeing.reduce((sum, vote) => sum + vote.confidence, 0) / agreeing.length : 0;
+    } else {
+      // Buy confidence counts up, sell confidence down; missing votes count as 0
+      const totalWeight = votes.reduce((sum, vote) => sum + vote.weight, 0);
+      const score = totalWeight > 0
+        ? votes.reduce((sum, vote) => sum + vote.weight * vote.confidence * (vote.type === 'sell' ? -1 : vote.type === 'buy' ? 1 : 0), 0) / totalWeight
+        : 0;
+      if (score > 0 && score >= this.threshold) decision = 'buy';
+      if (score < 0 && -score >= this.threshold) decision = 'sell';
+      confidence = Math.abs(score);
+    }
+
+    return { decision, confidence, votes };
+  }
+
+  evaluate(productId, state, price) {
+    const now = this.getTime();
+    const { decision, confidence, votes } = this.tally(state, now);
+    if (!decision) return;
+    if (decision === 'buy' && state.position === 'long') return;
+    if (decision === 'sell' && state.position === 'short') return;
+    if (state.lastSignalAt !== null && now - state.lastSignalAt < this.cooldownMs) {
+      logger.debug(`[ENSEMBLE] ${this.getStrategyId()} ${decision} for ${productId} held back by the cool-down`);
+      return;
+    }
+
+    const agreeing = votes.filter(vote => vote.type === decision).map(vote => vote.member);
+    const signalData = {
+      reason: `${this.rule} vote: ${agreeing.join(', ')} ${decision === 'buy' ? 'buying' : 'selling'}`,
+      rule: this.rule,
+      votes,
+      confidence,
+      price,
+      productId
+    };
+
+    state.lastSignalAt = now;
+    state.position = decision === 'buy' ? 'long' : 'short';
+    // Each decision needs fresh votes
+    state.votes = {};
+
+    if (decision === 'buy') {
+      this.generateBuySignal(signalData);
+    } else {
+      this.generateSellSignal(signalData);
+    }
+  }
+
+  // Membership changes rebuild the members; everything else only changes how votes are counted
+  onParametersUpdate(parameters, previous) {
+    this.readParameters();
+
+    const rebuild = ['members', 'memberParameters', ...INHERITED_PARAMETERS]
+      .some(key => JSON.stringify(parameters[key]) !== JSON.stringify(previous[key]));
+    if (!rebuild) return;
+
+    const oldMembers = this.members;
+    this.members = this.createMembers();
+    this.states = {};
+    if (this.isActive) {
+      Promise.all(oldMembers.map(member => member.stop()))
+        .then(() => this.onStart())
+        .catch(error => logger.error(`Could not restart the members of ${this.getStrategyId()}:`, error.message));
+    }
+  }
+
+  onExit(exit) {
+    // The protective exit sold the position, as a combined sell would have
+    this.getState(exit.productId).position = 'short';
+  }
+
+  getIndicators(productId = null) {
+    const members = Object.fromEntries(this.members.map((member, index) => [this.memberTypes[index], member.getIndicators(productId)]));
+
+    if (productId) {
+      const state = this.states[productId];
+      return {
+        rule: this.rule,
+        position: state ? state.position : 'none',
+        tally: state ? this.tally(state) : null,
+        lastSignalAt: state?.lastSignalAt ? new Date(state.lastSignalAt) : null,
+        members
+      };
+    }
+
+    // All products
+    const products = {};
+    Object.entries(this.states).forEach(([id, state]) => {
+      products[id] = { position: state.position, tally: this.tally(state), lastSignalAt: state.lastSignalAt ? new Date(state.lastSignalAt) : null };
+    });
+    return { rule: this.rule, products, members };
+  }
+
+  getDescription() {
+    return `Ensemble of ${this.memberTypes.join(', ')} combining their signals by ${this.rule} vote with a ${this.cooldownMs / 1000}s cool-down.`;
+  }
+}
+
+module.exports = EnsembleStrategy;
@@ -0,0 +1,421 @@
+const BaseStrategy = require('./baseStrategy');
+const PositionSizer = require('../services/positionSizer');
+const RiskManager = require('../services/riskManager');
+const logger = require('../utils/logger');
+
+// Changing any of these moves the grid lines, so the ladder is cancelled and placed again. So does
+// turning trading on or switching between paper and live: a planned ladder is then actually placed.
+const LADDER_PARAMETERS = ['lower', 'upper', 'levels', 'spacing', 'tradeAmount', 'productIds', 'productId', 'autoTrade', 'mode'];
+// Lines the risk manager or exchange turned down (e.g. the order rate limit) are tried again this
+// often, unless the rejection is one the same order always meets (see RiskManager.FINAL_CODES)
+const RETRY_MS = 60 * 1000;
+
+// Keeps a ladder of resting limit orders between two prices: buys below the market, sells above.
+// A filled buy is answered with a sell one line up and a filled sell with a buy one line down,
+// so every round trip between neighbouring lines earns the spacing.
+class GridStrategy extends BaseStrategy {
+  static get displayName() {
+    return 'Grid Trading';
+  }
+
+  static get description() {
+    return 'Resting buy and sell limit orders on a price ladder, re-placed on every fill';
+  }
+
+  static get parameterSchema() {
+    return {
+      lower: { type: 'number', min: 0, label: 'Lower Price', description: 'Lowest grid line' },
+      upper: { type: 'number', min: 0, label: 'Upper Price', description: 'Highest grid line' },
+      levels: { type: 'integer', min: 2, max: 200, default: 10, label: 'Grid Lines', description: 'Number of price lines from lower to upper, both included' },
+      spacing: { type: 'string', enum: ['arithmetic', 'geometric'], default: 'arithmetic', label: 'Spacing', description: 'Equal price steps, or equal % steps' },
+      buyInventory: { type: 'boolean', default: false, label: 'Buy Inventory', description: 'Buy the base currency for the sell lines at market when the ladder is placed' },
+      ...BaseStrategy.parameterSchema
+    };
+  }
+
+  static validateParameters(parameters = {}) {
+    const result = super.validateParameters(parameters);
+    if (result.lower === undefined || result.upper === undefined) {
+      throw new Error('Invalid parameters: lower and upper are required');
+    }
+    if (!(result.lower > 0) || result.upper <= result.lower) {
+      throw new Error('Invalid parameters: upper must be above lower, and lower above 0');
+    }
+    if ((BaseStrategy.parseProductIds(result.productIds) || []).length > 1) {
+      throw new Error('Invalid parameters: a grid trades a single product');
+    }
+    return result;
+  }
+
+  constructor(parameters = {}) {
+    super('Grid Trading', parameters);
+
+    this.orders = new Map(); // orderId -> the grid order it is, with fills so far
+    this.realizedProfit = 0;
+    this.roundTrips = 0;
+    this.lastPrice = null;
+    this.placed = false; // Ladder placed (or planned) since the last start or rebuild
+    this.lastRetry = 0;
+    this.product = null; // Trading rules of the product, loaded on start
+    this.unsubscribeFills = null;
+    this.readParameters();
+  }
+
+  readParameters() {
+    this.productId = (this.productIds && this.productIds[0]) || this.parameters.productId || 'BTC-USD';
+    this.lower = this.getParameter('lower');
+    this.upper = this.getParameter('upper');
+    this.spacing = this.getParameter('spacing');
+    const product = this.product && this.product.productId === this.productId ? this.product : null;
+    this.orderSize = PositionSizer.toIncrement(this.getParameter('tradeAmount'), product?.baseIncrement);
+    this.levels = GridStrategy.distinctPrices(GridStrategy.gridPrices(this.lower, this.upper, this.getParameter('levels'), this.spacing), product?.priceIncrement)
+      .map((price, index) => ({
+        index,
+        price,
+        side: null, // Side of the order working (or planned) on this line
+        orderId: null,
+        pending: false, // Order on its way to the broker
+        opening: null, // Fill a failed order was meant to close, kept for the retry
+        error: null,
+        final: false, // The error will come back on every retry
+        buys: 0,
+        sells: 0,
+        roundTrips: 0,
+        profit: 0 // Round trips between this line and the one above
+      }));
+  }
+
+  static gridPrices(lower, upper, count, spacing = 'arithmetic') {
+    const prices = [];
+    for (let i = 0; i < count; i++) {
+      const price = spacing === 'geometric'
+        ? lower * Math.pow(upper / lower, i / (count - 1))
+        : lower + ((upper - lower) * i) / (count - 1);
+      // Drop floating point noise so limit prices stay readable
+      prices.push(Number(price.toFixed(8)));
+    }
+    return prices;
+  }
+
+  // Buys are rounded down and sells up onto the price increment, so lines closer together than
+  // one increment would place the same orders; only the first of them is kept
+  static distinctPrices(prices, increment) {
+    if (!increment) return prices;
+    const kept = [];
+    for (const price of prices) {
+      const previous = kept[kept.length - 1];
+      if (previous === undefined ||
+        (PositionSizer.toIncrement(price, increment, 'down') !== PositionSizer.toIncrement(previous, increment, 'down') &&
+          PositionSizer.toIncrement(price, increment, 'up') !== PositionSizer.toIncrement(previous, increment, 'up'))) {
+        kept.push(price);
+      }
+    }
+    return kept;
+  }
+
+  // The lines follow the product's increments once its rules are known
+  async loadProduct() {
+    if (this.product && this.product.productId === this.productId) return;
+    const product = await this.tradingEngine.positionSizer?.getProduct(this.productId);
+    if (!product) {
+      logger.warn(`[GRID] ${this.getStrategyId()} has no trading rules for ${this.productId}; lines are not rounded to its increments`);
+      return;
+    }
+    this.product = product;
+    this.readParameters();
+    if (this.levels.length < this.getParameter('levels')) {
+      logger.warn(`[GRID] ${this.getStrategyId()} kept ${this.levels.length} of ${this.getParameter('levels')} lines; the others fell on the same price increment`);
+    }
+  }
+
+  // Limit price of an order on a line: buys rounded down, sells up onto the price increment
+  getOrderPrice(level, side) {
+    return PositionSizer.toIncrement(level.price, this.product?.priceIncrement, side === 'buy' ? 'down' : 'up');
+  }
+
+  async onStart() {
+    await this.loadProduct();
+    this.unsubscribeFills = this.tradingEngine.subscribe((event, data) => {
+      if (event === 'fill') this.handleFill(data);
+    });
+    this.adoptOrders();
+
+    const price = this.coinbaseService.getLastPrice ? this.coinbaseService.getLastPrice(this.productId) : null;
+    if (price) {
+      this.lastRetry = Date.now();
+      await this.placeLadder(price);
+    }
+  }
+
+  // After a restart the previous run's live orders are still resting and tracked by the trading
+  // engine; they take their lines back instead of being placed a second time. Which fill they
+  // answered is gone with the old process, so sells are taken to close a buy on the line below.
+  adoptOrders() {
+    const step = this.levels.length > 1 ? this.levels[1].price - this.levels[0].price : 0;
+    const tolerance = Math.max(step / 100, this.product?.priceIncrement || 0);
+    const resting = this.tradingEngine.getActiveOrders()
+      .filter(order => order.strategy === this.getStrategyId() && order.product_id === this.productId && order.limit_price);
+
+    for (const order of resting) {
+      const side = order.type || (order.side || '').toLowerCase();
+      const level = this.levels.find(l => Math.abs(l.price - order.limit_price) <= tolerance);
+      if (!level || level.orderId) {
+        logger.warn(`[GRID] ${this.getStrategyId()} left order ${order.order_id} at ${order.limit_price} alone: it is not on a free grid line`);
+        continue;
+      }
+
+      const opening = side === 'sell' ? this.levels[level.index - 1] : null;
+      level.side = side;
+      level.orderId = order.order_id;
+      this.orders.set(order.order_id, {
+        level: level.index,
+        side,
+        size: parseFloat(order.base_size) || this.orderSize,
+        opening: opening ? { level: opening.index, price: opening.price, fee: 0 } : null,
+        filled: parseFloat(order.filled_size) || 0,
+        notional: (parseFloat(order.filled_size) || 0) * (parseFloat(order.average_filled_price) || 0),
+        fees: parseFloat(order.total_fees) || 0
+      });
+    }
+
+    if (resting.length > 0) {
+      logger.info(`[GRID] ${this.getStrategyId()} resumed with ${this.orders.size} resting orders`);
+    }
+  }
+
+  onPriceUpdate(data) {
+    if (data.warmup || this.getProductId(data) !== this.productId) return;
+    this.lastPrice = data.price;
+    const now = data.timestamp ? new Date(data.timestamp).getTime() : Date.now();
+    if (!this.placed) {
+      this.lastRetry = now;
+      this.placeLadder(data.price).catch(error => logger.error(`[GRID] ${this.getStrategyId()} could not place its ladder:`, error.message));
+      return;
+    }
+
+    if (now - this.lastRetry >= RETRY_MS && this.isAutoTrading()) {
+      this.lastRetry = now;
+      this.retryFailed().catch(error => logger.error(`[GRID] ${this.getStrategyId()} could not retry its lines:`, error.message));
+    }
+  }
+
+  async retryFailed() {
+    const failed = this.levels.filter(level => level.error && !level.final && level.side && !level.orderId && !level.pending);
+    for (const level of failed) {
+      await this.placeOrder(level, level.side, level.opening);
+    }
+  }
+
+  // Fills every free line except the one nearest the price: buys below it, sells above it
+  async placeLadder(price) {
+    this.placed = true;
+    this.lastPrice = price;
+    const nearest = this.levels.reduce((best, level) => Math.abs(level.price - price) < Math.abs(best.price - price) ? level : best);
+    const free = this.levels.filter(level => level !== nearest && !level.orderId);
+    free.forEach(level => { level.side = level.price < price ? 'buy' : 'sell'; });
+
+    if (!this.isAutoTrading()) {
+      logger.warn(`[GRID] ${this.getStrategyId()} is not auto trading; the ladder is only planned`);
+      return;
+    }
+
+    const sells = free.filter(level => level.side === 'sell');
+    if (this.getParameter('buyInventory') && sells.length > 0) {
+      await this.buyInventory(sells.length * this.orderSize, price);
+    }
+
+    // One at a time, so a large ladder doesn't burst through the exchange rate limit
+    for (const level of free) {
+      await this.placeOrder(level, level.side);
+    }
+    logger.info(`[GRID] ${this.getStrategyId()} placed its ladder on ${this.productId} around ${price}`);
+  }
+
+  async buyInventory(size, price) {
+    const result = await this.tradingEngine.executeBuyOrder(this.productId, size, null, 'market', this.getOrderOptions());
+    if (!result.success) {
+      logger.warn(`[GRID] ${this.getStrategyId()} could not buy inventory for its sell lines: ${result.error}`);
+      return;
+    }
+    this.recordTrade({
+      type: 'buy',
+      productId: this.productId,
+      amount: size,
+      price: result.order.average_filled_price || price,
+      orderId: result.order.order_id,
+      simulated: result.simulated,
+      timestamp: new Date(),
+      grid: 'inventory'
+    });
+  }
+
+  // `opening` is the fill this order closes a round trip for, if any
+  async placeOrder(level, side, opening = null) {
+    level.side = side;
+    level.opening = opening;
+    level.error = null;
+    level.final = false;
+    level.pending = true;
+    const price = this.getOrderPrice(level, side);
+    const execute = side === 'buy' ? 'executeBuyOrder' : 'executeSellOrder';
+    // Sell lines sell inventory the grid holds, so they go out even at the open-order limit
+    const result = await this.tradingEngine[execute](this.productId, this.orderSize, price, 'limit', { ...this.getLimitOrderOptions(), reduceOnly: side === 'sell' })
+      .finally(() => { level.pending = false; });
+
+    if (!result.success) {
+      level.error = result.error;
+      level.final = RiskManager.FINAL_CODES.includes(result.code);
+      logger.warn(`[GRID] ${this.getStrategyId()} could not place a ${side} at ${price}: ${result.error}${level.final ? ' (not retried)' : ''}`);
+      return result;
+    }
+
+    const orderId = result.order.order_id;
+    if (!this.isActive) {
+      // Stopped while the order was on its way; cancel-all has already run
+      await this.tradingEngine.cancelOrder(orderId);
+      return result;
+    }
+
+    level.orderId = orderId;
+    level.opening = null;
+    this.orders.set(orderId, { level: level.index, side, size: this.orderSize, opening, filled: 0, notional: 0, fees: 0 });
+    return result;
+  }
+
+  // Lines are meant to rest away from the market, as far as the grid reaches but no further
+  getLimitOrderOptions() {
+    const price = this.lastPrice || this.coinbaseService.getLastPrice?.(this.productId);
+    const reach = price ? (Math.max(this.upper - price, price - this.lower) / price) * 100 : 0;
+    return { ...this.getOrderOptions(), maxPriceDeviation: reach };
+  }
+
+  // Live orders may fill in parts; the opposite order goes up once the whole size has filled
+  handleFill(fill) {
+    const order = this.orders.get(fill.orderId);
+    if (!order) return;
+
+    order.filled += fill.size;
+    order.notional += fill.size * fill.price;
+    order.fees += fill.fee || 0;
+    if (order.filled < order.size * (1 - 1e-9)) return;
+
+    this.orders.delete(fill.orderId);
+    const level = this.levels[order.level];
+    level.orderId = null;
+    level.side = null;
+    const price = order.notional / order.filled;
+
+    if (order.side === 'buy') {
+      level.buys++;
+    } else {
+      level.sells++;
+    }
+    this.recordTrade({
+      type: order.side,
+      productId: this.productId,
+      amount: order.filled,
+      price,
+      orderId: fill.orderId,
+      simulated: Boolean(fill.paper),
+      timestamp: fill.timestamp || new Date(),
+      gridLevel: level.index
+    });
+
+    if (order.opening) {
+      const spread = order.side === 'sell' ? price - order.opening.price : order.opening.price - price;
+      const profit = spread * order.filled - order.fees - order.opening.fee;
+      const pair = this.levels[Math.min(level.index, order.opening.level)];
+      pair.profit += profit;
+      pair.roundTrips++;
+      this.realizedProfit += profit;
+      this.roundTrips++;
+      logger.info(`[GRID] ${this.getStrategyId()} round trip ${pair.price} <-> ${this.levels[pair.index + 1].price}: ${profit.toFixed(2)}`);
+    }
+
+    const next = this.levels[order.side === 'buy' ? level.index + 1 : level.index - 1];
+    if (!next) return;
+    if (next.orderId || next.pending) {
+      logger.warn(`[GRID] ${this.getStrategyId()} line ${next.price} already has an order; not placing the ${order.side === 'buy' ? 'sell' : 'buy'}`);
+      return;
+    }
+    // A fill that closed a round trip starts the next one; any other fill is closed by the new order
+    const opening = order.opening ? null : { level: level.index, price, fee: order.fees };
+    this.placeOrder(next, order.side === 'buy' ? 'sell' : 'buy', opening)
+      .catch(error => logger.error(`[GRID] ${this.getStrategyId()} could not re-place line ${next.price}:`, error.message));
+  }
+
+  async cancelAll() {
+    const orderIds = Array.from(this.orders.keys());
+    this.orders.clear();
+    this.levels.forEach(level => {
+      level.orderId = null;
+      level.side = null;
+      level.opening = null;
+      level.error = null;
+      level.final = false;
+    });
+
+    for (const orderId of orderIds) {
+      const result = await this.tradingEngine.cancelOrder(orderId);
+      if (!result.success) {
+        logger.warn(`[GRID] ${this.getStrategyId()} could not cancel ${orderId}: ${result.error}`);
+      }
+    }
+    if (orderIds.length > 0) {
+      logger.info(`[GRID] ${this.getStrategyId()} cancelled ${orderIds.length} orders`);
+    }
+  }
+
+  async onStop() {
+    if (this.unsubscribeFills) {
+      this.unsubscribeFills();
+      this.unsubscribeFills = null;
+    }
+    this.placed = false;
+    await this.cancelAll();
+  }
+
+  // New lines mean a new ladder: cancel the old one and place again on the next price
+  onParametersUpdate(parameters, previous) {
+    const rebuild = LADDER_PARAMETERS.some(key => JSON.stringify(parameters[key]) !== JSON.stringify(previous[key]));
+    if (!rebuild) return;
+
+    const cancelled = this.isActive ? this.cancelAll() : Promise.resolve();
+    this.readParameters();
+    this.placed = false;
+    cancelled
+      .then(() => (this.isActive ? this.loadProduct() : null))
+      .then(() => (this.isActive && this.lastPrice ? this.placeLadder(this.lastPrice) : null))
+      .catch(error => logger.error(`[GRID] Could not rebuild the ladder of ${this.getStrategyId()}:`, error.message));
+  }
+
+  getGridSummary() {
+    return {
+      productId: this.productId,
+      lower: this.lower,
+      upper: this.upper,
+      spacing: this.spacing,
+      orderSize: this.orderSize,
+      price: this.lastPrice,
+      placed: this.placed,
+      openOrders: this.orders.size,
+      realizedProfit: this.realizedProfit,
+      roundTrips: this.roundTrips,
+      levels: this.levels.map(({ index, price, side, orderId, error, buys, sells, roundTrips, profit }) => ({ index, price, side, orderId, error, buys, sells, roundTrips, profit }))
+    };
+  }
+
+  getPerformance() {
+    return { ...super.getPerformance(), grid: this.getGridSummary() };
+  }
+
+  getIndicators() {
+    return this.getGridSummary();
+  }
+
+  getDescription() {
+    return `Grid of ${this.levels.length} ${this.spacing} lines on ${this.productId} from ${this.lower} to ${this.upper}, ${this.orderSize} per order.`;
+  }
+}
+
+module.exports = GridStrategy;
@@ -2,149 +2,190 @@ const BaseStrategy = require('./baseStrategy');
 const logger = require('../utils/logger');
 
 class MACDStrategy extends BaseStrategy {
+  static get displayName() {
+    return 'MACD Strategy';
+  }
+
+  static get description() {
+    return 'Buy on bullish crossover, sell on bearish crossover';
+  }
+
+  static get parameterSchema() {
+    return {
+      fastPeriod: { type: 'integer', min: 2, max: 200, default: 12, label: 'Fast Period', description: 'Prices in the fast EMA' },
+      slowPeriod: { type: 'integer', min: 2, max: 500, default: 26, label: 'Slow Period', description: 'Prices in the slow EMA' },
+      signalPeriod: { type: 'integer', min: 2, max: 200, default: 9, label: 'Signal Period', description: 'MACD values in the signal line EMA' },
+      ...BaseStrategy.parameterSchema
+    };
+  }
+
+  static validateParameters(parameters = {}) {
+    const result = super.validateParameters(parameters);
+    const schema = this.parameterSchema;
+    const fast = result.fastPeriod ?? schema.fastPeriod.default;
+    const slow = result.slowPeriod ?? schema.slowPeriod.default;
+    if (fast >= slow) {
+      throw new Error('Invalid parameters: fastPeriod must be below slowPeriod');
+    }
+    return result;
+  }
+
   constructor(parameters = {}) {
     super('MACD Strategy', parameters);
     
-    this.fastPeriod = parameters.fastPeriod || 12;
-    this.slowPeriod = parameters.slowPeriod || 26;
-    this.signalPeriod = parameters.signalPeriod || 9;
+    this.fastPeriod = this.getParameter('fastPeriod');
+    this.slowPeriod = this.getParameter('slowPeriod');
+    this.signalPeriod = this.getParameter('signalPeriod');
     
-    this.priceHistory = [];
-    this.fastEMA = null;
-    this.slowEMA = null;
-    this.macdLine = null;
-    this.signalLine = null;
-    this.histogram = null;
-    this.macdHistory = [];
-    this.signalHistory = [];
-    this.position = 'none';
-    this.prevHistogram = null;
+    this.states = {}; // Separate EMAs, MACD and position for each product
+  }
+
+  getState(productId) {
+    if (!this.states[productId]) {
+      this.states[productId] = {
+        priceHistory: [],
+        fastEMA: null,
+        slowEMA: null,
+        macdLine: null,
+        signalLine: null,
+        histogram: null,
+        macdHistory: [],
+        signalHistory: [],
+        position: 'none',
+        prevHistogram: null
+      };
+    }
+    return this.states[productId];
   }
 
   onPriceUpdate(data) {
     const price = data.price;
-    this.priceHistory.push(price);
+    const productId = this.getProductId(data);
+    const state = this.getState(productId);
+    state.priceHistory.push(price);
     
     // Keep price history manageable
-    const maxPeriod = Math.max(this.fastPeriod, this.slowPeriod) * 3;
-    if (this.priceHistory.length > maxPeriod) {
-      this.priceHistory = this.priceHistory.slice(-maxPeriod);
+    const maxHistory = Math.max(Math.max(this.fastPeriod, this.slowPeriod) * 3, this.maxHistory);
+    if (state.priceHistory.length > maxHistory) {
+      state.priceHistory = state.priceHistory.slice(-maxHistory);
     }
 
     // Calculate EMAs
-    this.calculateEMAs();
+    this.calculateEMAs(state);
     
     // Calculate MACD
-    this.calculateMACD();
+    this.calculateMACD(state);
     
     // Generate signals
-    this.generateSignals();
+    this.generateSignals(productId, state);
   }
 
-  calculateEMAs() {
-    if (this.priceHistory.length === 0) return;
+  calculateEMAs(state) {
+    if (state.priceHistory.length === 0) return;
     
-    const currentPrice = this.priceHistory[this.priceHistory.length - 1];
+    const currentPrice = state.priceHistory[state.priceHistory.length - 1];
     
     // Calculate Fast EMA
-    if (this.fastEMA === null) {
-      if (this.priceHistory.length >= this.fastPeriod) {
-        const sum = this.priceHistory.slice(-this.fastPeriod).reduce((a, b) => a + b, 0);
-        this.fastEMA = sum / this.fastPeriod;
+    if (state.fastEMA === null) {
+      if (state.priceHistory.length >= this.fastPeriod) {
+        const sum = state.priceHistory.slice(-this.fastPeriod).reduce((a, b) => a + b, 0);
+        state.fastEMA = sum / this.fastPeriod;
       }
     } else {
       const multiplier = 2 / (this.fastPeriod + 1);
-      this.fastEMA = (currentPrice - this.fastEMA) * multiplier + this.fastEMA;
+      state.fastEMA = (currentPrice - state.fastEMA) * multiplier + state.fastEMA;
     }
     
     // Calculate Slow EMA
-    if (this.slowEMA === null) {
-      if (this.priceHistory.length >= this.slowPeriod) {
-        const sum = this.priceHistory.slice(-this.slowPeriod).reduce((a, b) => a + b, 0);
-        this.slowEMA = sum / this.slowPeriod;
+    if (state.slowEMA === null) {
+      if (state.priceHistory.length >= this.slowPeriod) {
+        const sum = state.priceHistory.slice(-this.slowPeriod).reduce((a, b) => a + b, 0);
+        state.slowEMA = sum / this.slowPeriod;
       }
     } else {
       const multiplier = 2 / (this.slowPeriod + 1);
-      this.slowEMA = (currentPrice - this.slowEMA) * multiplier + this.slowEMA;
+      state.slowEMA = (currentPrice - state.slowEMA) * multiplier + state.slowEMA;
     }
   }
 
-  calculateMACD() {
-    if (!this.fastEMA || !this.slowEMA) return;
+  calculateMACD(state) {
+    if (!state.fastEMA || !state.slowEMA) return;
     
     // MACD Line = Fast EMA - Slow EMA
-    this.macdLine = this.fastEMA - this.slowEMA;
-    this.macdHistory.push(this.macdLine);
+    state.macdLine = state.fastEMA - state.slowEMA;
+    state.macdHistory.push(state.macdLine);
     
     // Keep MACD history manageable
-    if (this.macdHistory.length > this.signalPeriod * 3) {
-      this.macdHistory = this.macdHistory.slice(-this.signalPeriod * 2);
+    if (state.macdHistory.length > this.signalPeriod * 3) {
+      state.macdHistory = state.macdHistory.slice(-this.signalPeriod * 2);
     }
     
     // Calculate Signal Line (EMA of MACD Line)
-    if (this.signalLine === null) {
-      if (this.macdHistory.length >= this.signalPeriod) {
-        const sum = this.macdHistory.slice(-this.signalPeriod).reduce((a, b) => a + b, 0);
-        this.signalLine = sum / this.signalPeriod;
+    if (state.signalLine === null) {
+      if (state.macdHistory.length >= this.signalPeriod) {
+        const sum = state.macdHistory.slice(-this.signalPeriod).reduce((a, b) => a + b, 0);
+        state.signalLine = sum / this.signalPeriod;
       }
     } else {
       const multiplier = 2 / (this.signalPeriod + 1);
-      this.signalLine = (this.macdLine - this.signalLine) * multiplier + this.signalLine;
+      state.signalLine = (state.macdLine - state.signalLine) * multiplier + state.signalLine;
     }
     
-    if (this.signalLine !== null) {
-      this.signalHistory.push(this.signalLine);
+    if (state.signalLine !== null) {
+      state.signalHistory.push(state.signalLine);
       
       // Keep signal history manageable
-      if (this.signalHistory.length > this.signalPeriod * 2) {
-        this.signalHistory.shift();
+      if (state.signalHistory.length > this.signalPeriod * 2) {
+        state.signalHistory.shift();
       }
       
       // Calculate Histogram = MACD Line - Signal Line
-      this.prevHistogram = this.histogram;
-      this.histogram = this.macdLine - this.signalLine;
+      state.prevHistogram = state.histogram;
+      state.histogram = state.macdLine - state.signalLine;
     }
   }
 
-  generateSignals() {
-    if (!this.macdLine || !this.signalLine || !this.histogram || this.prevHistogram === null) return;
+  generateSignals(productId, state) {
+    if (!state.macdLine || !state.signalLine || !state.histogram || state.prevHistogram === null) return;
     
-    const currentPrice = this.priceHistory[this.priceHistory.length - 1];
+    const currentPrice = state.priceHistory[state.priceHistory.length - 1];
     
     // Bullish Signal: MACD crosses above Signal Line
-    if (this.macdLine > this.signalLine && this.prevHistogram <= 0 && this.histogram > 0) {
+    if (state.macdLine > state.signalLine && state.prevHistogram <= 0 && state.histogram > 0) {
       this.generateBuySignal({
         reason: 'MACD Bullish Crossover - MACD crossed above Signal Line',
-        macdLine: this.macdLine,
-        signalLine: this.signalLine,
-        histogram: this.histogram,
+        macdLine: state.macdLine,
+        signalLine: state.signalLine,
+        histogram: state.histogram,
         price: currentPrice,
-        confidence: this.calculateConfidence('buy')
+        confidence: this.calculateConfidence(state),
+        productId
       });
-      this.position = 'long';
+      state.position = 'long';
     }
     
     // Bearish Signal: MACD crosses below Signal Line
-    else if (this.macdLine < this.signalLine && this.prevHistogram >= 0 && this.histogram < 0) {
+    else if (state.macdLine < state.signalLine && state.prevHistogram >= 0 && state.histogram < 0) {
       this.generateSellSignal({
         reason: 'MACD Bearish Crossover - MACD crossed below Signal Line',
-        macdLine: this.macdLine,
-        signalLine: this.signalLine,
-        histogram: this.histogram,
+        macdLine: state.macdLine,
+        signalLine: state.signalLine,
+        histogram: state.histogram,
         price: currentPrice,
-        confidence: this.calculateConfidence('sell')
+        confidence: this.calculateConfidence(state),
+        productId
       });
-      this.position = 'short';
+      state.position = 'short';
     }
   }
 
-  calculateConfidence(signalType) {
-    if (!this.histogram) return 0;
+  calculateConfidence(state) {
+    if (!state.histogram) return 0;
     
     // Confidence based on histogram magnitude
-    const histogramAbs = Math.abs(this.histogram);
-    const recentHistograms = this.macdHistory.slice(-5).map((macd, i) => {
-      const signal = this.signalHistory[this.signalHistory.length - 5 + i];
+    const histogramAbs = Math.abs(state.histogram);
+    const recentHistograms = state.macdHistory.slice(-5).map((macd, i) => {
+      const signal = state.signalHistory[state.signalHistory.length - 5 + i];
       return signal ? Math.abs(macd - signal) : 0;
     });
     
@@ -157,19 +198,77 @@ class MACDStrategy extends BaseStrategy {
     return confidence;
   }
 
-  getIndicators() {
-    return {
-      fastEMA: this.fastEMA,
-      slowEMA: this.slowEMA,
-      macdLine: this.macdLine,
-      signalLine: this.signalLine,
-      histogram: this.histogram,
-      position: this.position,
+  onParametersUpdate() {
+    this.fastPeriod = this.getParameter('fastPeriod');
+    this.slowPeriod = this.getParameter('slowPeriod');
+    this.signalPeriod = this.getParameter('signalPeriod');
+
+    // Replay the retained prices through fresh EMAs; the position is kept
+    Object.values(this.states).forEach(state => {
+      const prices = state.priceHistory;
+      Object.assign(state, {
+        priceHistory: [],
+        fastEMA: null,
+        slowEMA: null,
+        macdLine: null,
+        signalLine: null,
+        histogram: null,
+        macdHistory: [],
+        signalHistory: [],
+        prevHistogram: null
+      });
+      prices.forEach(price => {
+        state.priceHistory.push(price);
+        this.calculateEMAs(state);
+        this.calculateMACD(state);
+      });
+    });
+  }
+
+  // The slow EMA, then the signal line over the MACD, then one more bar for the previous histogram
+  getRequiredHistory() {
+    return this.slowPeriod + this.signalPeriod;
+  }
+
+  onWarmupComplete(productIds) {
+    // Replayed crossovers placed no orders
+    productIds.forEach(productId => {
+      if (this.states[productId]) this.states[productId].position = 'none';
+    });
+  }
+
+  onExit(exit) {
+    // Out of the market until the next bullish crossover
+    this.getState(exit.productId).position = 'short';
+  }
+
+  getIndicators(productId = null) {
+    const describe = (state) => ({
+      fastEMA: state ? state.fastEMA : null,
+      slowEMA: state ? state.slowEMA : null,
+      macdLine: state ? state.macdLine : null,
+      signalLine: state ? state.signalLine : null,
+      histogram: state ? state.histogram : null,
+      position: state ? state.position : 'none',
+      priceHistoryLength: state ? state.priceHistory.length : 0
+    });
+
+    const periods = {
       fastPeriod: this.fastPeriod,
       slowPeriod: this.slowPeriod,
-      signalPeriod: this.signalPeriod,
-      priceHistoryLength: this.priceHistory.length
+      signalPeriod: this.signalPeriod
     };
+
+    if (productId) {
+      return { ...describe(this.states[productId]), ...periods };
+    }
+
+    // All products
+    const products = {};
+    Object.entries(this.states).forEach(([id, state]) => {
+      products[id] = describe(state);
+    });
+    return { products, ...periods };
   }
 
   getDescription() {
@@ -2,127 +2,221 @@ const BaseStrategy = require('./baseStrategy');
 const logger = require('../utils/logger');
 
 class RSIStrategy extends BaseStrategy {
+  static get displayName() {
+    return 'RSI Strategy';
+  }
+
+  static get description() {
+    return 'Buy when oversold, sell when overbought';
+  }
+
+  static get parameterSchema() {
+    return {
+      period: { type: 'integer', min: 2, max: 500, default: 14, label: 'Period', description: 'Price changes in the RSI' },
+      oversoldThreshold: { type: 'number', min: 0, max: 100, default: 30, aliases: ['oversold'], label: 'Oversold Level', description: 'Buy when the RSI falls to this level' },
+      overboughtThreshold: { type: 'number', min: 0, max: 100, default: 70, aliases: ['overbought'], label: 'Overbought Level', description: 'Sell when the RSI rises to this level' },
+      ...BaseStrategy.parameterSchema
+    };
+  }
+
+  static validateParameters(parameters = {}) {
+    const result = super.validateParameters(parameters);
+    const schema = this.parameterSchema;
+    const oversold = result.oversoldThreshold ?? schema.oversoldThreshold.default;
+    const overbought = result.overboughtThreshold ?? schema.overboughtThreshold.default;
+    if (oversold >= overbought) {
+      throw new Error('Invalid parameters: oversoldThreshold must be below overboughtThreshold');
+    }
+    return result;
+  }
+
   constructor(parameters = {}) {
     super('RSI Strategy', parameters);
     
-    this.period = parameters.period || 14;
-    this.oversoldThreshold = parameters.oversoldThreshold || 30;
-    this.overboughtThreshold = parameters.overboughtThreshold || 70;
+    this.period = this.getParameter('period');
+    this.oversoldThreshold = this.getParameter('oversoldThreshold');
+    this.overboughtThreshold = this.getParameter('overboughtThreshold');
     
-    this.priceHistory = [];
-    this.gains = [];
-    this.losses = [];
-    this.rsi = null;
-    this.position = 'none';
+    this.states = {}; // Separate price history, RSI and position for each product
+  }
+
+  getState(productId) {
+    if (!this.states[productId]) {
+      this.states[productId] = {
+        priceHistory: [],
+        gains: [],
+        losses: [],
+        rsi: null,
+        position: 'none'
+      };
+    }
+    return this.states[productId];
   }
 
   onPriceUpdate(data) {
     const price = data.price;
-    this.priceHistory.push(price);
+    const productId = this.getProductId(data);
+    const state = this.getState(productId);
+    state.priceHistory.push(price);
     
     // Calculate price changes
-    if (this.priceHistory.length >= 2) {
-      const change = price - this.priceHistory[this.priceHistory.length - 2];
+    if (state.priceHistory.length >= 2) {
+      const change = price - state.priceHistory[state.priceHistory.length - 2];
       
       if (change > 0) {
-        this.gains.push(change);
-        this.losses.push(0);
+        state.gains.push(change);
+        state.losses.push(0);
       } else {
-        this.gains.push(0);
-        this.losses.push(Math.abs(change));
+        state.gains.push(0);
+        state.losses.push(Math.abs(change));
       }
       
       // Keep only the required period
-      if (this.gains.length > this.period) {
-        this.gains.shift();
-        this.losses.shift();
+      if (state.gains.length > this.period) {
+        state.gains.shift();
+        state.losses.shift();
       }
       
       // Calculate RSI
-      this.calculateRSI();
+      this.calculateRSI(state);
       
       // Generate signals
-      this.generateSignals();
+      this.generateSignals(productId, state);
     }
     
     // Keep price history manageable
-    if (this.priceHistory.length > this.period * 2) {
-      this.priceHistory = this.priceHistory.slice(-this.period);
+    const maxHistory = Math.max(this.period * 2, this.maxHistory);
+    if (state.priceHistory.length > maxHistory) {
+      state.priceHistory = state.priceHistory.slice(-maxHistory);
     }
   }
 
-  calculateRSI() {
-    if (this.gains.length < this.period) return;
+  calculateRSI(state) {
+    if (state.gains.length < this.period) return;
     
-    const avgGain = this.gains.reduce((a, b) => a + b, 0) / this.period;
-    const avgLoss = this.losses.reduce((a, b) => a + b, 0) / this.period;
+    const avgGain = state.gains.reduce((a, b) => a + b, 0) / this.period;
+    const avgLoss = state.losses.reduce((a, b) => a + b, 0) / this.period;
     
     if (avgLoss === 0) {
-      this.rsi = 100;
+      state.rsi = 100;
     } else {
       const rs = avgGain / avgLoss;
-      this.rsi = 100 - (100 / (1 + rs));
+      state.rsi = 100 - (100 / (1 + rs));
     }
   }
 
-  generateSignals() {
-    if (!this.rsi) return;
+  generateSignals(productId, state) {
+    if (state.rsi === null) return;
     
-    const currentPrice = this.priceHistory[this.priceHistory.length - 1];
+    const currentPrice = state.priceHistory[state.priceHistory.length - 1];
     
     // Oversold condition - Buy Signal
-    if (this.rsi <= this.oversoldThreshold && this.position !== 'long') {
+    if (state.rsi <= this.oversoldThreshold && state.position !== 'long') {
       this.generateBuySignal({
-        reason: `RSI Oversold - RSI: ${this.rsi.toFixed(2)}`,
-        rsi: this.rsi,
+        reason: `RSI Oversold - RSI: ${state.rsi.toFixed(2)}`,
+        rsi: state.rsi,
         price: currentPrice,
-        confidence: this.calculateConfidence('buy')
+        confidence: this.calculateConfidence('buy', state.rsi),
+        productId
       });
-      this.position = 'long';
+      state.position = 'long';
     }
     
     // Overbought condition - Sell Signal
-    else if (this.rsi >= this.overboughtThreshold && this.position !== 'short') {
+    else if (state.rsi >= this.overboughtThreshold && state.position !== 'short') {
       this.generateSellSignal({
-        reason: `RSI Overbought - RSI: ${this.rsi.toFixed(2)}`,
-        rsi: this.rsi,
+        reason: `RSI Overbought - RSI: ${state.rsi.toFixed(2)}`,
+        rsi: state.rsi,
         price: currentPrice,
-        confidence: this.calculateConfidence('sell')
+        confidence: this.calculateConfidence('sell', state.rsi),
+        productId
       });
-      this.position = 'short';
+      state.position = 'short';
     }
     
     // Reset position when RSI returns to neutral zone
-    else if (this.rsi > this.oversoldThreshold + 10 && this.rsi < this.overboughtThreshold - 10) {
-      if (this.position !== 'none') {
-        this.position = 'none';
+    else if (state.rsi > this.oversoldThreshold + 10 && state.rsi < this.overboughtThreshold - 10) {
+      if (state.position !== 'none') {
+        state.position = 'none';
       }
     }
   }
 
-  calculateConfidence(signalType) {
-    if (!this.rsi) return 0;
+  calculateConfidence(signalType, rsi) {
+    if (rsi === null) return 0;
     
     if (signalType === 'buy') {
       // More oversold = higher confidence
-      const oversoldDegree = Math.max(0, this.oversoldThreshold - this.rsi);
+      const oversoldDegree = Math.max(0, this.oversoldThreshold - rsi);
       return Math.min((oversoldDegree / this.oversoldThreshold) * 100, 100);
     } else {
       // More overbought = higher confidence
-      const overboughtDegree = Math.max(0, this.rsi - this.overboughtThreshold);
+      const overboughtDegree = Math.max(0, rsi - this.overboughtThreshold);
       const maxOverbought = 100 - this.overboughtThreshold;
       return Math.min((overboughtDegree / maxOverbought) * 100, 100);
     }
   }
 
-  getIndicators() {
+  onParametersUpdate() {
+    this.period = this.getParameter('period');
+    this.oversoldThreshold = this.getParameter('oversoldThreshold');
+    this.overboughtThreshold = this.getParameter('overboughtThreshold');
+
+    // Rebuild the gains and losses of the new period from the retained prices
+    Object.values(this.states).forEach(state => {
+      const prices = state.priceHistory.slice(-(this.period + 1));
+      state.gains = [];
+      state.losses = [];
+      for (let i = 1; i < prices.length; i++) {
+        const change = prices[i] - prices[i - 1];
+        state.gains.push(Math.max(change, 0));
+        state.losses.push(Math.max(-change, 0));
+      }
+      state.rsi = null;
+      this.calculateRSI(state);
+    });
+  }
+
+  // One price change per period, plus the first price
+  getRequiredHistory() {
+    return this.period + 1;
+  }
+
+  onWarmupComplete(productIds) {
+    // Replayed signals placed no orders, so start out flat
+    productIds.forEach(productId => {
+      if (this.states[productId]) this.states[productId].position = 'none';
+    });
+  }
+
+  onExit(exit) {
+    // The protective exit sold the position; let the next oversold reading buy again
+    this.getState(exit.productId).position = 'none';
+  }
+
+  getIndicators(productId = null) {
+    if (productId) {
+      const state = this.states[productId];
+      return {
+        rsi: state ? state.rsi : null,
+        position: state ? state.position : 'none',
+        period: this.period,
+        oversoldThreshold: this.oversoldThreshold,
+        overboughtThreshold: this.overboughtThreshold,
+        priceHistoryLength: state ? state.priceHistory.length : 0
+      };
+    }
+
+    // All products
+    const products = {};
+    Object.entries(this.states).forEach(([id, state]) => {
+      products[id] = { rsi: state.rsi, position: state.position, priceHistoryLength: state.priceHistory.length };
+    });
     return {
-      rsi: this.rsi,
-      position: this.position,
+      products,
       period: this.period,
       oversoldThreshold: this.oversoldThreshold,
-      overboughtThreshold: this.overboughtThreshold,
-      priceHistoryLength: this.priceHistory.length
+      overboughtThreshold: this.overboughtThreshold
     };
   }
 
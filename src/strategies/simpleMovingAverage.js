@@ -2,24 +2,37 @@ const BaseStrategy = require('./baseStrategy');
 const logger = require('../utils/logger');
 
 class SimpleMovingAverageStrategy extends BaseStrategy {
+  static get displayName() {
+    return 'Simple Moving Average';
+  }
+
+  static get description() {
+    return 'Buy when price crosses above SMA, sell when below';
+  }
+
+  static get parameterSchema() {
+    return {
+      period: { type: 'integer', min: 2, max: 1000, default: 20, label: 'Period', description: 'Prices in the moving average' },
+      ...BaseStrategy.parameterSchema
+    };
+  }
+
   constructor(parameters = {}) {
     super('Simple Moving Average', parameters);
-    this.period = parameters.period || 20; // Align with frontend
+    this.period = this.getParameter('period');
     logger.info(`[SMA] Strategy initialized with period: ${this.period}`);
     this.priceHistories = {}; // Separate price history for each crypto
     this.smas = {}; // Separate SMA for each crypto
     this.lastPrices = {}; // Separate last price for each crypto
     this.lastSmas = {}; // Separate last SMA for each crypto
     this.positions = {}; // Separate position for each crypto
-    this.signals = [];
-    this.maxSignals = 1000;
   }
 
   onPriceUpdate(data) {
     const price = data.price;
     // Log the full data object for debugging
     logger.info(`[SMA] Full price update data:`, data);
-    const productId = data.product_id || data.productId || data.symbol || data.id || 'UNKNOWN';
+    const productId = this.getProductId(data);
     
     // Initialize arrays for this crypto if they don't exist
     if (!this.priceHistories[productId]) {
@@ -31,8 +44,9 @@ class SimpleMovingAverageStrategy extends BaseStrategy {
     }
     
     this.priceHistories[productId].push(price);
-    if (this.priceHistories[productId].length > this.period * 2) {
-      this.priceHistories[productId] = this.priceHistories[productId].slice(-this.period * 2);
+    const maxHistory = Math.max(this.period * 2, this.maxHistory);
+    if (this.priceHistories[productId].length > maxHistory) {
+      this.priceHistories[productId] = this.priceHistories[productId].slice(-maxHistory);
     }
     this.calculateSMA(productId);
     this.generateSignals(price, productId);
@@ -55,48 +69,6 @@ class SimpleMovingAverageStrategy extends BaseStrategy {
     }
   }
 
-  generateBuySignal(signalData) {
-    const signal = {
-      type: 'buy',
-      timestamp: new Date(),
-      strategy: this.name,
-      data: signalData,
-      productId: signalData.productId || signalData.product_id || signalData.symbol || 'UNKNOWN'
-    };
-    this.signals.push(signal);
-    if (this.signals.length > this.maxSignals) {
-      this.signals = this.signals.slice(-this.maxSignals);
-    }
-    this.lastSignal = signal;
-    if (this.parameters.autoTrade && this.executeBuyOrder) {
-      this.executeBuyOrder(signalData);
-    }
-    if (this.onSignal) {
-      this.onSignal(signal);
-    }
-  }
-
-  generateSellSignal(signalData) {
-    const signal = {
-      type: 'sell',
-      timestamp: new Date(),
-      strategy: this.name,
-      data: signalData,
-      productId: signalData.productId || signalData.product_id || signalData.symbol || 'UNKNOWN'
-    };
-    this.signals.push(signal);
-    if (this.signals.length > this.maxSignals) {
-      this.signals = this.signals.slice(-this.maxSignals);
-    }
-    this.lastSignal = signal;
-    if (this.parameters.autoTrade && this.executeSellOrder) {
-      this.executeSellOrder(signalData);
-    }
-    if (this.onSignal) {
-      this.onSignal(signal);
-    }
-  }
-
   generateSignals(currentPrice, productId) {
     const sma = this.smas[productId];
     const lastPrice = this.lastPrices[productId];
@@ -134,6 +106,32 @@ class SimpleMovingAverageStrategy extends BaseStrategy {
     }
   }
 
+  onParametersUpdate() {
+    this.period = this.getParameter('period');
+    // Between ticks the last SMA equals the current one, so the next tick still detects a cross
+    Object.keys(this.priceHistories).forEach(productId => {
+      this.calculateSMA(productId);
+      this.lastSmas[productId] = this.smas[productId];
+    });
+  }
+
+  // The current SMA plus the previous one to detect a cross
+  getRequiredHistory() {
+    return this.period + 1;
+  }
+
+  onWarmupComplete(productIds) {
+    // Replayed crossovers placed no orders, so start out flat
+    productIds.forEach(productId => {
+      if (this.positions[productId]) this.positions[productId] = 'none';
+    });
+  }
+
+  onExit(exit) {
+    // Flat again, as after a sell crossover, so the next upward cross can re-enter
+    this.positions[exit.productId] = 'short';
+  }
+
   getIndicators(productId = null) {
     if (productId) {
       return {
@@ -165,10 +163,8 @@ class SimpleMovingAverageStrategy extends BaseStrategy {
   }
 
   onSignal(signal) {
-    // Add productId to signal if not present
-    if (!signal.productId && signal.data?.productId) {
-      signal.productId = signal.data.productId;
-    }
+    // Backtest signals must not reach the live dashboard
+    if (this.isBacktest) return;
     
     // Emit signal over Socket.IO if available
     if (global.tradingBot && global.tradingBot.io) {
@@ -0,0 +1,122 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week) in the server's
+// local time, with *, lists, ranges and steps, plus @hourly, @daily, @weekly and @monthly.
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const MINUTE = 60 * 1000;
+
+class CronSchedule {
+  constructor(expression) {
+    this.expression = String(expression).trim();
+    const parts = (ALIASES[this.expression.toLowerCase()] || this.expression).split(/\s+/);
+    if (parts.length !== 5) {
+      throw new Error(`Schedule '${this.expression}' must have 5 fields (minute hour day month weekday)`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, index) => CronSchedule.parseField(part, FIELDS[index]));
+    this.minutes = minutes;
+    this.hours = hours;
+    this.days = days;
+    this.months = months;
+    // 7 is Sunday too
+    this.weekdays = new Set([...weekdays].map(day => day % 7));
+    this.anyDay = parts[2] === '*';
+    this.anyWeekday = parts[4] === '*';
+  }
+
+  static parseField(part, field) {
+    const values = new Set();
+
+    for (const item of part.toLowerCase().split(',')) {
+      const [range, stepText] = item.split('/');
+      const step = stepText === undefined ? 1 : Number(stepText);
+      if (!Number.isInteger(step) || step < 1) {
+        throw new Error(`Invalid step '${stepText}' in ${field.name}`);
+      }
+
+      let start = field.min;
+      let end = field.max;
+      if (range !== '*') {
+        const [from, to] = range.split('-').map(value => CronSchedule.parseValue(value, field));
+        start = from;
+        end = to === undefined ? (stepText === undefined ? from : field.max) : to;
+      }
+      if (start > end) {
+        throw new Error(`Invalid range '${range}' in ${field.name}`);
+      }
+
+      for (let value = start; value <= end; value += step) {
+        values.add(value);
+      }
+    }
+
+    return values;
+  }
+
+  static parseValue(value, field) {
+    const named = field.names ? field.names.indexOf(value) : -1;
+    const number = named >= 0 ? named + (field.name === 'month' ? 1 : 0) : Number(value);
+    if (value === '' || !Number.isInteger(number) || number < field.min || number > field.max) {
+      throw new Error(`Invalid ${field.name} '${value}' (use ${field.min}-${field.max})`);
+    }
+    return number;
+  }
+
+  // Like cron, a restricted day of month and day of week match when either does
+  matchesDay(date) {
+    const dayMatch = this.days.has(date.getDate());
+    const weekdayMatch = this.weekdays.has(date.getDay());
+    if (this.anyDay) return weekdayMatch;
+    if (this.anyWeekday) return dayMatch;
+    return dayMatch || weekdayMatch;
+  }
+
+  matches(time) {
+    const date = new Date(time);
+    return this.minutes.has(date.getMinutes()) &&
+      this.hours.has(date.getHours()) &&
+      this.months.has(date.getMonth() + 1) &&
+      this.matchesDay(date);
+  }
+
+  // The first matching minute strictly after `time` (ms); skips whole months, days and hours
+  next(time) {
+    const date = new Date(Math.floor(time / MINUTE) * MINUTE + MINUTE);
+    const limit = time + 5 * 366 * 24 * 60 * MINUTE;
+
+    while (date.getTime() <= limit) {
+      if (!this.months.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this.matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this.hours.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0, 0, 0);
+      } else if (!this.minutes.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1, 0, 0);
+      } else {
+        return date.getTime();
+      }
+    }
+    throw new Error(`Schedule '${this.expression}' never runs`);
+  }
+
+  toString() {
+    return this.expression;
+  }
+}
+
+module.exports = CronSchedule;
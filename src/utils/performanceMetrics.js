@@ -0,0 +1,63 @@
+class PerformanceMetrics {
+  // Period-over-period returns of an equity series
+  static returns(equity) {
+    const returns = [];
+    for (let i = 1; i < equity.length; i++) {
+      if (equity[i - 1] !== 0) {
+        returns.push((equity[i] - equity[i - 1]) / equity[i - 1]);
+      }
+    }
+    return returns;
+  }
+
+  static mean(values) {
+    if (values.length === 0) return 0;
+    return values.reduce((a, b) => a + b, 0) / values.length;
+  }
+
+  static standardDeviation(values) {
+    if (values.length < 2) return 0;
+    const avg = this.mean(values);
+    const variance = values.reduce((sum, value) => sum + Math.pow(value - avg, 2), 0) / (values.length - 1);
+    return Math.sqrt(variance);
+  }
+
+  // Largest peak-to-trough decline, in quote currency and as a fraction of the peak
+  static maxDrawdown(equity) {
+    let peak = -Infinity;
+    let maxDrawdown = 0;
+    let maxDrawdownPct = 0;
+
+    for (const value of equity) {
+      if (value > peak) peak = value;
+      const drawdown = peak - value;
+      if (drawdown > maxDrawdown) {
+        maxDrawdown = drawdown;
+        maxDrawdownPct = peak > 0 ? drawdown / peak : 0;
+      }
+    }
+
+    return { maxDrawdown, maxDrawdownPct };
+  }
+
+  // Annualized Sharpe ratio of per-period returns
+  static sharpeRatio(returns, periodsPerYear = 365, riskFreeRate = 0) {
+    if (returns.length < 2) return null;
+    const excess = returns.map(r => r - riskFreeRate / periodsPerYear);
+    const stdDev = this.standardDeviation(excess);
+    if (stdDev === 0) return null;
+    return (this.mean(excess) / stdDev) * Math.sqrt(periodsPerYear);
+  }
+
+  // Annualized Sortino ratio - like Sharpe but only penalizes downside deviation
+  static sortinoRatio(returns, periodsPerYear = 365, riskFreeRate = 0) {
+    if (returns.length < 2) return null;
+    const excess = returns.map(r => r - riskFreeRate / periodsPerYear);
+    const downside = excess.map(r => Math.min(r, 0));
+    const downsideDeviation = Math.sqrt(downside.reduce((sum, r) => sum + r * r, 0) / downside.length);
+    if (downsideDeviation === 0) return null;
+    return (this.mean(excess) / downsideDeviation) * Math.sqrt(periodsPerYear);
+  }
+}
+
+module.exports = PerformanceMetrics;
@@ -0,0 +1,147 @@
+const EventEmitter = require('events');
+const AdvancedTradeSocket = require('../src/services/advancedTradeSocket');
+
+// Stands in for the ws client: records what is sent and opens on the next tick
+class FakeWebSocket extends EventEmitter {
+  constructor(url) {
+    super();
+    this.url = url;
+    this.readyState = FakeWebSocket.CONNECTING;
+    this.sent = [];
+    FakeWebSocket.instances.push(this);
+    setImmediate(() => {
+      this.readyState = FakeWebSocket.OPEN;
+      this.emit('open');
+    });
+  }
+
+  send(message) {
+    this.sent.push(JSON.parse(message));
+  }
+
+  close() {
+    this.readyState = FakeWebSocket.CLOSED;
+    this.emit('close');
+  }
+
+  receive(message) {
+    this.emit('message', JSON.stringify(message));
+  }
+}
+FakeWebSocket.CONNECTING = 0;
+FakeWebSocket.OPEN = 1;
+FakeWebSocket.CLOSED = 3;
+FakeWebSocket.instances = [];
+
+const subscriptionsSent = ws => ws.sent.map(message => [message.type, message.channel, message.product_ids]);
+
+describe('AdvancedTradeSocket', () => {
+  let socket;
+  let events;
+
+  beforeEach(() => {
+    FakeWebSocket.instances = [];
+    socket = new AdvancedTradeSocket({ WebSocket: FakeWebSocket, createJWT: () => 'signed-token', maxReconnectAttempts: 0 });
+    events = [];
+    socket.subscribe((event, data) => events.push([event, data]));
+  });
+
+  afterEach(() => {
+    socket.disconnect();
+  });
+
+  test('should send signed subscriptions on connect and for channels requested later', async () => {
+    socket.subscribeChannel('ticker', ['BTC-USD', 'ETH-USD']);
+    await socket.connect();
+    const ws = FakeWebSocket.instances[0];
+
+    socket.subscribeChannel('level2', ['BTC-USD']);
+
+    expect(subscriptionsSent(ws)).toEqual([
+      ['subscribe', 'heartbeats', undefined],
+      ['subscribe', 'ticker', ['BTC-USD', 'ETH-USD']],
+      ['subscribe', 'level2', ['BTC-USD']]
+    ]);
+    expect(ws.sent.every(message => message.jwt === 'signed-token')).toBe(true);
+  });
+
+  test('should keep a channel for a product until every consumer released it', async () => {
+    await socket.connect();
+    const ws = FakeWebSocket.instances[0];
+
+    const releaseBook = socket.subscribeChannel('level2', ['BTC-USD']);
+    const releaseStrategy = socket.subscribeChannel('level2', ['BTC-USD', 'ETH-USD']);
+    releaseBook();
+    releaseBook();
+    expect(socket.getSubscriptions()).toEqual({ level2: ['BTC-USD', 'ETH-USD'] });
+
+    releaseStrategy();
+    expect(subscriptionsSent(ws).slice(1)).toEqual([
+      ['subscribe', 'level2', ['BTC-USD']],
+      ['subscribe', 'level2', ['ETH-USD']],
+      ['unsubscribe', 'level2', ['BTC-USD', 'ETH-USD']]
+    ]);
+    expect(socket.getSubscriptions()).toEqual({});
+  });
+
+  test('should normalize ticker, level2, trade and candle messages', async () => {
+    await socket.connect();
+    const ws = FakeWebSocket.instances[0];
+    const timestamp = '2024-01-01T00:00:00Z';
+
+    ws.receive({ channel: 'ticker', timestamp, sequence_num: 0, events: [{ type: 'update', tickers: [{ product_id: 'BTC-USD', price: '42000.5', volume_24_h: '1200', best_bid: '42000.4', best_ask: '42000.6' }] }] });
+    ws.receive({ channel: 'l2_data', timestamp, sequence_num: 1, events: [{ type: 'snapshot', product_id: 'BTC-USD', updates: [{ side: 'bid', price_level: '42000.4', new_quantity: '0.5' }, { side: 'offer', price_level: '42000.6', new_quantity: '0' }] }] });
+    ws.receive({ channel: 'market_trades', timestamp, sequence_num: 2, events: [{ type: 'update', trades: [{ trade_id: '7', product_id: 'BTC-USD', price: '42000.6', size: '0.01', side: 'BUY', time: timestamp }] }] });
+    ws.receive({ channel: 'candles', timestamp, sequence_num: 3, events: [{ type: 'update', candles: [{ start: '1704067200', open: '1', high: '3', low: '0.5', close: '2', volume: '10', product_id: 'BTC-USD' }] }] });
+
+    expect(events.filter(([event]) => event !== 'connection')).toEqual([
+      ['ticker', { productId: 'BTC-USD', price: 42000.5, volume24h: 1200, bestBid: 42000.4, bestAsk: 42000.6, timestamp: new Date(timestamp) }],
+      ['level2', { productId: 'BTC-USD', type: 'snapshot', changes: [{ side: 'buy', price: 42000.4, size: 0.5 }, { side: 'sell', price: 42000.6, size: 0 }], timestamp: new Date(timestamp) }],
+      ['trade', { productId: 'BTC-USD', tradeId: '7', price: 42000.6, size: 0.01, side: 'buy', timestamp: new Date(timestamp) }],
+      ['candle', { productId: 'BTC-USD', interval: '5m', timestamp: new Date(timestamp), open: 1, high: 3, low: 0.5, close: 2, volume: 10 }]
+    ]);
+  });
+
+  test('should report sequence gaps and re-subscribe snapshot channels', async () => {
+    socket.subscribeChannel('level2', ['BTC-USD']);
+    socket.subscribeChannel('ticker', ['BTC-USD']);
+    await socket.connect();
+    const ws = FakeWebSocket.instances[0];
+    ws.sent = [];
+
+    ws.receive({ channel: 'heartbeats', sequence_num: 10, events: [{ heartbeat_counter: '1' }] });
+    ws.receive({ channel: 'heartbeats', sequence_num: 11, events: [{ heartbeat_counter: '2' }] });
+    expect(events.find(([event]) => event === 'sequence-gap')).toBeUndefined();
+
+    ws.receive({ channel: 'heartbeats', sequence_num: 14, events: [{ heartbeat_counter: '3' }] });
+
+    expect(events.find(([event]) => event === 'sequence-gap')[1]).toEqual({ expected: 12, received: 14 });
+    expect(subscriptionsSent(ws)).toEqual([
+      ['unsubscribe', 'level2', ['BTC-USD']],
+      ['subscribe', 'level2', ['BTC-USD']]
+    ]);
+  });
+
+  test('should restore subscriptions on a new connection', async () => {
+    socket.maxReconnectAttempts = 1;
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    try {
+      socket.subscribeChannel('user');
+      await socket.connect();
+      FakeWebSocket.instances[0].close();
+      expect(events).toContainEqual(['connection', { connected: false }]);
+
+      jest.advanceTimersByTime(2000);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(FakeWebSocket.instances).toHaveLength(2);
+      expect(subscriptionsSent(FakeWebSocket.instances[1])).toEqual([['subscribe', 'heartbeats', undefined], ['subscribe', 'user', undefined]]);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should reject unknown channels', () => {
+    expect(() => socket.subscribeChannel('full', ['BTC-USD'])).toThrow("Unknown channel 'full'");
+  });
+});
@@ -0,0 +1,95 @@
+const Backtester = require('../src/services/backtester');
+const BaseStrategy = require('../src/strategies/baseStrategy');
+const PerformanceMetrics = require('../src/utils/performanceMetrics');
+
+// Buys on the first candle and sells once price is 10% higher
+class BuyThenSellStrategy extends BaseStrategy {
+  constructor(parameters = {}) {
+    super('Buy Then Sell', parameters);
+    this.entryPrice = null;
+    this.exited = false;
+  }
+
+  onPriceUpdate(data) {
+    if (this.entryPrice === null) {
+      this.entryPrice = data.price;
+      this.generateBuySignal({ price: data.price, productId: data.productId });
+    } else if (!this.exited && data.price >= this.entryPrice * 1.1) {
+      this.exited = true;
+      this.generateSellSignal({ price: data.price, productId: data.productId });
+    }
+  }
+}
+
+const makeCandles = (closes) => closes.map((close, i) => ({
+  timestamp: new Date(Date.UTC(2024, 0, 1) + i * 3600 * 1000),
+  open: close,
+  high: close,
+  low: close,
+  close,
+  volume: 1
+}));
+
+describe('Backtester', () => {
+  test('should replay candles through the strategy and report fee-adjusted P&L', async () => {
+    const backtester = new Backtester({
+      StrategyClass: BuyThenSellStrategy,
+      parameters: { tradeAmount: 0.1 },
+      initialBalance: 10000,
+      feeRate: 0.01
+    });
+
+    const results = await backtester.run(makeCandles([100, 105, 95, 112, 120]));
+
+    expect(results.trades).toHaveLength(2);
+    expect(results.trades[0]).toMatchObject({ side: 'buy', price: 100 });
+    expect(results.trades[1]).toMatchObject({ side: 'sell', price: 112 });
+    expect(results.trades[1].timestamp).toEqual(new Date(Date.UTC(2024, 0, 1, 3)));
+
+    // 0.1 * (112 - 100) = 1.2 gross, fees 0.1 + 0.112
+    expect(results.metrics.totalFees).toBeCloseTo(0.212);
+    expect(results.metrics.netProfit).toBeCloseTo(1.2 - 0.212);
+    expect(results.metrics.grossProfit).toBeCloseTo(1.2);
+    expect(results.metrics.roundTrips).toBe(1);
+    expect(results.metrics.winRate).toBe(100);
+    expect(results.equityCurve).toHaveLength(5);
+  });
+
+  test('should require candles', async () => {
+    const backtester = new Backtester({ StrategyClass: BuyThenSellStrategy });
+    await expect(backtester.run([])).rejects.toThrow('No candles to backtest');
+  });
+
+  test('should normalize Coinbase candle arrays', () => {
+    const candle = Backtester.normalizeCandle([1704067200, 90, 110, 100, 105, 12], 'ETH-USD');
+    expect(candle).toEqual({
+      productId: 'ETH-USD',
+      timestamp: new Date(1704067200 * 1000),
+      open: 100,
+      high: 110,
+      low: 90,
+      close: 105,
+      volume: 12
+    });
+  });
+});
+
+describe('PerformanceMetrics', () => {
+  test('should measure the largest peak-to-trough drawdown', () => {
+    const { maxDrawdown, maxDrawdownPct } = PerformanceMetrics.maxDrawdown([100, 120, 90, 110, 80, 130]);
+    expect(maxDrawdown).toBe(40);
+    expect(maxDrawdownPct).toBeCloseTo(1 / 3);
+  });
+
+  test('should return null ratios for flat equity', () => {
+    const returns = PerformanceMetrics.returns([100, 100, 100]);
+    expect(PerformanceMetrics.sharpeRatio(returns)).toBeNull();
+    expect(PerformanceMetrics.sortinoRatio(returns)).toBeNull();
+  });
+
+  test('should rank a steadier return series with a higher Sharpe ratio', () => {
+    const steady = PerformanceMetrics.returns([100, 101, 102, 103, 104]);
+    const choppy = PerformanceMetrics.returns([100, 105, 99, 106, 104]);
+    expect(PerformanceMetrics.sharpeRatio(steady)).toBeGreaterThan(PerformanceMetrics.sharpeRatio(choppy));
+  });
+});
@@ -1,4 +1,5 @@
 const BaseStrategy = require('../src/strategies/baseStrategy');
+const TradingEngine = require('../src/services/tradingEngine');
 
 describe('BaseStrategy', () => {
   let strategy;
@@ -53,4 +54,37 @@ describe('BaseStrategy', () => {
     expect(strategy.signals[0].data).toEqual(signalData);
     expect(strategy.lastSignal).toBeDefined();
   });
+
+  test('should turn signals into the configured or requested order type', () => {
+    expect(strategy.getSignalOrder('buy', { price: 50000 })).toMatchObject({ orderType: 'market', price: null });
+
+    const limits = new BaseStrategy('Limits', BaseStrategy.validateParameters({ orderType: 'limit', limitOffset: 0.5, timeInForce: 'ioc' }));
+    expect(limits.getSignalOrder('buy', { price: 50000 })).toMatchObject({ orderType: 'limit', price: 49750, order: { timeInForce: 'ioc', postOnly: false } });
+    expect(limits.getSignalOrder('sell', { price: 50000 }).price).toBe(50250);
+
+    // A signal can ask for its own order, e.g. a bracket around the entry
+    expect(limits.getSignalOrder('sell', { price: 50000, orderType: 'bracket', limitPrice: 55000, stopPrice: 48000 }))
+      .toMatchObject({ orderType: 'bracket', price: 55000, order: { stopPrice: 48000, timeInForce: undefined } });
+  });
+
+  test('should trade live on signals when started in live mode, also as the dashboard\'s active', async () => {
+    const exchange = {
+      getLastPrice: () => 50000,
+      placeBuyOrder: jest.fn(async () => ({ success: true, success_response: { order_id: 'live-1' } }))
+    };
+    const engine = new TradingEngine(exchange, { demoMode: false });
+    engine.portfolio = { USD: 10000, BTC: 0 };
+
+    const parameters = BaseStrategy.validateParameters({ mode: 'active', tradeAmount: 0.001 });
+    expect(parameters.mode).toBe('live');
+    expect(() => BaseStrategy.validateParameters({ mode: 'paper' })).toThrow('mode must be one of simulation, live');
+
+    const live = new BaseStrategy('Live', parameters);
+    live.tradingEngine = engine;
+    expect(live.isAutoTrading()).toBe(true);
+
+    await live.generateBuySignal({ price: 50000, productId: 'BTC-USD' });
+    expect(exchange.placeBuyOrder).toHaveBeenCalledWith('BTC-USD', 0.001, null, expect.objectContaining({ strategy: 'Live' }));
+    expect(live.trades).toHaveLength(1);
+  });
 });
@@ -0,0 +1,88 @@
+const CandleAggregator = require('../src/services/candleAggregator');
+const BaseStrategy = require('../src/strategies/baseStrategy');
+
+describe('CandleAggregator', () => {
+  const t0 = Date.UTC(2024, 0, 1, 12, 0, 0);
+  let aggregator;
+
+  beforeEach(() => {
+    aggregator = new CandleAggregator({ intervals: ['1m', '5m'] });
+  });
+
+  test('should aggregate ticks into OHLCV candles', () => {
+    aggregator.addTick({ productId: 'BTC-USD', price: 100, size: 1, timestamp: new Date(t0) });
+    aggregator.addTick({ productId: 'BTC-USD', price: 104, size: 2, timestamp: new Date(t0 + 10000) });
+    aggregator.addTick({ productId: 'BTC-USD', price: 98, size: 1, timestamp: new Date(t0 + 20000) });
+    aggregator.addTick({ productId: 'BTC-USD', price: 101, size: 0.5, timestamp: new Date(t0 + 30000) });
+
+    const [candle] = aggregator.getCandles('BTC-USD', '1m', 10, true);
+    expect(candle).toMatchObject({
+      open: 100,
+      high: 104,
+      low: 98,
+      close: 101,
+      volume: 4.5,
+      trades: 4,
+      closed: false
+    });
+    expect(aggregator.getCandles('BTC-USD', '1m')).toHaveLength(0);
+  });
+
+  test('should close a candle and notify subscribers when the next bucket starts', () => {
+    const closed = [];
+    aggregator.subscribe((event, candle) => closed.push({ event, candle }));
+
+    aggregator.addTick({ productId: 'BTC-USD', price: 100, timestamp: new Date(t0) });
+    aggregator.addTick({ productId: 'BTC-USD', price: 102, timestamp: new Date(t0 + 61000) });
+
+    expect(closed).toHaveLength(1);
+    expect(closed[0].event).toBe('candle');
+    expect(closed[0].candle).toMatchObject({ interval: '1m', close: 100, closed: true });
+    expect(aggregator.getCandles('BTC-USD', '1m')).toHaveLength(1);
+    expect(aggregator.getCandles('BTC-USD', '5m')).toHaveLength(0);
+  });
+
+  test('should keep products separate', () => {
+    aggregator.addTick({ productId: 'BTC-USD', price: 50000, timestamp: new Date(t0) });
+    aggregator.addTick({ productId: 'ETH-USD', price: 3000, timestamp: new Date(t0) });
+
+    expect(aggregator.getCandles('BTC-USD', '1m', 10, true)[0].close).toBe(50000);
+    expect(aggregator.getCandles('ETH-USD', '1m', 10, true)[0].close).toBe(3000);
+  });
+
+  test('should close stale candles on the timer path', () => {
+    aggregator.addTick({ productId: 'BTC-USD', price: 100, timestamp: new Date(t0) });
+    aggregator.closeStaleCandles(t0 + 60000);
+
+    expect(aggregator.getCandles('BTC-USD', '1m')).toHaveLength(1);
+    expect(aggregator.getCandles('BTC-USD', '5m', 10, true)[0].closed).toBe(false);
+  });
+
+  test('should return column series for technical indicators', () => {
+    aggregator.addTick({ productId: 'BTC-USD', price: 100, size: 1, timestamp: new Date(t0) });
+    aggregator.addTick({ productId: 'BTC-USD', price: 110, size: 1, timestamp: new Date(t0 + 60000) });
+    aggregator.addTick({ productId: 'BTC-USD', price: 105, size: 1, timestamp: new Date(t0 + 120000) });
+
+    const series = aggregator.getSeries('BTC-USD', '1m');
+    expect(series.closes).toEqual([100, 110]);
+    expect(series.volumes).toEqual([1, 1]);
+  });
+
+  test('should reject unsupported intervals', () => {
+    expect(() => new CandleAggregator({ intervals: ['3m'] })).toThrow("Unsupported candle interval '3m'");
+  });
+});
+
+describe('BaseStrategy candle subscriptions', () => {
+  test('should only deliver candles for subscribed intervals', () => {
+    const strategy = new BaseStrategy('Candle Strategy', { candleInterval: '5m' });
+    strategy.isActive = true;
+    strategy.onCandle = jest.fn();
+
+    strategy.handleMarketData('candle', { interval: '1m' });
+    strategy.handleMarketData('candle', { interval: '5m' });
+
+    expect(strategy.onCandle).toHaveBeenCalledTimes(1);
+    expect(strategy.onCandle).toHaveBeenCalledWith({ interval: '5m' });
+  });
+});
@@ -0,0 +1,134 @@
+const CandleHistory = require('../src/services/candleHistory');
+const CandleAggregator = require('../src/services/candleAggregator');
+const TradingEngine = require('../src/services/tradingEngine');
+const SimpleMovingAverageStrategy = require('../src/strategies/simpleMovingAverage');
+const MACDStrategy = require('../src/strategies/macdStrategy');
+
+const MINUTE = 60 * 1000;
+const now = Date.UTC(2024, 0, 31, 12, 0, 0);
+
+function candle(productId, minutesAgo, close) {
+  return { productId, interval: '1m', granularity: 60, timestamp: new Date(now - minutesAgo * MINUTE), open: close, high: close, low: close, close, volume: 1 };
+}
+
+// Exchange candles for the requested range, one per minute, closing at 100 + minute index
+function createMarket() {
+  return {
+    subscribedProducts: ['BTC-USD'],
+    requests: [],
+    getLastPrice: () => 100,
+    async getHistoricalCandles(productId, granularity, start, end) {
+      this.requests.push({ productId, granularity, start, end });
+      const candles = [];
+      for (let time = start.getTime(); time < end.getTime(); time += granularity * 1000) {
+        candles.push({ productId, granularity, timestamp: new Date(time), open: 1, high: 1, low: 1, close: 100 + (time - start.getTime()) / MINUTE, volume: 1 });
+      }
+      return candles;
+    }
+  };
+}
+
+describe('CandleHistory', () => {
+  test('should prefer local candles and fetch only when they fall short', async () => {
+    const market = createMarket();
+    const aggregator = new CandleAggregator({ intervals: ['1m'] });
+    aggregator.restoreCandles([candle('BTC-USD', 2, 500), candle('BTC-USD', 1, 501)]);
+    const history = new CandleHistory(market, aggregator, { source: 'auto' });
+
+    const enough = await history.getCandles('BTC-USD', '1m', 2, now);
+    expect(enough.source).toBe('local');
+    expect(enough.candles.map(c => c.close)).toEqual([500, 501]);
+    expect(market.requests).toHaveLength(0);
+
+    const more = await history.getCandles('BTC-USD', '1m', 5, now);
+    expect(more.source).toBe('local+exchange');
+    expect(more.candles).toHaveLength(5);
+    // The bot's own candles replace the exchange's for the same minute, the open minute is dropped
+    expect(more.candles.slice(-2).map(c => c.close)).toEqual([500, 501]);
+    expect(more.candles.every(c => c.timestamp.getTime() + MINUTE <= now)).toBe(true);
+    expect(market.requests[0]).toMatchObject({ productId: 'BTC-USD', granularity: 60 });
+  });
+
+  test('should stay local or go to the exchange when configured', async () => {
+    const market = createMarket();
+    const aggregator = new CandleAggregator({ intervals: ['1m'] });
+    aggregator.restoreCandles([candle('BTC-USD', 1, 501)]);
+
+    expect((await new CandleHistory(market, aggregator, { source: 'local' }).getCandles('BTC-USD', '1m', 10, now)).candles).toHaveLength(1);
+    const remote = await new CandleHistory(market, aggregator, { source: 'exchange' }).getCandles('BTC-USD', '1m', 10, now);
+    expect(remote.source).toBe('exchange');
+    expect(remote.candles).toHaveLength(10);
+    expect(() => new CandleHistory(market, aggregator, { source: 'cache' })).toThrow('Unknown warm-up source');
+  });
+
+  test('should give up on a slow exchange', async () => {
+    const market = { getHistoricalCandles: () => new Promise(() => {}) };
+    const history = new CandleHistory(market, null, { timeoutMs: 10 });
+
+    await expect(history.getCandles('BTC-USD', '1m', 5, now)).rejects.toThrow('Timed out');
+  });
+});
+
+describe('Strategy warm-up', () => {
+  function createServices(candles, market = createMarket()) {
+    return {
+      tradingEngine: new TradingEngine(market, { demoMode: true }),
+      coinbaseService: market,
+      candleHistory: { getCandles: async (productId, interval, count) => ({ candles: candles.slice(-count), source: 'local' }) }
+    };
+  }
+
+  test('should prime indicators from history without emitting signals', async () => {
+    // Falls, then crosses back above the SMA: a buy signal if it were live
+    const closes = [110, 108, 106, 104, 102, 100, 98, 96, 120];
+    const candles = closes.map((close, i) => candle('BTC-USD', closes.length - i, close));
+    const strategy = new SimpleMovingAverageStrategy({ period: 5, autoTrade: true });
+
+    await strategy.start(createServices(candles));
+
+    expect(strategy.getRequiredHistory()).toBe(6);
+    expect(strategy.getIndicators('BTC-USD')).toMatchObject({ priceHistoryLength: 6, position: 'none' });
+    expect(strategy.getIndicators('BTC-USD').sma).toBeCloseTo((102 + 100 + 98 + 96 + 120) / 5);
+    expect(strategy.signals).toHaveLength(0);
+    expect(strategy.trades).toHaveLength(0);
+    expect(strategy.getPerformance().warmup).toMatchObject({ interval: '1m', requested: 6, products: { 'BTC-USD': { candles: 6, source: 'local' } } });
+
+    // The first live tick can already trade off the primed SMA
+    strategy.handleMarketData('price', { productId: 'BTC-USD', price: 90 });
+    expect(strategy.signals.map(s => s.type)).toEqual(['sell']);
+  });
+
+  test('should hold live data back until the history has been replayed', async () => {
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const services = createServices([]);
+    services.candleHistory = {
+      getCandles: async () => {
+        await gate;
+        return { candles: [100, 101, 102].map((close, i) => candle('BTC-USD', 3 - i, close)), source: 'exchange' };
+      }
+    };
+    const strategy = new MACDStrategy({ fastPeriod: 2, slowPeriod: 3, signalPeriod: 2, warmupCandles: 3 });
+
+    const starting = strategy.start(services);
+    strategy.handleMarketData('price', { productId: 'BTC-USD', price: 200 });
+    expect(strategy.states['BTC-USD']).toBeUndefined();
+
+    release();
+    await starting;
+    expect(strategy.states['BTC-USD'].priceHistory).toEqual([100, 101, 102, 200]);
+  });
+
+  test('should start anyway when the history is unavailable or warm-up is off', async () => {
+    const services = createServices([]);
+    services.candleHistory = { getCandles: async () => { throw new Error('offline'); } };
+    const strategy = new SimpleMovingAverageStrategy({ period: 5 });
+    await strategy.start(services);
+    expect(strategy.isActive).toBe(true);
+    expect(strategy.warmup.products['BTC-USD']).toEqual({ candles: 0, error: 'offline' });
+
+    const disabled = new SimpleMovingAverageStrategy({ period: 5, warmupCandles: 0 });
+    await disabled.start(createServices([candle('BTC-USD', 1, 100)]));
+    expect(disabled.warmup).toBeNull();
+  });
+});
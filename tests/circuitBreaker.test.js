@@ -0,0 +1,132 @@
+const CircuitBreaker = require('../src/services/circuitBreaker');
+const TradingEngine = require('../src/services/tradingEngine');
+const StrategyManager = require('../src/services/strategyManager');
+
+const prices = { 'BTC-USD': 100 };
+const market = { getLastPrice: (productId) => prices[productId] || null };
+
+function createBot(options = {}, riskManager = undefined) {
+  const engine = new TradingEngine(market, {
+    demoMode: true,
+    riskManager,
+    paper: { takerFeeRate: 0, makerFeeRate: 0, slippage: 0, initialBalances: { USD: 1000 } }
+  });
+  const strategyManager = new StrategyManager();
+  const breaker = new CircuitBreaker(engine, strategyManager, { maxOrderErrors: 3, resumeCooldownMs: 0, ...options });
+  breaker.start();
+  global.tradingBot = { tradingEngine: engine, coinbaseService: market };
+  return { engine, strategyManager, breaker };
+}
+
+describe('CircuitBreaker', () => {
+  afterEach(() => {
+    delete global.tradingBot;
+  });
+
+  test('should stop strategies, cancel orders, flatten and block new orders on halt', async () => {
+    const { engine, strategyManager, breaker } = createBot();
+    const events = [];
+    breaker.subscribe((event, data) => events.push({ event, data }));
+
+    await strategyManager.startStrategy('sma', { period: 5 });
+    await engine.executeBuyOrder('BTC-USD', 2, null, 'market', { strategy: 'SMA' });
+    await engine.executeBuyOrder('BTC-USD', 1, 98, 'limit', { strategy: 'SMA' });
+
+    const status = await breaker.halt('Test halt', { flatten: true });
+
+    expect(status).toMatchObject({ halted: true, reason: 'Test halt', source: 'manual' });
+    expect(status.strategies).toEqual([{ id: 'sma', type: 'sma' }]);
+    expect(strategyManager.getActiveStrategies()).toEqual([]);
+    expect(status.cancelled).toHaveLength(1);
+    expect(engine.getActiveOrders()).toHaveLength(0);
+    expect(status.flattened).toEqual([expect.objectContaining({ productId: 'BTC-USD', size: 2, success: true })]);
+    expect(engine.positionLedger.getPositions({ openOnly: true })).toHaveLength(0);
+    expect(events.map(e => e.event)).toEqual(['halted']);
+
+    expect(await engine.executeBuyOrder('BTC-USD', 1)).toMatchObject({ success: false, code: 'HALTED' });
+  });
+
+  test('should answer status and resume while the halt is still cancelling', async () => {
+    const { engine, breaker } = createBot();
+    await engine.executeBuyOrder('BTC-USD', 1, 98, 'limit', { strategy: 'SMA' });
+
+    const halting = breaker.halt('Test halt');
+
+    expect(breaker.getStatus()).toMatchObject({ halted: true, reason: 'Test halt' });
+    expect(await breaker.resume({ confirm: true, force: true })).toMatchObject({ success: false, code: 'HALT_IN_PROGRESS' });
+
+    await halting;
+    expect(breaker.getStatus().cancelled).toHaveLength(1);
+    expect(await breaker.resume({ confirm: true, force: true })).toMatchObject({ success: true });
+  });
+
+  test('should flatten sizes rounded to the base increment and report positions left open', async () => {
+    const { engine, breaker } = createBot({}, {
+      checkBuyOrder: async () => ({ approved: true }),
+      checkSellOrder: async (productId) => (productId === 'ETH-USD'
+        ? { approved: false, code: 'MAX_ORDER_VALUE', reason: 'Order value too large' }
+        : { approved: true }),
+      recordLoss: () => {}
+    });
+    engine.positionSizer.productSource = { getProduct: async (productId) => ({ productId, baseIncrement: 0.0001 }) };
+    prices['ETH-USD'] = 10;
+    await engine.executeBuyOrder('BTC-USD', 1.23456789, null, 'market', { strategy: 'SMA' });
+    await engine.executeBuyOrder('ETH-USD', 1, null, 'market', { strategy: 'RSI' });
+
+    const status = await breaker.halt('Test halt', { flatten: true });
+    delete prices['ETH-USD'];
+
+    expect(status.flattened).toEqual([
+      expect.objectContaining({ productId: 'BTC-USD', size: 1.2345, success: true }),
+      expect.objectContaining({ productId: 'ETH-USD', success: false, code: 'MAX_ORDER_VALUE' })
+    ]);
+    expect(status.unflattened).toEqual([expect.objectContaining({ productId: 'ETH-USD', strategy: 'RSI' })]);
+  });
+
+  test('should trip on a burst of order errors', async () => {
+    const { engine, breaker } = createBot({}, {
+      checkBuyOrder: async () => ({ approved: true }),
+      recordLoss: () => {}
+    });
+
+    // No price for this product, so the paper broker throws
+    for (let i = 0; i < 3; i++) {
+      await engine.executeBuyOrder('ETH-USD', 1);
+    }
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(breaker.getStatus()).toMatchObject({ halted: true, source: 'order-errors' });
+  });
+
+  test('should trip when realized losses reach the daily limit', async () => {
+    const { engine, breaker } = createBot();
+    engine.riskManager.dailyLossLimit = 10;
+
+    await engine.executeBuyOrder('BTC-USD', 1);
+    prices['BTC-USD'] = 80;
+    await engine.executeSellOrder('BTC-USD', 1);
+    prices['BTC-USD'] = 100;
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(breaker.getStatus()).toMatchObject({ halted: true, source: 'daily-loss' });
+  });
+
+  test('should guard resume behind confirmation, cooldown and loss checks', async () => {
+    const { engine, strategyManager, breaker } = createBot({ resumeCooldownMs: 60000 });
+    await strategyManager.startStrategy('sma', { period: 5 });
+    await breaker.halt('Test halt');
+
+    expect(await breaker.resume()).toMatchObject({ success: false, code: 'CONFIRMATION_REQUIRED' });
+    expect(await breaker.resume({ confirm: true })).toMatchObject({ success: false, code: 'COOLDOWN' });
+
+    breaker.resumeCooldownMs = 0;
+    engine.riskManager.recordLoss(engine.riskManager.dailyLossLimit);
+    expect(await breaker.resume({ confirm: true })).toMatchObject({ success: false, code: 'DAILY_LOSS_LIMIT' });
+
+    const result = await breaker.resume({ confirm: true, force: true, restartStrategies: true });
+    expect(result).toEqual({ success: true, restarted: ['sma'] });
+    expect(breaker.isHalted()).toBe(false);
+    expect(engine.halted).toBe(false);
+    expect(strategyManager.getActiveStrategies()).toEqual(['sma']);
+  });
+});
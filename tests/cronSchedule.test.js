@@ -0,0 +1,35 @@
+const CronSchedule = require('../src/utils/cronSchedule');
+
+// Schedules run in local time, so the fixtures are local dates too
+const at = (...args) => new Date(...args).getTime();
+
+describe('CronSchedule', () => {
+  test('should find the next matching minute', () => {
+    const mondays = new CronSchedule('0 9 * * 1');
+    // 2024-01-01 was a Monday
+    expect(mondays.next(at(2024, 0, 1, 8, 30))).toBe(at(2024, 0, 1, 9, 0));
+    expect(mondays.next(at(2024, 0, 1, 9, 0))).toBe(at(2024, 0, 8, 9, 0));
+    expect(mondays.matches(at(2024, 0, 8, 9, 0))).toBe(true);
+
+    expect(new CronSchedule('*/15 * * * *').next(at(2024, 0, 1, 10, 16, 30))).toBe(at(2024, 0, 1, 10, 30));
+    expect(new CronSchedule('30 8-10/2 * * mon-fri').next(at(2024, 0, 5, 10, 31))).toBe(at(2024, 0, 8, 8, 30));
+    expect(new CronSchedule('@monthly').next(at(2024, 0, 15))).toBe(at(2024, 1, 1));
+    expect(new CronSchedule('0 0 29 feb *').next(at(2024, 2, 1))).toBe(at(2028, 1, 29));
+  });
+
+  test('should match either day field when both are restricted', () => {
+    const schedule = new CronSchedule('0 12 1 * 0');
+    // Sunday the 7th, then Monday the 1st of April
+    expect(schedule.next(at(2024, 0, 6))).toBe(at(2024, 0, 7, 12, 0));
+    expect(schedule.matches(at(2024, 3, 1, 12, 0))).toBe(true);
+    expect(new CronSchedule('0 0 * * 7').matches(at(2024, 0, 7))).toBe(true);
+  });
+
+  test('should reject malformed expressions', () => {
+    expect(() => new CronSchedule('0 9 * *')).toThrow('must have 5 fields');
+    expect(() => new CronSchedule('60 * * * *')).toThrow("Invalid minute '60' (use 0-59)");
+    expect(() => new CronSchedule('0 * * * funday')).toThrow("Invalid day of week 'funday'");
+    expect(() => new CronSchedule('*/0 * * * *')).toThrow("Invalid step '0'");
+    expect(() => new CronSchedule('0 0 30 2 *').next(at(2024, 0, 1))).toThrow('never runs');
+  });
+});
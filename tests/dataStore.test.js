@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataStore = require('../src/services/dataStore');
+const TradingEngine = require('../src/services/tradingEngine');
+const TradingBot = require('../src/index');
+
+describe('DataStore', () => {
+  let dataDir;
+  let store;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dutchess-store-'));
+    store = new DataStore({ dataDir, flushIntervalMs: 0 });
+    store.initialize();
+  });
+
+  afterEach(() => {
+    store.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('should append records to one JSONL file per day', () => {
+    store.record('ticks', { productId: 'BTC-USD', price: 50000, timestamp: new Date('2024-01-01T10:00:00Z') });
+    store.record('ticks', { productId: 'BTC-USD', price: 50100, timestamp: new Date('2024-01-02T10:00:00Z') });
+
+    const files = fs.readdirSync(path.join(dataDir, 'ticks')).sort();
+    expect(files).toEqual(['2024-01-01.jsonl', '2024-01-02.jsonl']);
+    expect(JSON.parse(fs.readFileSync(path.join(dataDir, 'ticks', files[0]), 'utf8')).price).toBe(50000);
+  });
+
+  test('should query by time range and filters, oldest first', async () => {
+    store.record('signals', { strategy: 'SMA', productId: 'BTC-USD', type: 'buy', timestamp: new Date('2024-01-01T10:00:00Z') });
+    store.record('signals', { strategy: 'RSI', productId: 'BTC-USD', type: 'sell', timestamp: new Date('2024-01-01T11:00:00Z') });
+    store.record('signals', { strategy: 'SMA', productId: 'ETH-USD', type: 'sell', timestamp: new Date('2024-01-02T10:00:00Z') });
+    store.record('signals', { strategy: 'SMA', productId: 'BTC-USD', type: 'sell', timestamp: new Date('2024-01-03T10:00:00Z') });
+
+    const sma = await store.query('signals', { strategy: 'SMA' });
+    expect(sma.map(s => s.productId)).toEqual(['BTC-USD', 'ETH-USD', 'BTC-USD']);
+    expect(sma[0].timestamp).toBeInstanceOf(Date);
+
+    const ranged = await store.query('signals', { from: '2024-01-01T10:30:00Z', to: '2024-01-02T23:59:59Z' });
+    expect(ranged.map(s => s.strategy)).toEqual(['RSI', 'SMA']);
+  });
+
+  test('should keep the most recent records when limited', async () => {
+    for (let i = 0; i < 5; i++) {
+      store.record('fills', { orderId: `o${i}`, timestamp: new Date(Date.UTC(2024, 0, 1, i)) });
+    }
+    expect((await store.query('fills', { limit: 2 })).map(f => f.orderId)).toEqual(['o3', 'o4']);
+  });
+
+  test('should not read older days once the limit is met', async () => {
+    for (let day = 1; day <= 3; day++) {
+      for (let hour = 0; hour < 2; hour++) {
+        store.record('ticks', { price: day * 10 + hour, timestamp: new Date(Date.UTC(2024, 0, day, hour)) });
+      }
+    }
+    const reads = jest.spyOn(fs, 'createReadStream');
+
+    const ticks = await store.query('ticks', { limit: 3 });
+
+    expect(ticks.map(t => t.price)).toEqual([21, 30, 31]);
+    expect(reads.mock.calls.map(([file]) => path.basename(file))).toEqual(['2024-01-03.jsonl', '2024-01-02.jsonl']);
+    reads.mockRestore();
+  });
+
+  test('should buffer writes until flushed', async () => {
+    const buffered = new DataStore({ dataDir, flushIntervalMs: 60000 });
+    buffered.record('orders', { orderId: 'abc', status: 'OPEN', timestamp: new Date('2024-01-01T00:00:00Z') });
+    expect(fs.existsSync(path.join(dataDir, 'orders', '2024-01-01.jsonl'))).toBe(false);
+
+    buffered.flush();
+    expect(await store.query('orders')).toHaveLength(1);
+  });
+
+  test('should rebuild positions from every fill on restart, beyond the default query limit', async () => {
+    const start = new Date('2024-01-01T00:00:00Z').getTime();
+    for (let i = 0; i < 1500; i++) {
+      store.record('fills', { strategy: 'SMA', productId: 'BTC-USD', side: 'buy', size: 0.001, price: 100, fee: 0, timestamp: new Date(start + i * 60000) });
+    }
+    const engine = new TradingEngine({ getLastPrice: () => 100 }, { demoMode: true });
+    const bot = {
+      dataStore: store,
+      tradingEngine: engine,
+      coinbaseService: { restorePriceHistory: () => {} },
+      candleAggregator: { restoreCandles: () => {} }
+    };
+
+    await TradingBot.prototype.restoreState.call(bot);
+
+    expect(engine.positionLedger.getPositions()[0].size).toBeCloseTo(1.5);
+  });
+
+  test('should reject unknown collections', () => {
+    expect(() => store.record('positions', {})).toThrow("Unknown collection 'positions'");
+  });
+});
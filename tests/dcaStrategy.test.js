@@ -0,0 +1,94 @@
+const DCAStrategy = require('../src/strategies/dcaStrategy');
+const TradingEngine = require('../src/services/tradingEngine');
+const Backtester = require('../src/services/backtester');
+
+const prices = { 'BTC-USD': 100, 'ETH-USD': 10 };
+const market = { getLastPrice: (productId) => prices[productId] || null };
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+async function startDca(parameters) {
+  const engine = new TradingEngine(market, {
+    demoMode: true,
+    paper: { takerFeeRate: 0, makerFeeRate: 0, slippage: 0, initialBalances: { USD: 10000 } }
+  });
+  const strategy = new DCAStrategy(DCAStrategy.validateParameters({ mode: 'simulation', warmupCandles: 0, ...parameters }));
+  strategy.id = 'dca';
+  await strategy.start({ tradingEngine: engine, coinbaseService: market });
+  return strategy;
+}
+
+// Fire the schedule as if its next run had come
+async function runSchedule(strategy) {
+  strategy.runDueSchedules(strategy.schedules[0].nextRun);
+  await settle();
+  await settle();
+}
+
+describe('DCAStrategy', () => {
+  let strategy;
+
+  afterEach(async () => {
+    await strategy?.stop();
+  });
+
+  test('should buy the quote amount on each scheduled run', async () => {
+    strategy = await startDca({ quoteAmount: 50, productIds: 'BTC-USD,ETH-USD' });
+    expect(strategy.getSchedules()[0]).toMatchObject({ schedule: '0 9 * * 1', nextRun: expect.any(Date) });
+    expect(strategy.getSchedules()[0].nextRun.getDay()).toBe(1);
+
+    await runSchedule(strategy);
+
+    expect(strategy.signals.map(signal => [signal.productId, signal.data.size])).toEqual([['BTC-USD', 0.5], ['ETH-USD', 5]]);
+    expect(strategy.trades.map(trade => [trade.type, trade.productId, trade.amount])).toEqual([['buy', 'BTC-USD', 0.5], ['buy', 'ETH-USD', 5]]);
+  });
+
+  test('should scale up on dips below the recent high', async () => {
+    strategy = await startDca({ quoteAmount: 100, dipRules: '10:1.5,25:3' });
+    const now = Date.now();
+    [100, 120, 110].forEach((price, i) => strategy.handleMarketData('price', { productId: 'BTC-USD', price, timestamp: new Date(now - (3 - i) * 3600 * 1000) }));
+
+    await runSchedule(strategy);
+    // 110 is 8.3% below 120: no dip
+    expect(strategy.signals[0].data).toMatchObject({ multiplier: 1, quoteAmount: 100, recentHigh: 120 });
+
+    strategy.handleMarketData('price', { productId: 'BTC-USD', price: 96 });
+    await runSchedule(strategy);
+    expect(strategy.signals[1].data).toMatchObject({ multiplier: 1.5, quoteAmount: 150, size: 1.5625 });
+    expect(strategy.signals[1].data.drawdown).toBeCloseTo(20);
+    expect(strategy.signals[1].data.reason).toContain('1.5x at 20.0% below the recent high');
+  });
+
+  test('should stop at the budget and report its own P&L', async () => {
+    strategy = await startDca({ quoteAmount: 60, budget: 100 });
+
+    await runSchedule(strategy);
+    await runSchedule(strategy);
+    await runSchedule(strategy);
+
+    expect(strategy.signals.map(signal => signal.data.quoteAmount)).toEqual([60, 40]);
+    expect(strategy.runs[2].skipped).toEqual([{ productId: 'BTC-USD', reason: 'Budget used up' }]);
+
+    prices['BTC-USD'] = 120;
+    const { dca } = strategy.getPerformance();
+    prices['BTC-USD'] = 100;
+    expect(dca).toMatchObject({ invested: 100, budget: 100, budgetRemaining: 0, marketValue: 120, unrealizedPnl: 20, returnPct: 20 });
+    expect(dca.products['BTC-USD']).toMatchObject({ buys: 2, size: 1, averageCost: 100 });
+  });
+
+  test('should reject bad schedules and dip rules', () => {
+    expect(() => DCAStrategy.validateParameters({ schedule: 'every monday' })).toThrow('must have 5 fields');
+    expect(() => DCAStrategy.validateParameters({ dipRules: '10' })).toThrow("dip rule '10' must be drawdown%:multiplier");
+  });
+
+  test('should run schedules on replayed time in backtests', async () => {
+    const start = new Date(2024, 0, 1).getTime();
+    const candles = Array.from({ length: 72 }, (_, i) => ({ timestamp: new Date(start + i * 3600 * 1000), open: 100, high: 100, low: 100, close: 100, volume: 1 }));
+    const backtester = new Backtester({ StrategyClass: DCAStrategy, parameters: { schedule: '@daily', quoteAmount: 100 }, feeRate: 0 });
+
+    const results = await backtester.run(candles);
+
+    // Midnight of the second and third day; the first candle only sets up the schedule
+    expect(results.trades.filter(trade => trade.side === 'buy')).toHaveLength(2);
+    expect(results.trades[0].size).toBe(1);
+  });
+});
@@ -0,0 +1,155 @@
+const BaseStrategy = require('../src/strategies/baseStrategy');
+const StrategyManager = require('../src/services/strategyManager');
+const TradingEngine = require('../src/services/tradingEngine');
+
+const market = { getLastPrice: () => 100 };
+
+// Votes buy above its level and sell below it, on every tick
+function levelStrategy(level, confidence = 100) {
+  return class LevelStrategy extends BaseStrategy {
+    static get parameterSchema() {
+      return {
+        level: { type: 'number', default: level },
+        ...BaseStrategy.parameterSchema
+      };
+    }
+
+    constructor(parameters = {}) {
+      super(`Level ${level}`, parameters);
+    }
+
+    onPriceUpdate(data) {
+      const signal = { price: data.price, confidence, productId: data.productId };
+      if (data.price > this.getParameter('level')) this.generateBuySignal(signal);
+      if (data.price < this.getParameter('level')) this.generateSellSignal(signal);
+    }
+  };
+}
+
+describe('EnsembleStrategy', () => {
+  let manager;
+  let time;
+
+  function tick(strategy, price, seconds = 1) {
+    time += seconds * 1000;
+    strategy.handleMarketData('price', { productId: 'BTC-USD', price, timestamp: new Date(time) });
+  }
+
+  async function startEnsemble(parameters) {
+    return manager.startStrategy('ensemble', { warmupCandles: 0, ...parameters });
+  }
+
+  beforeEach(() => {
+    time = Date.UTC(2024, 0, 31);
+    manager = new StrategyManager();
+    manager.registerStrategy('low', levelStrategy(100, 80));
+    manager.registerStrategy('mid', levelStrategy(110, 40));
+    manager.registerStrategy('high', levelStrategy(120, 90));
+    global.tradingBot = { tradingEngine: new TradingEngine(market, { demoMode: true }), coinbaseService: market };
+  });
+
+  afterEach(async () => {
+    await manager.stopAllStrategies();
+    delete global.tradingBot;
+  });
+
+  test('should trade the majority and keep member signals to itself', async () => {
+    const ensemble = await startEnsemble({ members: 'low,mid,high', cooldown: 0 });
+
+    // low alone buys; mid and high outvote it
+    tick(ensemble, 105);
+    expect(ensemble.signals.map(signal => signal.data.reason)).toEqual(['majority vote: mid, high selling']);
+
+    tick(ensemble, 115);
+    expect(ensemble.signals.map(signal => signal.type)).toEqual(['sell', 'buy']);
+    const { data } = ensemble.signals[1];
+    expect(data).toMatchObject({ rule: 'majority', price: 115, productId: 'BTC-USD', reason: 'majority vote: low, mid buying' });
+    expect(data.confidence).toBeCloseTo(200 / 3);
+    // Each decision clears the votes, and high hadn't voted again before low and mid decided
+    expect(data.votes.map(vote => [vote.member, vote.type])).toEqual([['low', 'buy'], ['mid', 'buy'], ['high', null]]);
+
+    // Members signal, but only the ensemble's own signals count and trade
+    expect(ensemble.members.map(member => member.id)).toEqual(['ensemble/low', 'ensemble/mid', 'ensemble/high']);
+    expect(ensemble.members.every(member => !member.isAutoTrading())).toBe(true);
+    expect(manager.getSignals('ensemble').map(signal => signal.strategyId)).toEqual(['ensemble', 'ensemble']);
+
+    // Still long: a repeated buy majority changes nothing
+    tick(ensemble, 116);
+    tick(ensemble, 90);
+    expect(ensemble.signals.map(signal => signal.type)).toEqual(['sell', 'buy', 'sell']);
+  });
+
+  test('should wait for every member under the unanimous rule', async () => {
+    const ensemble = await startEnsemble({ members: ['low', 'mid', 'high'], rule: 'unanimous' });
+
+    tick(ensemble, 115);
+    expect(ensemble.signals).toHaveLength(0);
+
+    tick(ensemble, 125);
+    expect(ensemble.signals.map(signal => signal.type)).toEqual(['buy']);
+    expect(ensemble.signals[0].data.confidence).toBeCloseTo((80 + 40 + 90) / 3);
+  });
+
+  test('should weigh confidences against the threshold', async () => {
+    const ensemble = await startEnsemble({ members: 'low,mid', rule: 'weighted', weights: '1,3', threshold: 30 });
+
+    // low buys at 80, mid sells at 40 with three times the weight: (80 - 120) / 4 = -10
+    tick(ensemble, 105);
+    expect(ensemble.signals).toHaveLength(0);
+    expect(ensemble.getIndicators('BTC-USD').tally.votes.map(vote => vote.type)).toEqual(['buy', 'sell']);
+
+    // Both buy: (80 + 120) / 4 = 50
+    tick(ensemble, 115);
+    expect(ensemble.signals.map(signal => signal.type)).toEqual(['buy']);
+    expect(ensemble.signals[0].data.confidence).toBe(50);
+  });
+
+  test('should hold back signals during the cool-down and forget stale votes', async () => {
+    const ensemble = await startEnsemble({ members: 'low,mid,high', cooldown: 60, voteWindow: 30 });
+
+    tick(ensemble, 115);
+    tick(ensemble, 90, 10);
+    expect(ensemble.signals.map(signal => signal.type)).toEqual(['buy']);
+
+    tick(ensemble, 90, 60);
+    expect(ensemble.signals.map(signal => signal.type)).toEqual(['buy', 'sell']);
+
+    // low votes buy, then mid only 40s later: low's vote has expired by then
+    tick(ensemble, 105, 60);
+    tick(ensemble, 90, 40);
+    tick(ensemble, 115, 40);
+    expect(ensemble.signals.map(signal => signal.type)).toEqual(['buy', 'sell', 'buy']);
+  });
+
+  test('should validate members and pass them their own parameters', () => {
+    expect(() => manager.createStrategy('ensemble', { members: 'low,low' })).toThrow('member low is listed twice');
+    expect(() => manager.createStrategy('ensemble', { members: 'low,mid', weights: '1' })).toThrow('one non-negative number per member');
+    expect(() => manager.createStrategy('ensemble', { members: 'low', memberParameters: { mid: {} } })).toThrow('mid, which is not a member');
+    expect(() => manager.createStrategy('ensemble', { members: 'low,nope' })).toThrow("Strategy 'nope' not found");
+    expect(() => manager.createStrategy('ensemble', { members: 'rsi', memberParameters: '{"rsi":{"period":1}}' })).toThrow('Member rsi: Invalid parameters: period must be at least 2');
+
+    const ensemble = manager.createStrategy('ensemble', {
+      members: 'rsi,macd',
+      productIds: 'ETH-USD',
+      tradeAmount: 2,
+      memberParameters: { rsi: { period: 10 } }
+    });
+    const [rsi, macd] = ensemble.members;
+    expect(rsi.period).toBe(10);
+    expect(macd.productIds).toEqual(['ETH-USD']);
+    expect(rsi.parameters.tradeAmount).toBeUndefined();
+  });
+
+  test('should rebuild its members when they change', async () => {
+    const ensemble = await startEnsemble({ members: 'low,mid' });
+    const [low] = ensemble.members;
+
+    manager.updateParameters('ensemble', { threshold: 80 });
+    expect(ensemble.members[0]).toBe(low);
+
+    manager.updateParameters('ensemble', { members: 'low,high' });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(low.isActive).toBe(false);
+    expect(ensemble.members.map(member => [member.type, member.isActive])).toEqual([['low', true], ['high', true]]);
+  });
+});
@@ -0,0 +1,127 @@
+const ExitManager = require('../src/services/exitManager');
+const TradingEngine = require('../src/services/tradingEngine');
+const CandleAggregator = require('../src/services/candleAggregator');
+
+const permissiveRiskManager = {
+  checkBuyOrder: async () => ({ approved: true }),
+  checkSellOrder: async () => ({ approved: true }),
+  recordLoss: () => {}
+};
+
+// Buy 1 BTC (or `size`) at 100 through the paper broker, then return the engine for exit checks
+async function openPosition(parameters, { size = 1, riskManager = permissiveRiskManager } = {}) {
+  const prices = { 'BTC-USD': 100 };
+  const market = {
+    getLastPrice: (productId) => prices[productId],
+    setPrice: (productId, price) => { prices[productId] = price; }
+  };
+  const engine = new TradingEngine(market, {
+    demoMode: true,
+    riskManager,
+    paper: { takerFeeRate: 0, makerFeeRate: 0, slippage: 0, initialBalances: { USD: 1000 } }
+  });
+  const onExit = jest.fn();
+  engine.exitManager.configure('SMA', parameters, { onExit });
+  engine.positionSizer.productSource = { getProduct: async (productId) => ({ productId, baseIncrement: 0.0001 }) };
+  await engine.executeBuyOrder('BTC-USD', size, null, 'market', { strategy: 'SMA' });
+
+  const tick = async (price) => {
+    market.setPrice('BTC-USD', price);
+    engine.handlePriceUpdate({ productId: 'BTC-USD', price });
+    await new Promise(resolve => setImmediate(resolve));
+  };
+  return { engine, tick, onExit };
+}
+
+describe('ExitManager', () => {
+  test('should parse exit parameters and reject invalid ones', () => {
+    expect(ExitManager.parseConfig({ period: 20 })).toBeNull();
+    expect(ExitManager.parseConfig({ stopLossPercent: '2', trailingStopAtr: 3 })).toEqual({
+      stopLossPercent: 2, trailingStopAtr: 3, atrPeriod: 14, atrInterval: '1m'
+    });
+    expect(() => ExitManager.parseConfig({ takeProfit: -5 })).toThrow("Exit parameter 'takeProfit' must be a positive number");
+    expect(() => ExitManager.parseConfig({ stopLossPercent: 150 })).toThrow('must be below 100');
+  });
+
+  test('should sell the whole position when the stop-loss is hit', async () => {
+    const { engine, tick, onExit } = await openPosition({ stopLossPercent: 5 });
+
+    await tick(96);
+    expect(engine.positionLedger.getPositions({ openOnly: true })).toHaveLength(1);
+
+    await tick(94);
+    expect(engine.positionLedger.getPositions({ openOnly: true })).toHaveLength(0);
+    expect(onExit).toHaveBeenCalledWith(expect.objectContaining({ reason: 'stop-loss', size: 1, level: 95 }));
+  });
+
+  test('should take profit at a fixed distance above the entry', async () => {
+    const { engine, tick, onExit } = await openPosition({ takeProfit: 10, stopLoss: 10 });
+
+    await tick(109);
+    expect(onExit).not.toHaveBeenCalled();
+    await tick(110);
+    expect(onExit.mock.calls[0][0].reason).toBe('take-profit');
+    expect(engine.positionLedger.getSummary().realizedPnl).toBeCloseTo(10);
+  });
+
+  test('should trail the highest price with a percentage stop', async () => {
+    const { tick, onExit } = await openPosition({ trailingStopPercent: 10 });
+
+    await tick(150);
+    await tick(136);
+    expect(onExit).not.toHaveBeenCalled();
+    await tick(134);
+    expect(onExit).toHaveBeenCalledWith(expect.objectContaining({ reason: 'trailing-stop', level: 135 }));
+  });
+
+  test('should trail by a multiple of ATR from candles', async () => {
+    const { engine, tick, onExit } = await openPosition({ trailingStopAtr: 2, atrPeriod: 2, atrInterval: '1m' });
+    const candles = new CandleAggregator({ intervals: ['1m'] });
+    // Three one-minute bars with a true range of 5 each
+    [[100, 95], [105, 100], [110, 105]].forEach(([high, low], i) => {
+      const timestamp = Date.UTC(2024, 0, 1, 0, i);
+      candles.addTick({ productId: 'BTC-USD', price: low, timestamp });
+      candles.addTick({ productId: 'BTC-USD', price: high, timestamp: timestamp + 1000 });
+    });
+    candles.closeStaleCandles(Date.UTC(2024, 0, 1, 0, 10));
+    engine.exitManager.setCandleSource(candles);
+
+    await tick(120);
+    await tick(111);
+    expect(onExit).not.toHaveBeenCalled();
+    await tick(109);
+    expect(onExit).toHaveBeenCalledWith(expect.objectContaining({ reason: 'trailing-stop', level: 110 }));
+  });
+
+  test('should sell the position rounded down to the base increment', async () => {
+    const { engine, tick, onExit } = await openPosition({ stopLossPercent: 5 }, { size: 0.123456789 });
+
+    await tick(94);
+    expect(onExit).toHaveBeenCalledWith(expect.objectContaining({ reason: 'stop-loss', size: 0.1234 }));
+    expect(engine.positionLedger.getPositions()[0].size).toBeCloseTo(0.000056789, 9);
+
+    // The dust left behind is not sold over and over
+    const sell = jest.spyOn(engine, 'executeSellOrder');
+    await tick(93);
+    expect(sell).not.toHaveBeenCalled();
+  });
+
+  test('should report rejections that can never pass and not retry them', async () => {
+    const riskManager = {
+      ...permissiveRiskManager,
+      checkSellOrder: jest.fn(async () => ({ approved: false, code: 'INVALID_SIZE_INCREMENT', reason: 'Size is not a multiple of 0.0001' }))
+    };
+    const { engine, tick, onExit } = await openPosition({ stopLossPercent: 5 }, { riskManager });
+    const exits = [];
+    engine.exitManager.subscribe((event, exit) => exits.push(exit));
+
+    await tick(94);
+    const state = engine.exitManager.state.get('SMA:BTC-USD');
+    state.retryAt = 0; // Past the retry delay
+    await tick(93);
+
+    expect(riskManager.checkSellOrder).toHaveBeenCalledTimes(1);
+    expect(exits).toEqual([expect.objectContaining({ success: false, code: 'INVALID_SIZE_INCREMENT', final: true })]);
+    expect(onExit).not.toHaveBeenCalled();
+  });
+});
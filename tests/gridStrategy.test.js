@@ -0,0 +1,184 @@
+const GridStrategy = require('../src/strategies/gridStrategy');
+const TradingEngine = require('../src/services/tradingEngine');
+const Backtester = require('../src/services/backtester');
+const RiskManager = require('../src/services/riskManager');
+
+const prices = { 'BTC-USD': 100 };
+const market = { getLastPrice: (productId) => prices[productId] || null };
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+function createEngine(options = {}) {
+  return new TradingEngine(market, {
+    demoMode: true,
+    paper: { takerFeeRate: 0, makerFeeRate: 0, slippage: 0, initialBalances: { USD: 10000, BTC: 1 } },
+    ...options
+  });
+}
+
+// An engine that checks orders against cent price increments, as Coinbase does
+function createRulesEngine() {
+  const productSource = {
+    getProduct: async (productId) => ({ productId, priceIncrement: 0.01, baseIncrement: 0.0001, baseMinSize: 0.0001 })
+  };
+  const rulesEngine = createEngine({
+    riskManager: new RiskManager(market, { productSource, maxPositionSize: 100000, maxPriceDeviation: 20 })
+  });
+  rulesEngine.positionSizer.productSource = productSource;
+  return rulesEngine;
+}
+
+async function startGrid(engine, parameters = {}) {
+  const strategy = new GridStrategy(GridStrategy.validateParameters({ lower: 90, upper: 110, levels: 5, tradeAmount: 0.1, mode: 'simulation', ...parameters }));
+  strategy.id = 'grid';
+  await strategy.start({ tradingEngine: engine, coinbaseService: market });
+  return strategy;
+}
+
+// Move the paper market; resting orders fill and the grid re-places asynchronously
+async function movePrice(engine, price) {
+  engine.paperBroker.handlePriceUpdate({ productId: 'BTC-USD', price });
+  await settle();
+}
+
+const ladder = strategy => strategy.getGridSummary().levels.map(level => [level.price, level.side]);
+
+describe('GridStrategy', () => {
+  let engine;
+  let strategy;
+
+  beforeEach(() => {
+    prices['BTC-USD'] = 100;
+    engine = createEngine();
+  });
+
+  afterEach(async () => {
+    await strategy?.stop();
+    strategy = null;
+  });
+
+  test('should validate the bounds and the product', () => {
+    expect(() => GridStrategy.validateParameters({ upper: 110 })).toThrow('lower and upper are required');
+    expect(() => GridStrategy.validateParameters({ lower: 110, upper: 90 })).toThrow('upper must be above lower');
+    expect(() => GridStrategy.validateParameters({ lower: 90, upper: 110, productIds: 'BTC-USD,ETH-USD' })).toThrow('a grid trades a single product');
+  });
+
+  test('should space the lines evenly in price or in percent', () => {
+    expect(GridStrategy.gridPrices(90, 110, 5)).toEqual([90, 95, 100, 105, 110]);
+    expect(GridStrategy.gridPrices(100, 400, 3, 'geometric')).toEqual([100, 200, 400]);
+  });
+
+  test('should place buys below and sells above the price, leaving the nearest line free', async () => {
+    strategy = await startGrid(engine);
+
+    expect(ladder(strategy)).toEqual([[90, 'buy'], [95, 'buy'], [100, null], [105, 'sell'], [110, 'sell']]);
+    expect(engine.getActiveOrders().map(order => [order.type, order.limit_price, order.strategy])).toEqual([
+      ['buy', 90, 'grid'], ['buy', 95, 'grid'], ['sell', 105, 'grid'], ['sell', 110, 'grid']
+    ]);
+  });
+
+  test('should re-place the opposite side on a fill and book the round trip on its line', async () => {
+    strategy = await startGrid(engine);
+
+    await movePrice(engine, 95);
+    expect(ladder(strategy)).toEqual([[90, 'buy'], [95, null], [100, 'sell'], [105, 'sell'], [110, 'sell']]);
+
+    await movePrice(engine, 100);
+    expect(ladder(strategy)).toEqual([[90, 'buy'], [95, 'buy'], [100, null], [105, 'sell'], [110, 'sell']]);
+
+    const summary = strategy.getGridSummary();
+    expect(summary.roundTrips).toBe(1);
+    expect(summary.realizedProfit).toBeCloseTo(0.5);
+    expect(summary.levels[1]).toMatchObject({ buys: 1, roundTrips: 1 });
+    expect(summary.levels[1].profit).toBeCloseTo(0.5);
+    expect(strategy.trades.map(trade => [trade.type, trade.price, trade.gridLevel])).toEqual([['buy', 95, 1], ['sell', 100, 2]]);
+  });
+
+  test('should cancel all of its orders on stop', async () => {
+    strategy = await startGrid(engine);
+    await strategy.stop();
+
+    expect(engine.getActiveOrders()).toHaveLength(0);
+    expect(engine.paperBroker.getOrderHistory().every(order => order.status === 'CANCELLED')).toBe(true);
+    expect(strategy.getGridSummary().openOrders).toBe(0);
+  });
+
+  test('should take over its resting orders after a restart instead of placing them again', async () => {
+    const previous = await startGrid(engine);
+    // The process went away without stopping the strategy
+    previous.unsubscribeFills();
+    previous.isActive = false;
+
+    strategy = await startGrid(engine);
+
+    expect(engine.getActiveOrders()).toHaveLength(4);
+    expect(ladder(strategy)).toEqual([[90, 'buy'], [95, 'buy'], [100, null], [105, 'sell'], [110, 'sell']]);
+
+    // The adopted sell closes a round trip from the line below it
+    await movePrice(engine, 105);
+    expect(ladder(strategy)).toEqual([[90, 'buy'], [95, 'buy'], [100, 'buy'], [105, null], [110, 'sell']]);
+    expect(strategy.getGridSummary().levels[2].profit).toBeCloseTo(0.5);
+  });
+
+  test('should only plan the ladder until auto trading is turned on', async () => {
+    strategy = await startGrid(engine, { mode: undefined });
+
+    expect(ladder(strategy)).toEqual([[90, 'buy'], [95, 'buy'], [100, null], [105, 'sell'], [110, 'sell']]);
+    expect(engine.getActiveOrders()).toHaveLength(0);
+ 
+    strategy.updateParameters({ mode: 'simulation' });
+    await settle();
+
+    expect(engine.getActiveOrders().map(order => [order.type, order.limit_price])).toEqual([
+      ['buy', 90], ['buy', 95], ['sell', 105], ['sell', 110]
+    ]);
+  });
+
+  test('should place a geometric ladder on the product increments', async () => {
+    engine = createRulesEngine();
+    strategy = await startGrid(engine, { lower: 40, upper: 60, levels: 7, spacing: 'geometric', tradeAmount: 0.12345 });
+
+    const orders = engine.getActiveOrders();
+    expect(orders).toHaveLength(6);
+    expect(strategy.getGridSummary().levels.every(level => level.error === null)).toBe(true);
+    expect(strategy.orderSize).toBe(0.1234);
+    for (const order of orders) {
+      const level = strategy.levels.find(l => Math.abs(l.price - order.limit_price) < 0.01);
+      expect(Math.round(order.limit_price * 100) / 100).toBe(order.limit_price);
+      // Buys round down and sells up
+      expect(order.type === 'buy' ? order.limit_price <= level.price : order.limit_price >= level.price).toBe(true);
+    }
+  });
+
+  test('should drop lines that fall on the same price increment', () => {
+    expect(GridStrategy.distinctPrices(GridStrategy.gridPrices(100, 100.03, 7), 0.01)).toEqual([100, 100.01, 100.02, 100.03]);
+    expect(GridStrategy.distinctPrices([90, 95, 100], null)).toEqual([90, 95, 100]);
+  });
+
+  test('should not retry lines the risk checks will always turn down', async () => {
+    engine = createRulesEngine();
+    strategy = await startGrid(engine, { tradeAmount: 0.00001 });
+    const execute = jest.spyOn(engine, 'executeBuyOrder');
+
+    expect(strategy.getGridSummary().levels[0].error).toContain('Invalid order');
+    await strategy.retryFailed();
+    expect(execute).not.toHaveBeenCalled();
+  });
+
+  test('should trade the range in a backtest', async () => {
+    const start = new Date('2024-01-01T00:00:00Z').getTime();
+    const candles = [100, 100, 94, 101, 94, 101].map((close, i) => ({
+      timestamp: new Date(start + i * 3600 * 1000),
+      open: close,
+      high: close,
+      low: close,
+      close,
+      volume: 1
+    }));
+    const backtester = new Backtester({ StrategyClass: GridStrategy, parameters: { lower: 90, upper: 110, levels: 5, tradeAmount: 1 }, feeRate: 0 });
+
+    const results = await backtester.run(candles);
+
+    // Two round trips between 95 and 100; the sell lines had no inventory to sell
+    expect(results.trades.map(trade => [trade.side, trade.price])).toEqual([['buy', 95], ['sell', 100], ['buy', 95], ['sell', 100]]);
+  });
+});
@@ -0,0 +1,128 @@
+const OrderBook = require('../src/services/orderBook');
+const OrderBookManager = require('../src/services/orderBookManager');
+
+const level = (side, price, size) => ({ side, price, size });
+
+describe('OrderBook', () => {
+  let book;
+
+  beforeEach(() => {
+    book = new OrderBook('BTC-USD');
+    book.applySnapshot([
+      level('buy', 99, 2), level('buy', 100, 1), level('buy', 98, 3),
+      level('sell', 101, 1), level('sell', 102, 1), level('sell', 103, 4)
+    ]);
+  });
+
+  test('should give the best prices, spread and mid price', () => {
+    expect(book.getBestBid()).toEqual({ price: 100, size: 1 });
+    expect(book.getBestAsk()).toEqual({ price: 101, size: 1 });
+    expect(book.getSpread()).toBe(1);
+    expect(book.getMidPrice()).toBe(100.5);
+  });
+
+  test('should apply updates and remove emptied levels', () => {
+    book.applyUpdate([level('buy', 100, 0), level('sell', 100.5, 2), level('buy', 99, 5)]);
+
+    expect(book.getBestBid()).toEqual({ price: 99, size: 5 });
+    expect(book.getBestAsk()).toEqual({ price: 100.5, size: 2 });
+  });
+
+  test('should give depth with running totals and the imbalance over N levels', () => {
+    expect(book.getDepth(2)).toEqual({
+      bids: [{ price: 100, size: 1, total: 1 }, { price: 99, size: 2, total: 3 }],
+      asks: [{ price: 101, size: 1, total: 1 }, { price: 102, size: 1, total: 2 }]
+    });
+    // 3 bid vs 2 ask on the top two levels; 6 vs 6 on all three
+    expect(book.getImbalance(2)).toBeCloseTo(0.2);
+    expect(book.getImbalance(3)).toBe(0);
+  });
+
+  test('should summarize the book', () => {
+    book.applyUpdate([level('sell', 101, 3)]);
+
+    expect(book.getSummary(1)).toMatchObject({
+      productId: 'BTC-USD',
+      ready: true,
+      spread: 1,
+      midPrice: 100.5,
+      weightedMidPrice: 100.25, // Three times more size on the ask leans the price toward the bid
+      bidVolume: 1,
+      askVolume: 3,
+      imbalance: -0.5,
+      bidLevels: 3,
+      askLevels: 3
+    });
+    expect(book.getSummary(1).spreadPercent).toBeCloseTo(0.995, 3);
+  });
+
+  test('should ignore updates until a snapshot arrived', () => {
+    book.reset();
+
+    expect(book.applyUpdate([level('buy', 100, 1)])).toBe(false);
+    expect(book.getBestBid()).toBeNull();
+    expect(book.getSummary()).toMatchObject({ ready: false, midPrice: null, imbalance: null });
+  });
+});
+
+describe('OrderBookManager', () => {
+  let feed;
+  let coinbase;
+  let manager;
+  let summaries;
+
+  beforeEach(() => {
+    coinbase = {
+      release: jest.fn(),
+      subscribe: jest.fn(callback => {
+        feed = callback;
+        return () => {};
+      }),
+      subscribeChannel: jest.fn(() => coinbase.release)
+    };
+    manager = new OrderBookManager(coinbase, { productIds: ['BTC-USD'], emitIntervalMs: 0, levels: 5 });
+    summaries = [];
+    manager.subscribe((event, summary) => summaries.push(summary));
+    manager.start();
+  });
+
+  test('should subscribe level2 per tracked product and build its book', () => {
+    expect(coinbase.subscribeChannel).toHaveBeenCalledWith('level2', ['BTC-USD']);
+
+    feed('orderbook', { productId: 'BTC-USD', type: 'snapshot', changes: [level('buy', 100, 1), level('sell', 101, 1)] });
+    feed('orderbook', { productId: 'BTC-USD', type: 'update', changes: [level('buy', 100.5, 2)] });
+    feed('orderbook', { productId: 'ETH-USD', type: 'snapshot', changes: [level('buy', 5, 1)] });
+
+    expect(summaries.map(summary => summary.bestBid.price)).toEqual([100, 100.5]);
+    expect(summaries[1].book).toBe(manager.getBook('BTC-USD'));
+    expect(manager.getSummary('BTC-USD')).toMatchObject({ midPrice: 100.75, levels: 5 });
+  });
+
+  test('should drop the books on a sequence gap until the next snapshot', () => {
+    feed('orderbook', { productId: 'BTC-USD', type: 'snapshot', changes: [level('buy', 100, 1)] });
+    feed('sequence-gap', { expected: 5, received: 7 });
+    feed('orderbook', { productId: 'BTC-USD', type: 'update', changes: [level('buy', 100.5, 2)] });
+
+    expect(manager.getSummary('BTC-USD')).toMatchObject({ ready: false, bestBid: null });
+    expect(summaries).toHaveLength(1);
+  });
+
+  test('should keep a bounded number of requested books, dropping the least recently requested', () => {
+    manager.maxRequested = 2;
+    manager.request('ETH-USD');
+    manager.request('SOL-USD');
+    manager.request('ETH-USD');
+    manager.request('BTC-USD'); // Configured; doesn't count
+    manager.request('DOGE-USD');
+
+    expect(Array.from(manager.books.keys()).sort()).toEqual(['BTC-USD', 'DOGE-USD', 'ETH-USD']);
+    expect(coinbase.release).toHaveBeenCalledTimes(1);
+  });
+
+  test('should release the channel when a product is no longer tracked', () => {
+    manager.stop();
+
+    expect(coinbase.release).toHaveBeenCalled();
+    expect(manager.isTracked('BTC-USD')).toBe(false);
+  });
+});
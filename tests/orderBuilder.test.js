@@ -0,0 +1,62 @@
+const OrderBuilder = require('../src/services/orderBuilder');
+
+const future = new Date(Date.now() + 60 * 60 * 1000);
+const build = request => OrderBuilder.buildRequest({ side: 'buy', productId: 'BTC-USD', clientOrderId: 'client-1', ...request });
+
+describe('OrderBuilder', () => {
+  test('should build market orders by base or quote size', () => {
+    expect(build({ baseSize: 0.01 })).toEqual({
+      client_order_id: 'client-1',
+      product_id: 'BTC-USD',
+      side: 'BUY',
+      order_configuration: { market_market_ioc: { base_size: '0.01' } }
+    });
+    expect(build({ quoteSize: 50 }).order_configuration).toEqual({ market_market_ioc: { quote_size: '50' } });
+  });
+
+  test('should build limit orders for each time in force', () => {
+    expect(build({ baseSize: 0.01, limitPrice: 50000 }).order_configuration).toEqual({
+      limit_limit_gtc: { base_size: '0.01', limit_price: '50000', post_only: false }
+    });
+    expect(build({ baseSize: 0.01, limitPrice: 50000, timeInForce: 'gtd', endTime: future, postOnly: true }).order_configuration).toEqual({
+      limit_limit_gtd: { base_size: '0.01', limit_price: '50000', end_time: future.toISOString(), post_only: true }
+    });
+    expect(build({ baseSize: 0.01, limitPrice: 50000, timeInForce: 'ioc' }).order_configuration).toEqual({ sor_limit_ioc: { base_size: '0.01', limit_price: '50000' } });
+    expect(build({ baseSize: 0.01, limitPrice: 50000, timeInForce: 'fok' }).order_configuration).toEqual({ limit_limit_fok: { base_size: '0.01', limit_price: '50000' } });
+  });
+
+  test('should build stop-limit and bracket orders', () => {
+    expect(build({ side: 'sell', type: 'stop-limit', baseSize: 0.01, limitPrice: 47900, stopPrice: 48000 }).order_configuration).toEqual({
+      stop_limit_stop_limit_gtc: { base_size: '0.01', limit_price: '47900', stop_price: '48000', stop_direction: 'STOP_DIRECTION_STOP_DOWN' }
+    });
+    expect(build({ type: 'stop-limit', baseSize: 0.01, limitPrice: 52100, stopPrice: 52000 }).order_configuration.stop_limit_stop_limit_gtc.stop_direction)
+      .toBe('STOP_DIRECTION_STOP_UP');
+    expect(build({ side: 'sell', type: 'bracket', baseSize: 0.01, limitPrice: 55000, stopPrice: 48000, timeInForce: 'gtd', endTime: future }).order_configuration).toEqual({
+      trigger_bracket_gtd: { base_size: '0.01', limit_price: '55000', stop_trigger_price: '48000', end_time: future.toISOString() }
+    });
+  });
+
+  test('should report every missing or conflicting field', () => {
+    expect(() => build({})).toThrow('baseSize or quoteSize is required');
+    expect(() => build({ type: 'iceberg', baseSize: 1 })).toThrow('type must be one of market, limit, stop-limit, bracket');
+    expect(() => build({ quoteSize: 50, limitPrice: 50000 })).toThrow('quoteSize is only for market orders');
+    expect(() => build({ type: 'stop-limit', baseSize: 0.01 })).toThrow('stop-limit orders need a limitPrice; stop-limit orders need a stopPrice');
+    expect(() => build({ baseSize: 0.01, limitPrice: 50000, timeInForce: 'gtd' })).toThrow('gtd orders need an endTime');
+    expect(() => build({ baseSize: 0.01, limitPrice: 50000, timeInForce: 'gtd', endTime: new Date(Date.now() - 1000) })).toThrow('endTime must be in the future');
+    expect(() => build({ baseSize: 0.01, limitPrice: 50000, timeInForce: 'ioc', postOnly: true })).toThrow('postOnly is only for gtc and gtd limit orders');
+    expect(() => build({ baseSize: 0.01, timeInForce: 'gtc' })).toThrow('market orders take time in force ioc, not gtc');
+    expect(() => build({ side: 'sell', type: 'bracket', baseSize: 0.01, limitPrice: 48000, stopPrice: 55000 })).toThrow('a sell bracket needs its stopPrice below its limitPrice');
+  });
+
+  test('should give the same order when normalized twice', () => {
+    const order = OrderBuilder.normalize({ side: 'sell', productId: 'BTC-USD', type: 'stop-limit', baseSize: '0.01', limitPrice: '47900', stopPrice: '48000' });
+    expect(order).toMatchObject({ type: 'stop-limit', baseSize: 0.01, limitPrice: 47900, stopDirection: 'down', timeInForce: 'gtc', postOnly: false });
+    expect(OrderBuilder.normalize(order)).toEqual(order);
+  });
+
+  test('should accept order types in any case', () => {
+    expect(OrderBuilder.normalize({ side: 'BUY', productId: 'BTC-USD', type: 'LIMIT', baseSize: 0.01, limitPrice: 49000 }).type).toBe('limit');
+    expect(OrderBuilder.normalize({ side: 'buy', productId: 'BTC-USD', type: 'Market', baseSize: 0.01 }).type).toBe('market');
+    expect(OrderBuilder.normalize({ side: 'sell', productId: 'BTC-USD', type: 'STOP_LIMIT', baseSize: 0.01, limitPrice: 47900, stopPrice: 48000 }).type).toBe('stop-limit');
+  });
+});
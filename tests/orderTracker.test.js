@@ -0,0 +1,93 @@
+const OrderTracker = require('../src/services/orderTracker');
+const TradingEngine = require('../src/services/tradingEngine');
+
+// Minimal exchange double: only the calls TradingEngine and OrderTracker make
+function createExchange() {
+  return {
+    subscribers: new Set(),
+    openOrders: [],
+    historical: {},
+    hasCredentials: () => true,
+    getLastPrice: () => 50000,
+    placeBuyOrder: jest.fn(async () => ({ success: true, success_response: { order_id: 'live-1' } })),
+    getOrders: jest.fn(async function () { return { orders: this.openOrders }; }),
+    getOrder: jest.fn(async function (id) { return { order: this.historical[id] }; }),
+    startUserStream: jest.fn(async () => {}),
+    subscribe(callback) {
+      this.subscribers.add(callback);
+      return () => this.subscribers.delete(callback);
+    }
+  };
+}
+
+describe('OrderTracker', () => {
+  let exchange;
+  let engine;
+  let tracker;
+  let emitted;
+
+  beforeEach(async () => {
+    exchange = createExchange();
+    engine = new TradingEngine(exchange, { demoMode: false });
+    engine.portfolio = { USD: 10000, BTC: 0 };
+    emitted = [];
+    engine.setSocketIO({ emit: (event, data) => emitted.push({ event, data }) });
+    tracker = new OrderTracker(engine, exchange, { pollIntervalMs: 0 });
+
+    await engine.executeBuyOrder('BTC-USD', 0.01, null, 'market', { mode: 'live', strategy: 'SMA' });
+  });
+
+  afterEach(() => tracker.stop());
+
+  test('should track a live order and apply partial fills as deltas', () => {
+    expect(engine.activeOrders.has('live-1')).toBe(true);
+
+    tracker.applyUpdate({ orderId: 'live-1', status: 'OPEN', filledSize: 0.004, averagePrice: 50000, totalFees: 1.2 });
+    expect(engine.portfolio.BTC).toBeCloseTo(0.004);
+    expect(engine.portfolio.USD).toBeCloseTo(10000 - 200 - 1.2);
+
+    tracker.applyUpdate({ orderId: 'live-1', status: 'FILLED', filledSize: 0.01, averagePrice: 50100, totalFees: 3 });
+    expect(engine.portfolio.BTC).toBeCloseTo(0.01);
+    expect(engine.portfolio.USD).toBeCloseTo(10000 - 0.01 * 50100 - 3);
+    expect(engine.activeOrders.has('live-1')).toBe(false);
+
+    const updates = emitted.filter(e => e.event === 'order-update').map(e => e.data.status);
+    expect(updates).toEqual(['OPEN', 'OPEN', 'FILLED']);
+  });
+
+  test('should ignore stale updates and orders it did not place', () => {
+    tracker.applyUpdate({ orderId: 'live-1', status: 'OPEN', filledSize: 0.005, averagePrice: 50000, totalFees: 1.5 });
+    tracker.applyUpdate({ orderId: 'live-1', status: 'OPEN', filledSize: 0.002, averagePrice: 50000, totalFees: 0.6 });
+    expect(engine.portfolio.BTC).toBeCloseTo(0.005);
+
+    expect(tracker.applyUpdate({ orderId: 'someone-else', status: 'FILLED', filledSize: 1, averagePrice: 1, totalFees: 0 })).toBeNull();
+  });
+
+  test('should learn terminal states from polling when the order leaves the open list', async () => {
+    exchange.historical['live-1'] = {
+      order_id: 'live-1',
+      product_id: 'BTC-USD',
+      side: 'BUY',
+      status: 'CANCELLED',
+      filled_size: '0.003',
+      average_filled_price: '49900',
+      total_fees: '0.9'
+    };
+
+    await tracker.poll();
+
+    expect(exchange.getOrder).toHaveBeenCalledWith('live-1');
+    expect(engine.portfolio.BTC).toBeCloseTo(0.003);
+    expect(engine.activeOrders.size).toBe(0);
+  });
+
+  test('should pick up pushed order events once started', async () => {
+    await tracker.start();
+    const update = { orderId: 'live-1', status: 'FILLED', filledSize: 0.01, averagePrice: 50000, totalFees: 3, source: 'websocket' };
+    exchange.subscribers.forEach(listener => listener('order', update));
+
+    expect(exchange.startUserStream).toHaveBeenCalled();
+    expect(engine.activeOrders.size).toBe(0);
+    expect(engine.portfolio.BTC).toBeCloseTo(0.01);
+  });
+});
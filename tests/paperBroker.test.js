@@ -0,0 +1,152 @@
+const PaperBroker = require('../src/services/paperBroker');
+const OrderBuilder = require('../src/services/orderBuilder');
+
+const order = request => ({ order: OrderBuilder.normalize({ productId: 'BTC-USD', ...request }) });
+
+describe('PaperBroker', () => {
+  let prices;
+  let broker;
+
+  beforeEach(() => {
+    prices = { 'BTC-USD': 50000 };
+    const priceSource = { getLastPrice: (productId) => prices[productId] || null };
+    broker = new PaperBroker(priceSource, {
+      takerFeeRate: 0.01,
+      makerFeeRate: 0.005,
+      slippage: 0,
+      initialBalances: { USD: 10000 }
+    });
+  });
+
+  test('should fill market buys at the last price and charge taker fees', async () => {
+    const result = await broker.placeBuyOrder('BTC-USD', 0.1);
+
+    expect(result.success).toBe(true);
+    expect(result.order.status).toBe('FILLED');
+    expect(result.order.average_filled_price).toBe(50000);
+    expect(result.order.total_fees).toBeCloseTo(50);
+    expect(broker.getPortfolio().BTC).toBeCloseTo(0.1);
+    expect(broker.getPortfolio().USD).toBeCloseTo(10000 - 5000 - 50);
+  });
+
+  test('should label fills by how they traded even when both fee rates are equal', async () => {
+    broker.makerFeeRate = broker.takerFeeRate;
+    await broker.placeBuyOrder('BTC-USD', 0.05);
+    await broker.placeBuyOrder('BTC-USD', 0.05, 49000);
+    broker.handlePriceUpdate({ productId: 'BTC-USD', price: 48900 });
+
+    expect(broker.fills.map(fill => fill.liquidity)).toEqual(['taker', 'maker']);
+  });
+
+  test('should reject orders that exceed the virtual balance', async () => {
+    await expect(broker.placeBuyOrder('BTC-USD', 1)).rejects.toThrow('Insufficient paper USD balance');
+    await expect(broker.placeSellOrder('BTC-USD', 0.1)).rejects.toThrow('Insufficient paper BTC balance');
+  });
+
+  test('should rest limit orders until the ticker crosses the limit price', async () => {
+    const result = await broker.placeBuyOrder('BTC-USD', 0.1, 49000);
+    expect(result.order.status).toBe('OPEN');
+    expect(broker.getAvailableBalance('USD')).toBeLessThan(10000 - 4900);
+
+    broker.handlePriceUpdate({ productId: 'BTC-USD', price: 49500 });
+    expect(result.order.status).toBe('OPEN');
+
+    broker.handlePriceUpdate({ productId: 'BTC-USD', price: 48900 });
+    expect(result.order.status).toBe('FILLED');
+    expect(result.order.average_filled_price).toBe(49000);
+    expect(result.order.total_fees).toBeCloseTo(24.5);
+  });
+
+  test('should release holds when an order is cancelled', async () => {
+    const result = await broker.placeBuyOrder('BTC-USD', 0.1, 49000);
+    await broker.cancelOrder(result.order_id);
+
+    expect(result.order.status).toBe('CANCELLED');
+    expect(broker.getAvailableBalance('USD')).toBe(10000);
+    expect((await broker.getOrders()).orders).toHaveLength(0);
+  });
+
+  test('should spend a quote size on market orders, fees included', async () => {
+    const result = await broker.placeBuyOrder('BTC-USD', null, null, order({ side: 'buy', quoteSize: 500 }));
+
+    expect(result.order.base_size).toBeCloseTo(500 / 1.01 / 50000, 10);
+    expect(broker.getPortfolio().USD).toBeCloseTo(10000 - 500);
+  });
+
+  test('should round quote size fills down to the base increment', async () => {
+    broker.productSource = { getProduct: async (productId) => ({ productId, baseIncrement: 0.00000001 }) };
+    prices['BTC-USD'] = 50123.45;
+
+    const result = await broker.placeBuyOrder('BTC-USD', null, null, order({ side: 'buy', quoteSize: 100 }));
+
+    expect(result.order.base_size).toBe(0.00197532);
+    expect(10000 - broker.getPortfolio().USD).toBeLessThanOrEqual(100);
+  });
+
+  test('should fill IOC limits at once or cancel them, and reject crossing post-only limits', async () => {
+    const filled = await broker.placeBuyOrder('BTC-USD', 0.1, 50500, order({ side: 'buy', baseSize: 0.1, limitPrice: 50500, timeInForce: 'ioc' }));
+    expect(filled.order).toMatchObject({ status: 'FILLED', average_filled_price: 50000 });
+
+    const missed = await broker.placeBuyOrder('BTC-USD', 0.1, 49000, order({ side: 'buy', baseSize: 0.1, limitPrice: 49000, timeInForce: 'fok' }));
+    expect(missed.order.status).toBe('CANCELLED');
+
+    await expect(broker.placeBuyOrder('BTC-USD', 0.1, 50500, order({ side: 'buy', baseSize: 0.1, limitPrice: 50500, postOnly: true })))
+      .rejects.toThrow('would take liquidity');
+  });
+
+  test('should rest stop-limits until the stop triggers', async () => {
+    await broker.placeBuyOrder('BTC-USD', 0.1);
+    const result = await broker.placeSellOrder('BTC-USD', 0.1, 47900, order({ side: 'sell', type: 'stop-limit', baseSize: 0.1, limitPrice: 47900, stopPrice: 48000 }));
+    expect(result.order).toMatchObject({ status: 'OPEN', order_type: 'STOP_LIMIT', stop_direction: 'STOP_DIRECTION_STOP_DOWN' });
+
+    // Above the limit price but the stop has not been reached
+    broker.handlePriceUpdate({ productId: 'BTC-USD', price: 49000 });
+    expect(result.order.status).toBe('OPEN');
+
+    broker.handlePriceUpdate({ productId: 'BTC-USD', price: 47950 });
+    expect(result.order).toMatchObject({ status: 'FILLED', triggered: true, average_filled_price: 47950 });
+  });
+
+  test('should exit brackets at the profit target or the stop', async () => {
+    await broker.placeBuyOrder('BTC-USD', 0.1);
+    const takeProfit = await broker.placeSellOrder('BTC-USD', 0.05, 55000, order({ side: 'sell', type: 'bracket', baseSize: 0.05, limitPrice: 55000, stopPrice: 48000 }));
+    const stop = await broker.placeSellOrder('BTC-USD', 0.05, 56000, order({ side: 'sell', type: 'bracket', baseSize: 0.05, limitPrice: 56000, stopPrice: 49000 }));
+
+    broker.handlePriceUpdate({ productId: 'BTC-USD', price: 48900 });
+    expect(stop.order).toMatchObject({ status: 'FILLED', average_filled_price: 48900 });
+    expect(takeProfit.order.status).toBe('OPEN');
+
+    broker.handlePriceUpdate({ productId: 'BTC-USD', price: 55100 });
+    expect(takeProfit.order).toMatchObject({ status: 'FILLED', average_filled_price: 55000 });
+  });
+
+  test('should expire GTD orders at their end time', async () => {
+    const endTime = new Date(Date.now() + 60 * 1000);
+    const result = await broker.placeBuyOrder('BTC-USD', 0.1, 49000, order({ side: 'buy', baseSize: 0.1, limitPrice: 49000, timeInForce: 'gtd', endTime }));
+
+    broker.handlePriceUpdate({ productId: 'BTC-USD', price: 48000, timestamp: new Date(endTime.getTime() + 1000) });
+    expect(result.order.status).toBe('EXPIRED');
+    expect(broker.getAvailableBalance('USD')).toBe(10000);
+  });
+
+  test('should expose balances in the Advanced Trade accounts shape', async () => {
+    await broker.placeBuyOrder('BTC-USD', 0.1);
+    const { accounts } = await broker.getAccounts();
+    const btc = accounts.find(account => account.currency === 'BTC');
+
+    expect(parseFloat(btc.available_balance.value)).toBeCloseTo(0.1);
+    expect(parseFloat(btc.hold.value)).toBe(0);
+  });
+
+  test('should notify subscribers and reset to the initial balances', async () => {
+    const events = [];
+    broker.subscribe((event) => events.push(event));
+
+    await broker.placeBuyOrder('BTC-USD', 0.1);
+    broker.reset();
+
+    expect(events).toEqual(['fill', 'reset']);
+    expect(broker.getPortfolio()).toEqual({ USD: 10000 });
+    expect(broker.getFills()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,102 @@
+const PositionLedger = require('../src/services/positionLedger');
+const TradingEngine = require('../src/services/tradingEngine');
+
+const prices = { 'BTC-USD': 120, 'ETH-USD': 10 };
+const priceSource = { getLastPrice: (productId) => prices[productId] || null };
+
+const fill = (side, size, price, fee = 0, extra = {}) => ({
+  productId: 'BTC-USD', side, size, price, fee, strategy: 'SMA', paper: true, ...extra
+});
+
+describe('PositionLedger', () => {
+  test('should realize P&L against the oldest lots first with FIFO', () => {
+    const ledger = new PositionLedger(priceSource, { costMethod: 'fifo' });
+    ledger.applyFill(fill('buy', 1, 100));
+    ledger.applyFill(fill('buy', 1, 110));
+
+    const realized = ledger.applyFill(fill('sell', 1.5, 120));
+    expect(realized).toBeCloseTo(1 * 20 + 0.5 * 10);
+
+    const [position] = ledger.getPositions();
+    expect(position.size).toBeCloseTo(0.5);
+    expect(position.averageCost).toBeCloseTo(110);
+    expect(position.unrealizedPnl).toBeCloseTo(0.5 * (120 - 110));
+  });
+
+  test('should use a blended cost with the average method', () => {
+    const ledger = new PositionLedger(priceSource, { costMethod: 'average' });
+    ledger.applyFill(fill('buy', 1, 100));
+    ledger.applyFill(fill('buy', 1, 110));
+
+    expect(ledger.applyFill(fill('sell', 1.5, 120))).toBeCloseTo(1.5 * 15);
+    expect(ledger.getPositions()[0].averageCost).toBeCloseTo(105);
+  });
+
+  test('should include fees in cost basis and proceeds', () => {
+    const ledger = new PositionLedger(priceSource);
+    ledger.applyFill(fill('buy', 1, 100, 2));
+    const realized = ledger.applyFill(fill('sell', 1, 110, 3));
+
+    expect(realized).toBeCloseTo(110 - 3 - 102);
+    const summary = ledger.getSummary();
+    expect(summary.fees).toBeCloseTo(5);
+    expect(summary.wins).toBe(1);
+    expect(summary.openPositions).toBe(0);
+  });
+
+  test('should keep strategies, products and accounts apart', () => {
+    const ledger = new PositionLedger(priceSource);
+    ledger.applyFill(fill('buy', 1, 100));
+    ledger.applyFill(fill('buy', 2, 8, 0, { productId: 'ETH-USD' }));
+    ledger.applyFill(fill('buy', 1, 90, 0, { strategy: 'RSI', paper: false }));
+
+    expect(ledger.getPositions()).toHaveLength(3);
+    expect(ledger.getPositions({ strategy: 'SMA' })).toHaveLength(2);
+    expect(ledger.getSummary({ strategy: 'SMA' }).unrealizedPnl).toBeCloseTo(20 + 4);
+
+    ledger.reset({ account: 'paper' });
+    expect(ledger.getPositions().map(p => p.strategy)).toEqual(['RSI']);
+  });
+
+  test('should reject unknown cost methods', () => {
+    expect(() => new PositionLedger(priceSource, { costMethod: 'lifo' })).toThrow("Unsupported cost method 'lifo'");
+  });
+});
+
+describe('TradingEngine position accounting', () => {
+  test('should feed realized losses into the risk manager', () => {
+    const recordLoss = jest.fn();
+    const engine = new TradingEngine(priceSource, {
+      demoMode: false,
+      riskManager: { recordLoss }
+    });
+
+    engine.applyFill(fill('buy', 1, 100, 0, { paper: false }));
+    engine.applyFill(fill('sell', 1, 90, 1, { paper: false }));
+    // Paper losses outside demo mode stay out of the live daily limit
+    engine.recordFill(fill('buy', 1, 100));
+    engine.recordFill(fill('sell', 1, 50));
+
+    expect(recordLoss).toHaveBeenCalledTimes(1);
+    expect(recordLoss).toHaveBeenCalledWith(11);
+  });
+
+  test('should rebuild live positions from persisted fills', () => {
+    const recordLoss = jest.fn();
+    const engine = new TradingEngine(priceSource, { demoMode: false, riskManager: { recordLoss } });
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+    engine.restorePositions([
+      fill('buy', 2, 100, 0, { paper: false, timestamp: yesterday }),
+      fill('sell', 1, 80, 0, { paper: false, timestamp: yesterday }),
+      fill('sell', 0.5, 90, 0, { paper: false, timestamp: new Date() }),
+      fill('buy', 5, 100)
+    ]);
+
+    const [position] = engine.positionLedger.getPositions();
+    expect(engine.positionLedger.getPositions()).toHaveLength(1);
+    expect(position.size).toBeCloseTo(0.5);
+    expect(position.realizedPnl).toBeCloseTo(-20 - 5);
+    expect(recordLoss).toHaveBeenCalledWith(5);
+  });
+});
@@ -0,0 +1,90 @@
+const PositionSizer = require('../src/services/positionSizer');
+const TradingEngine = require('../src/services/tradingEngine');
+const BaseStrategy = require('../src/strategies/baseStrategy');
+
+const product = {
+  productId: 'BTC-USD',
+  baseIncrement: 0.0001,
+  quoteIncrement: 0.01,
+  priceIncrement: 0.01,
+  baseMinSize: 0.001
+};
+const market = {
+  getLastPrice: () => 50000,
+  getProduct: jest.fn(async () => product)
+};
+
+function createEngine() {
+  return new TradingEngine(market, {
+    demoMode: true,
+    paper: { takerFeeRate: 0, makerFeeRate: 0, slippage: 0, initialBalances: { USD: 10000, BTC: 1 } }
+  });
+}
+
+const size = (engine, request) => engine.positionSizer.size({ side: 'buy', productId: 'BTC-USD', ...request });
+
+describe('PositionSizer', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = createEngine();
+  });
+
+  test('should round to increments in the safe direction', () => {
+    expect(PositionSizer.toIncrement(0.123456, 0.0001)).toBe(0.1234);
+    expect(PositionSizer.toIncrement(0.3, 0.1)).toBe(0.3);
+    expect(PositionSizer.toIncrement(49999.996, 0.01, 'up')).toBe(50000);
+    expect(PositionSizer.toIncrement(0.123456, null)).toBe(0.123456);
+  });
+
+  test('should size by base amount or quote amount', async () => {
+    expect(await size(engine, { parameters: { tradeAmount: 0.012345 } })).toMatchObject({ success: true, size: 0.0123, quoteSize: null });
+
+    // Market buys go out by quote size; limits are converted at their price
+    expect(await size(engine, { parameters: { sizing: 'quote', tradeValue: 100.005 } })).toMatchObject({ size: 0.002, quoteSize: 100 });
+    expect(await size(engine, { orderType: 'limit', limitPrice: 40000.004, parameters: { sizing: 'quote', tradeValue: 100 } }))
+      .toMatchObject({ size: 0.0025, quoteSize: null, limitPrice: 40000 });
+    expect(await size(engine, { side: 'sell', orderType: 'limit', limitPrice: 40000.004, parameters: { sizing: 'quote', tradeValue: 100 } }))
+      .toMatchObject({ limitPrice: 40000.01 });
+  });
+
+  test('should size by a percent of the available balance', async () => {
+    expect(await size(engine, { mode: 'simulation', parameters: { sizing: 'percent', tradePercent: 10 } })).toMatchObject({ size: 0.02, quoteSize: 1000 });
+    expect(await size(engine, { side: 'sell', mode: 'simulation', parameters: { sizing: 'percent', tradePercent: 25 } })).toMatchObject({ size: 0.25, quoteSize: null });
+  });
+
+  test('should size by volatility once the ATR is known', async () => {
+    expect(await size(engine, { parameters: { sizing: 'volatility', riskPercent: 1 } })).toMatchObject({ success: false, code: 'NO_VOLATILITY' });
+
+    // A constant 1000 range: ATR 1000, so 1% of $10,000 buys 0.1 BTC
+    engine.exitManager.setCandleSource({
+      getSeries: (productId, interval, count) => ({
+        highs: Array(count).fill(50500),
+        lows: Array(count).fill(49500),
+        closes: Array(count).fill(50000)
+      })
+    });
+    expect(await size(engine, { parameters: { sizing: 'volatility', riskPercent: 1, atrPeriod: 14 } })).toMatchObject({ success: true, size: 0.1, quoteSize: null });
+  });
+
+  test('should refuse sizes below the product minimum', async () => {
+    expect(await size(engine, { parameters: { sizing: 'quote', tradeValue: 10 } })).toMatchObject({ success: false, code: 'MIN_SIZE' });
+    expect(await size(engine, { size: 0.00001 })).toMatchObject({ success: false, code: 'INVALID_SIZE' });
+  });
+
+  test('should place strategy orders with the sized amount', async () => {
+    const strategy = new BaseStrategy('Test', BaseStrategy.validateParameters({ sizing: 'quote', tradeValue: 250, mode: 'simulation' }));
+    strategy.tradingEngine = engine;
+
+    const result = await strategy.executeBuyOrder({ productId: 'BTC-USD', price: 50000 });
+
+    expect(result.success).toBe(true);
+    expect(result.order).toMatchObject({ order_type: 'MARKET', quote_size: 250 });
+    expect(strategy.trades[0].amount).toBeCloseTo(0.005);
+  });
+
+  test('should require the amount of the chosen sizing mode', () => {
+    expect(() => BaseStrategy.validateParameters({ sizing: 'percent' })).toThrow('tradePercent is required for percent sizing');
+    expect(() => BaseStrategy.validateParameters({ sizing: 'volatility', riskPercent: 0.5 })).not.toThrow();
+  });
+});
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProductCatalog = require('../src/services/productCatalog');
+const CoinbaseService = require('../src/services/coinbaseService');
+const TradingEngine = require('../src/services/tradingEngine');
+
+const apiProducts = [
+  { product_id: 'BTC-USD', base_currency_id: 'BTC', quote_currency_id: 'USD', base_name: 'Bitcoin', quote_name: 'US Dollar', base_increment: '0.00000001', quote_increment: '0.01', price_increment: '0.01', base_min_size: '0.00000001' },
+  { product_id: 'POL-USD', base_currency_id: 'POL', quote_currency_id: 'USD', base_name: 'POL (ex-MATIC)', quote_name: 'US Dollar', base_increment: '0.1', quote_increment: '0.0001', price_increment: '0.0001' },
+  { product_id: 'ETH-BTC', base_currency_id: 'ETH', quote_currency_id: 'BTC', base_name: 'Ethereum', quote_name: 'Bitcoin', base_increment: '0.00000001', quote_increment: '0.00001', price_increment: '0.00001' },
+  { product_id: 'USDT-USDC', base_currency_id: 'USDT', quote_currency_id: 'USDC', base_name: 'Tether', quote_name: 'USDC', base_increment: '0.01', quote_increment: '0.0001' }
+].map(product => CoinbaseService.normalizeProduct(product));
+
+describe('ProductCatalog', () => {
+  let dataDir;
+  let coinbase;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dutchess-products-'));
+    coinbase = { getProducts: jest.fn(async () => apiProducts) };
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const createCatalog = (options = {}) => new ProductCatalog(coinbase, { dataDir, checkIntervalMs: 0, ...options });
+
+  test('should describe products with names, quote currencies and display precision', async () => {
+    const catalog = createCatalog();
+    await catalog.start();
+
+    expect(catalog.getProduct('POL-USD')).toMatchObject({
+      baseName: 'POL (ex-MATIC)',
+      quoteCurrency: 'USD',
+      displayName: 'POL/USD',
+      baseIncrement: 0.1,
+      priceDecimals: 4,
+      sizeDecimals: 1
+    });
+    expect(catalog.getProduct('BTC-USD')).toMatchObject({ priceDecimals: 2, sizeDecimals: 8 });
+    expect(catalog.getProducts({ quote: 'USD' }).map(product => product.productId)).toEqual(['BTC-USD', 'POL-USD']);
+    expect(catalog.getStatus()).toMatchObject({ products: 4, source: 'api' });
+  });
+
+  test('should find the product a currency is charted in and name currencies', async () => {
+    const catalog = createCatalog();
+    await catalog.start();
+
+    expect(catalog.findProduct('POL').productId).toBe('POL-USD');
+    expect(catalog.findProduct('USDT').productId).toBe('USDT-USDC');
+    expect(catalog.findProduct('ETH')).toBeNull();
+    expect(catalog.getCurrencyName('ETH')).toBe('Ethereum');
+    expect(catalog.getCurrencyName('XYZ')).toBe('XYZ');
+  });
+
+  test('should fall back to the copy on disk when Coinbase is unreachable', async () => {
+    await createCatalog().start();
+    coinbase.getProducts.mockRejectedValue(new Error('getaddrinfo ENOTFOUND api.coinbase.com'));
+
+    // A day later the cached copy is stale, but still better than nothing
+    const catalog = createCatalog({ maxAgeMs: -1 });
+    await catalog.start();
+
+    expect(coinbase.getProducts).toHaveBeenCalledTimes(2);
+    expect(catalog.getStatus()).toMatchObject({ products: 4, source: 'cache' });
+    expect(catalog.getProduct('BTC-USD').baseName).toBe('Bitcoin');
+  });
+
+  test('should use a fresh copy on disk without asking Coinbase', async () => {
+    await createCatalog().start();
+    const catalog = createCatalog();
+    await catalog.start();
+
+    expect(coinbase.getProducts).toHaveBeenCalledTimes(1);
+    expect(catalog.source).toBe('cache');
+  });
+
+  test('should share one request between concurrent refreshes', async () => {
+    const catalog = createCatalog();
+    const results = await Promise.all([catalog.refresh(), catalog.refresh()]);
+
+    expect(results).toEqual([true, true]);
+    expect(coinbase.getProducts).toHaveBeenCalledTimes(1);
+  });
+
+  test('should give the trading engine its rules from the copy on disk while Coinbase is unreachable', async () => {
+    await createCatalog().start();
+    coinbase.getProducts.mockRejectedValue(new Error('getaddrinfo ENOTFOUND api.coinbase.com'));
+    const catalog = createCatalog({ maxAgeMs: -1 });
+    await catalog.start();
+
+    const engine = new TradingEngine({ getLastPrice: () => 0.5 }, { demoMode: true, productSource: catalog });
+
+    expect(await engine.positionSizer.size({ side: 'buy', productId: 'POL-USD', size: 31.25 })).toMatchObject({ success: true, size: 31.2 });
+    expect(await engine.riskManager.checkSellOrder('POL-USD', 31.25, null, { POL: 100 })).toMatchObject({ code: 'INVALID_SIZE_INCREMENT' });
+  });
+});
@@ -0,0 +1,171 @@
+const RiskManager = require('../src/services/riskManager');
+const TradingEngine = require('../src/services/tradingEngine');
+
+const prices = { 'BTC-USD': 50000, 'ETH-USD': 2500, 'DOGE-USD': 0.1 };
+const priceSource = { getLastPrice: (productId) => prices[productId] || null };
+const productSource = {
+  getProduct: async (productId) => ({
+    productId,
+    baseIncrement: 0.0001,
+    priceIncrement: 0.01,
+    baseMinSize: 0.0001,
+    minNotional: 1
+  })
+};
+
+const createRiskManager = (options = {}) => new RiskManager(priceSource, {
+  maxPositionSize: 1000,
+  riskTolerance: 0.05,
+  maxProductExposure: 0,
+  maxTotalExposure: 0,
+  maxOpenOrders: 5,
+  maxOrdersPerMinute: 3,
+  minNotional: 1,
+  maxPriceDeviation: 5,
+  productSource,
+  ...options
+});
+
+describe('RiskManager', () => {
+  test('should value orders at the live price of their own product', async () => {
+    const risk = createRiskManager();
+    const portfolio = { USD: 10000 };
+
+    expect((await risk.checkBuyOrder('ETH-USD', 0.2, null, portfolio)).approved).toBe(true);
+    expect(await risk.checkBuyOrder('BTC-USD', 0.1, null, portfolio)).toMatchObject({ approved: false, code: 'MAX_ORDER_VALUE' });
+    expect(await risk.checkBuyOrder('SOL-USD', 1, null, portfolio)).toMatchObject({ approved: false, code: 'NO_MARKET_PRICE' });
+  });
+
+  test('should validate minimum notional and product increments', async () => {
+    const risk = createRiskManager();
+    const portfolio = { USD: 1000, ETH: 1 };
+
+    expect(await risk.checkBuyOrder('DOGE-USD', 5, null, portfolio)).toMatchObject({ code: 'MIN_NOTIONAL' });
+    expect(await risk.checkSellOrder('ETH-USD', 0.00015, null, portfolio)).toMatchObject({ code: 'MIN_NOTIONAL' });
+    expect(await risk.checkSellOrder('ETH-USD', 0.01005, null, portfolio)).toMatchObject({ code: 'INVALID_SIZE_INCREMENT' });
+    expect(await risk.checkBuyOrder('ETH-USD', 0.01, 2500.005, portfolio)).toMatchObject({ code: 'INVALID_PRICE_INCREMENT' });
+  });
+
+  test('should guard limit prices far from the market', async () => {
+    const risk = createRiskManager();
+    expect(await risk.checkBuyOrder('ETH-USD', 0.1, 2300, { USD: 1000 })).toMatchObject({ code: 'PRICE_DEVIATION' });
+    expect((await risk.checkBuyOrder('ETH-USD', 0.1, 2400, { USD: 1000 })).approved).toBe(true);
+    // Resting orders placed away from the market on purpose can widen it, never narrow it
+    expect((await risk.checkBuyOrder('ETH-USD', 0.1, 2300, { USD: 1000 }, { maxPriceDeviation: 10 })).approved).toBe(true);
+  });
+
+  test('should enforce open order and order rate limits', async () => {
+    const risk = createRiskManager();
+    const portfolio = { USD: 1000 };
+
+    expect(await risk.checkBuyOrder('ETH-USD', 0.01, null, portfolio, { openOrders: 5 })).toMatchObject({ code: 'MAX_OPEN_ORDERS' });
+
+    risk.recordOrder();
+    risk.recordOrder();
+    risk.recordOrder();
+    expect(await risk.checkBuyOrder('ETH-USD', 0.01, null, portfolio)).toMatchObject({ code: 'ORDER_RATE_LIMIT' });
+  });
+
+  test('should never block reduce-only sells on order counts', async () => {
+    const risk = createRiskManager();
+    const portfolio = { USD: 1000, ETH: 1 };
+    risk.recordOrder();
+    risk.recordOrder();
+    risk.recordOrder();
+
+    expect(await risk.checkSellOrder('ETH-USD', 0.01, null, portfolio, { openOrders: 5 })).toMatchObject({ code: 'MAX_OPEN_ORDERS' });
+    expect(await risk.checkSellOrder('ETH-USD', 0.01, null, portfolio, { openOrders: 5, reduceOnly: true })).toMatchObject({ approved: true });
+    expect(await risk.checkBuyOrder('ETH-USD', 0.01, null, portfolio, { reduceOnly: true })).toMatchObject({ code: 'ORDER_RATE_LIMIT' });
+  });
+
+  test('should cap exposure per product and in total', async () => {
+    const risk = createRiskManager({ maxProductExposure: 600, maxTotalExposure: 800 });
+    const portfolio = { USD: 5000, ETH: 0.2, BTC: 0.004 };
+
+    // 0.2 ETH (500) + 0.05 ETH (125) > 600
+    expect(await risk.checkBuyOrder('ETH-USD', 0.05, null, portfolio)).toMatchObject({ code: 'MAX_PRODUCT_EXPOSURE' });
+    // 500 ETH + 200 BTC + 125 BTC > 800
+    expect(await risk.checkBuyOrder('BTC-USD', 0.0025, null, portfolio)).toMatchObject({ code: 'MAX_TOTAL_EXPOSURE' });
+    expect((await risk.checkBuyOrder('BTC-USD', 0.001, null, portfolio)).approved).toBe(true);
+  });
+
+  test('should stop buying once the daily loss limit is reached', async () => {
+    const risk = createRiskManager();
+    risk.recordLoss(50);
+    expect(await risk.checkBuyOrder('ETH-USD', 0.01, null, { USD: 1000 })).toMatchObject({ code: 'DAILY_LOSS_LIMIT' });
+    expect((await risk.checkSellOrder('ETH-USD', 0.01, null, { ETH: 1 })).approved).toBe(true);
+  });
+
+  test('should run plugged-in rules in the requested position', async () => {
+    const risk = createRiskManager();
+    risk.addRule({
+      name: 'no-doge',
+      check: (order) => order.productId.startsWith('DOGE') ? { code: 'BLOCKED_PRODUCT', reason: 'No meme coins' } : null
+    }, { before: 'min-notional' });
+
+    expect(risk.getRules().indexOf('no-doge')).toBe(risk.getRules().indexOf('min-notional') - 1);
+    expect(await risk.checkBuyOrder('DOGE-USD', 5, null, { USD: 1000 })).toMatchObject({ code: 'BLOCKED_PRODUCT', rule: 'no-doge' });
+
+    risk.removeRule('no-doge');
+    expect(await risk.checkBuyOrder('DOGE-USD', 5, null, { USD: 1000 })).toMatchObject({ code: 'MIN_NOTIONAL' });
+  });
+});
+
+describe('TradingEngine risk checks', () => {
+  test('should return the rejection code to the caller', async () => {
+    const engine = new TradingEngine(priceSource, {
+      demoMode: true,
+      riskManager: createRiskManager(),
+      paper: { initialBalances: { USD: 100 } }
+    });
+
+    const result = await engine.executeBuyOrder('ETH-USD', 0.1);
+    expect(result).toMatchObject({ success: false, code: 'INSUFFICIENT_FUNDS' });
+  });
+
+  test('should reject malformed orders before the risk checks', async () => {
+    const engine = new TradingEngine(priceSource, { demoMode: true, riskManager: createRiskManager() });
+
+    const result = await engine.executeSellOrder('ETH-USD', 0.1, null, 'stop-limit');
+    expect(result).toMatchObject({ success: false, code: 'INVALID_ORDER' });
+    expect(result.error).toContain('stop-limit orders need a limitPrice; stop-limit orders need a stopPrice');
+  });
+
+  test('should pass the order type through to the broker and keep stop orders working', async () => {
+    const engine = new TradingEngine(priceSource, {
+      demoMode: true,
+      riskManager: createRiskManager(),
+      paper: { initialBalances: { USD: 1000, ETH: 1 } }
+    });
+
+    const result = await engine.executeSellOrder('ETH-USD', 0.1, 2400, 'stop-limit', { order: { stopPrice: 2410 } });
+    expect(result.success).toBe(true);
+    expect(result.order).toMatchObject({ order_type: 'STOP_LIMIT', stop_price: 2410, limit_price: 2400, status: 'OPEN' });
+    expect(engine.getActiveOrders()).toHaveLength(1);
+
+    // Quote-size market buys are checked at the live price
+    const buy = await engine.executeBuyOrder('ETH-USD', null, null, 'market', { order: { quoteSize: 100 } });
+    expect(buy.success).toBe(true);
+    expect(buy.order.base_size).toBeCloseTo(100 / 2500);
+  });
+
+  test('should sell the whole position a quote size buy left behind', async () => {
+    prices['ETH-USD'] = 2513.37;
+    const engine = new TradingEngine(priceSource, {
+      demoMode: true,
+      riskManager: createRiskManager(),
+      paper: { productSource, initialBalances: { USD: 1000 } }
+    });
+
+    try {
+      const buy = await engine.executeBuyOrder('ETH-USD', null, null, 'market', { order: { quoteSize: 100 } });
+      expect(buy.success).toBe(true);
+
+      const sell = await engine.executeSellOrder('ETH-USD', engine.paperBroker.getPortfolio().ETH);
+      expect(sell.success).toBe(true);
+      expect(engine.paperBroker.getPortfolio().ETH).toBeCloseTo(0, 10);
+    } finally {
+      prices['ETH-USD'] = 2500;
+    }
+  });
+});
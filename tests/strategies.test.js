@@ -0,0 +1,164 @@
+const RSIStrategy = require('../src/strategies/rsiStrategy');
+const MACDStrategy = require('../src/strategies/macdStrategy');
+const SimpleMovingAverageStrategy = require('../src/strategies/simpleMovingAverage');
+const BollingerStrategy = require('../src/strategies/bollingerStrategy');
+
+function feed(strategy, productId, prices) {
+  prices.forEach(price => strategy.handleMarketData('price', { productId, price }));
+}
+
+const falling = Array.from({ length: 20 }, (_, i) => 100 - i * 2);
+const rising = Array.from({ length: 20 }, (_, i) => 100 + i * 2);
+
+describe('Multi-product strategies', () => {
+  test('RSI should keep separate state for each product', () => {
+    const strategy = new RSIStrategy({ period: 5 });
+    strategy.isActive = true;
+
+    feed(strategy, 'BTC-USD', falling);
+    feed(strategy, 'ETH-USD', rising);
+
+    const indicators = strategy.getIndicators();
+    expect(indicators.products['BTC-USD'].rsi).toBeLessThan(30);
+    expect(indicators.products['ETH-USD'].rsi).toBeGreaterThan(70);
+    expect(strategy.getIndicators('BTC-USD').position).toBe('long');
+
+    expect(strategy.signals.map(signal => [signal.type, signal.productId])).toEqual([
+      ['buy', 'BTC-USD'],
+      ['sell', 'ETH-USD']
+    ]);
+  });
+
+  test('MACD should not mix price histories across products', () => {
+    const strategy = new MACDStrategy({ fastPeriod: 3, slowPeriod: 6, signalPeriod: 3 });
+    strategy.isActive = true;
+
+    feed(strategy, 'BTC-USD', rising);
+    feed(strategy, 'ETH-USD', falling);
+
+    expect(strategy.getIndicators('BTC-USD').macdLine).toBeGreaterThan(0);
+    expect(strategy.getIndicators('ETH-USD').macdLine).toBeLessThan(0);
+    expect(Object.keys(strategy.getIndicators().products)).toEqual(['BTC-USD', 'ETH-USD']);
+  });
+
+  test('should only handle the products it is scoped to', () => {
+    const strategy = new RSIStrategy({ period: 5, productIds: 'btc-usd, SOL-USD' });
+    strategy.isActive = true;
+
+    expect(strategy.productIds).toEqual(['BTC-USD', 'SOL-USD']);
+    feed(strategy, 'BTC-USD', falling);
+    feed(strategy, 'ETH-USD', falling);
+
+    expect(Object.keys(strategy.getIndicators().products)).toEqual(['BTC-USD']);
+  });
+});
+
+describe('Hot parameter updates', () => {
+  const wave = Array.from({ length: 120 }, (_, i) => 100 + 10 * Math.sin(i / 6));
+
+  test('should re-derive the SMA from retained history', () => {
+    const strategy = new SimpleMovingAverageStrategy({ period: 5 });
+    strategy.isActive = true;
+    feed(strategy, 'BTC-USD', wave);
+
+    strategy.updateParameters({ period: 50 });
+
+    const expected = wave.slice(-50).reduce((a, b) => a + b, 0) / 50;
+    expect(strategy.period).toBe(50);
+    expect(strategy.getIndicators('BTC-USD').sma).toBeCloseTo(expected);
+    expect(strategy.signals.length).toBeGreaterThan(0);
+  });
+
+  test('should rebuild MACD as if it had run with the new periods all along', () => {
+    const updated = new MACDStrategy({ fastPeriod: 5, slowPeriod: 10, signalPeriod: 4 });
+    const fresh = new MACDStrategy({ fastPeriod: 8, slowPeriod: 20, signalPeriod: 6 });
+    updated.isActive = true;
+    fresh.isActive = true;
+    feed(updated, 'BTC-USD', wave);
+    feed(fresh, 'BTC-USD', wave);
+
+    updated.updateParameters({ fastPeriod: '8', slowPeriod: 20, signalPeriod: 6 });
+
+    expect(updated.parameters.fastPeriod).toBe(8);
+    expect(updated.getIndicators('BTC-USD').macdLine).toBeCloseTo(fresh.getIndicators('BTC-USD').macdLine);
+    expect(updated.getIndicators('BTC-USD').signalLine).toBeCloseTo(fresh.getIndicators('BTC-USD').signalLine);
+  });
+
+  test('should recompute RSI for a new period and keep thresholds consistent', () => {
+    const strategy = new RSIStrategy({ period: 5 });
+    strategy.isActive = true;
+    feed(strategy, 'BTC-USD', wave);
+
+    strategy.updateParameters({ period: 10, oversoldThreshold: 25 });
+    const state = strategy.states['BTC-USD'];
+    expect(state.gains).toHaveLength(10);
+    expect(strategy.oversoldThreshold).toBe(25);
+
+    expect(() => strategy.updateParameters({ oversoldThreshold: 80 })).toThrow('oversoldThreshold must be below');
+    expect(() => strategy.updateParameters({ period: 1 })).toThrow('period must be at least 2');
+    expect(() => strategy.updateParameters({ autoTrade: 'yes' })).toThrow('autoTrade must be true or false');
+    expect(strategy.period).toBe(10);
+  });
+});
+
+describe('Bollinger Bands', () => {
+  const flat = [100, 101, 99, 100, 101, 99, 100, 101, 99, 100];
+
+  test('should buy below the lower band and exit at the middle band with band values', () => {
+    const strategy = new BollingerStrategy({ period: 10, stdDev: 2 });
+    strategy.isActive = true;
+
+    feed(strategy, 'BTC-USD', [...flat, 95]);
+    feed(strategy, 'ETH-USD', flat);
+    expect(strategy.getIndicators('BTC-USD').position).toBe('long');
+    expect(strategy.getIndicators('ETH-USD').position).toBe('none');
+
+    feed(strategy, 'BTC-USD', [97, 100]);
+
+    expect(strategy.signals.map(signal => [signal.type, signal.productId])).toEqual([
+      ['buy', 'BTC-USD'],
+      ['sell', 'BTC-USD']
+    ]);
+    const [buy, sell] = strategy.signals.map(signal => signal.data);
+    expect(buy.price).toBeLessThan(buy.lower);
+    expect(buy).toEqual(expect.objectContaining({ upper: expect.any(Number), middle: expect.any(Number), bandwidth: expect.any(Number) }));
+    expect(sell.price).toBeGreaterThanOrEqual(sell.middle);
+    expect(sell.reason).toContain('middle band');
+  });
+
+  test('should hold until the upper band when configured', () => {
+    const strategy = new BollingerStrategy({ period: 10, exitAt: 'upper' });
+    strategy.isActive = true;
+
+    feed(strategy, 'BTC-USD', [...flat, 95, 100, 101]);
+    expect(strategy.signals.map(signal => signal.type)).toEqual(['buy']);
+
+    feed(strategy, 'BTC-USD', [108]);
+    expect(strategy.signals.map(signal => signal.type)).toEqual(['buy', 'sell']);
+    expect(strategy.signals[1].data.reason).toContain('upper band');
+  });
+
+  test('should skip entries during a squeeze', () => {
+    const strategy = new BollingerStrategy({ period: 10, minBandwidth: 20 });
+    strategy.isActive = true;
+
+    feed(strategy, 'BTC-USD', [...flat, 95]);
+    expect(strategy.getIndicators('BTC-USD').bandwidth).toBeLessThan(20);
+    expect(strategy.signals).toHaveLength(0);
+
+    strategy.updateParameters({ minBandwidth: null });
+    feed(strategy, 'BTC-USD', [90]);
+    expect(strategy.signals.map(signal => signal.type)).toEqual(['buy']);
+  });
+
+  test('should only use candle closes when a candle interval is set', () => {
+    const strategy = new BollingerStrategy({ period: 10, candleInterval: '1m' });
+    strategy.isActive = true;
+
+    feed(strategy, 'BTC-USD', [...flat, 95]);
+    expect(strategy.getIndicators('BTC-USD').priceHistoryLength).toBe(0);
+
+    [...flat, 95].forEach(close => strategy.handleMarketData('candle', { productId: 'BTC-USD', interval: '1m', close }));
+    expect(strategy.signals.map(signal => signal.type)).toEqual(['buy']);
+  });
+});
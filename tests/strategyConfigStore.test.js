@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StrategyConfigStore = require('../src/services/strategyConfigStore');
+const StrategyManager = require('../src/services/strategyManager');
+const TradingEngine = require('../src/services/tradingEngine');
+const DataStore = require('../src/services/dataStore');
+
+const market = { getLastPrice: () => 100 };
+
+describe('StrategyConfigStore', () => {
+  let dataDir;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dutchess-configs-'));
+    global.tradingBot = { tradingEngine: new TradingEngine(market, { demoMode: true }), coinbaseService: market };
+  });
+
+  afterEach(() => {
+    delete global.tradingBot;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('should save instances on every change and restore them with their mode', async () => {
+    const store = new StrategyConfigStore({ filePath: path.join(dataDir, 'strategies.yaml') });
+    const manager = new StrategyManager();
+    manager.setConfigStore(store);
+    expect(await store.exists()).toBe(false);
+
+    await manager.startStrategy('sma', { period: 20, productIds: 'BTC-USD' }, { id: 'sma-btc' });
+    await manager.startStrategy('rsi', { period: 5, mode: 'simulation' });
+    manager.createStrategy('macd', { fastPeriod: 8 });
+
+    expect(fs.readFileSync(store.filePath, 'utf8')).toContain('id: sma-btc');
+    expect(await store.load()).toEqual([
+      { id: 'sma-btc', type: 'sma', mode: 'live', productIds: ['BTC-USD'], parameters: { period: 20 } },
+      { id: 'rsi', type: 'rsi', mode: 'simulation', productIds: null, parameters: { period: 5, mode: 'simulation' } },
+      { id: 'macd', type: 'macd', mode: 'stopped', productIds: null, parameters: { fastPeriod: 8 } }
+    ]);
+    await manager.stopAllStrategies();
+
+    // Stopping everything is saved as well, so put the modes back as they were before "restarting"
+    store.save(manager.exportConfigs().map(config => ({ ...config, mode: config.id === 'macd' ? 'stopped' : 'live' })));
+
+    const restarted = new StrategyManager();
+    restarted.setConfigStore(store);
+    const result = await restarted.restoreConfigs();
+
+    expect(result).toEqual({ imported: ['sma-btc', 'rsi', 'macd'], failed: [] });
+    expect(restarted.getActiveStrategies()).toEqual(['sma-btc', 'rsi']);
+    expect(restarted.getStrategy('sma-btc').productIds).toEqual(['BTC-USD']);
+    expect(restarted.getStrategy('rsi').parameters.mode).toBeUndefined();
+    await restarted.stopAllStrategies();
+  });
+
+  test('should import configs, reconfigure known ids and report bad entries', async () => {
+    const manager = new StrategyManager();
+    await manager.startStrategy('sma', { period: 20 });
+    await manager.startStrategy('rsi', { period: 5 });
+
+    const result = await manager.importConfigs(StrategyConfigStore.fromDocument({
+      strategies: [
+        { id: 'sma', type: 'sma', mode: 'stopped', parameters: { period: 30 } },
+        { id: 'eth', type: 'macd', mode: 'simulation', productIds: ['ETH-USD'] },
+        { id: 'bad', type: 'nope', mode: 'live' }
+      ]
+    }), { replace: true });
+
+    expect(result.imported).toEqual(['sma', 'eth']);
+    expect(result.failed).toEqual([expect.objectContaining({ id: 'bad', error: "Strategy 'nope' not found" })]);
+    expect(manager.getInstances().map(i => [i.id, i.mode])).toEqual([['sma', 'stopped'], ['eth', 'simulation']]);
+    expect(manager.getStrategy('sma').parameters).toEqual({ period: 30 });
+    await manager.stopAllStrategies();
+  });
+
+  test('should reject malformed configs', () => {
+    expect(() => StrategyConfigStore.fromDocument({})).toThrow('strategies');
+    expect(() => StrategyConfigStore.fromDocument([{ type: 'sma', mode: 'running' }])).toThrow('Mode');
+    expect(() => StrategyConfigStore.parse('- id: x', 'yaml')).toThrow('type');
+  });
+
+  test('should keep snapshots in the data store with the database backend', async () => {
+    const dataStore = new DataStore({ dataDir, flushIntervalMs: 0 });
+    dataStore.initialize();
+    const store = new StrategyConfigStore({ backend: 'database', dataStore });
+
+    expect(await store.exists()).toBe(false);
+    store.save([{ id: 'sma', type: 'sma', mode: 'live', productIds: null, parameters: {} }]);
+    store.save([{ id: 'sma', type: 'sma', mode: 'stopped', productIds: null, parameters: {} }]);
+
+    expect(await store.load()).toEqual([{ id: 'sma', type: 'sma', mode: 'stopped', productIds: null, parameters: {} }]);
+    dataStore.close();
+  });
+});
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StrategyLoader = require('../src/services/strategyLoader');
+const StrategyManager = require('../src/services/strategyManager');
+const TradingEngine = require('../src/services/tradingEngine');
+
+const baseStrategyPath = JSON.stringify(path.join(__dirname, '../src/strategies/baseStrategy'));
+const market = { getLastPrice: () => 100 };
+
+const pluginSource = (className, period) => `
+const BaseStrategy = require(${baseStrategyPath});
+
+class ${className} extends BaseStrategy {
+  static get displayName() {
+    return '${className}';
+  }
+
+  static get parameterSchema() {
+    return {
+      lookback: { type: 'integer', min: 2, default: ${period}, label: 'Lookback' },
+      ...BaseStrategy.parameterSchema
+    };
+  }
+
+  constructor(parameters = {}) {
+    super('${className}', parameters);
+    this.lookback = this.getParameter('lookback');
+  }
+}
+
+module.exports = ${className};
+`;
+
+describe('StrategyLoader', () => {
+  let pluginDir;
+  let manager;
+
+  beforeEach(() => {
+    pluginDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dutchess-plugins-'));
+    manager = new StrategyManager();
+    global.tradingBot = { tradingEngine: new TradingEngine(market, { demoMode: true }), coinbaseService: market };
+  });
+
+  afterEach(async () => {
+    await manager.stopAllStrategies();
+    delete global.tradingBot;
+    fs.rmSync(pluginDir, { recursive: true, force: true });
+  });
+
+  test('should register valid plugins with their schema and report broken ones', () => {
+    fs.writeFileSync(path.join(pluginDir, 'momentum.js'), pluginSource('Momentum', 10));
+    fs.mkdirSync(path.join(pluginDir, 'breakout'));
+    fs.writeFileSync(path.join(pluginDir, 'breakout', 'index.js'), pluginSource('Breakout', 20));
+    fs.writeFileSync(path.join(pluginDir, 'notastrategy.js'), 'module.exports = { hello: 1 };');
+    fs.writeFileSync(path.join(pluginDir, 'plain.js'), 'module.exports = class Plain { start() {} };');
+    fs.writeFileSync(path.join(pluginDir, 'sma.js'), pluginSource('FakeSma', 5));
+    fs.writeFileSync(path.join(pluginDir, 'notes.txt'), 'ignored');
+
+    const result = new StrategyLoader(manager, { pluginDir, packages: [] }).load();
+
+    expect(result.loaded).toEqual(['breakout', 'momentum']);
+    expect(result.failed.map(f => [f.source, f.error])).toEqual([
+      ['plugin:notastrategy.js', 'Module must export a strategy class'],
+      ['plugin:plain.js', expect.stringContaining('is missing stop, handleMarketData')],
+      ['plugin:sma.js', "Strategy type 'sma' is already registered"]
+    ]);
+
+    const momentum = manager.describeStrategyTypes().find(type => type.type === 'momentum');
+    expect(momentum).toMatchObject({ name: 'Momentum', source: 'plugin:momentum.js' });
+    expect(momentum.parameters.lookback.default).toBe(10);
+    expect(manager.getStrategyClass('sma').displayName).toBe('Simple Moving Average');
+  });
+
+  test('should load strategies from packages', () => {
+    const packageDir = path.join(pluginDir, 'node_modules', 'strategy-pack');
+    fs.mkdirSync(packageDir, { recursive: true });
+    fs.writeFileSync(path.join(packageDir, 'index.js'), pluginSource('Pack', 7));
+
+    const result = new StrategyLoader(manager, { pluginDir: path.join(pluginDir, 'none'), packages: [packageDir] }).load();
+
+    expect(result.loaded).toEqual(['strategy-pack']);
+    expect(manager.describeStrategyTypes().find(type => type.type === 'strategy-pack').source).toBe(`package:${packageDir}`);
+  });
+
+  test('should pick up changed and removed plugins on reload', async () => {
+    const file = path.join(pluginDir, 'momentum.js');
+    fs.writeFileSync(file, pluginSource('Momentum', 10));
+    const loader = new StrategyLoader(manager, { pluginDir, packages: [] });
+    loader.load();
+    await manager.startStrategy('momentum', {});
+    expect(manager.getStrategy('momentum').lookback).toBe(10);
+
+    fs.writeFileSync(file, pluginSource('Momentum', 30));
+    // Jest keeps its own module registry next to require.cache
+    jest.resetModules();
+    const reloaded = await loader.reload({ restartInstances: true });
+
+    expect(reloaded).toMatchObject({ loaded: ['momentum'], removed: [], restarted: ['momentum'] });
+    expect(manager.getStrategy('momentum').lookback).toBe(30);
+    expect(manager.getActiveStrategies()).toEqual(['momentum']);
+
+    fs.unlinkSync(file);
+    expect((await loader.reload()).removed).toEqual(['momentum']);
+    expect(() => manager.getStrategyClass('momentum')).toThrow('not found');
+  });
+});
@@ -0,0 +1,119 @@
+const StrategyManager = require('../src/services/strategyManager');
+const TradingEngine = require('../src/services/tradingEngine');
+
+const market = { getLastPrice: () => 100 };
+
+describe('StrategyManager instances', () => {
+  let manager;
+  let engine;
+
+  beforeEach(() => {
+    engine = new TradingEngine(market, {
+      demoMode: true,
+      paper: { takerFeeRate: 0, makerFeeRate: 0, slippage: 0, initialBalances: { USD: 1000 } }
+    });
+    global.tradingBot = { tradingEngine: engine, coinbaseService: market };
+    manager = new StrategyManager();
+  });
+
+  afterEach(async () => {
+    await manager.stopAllStrategies();
+    delete global.tradingBot;
+  });
+
+  test('should run several instances of the same type side by side', async () => {
+    await manager.startStrategy('sma', { period: 20, productIds: 'BTC-USD' });
+    await manager.startStrategy('sma', { period: 50, productIds: 'ETH-USD' });
+    await manager.startStrategy('sma', { period: 10 }, { id: 'sma-fast' });
+
+    expect(manager.getActiveStrategies()).toEqual(['sma', 'sma-2', 'sma-fast']);
+    expect(manager.getStrategy('sma-2').productIds).toEqual(['ETH-USD']);
+    await expect(manager.startStrategy('sma', {}, { id: 'sma-fast' })).rejects.toThrow('already exists');
+    await expect(manager.startStrategy('sma', {}, { id: 'instances' })).rejects.toThrow('reserved');
+  });
+
+  test('should keep stopped instances until deleted', async () => {
+    await manager.startStrategy('rsi', { period: 5 });
+    await manager.stopStrategy('rsi');
+
+    expect(manager.describeInstance('rsi')).toMatchObject({ id: 'rsi', type: 'rsi', status: 'stopped' });
+    await manager.startInstance('rsi');
+    expect(manager.getActiveStrategies()).toEqual(['rsi']);
+
+    await manager.deleteStrategy('rsi');
+    expect(manager.getInstances()).toEqual([]);
+    expect(manager.getActiveStrategies()).toEqual([]);
+  });
+
+  test('should wait for strategies to stop and stop the others when one fails', async () => {
+    const slow = await manager.startStrategy('sma', { period: 5 });
+    const broken = await manager.startStrategy('rsi', { period: 5 });
+    let slowStopped = false;
+    const stopSlow = slow.stop.bind(slow);
+    slow.stop = async () => {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      await stopSlow();
+      slowStopped = true;
+    };
+    broken.stop = async () => { throw new Error('cancel failed'); };
+
+    await manager.stopAllStrategies();
+
+    expect(slowStopped).toBe(true);
+    expect(manager.getActiveStrategies()).toEqual([]);
+    expect(manager.describeInstance('rsi').status).toBe('stopped');
+  });
+
+  test('should restart a running instance with updated parameters under the same id', async () => {
+    await manager.startStrategy('rsi', { period: 5, oversoldThreshold: 25 });
+    const strategy = await manager.updateStrategy('rsi', { period: 7 });
+
+    expect(strategy.period).toBe(7);
+    expect(strategy.oversoldThreshold).toBe(25);
+    expect(manager.getStrategy('rsi')).toBe(strategy);
+    expect(manager.describeInstance('rsi').status).toBe('running');
+    await expect(manager.updateStrategy('rsi', { stopLossPercent: -1 })).rejects.toThrow();
+    expect(manager.getStrategy('rsi')).toBe(strategy);
+  });
+
+  test('should describe registered types with their parameter schemas', () => {
+    const rsi = manager.describeStrategyTypes().find(type => type.type === 'rsi');
+
+    expect(rsi).toMatchObject({ name: 'RSI Strategy', description: expect.any(String) });
+    expect(rsi.parameters.oversoldThreshold).toMatchObject({ type: 'number', min: 0, max: 100, default: 30 });
+    expect(rsi.parameters.tradeAmount).toMatchObject({ group: 'trading' });
+  });
+
+  test('should validate parameters against the schema when creating an instance', () => {
+    const strategy = manager.createStrategy('rsi', { period: '10', oversold: 20, overbought: 80 });
+
+    expect(strategy.parameters).toEqual({ period: 10, oversoldThreshold: 20, overboughtThreshold: 80 });
+    expect(strategy.oversoldThreshold).toBe(20);
+    expect(() => manager.createStrategy('sma', { perod: 10 })).toThrow('perod is not a parameter of Simple Moving Average');
+    expect(() => manager.createStrategy('macd', { fastPeriod: 30 })).toThrow('fastPeriod must be below slowPeriod');
+    expect(manager.getInstances().map(instance => instance.id)).toEqual(['rsi']);
+  });
+
+  test('should update parameters of a running instance in place', async () => {
+    const strategy = await manager.startStrategy('sma', { period: 20 });
+    strategy.handleMarketData('price', { productId: 'BTC-USD', price: 100 });
+
+    expect(manager.updateParameters('sma', { period: 10, stopLossPercent: 5 })).toEqual({ period: 10, stopLossPercent: 5 });
+    expect(manager.getStrategy('sma')).toBe(strategy);
+    expect(strategy.priceHistories['BTC-USD']).toEqual([100]);
+    expect(engine.exitManager.getStatus()).toEqual([expect.objectContaining({ strategy: 'sma' })]);
+    expect(() => manager.updateParameters('sma', { stopLossPercent: -1 })).toThrow();
+    expect(strategy.parameters.stopLossPercent).toBe(5);
+  });
+
+  test('should attribute orders and performance to the instance id', async () => {
+    const a = await manager.startStrategy('sma', { tradeAmount: 1, mode: 'simulation' });
+    await manager.startStrategy('sma', { tradeAmount: 2, mode: 'simulation' });
+
+    await a.executeBuyOrder({ productId: 'BTC-USD', price: 100 });
+
+    const performance = manager.getAllPerformance();
+    expect(performance.sma.positions).toEqual([expect.objectContaining({ strategy: 'sma', size: 1 })]);
+    expect(performance['sma-2'].positions).toEqual([]);
+  });
+});